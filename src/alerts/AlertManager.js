@@ -4,9 +4,46 @@
  * Monitors event loop health and triggers alerts when thresholds are breached
  * Tracks alert state to prevent alert fatigue
  *
+ * Thresholds are checked on the monitor's `sample` events, as soon as each
+ * sample is taken; watchdog and flight recorder listeners follow the
+ * monitor's `start` and `stop` events. With the `anomalies` option, anomalies
+ * the monitor detects (lag, ELU or memory out of their learned band) are
+ * alerts too, firing when one starts and resolved when it ends.
+ *
  * @module alerts/AlertManager
  */
 
+const v8 = require("v8");
+const { registry } = require("../core/MonitorRegistry");
+
+// Display names and units of alerted metrics
+const METRIC_NAMES = {
+  lag: "Event Loop Lag",
+  elu: "Event Loop Utilization",
+  stall: "Event Loop Stall",
+  health: "Critical Health",
+  memory: "Heap Usage",
+  threadpool: "Threadpool Latency",
+  anomaly: "Anomaly",
+};
+
+const METRIC_UNITS = {
+  lag: "ms",
+  elu: "%",
+  stall: "ms",
+  health: "ms",
+  memory: "%",
+  threadpool: "ms",
+  anomaly: "ms",
+};
+
+// Anomalous series: alert name, and value in the unit alerts use
+const ANOMALY_SERIES = {
+  lag: { name: "Anomalous Event Loop Lag", unit: "ms", scale: (value) => value },
+  elu: { name: "Anomalous Event Loop Utilization", unit: "%", scale: (value) => value * 100 },
+  memory: { name: "Anomalous Heap Usage", unit: "MB", scale: (value) => value / 1024 / 1024 },
+};
+
 /**
  * AlertManager - Manages threshold-based alerting for event loop metrics
  *
@@ -14,15 +51,27 @@
  */
 class AlertManager {
   /**
-   * @param {EventLoopMonitor} monitor - Monitor instance to attach to
+   * @param {EventLoopMonitor|string} monitor - Monitor instance to attach to, or the name of a
+   *   registered monitor (created if needed, so alerts can be set up before the middleware)
    * @param {Object} [options] - Configuration options
    * @param {Object} [options.thresholds] - Alert thresholds
    * @param {number} [options.thresholds.lagWarning=50] - Warning lag threshold (ms)
    * @param {number} [options.thresholds.lagCritical=100] - Critical lag threshold (ms)
    * @param {number} [options.thresholds.eluWarning=0.7] - Warning ELU threshold (0-1)
    * @param {number} [options.thresholds.eluCritical=0.9] - Critical ELU threshold (0-1)
+   * @param {number} [options.thresholds.heapWarning] - Warning heap used / heap size limit (0-1);
+   *   memory alerts are off unless a heap threshold is set
+   * @param {number} [options.thresholds.heapCritical] - Critical heap used / heap size limit (0-1)
+   * @param {number} [options.thresholds.threadpoolWarning=100] - Warning threadpool queue latency (ms);
+   *   checked when the monitor runs the threadpool probe
+   * @param {number} [options.thresholds.threadpoolCritical=500] - Critical threadpool queue latency (ms)
+   * @param {string|boolean} [options.anomalies=false] - Alert on anomalies the monitor detects
+   *   (true, or 'critical' to skip warnings); resolved alerts report how long they lasted
+   * @param {string|boolean} [options.heapSnapshot=false] - Write a heap snapshot when a memory alert
+   *   fires at this level ('critical', or 'warning' for both); requires the monitor's heapSnapshots option
    * @param {Function} [options.onAlert] - Alert callback function
-   * @param {number} [options.checkInterval=1000] - Check interval in milliseconds
+   * @param {number} [options.checkInterval=1000] - Minimum time between threshold checks (ms);
+   *   0 checks every sample
    * @param {number} [options.cooldown=30000] - Cooldown period between duplicate alerts (ms)
    */
   constructor(monitor, options = {}) {
@@ -30,7 +79,7 @@ class AlertManager {
       throw new Error("AlertManager requires a monitor instance");
     }
 
-    this.monitor = monitor;
+    this.monitor = typeof monitor === "string" ? registry.get(monitor) : monitor;
 
     // Default thresholds
     this.thresholds = {
@@ -38,14 +87,26 @@ class AlertManager {
       lagCritical: 100, // 100ms lag is critical
       eluWarning: 0.7, // 70% utilization is concerning
       eluCritical: 0.9, // 90% utilization is critical
+      heapWarning: null, // memory alerts are opt-in
+      heapCritical: null,
+      threadpoolWarning: 100, // queued fs/crypto work waits 100ms
+      threadpoolCritical: 500,
       ...options.thresholds,
     };
 
+    // Memory alert level that writes a heap snapshot
+    this.heapSnapshot = options.heapSnapshot || false;
+
+    // Anomaly alerts (opt-in): true, or 'critical'
+    this.anomalies = options.anomalies || false;
+
     // Alert callback
     this.onAlert = options.onAlert || null;
 
-    // Check interval (how often to check metrics)
-    this.checkInterval = options.checkInterval || 1000; // 1 second
+    // Minimum time between checks (0 checks every sample)
+    this.checkInterval =
+      options.checkInterval !== undefined ? options.checkInterval : 1000; // 1 second
+    this.lastCheck = null;
 
     // Cooldown period (prevent alert spam)
     this.cooldown = options.cooldown || 30000; // 30 seconds
@@ -62,7 +123,38 @@ class AlertManager {
         lastTriggered: null,
         count: 0,
       },
+      stall: {
+        level: null,
+        lastTriggered: null,
+        count: 0,
+      },
+      health: {
+        level: null,
+        lastTriggered: null,
+        count: 0,
+      },
+      memory: {
+        level: null,
+        lastTriggered: null,
+        count: 0,
+      },
+      threadpool: {
+        level: null,
+        lastTriggered: null,
+        count: 0,
+      },
+      anomaly: {
+        level: null,
+        lastTriggered: null,
+        count: 0,
+      },
     };
+    this.alertSequence = 0;
+
+    // Anomalies alerted on and not ended yet (anomaly id -> level), and
+    // when each series last fired (for the cooldown)
+    this.openAnomalies = new Map();
+    this.anomalyTriggered = {};
 
     // Alert history (for analysis)
     this.alertHistory = [];
@@ -70,24 +162,47 @@ class AlertManager {
 
     // Monitoring state
     this.isActive = false;
-    this.checkTimer = null;
+    this._onSample = (sample) => this._handleSample(sample);
+    this._onMonitorStart = () => this._attachComponents();
+    this._onMonitorStop = () => this._detachComponents();
+    this._onAnomalyStart = (anomaly) => this._handleAnomalyStart(anomaly);
+    this._onAnomalyEnd = (anomaly) => this._handleAnomalyEnd(anomaly);
+
+    // Watchdog the stall listeners are attached to
+    this.watchdog = null;
+    this._onStallStart = (stall) => this._handleStallStart(stall);
+    this._onStallEnd = (stall) => this._handleStallEnd(stall);
+
+    // Flight recorder whose captures are raised as alerts
+    this.flightRecorder = null;
+    this._onHealthTrigger = (trigger) => this._handleHealthTrigger(trigger);
+    this._onHealthRecovered = (recovery) => this._handleHealthRecovered(recovery);
   }
 
   /**
    * Start alert monitoring
+   * Can be called before the monitor starts: checks begin with its first
+   * sample (earlier versions refused to start on an inactive monitor)
    */
   start() {
     if (this.isActive) {
       return; // Already started
     }
 
-    if (!this.monitor.isActive()) {
-      console.warn("AlertManager: Cannot start - monitor is not active");
-      return;
+    this.isActive = true;
+    this.lastCheck = null;
+    this.monitor.on("sample", this._onSample);
+    this.monitor.on("start", this._onMonitorStart);
+    this.monitor.on("stop", this._onMonitorStop);
+    if (this.anomalies) {
+      this.monitor.on("anomaly-start", this._onAnomalyStart);
+      this.monitor.on("anomaly-end", this._onAnomalyEnd);
     }
 
-    this.isActive = true;
-    this._scheduleCheck();
+    // Otherwise attached by the monitor's start event
+    if (this.monitor.isActive()) {
+      this._attachComponents();
+    }
   }
 
   /**
@@ -99,52 +214,51 @@ class AlertManager {
     }
 
     this.isActive = false;
-
-    if (this.checkTimer) {
-      clearTimeout(this.checkTimer);
-      this.checkTimer = null;
-    }
+    this.monitor.removeListener("sample", this._onSample);
+    this.monitor.removeListener("start", this._onMonitorStart);
+    this.monitor.removeListener("stop", this._onMonitorStop);
+    this.monitor.removeListener("anomaly-start", this._onAnomalyStart);
+    this.monitor.removeListener("anomaly-end", this._onAnomalyEnd);
+    this._detachComponents();
 
     // Clear any active alerts
     this._clearAlertState();
   }
 
   /**
-   * Schedule the next check
+   * Check a new sample, unless the previous check was under checkInterval ago
    * @private
    */
-  _scheduleCheck() {
-    if (!this.isActive) {
+  _handleSample(sample) {
+    const now = Date.now();
+    if (this.lastCheck !== null && now - this.lastCheck < this.checkInterval) {
       return;
     }
 
-    this.checkTimer = setTimeout(() => {
-      this._performCheck();
-      this._scheduleCheck();
-    }, this.checkInterval);
+    this.lastCheck = now;
+    this._performCheck(sample, now);
   }
 
   /**
-   * Perform health check and trigger alerts if needed
+   * Check a sample against the thresholds and trigger alerts if needed
    * @private
    */
-  _performCheck() {
-    if (!this.monitor.isActive()) {
-      return;
-    }
-
-    const current = this.monitor.getCurrentMetrics();
-    if (!current) {
-      return; // No metrics available yet
-    }
-
-    const now = Date.now();
-
+  _performCheck(current, now) {
     // Check lag thresholds
     this._checkLagThresholds(current.lag, now);
 
     // Check ELU thresholds
     this._checkEluThresholds(current.elu, now);
+
+    // Check heap thresholds (opt-in)
+    if (this.thresholds.heapWarning || this.thresholds.heapCritical) {
+      this._checkMemoryThresholds(current.memory, now);
+    }
+
+    // Check threadpool thresholds (samples only have it with the probe on)
+    if (current.threadpool) {
+      this._checkThreadpoolThresholds(current.threadpool, now);
+    }
   }
 
   /**
@@ -243,12 +357,345 @@ class AlertManager {
     }
   }
 
+  /**
+   * Check heap usage against the heap size limit and trigger alerts
+   * A firing alert at the `heapSnapshot` level writes a heap snapshot first,
+   * so the alert can name it.
+   * @private
+   */
+  _checkMemoryThresholds(memory, now) {
+    if (!memory) {
+      return;
+    }
+
+    const limit = v8.getHeapStatistics().heap_size_limit;
+    const ratio = memory.heapUsed / limit;
+    let newLevel = null;
+
+    if (this.thresholds.heapCritical && ratio >= this.thresholds.heapCritical) {
+      newLevel = "critical";
+    } else if (this.thresholds.heapWarning && ratio >= this.thresholds.heapWarning) {
+      newLevel = "warning";
+    }
+
+    const currentLevel = this.alertState.memory.level;
+    const lastTriggered = this.alertState.memory.lastTriggered;
+    const cooldownExpired =
+      !lastTriggered || now - lastTriggered >= this.cooldown;
+
+    if (newLevel && (newLevel !== currentLevel || cooldownExpired)) {
+      const id = this._nextAlertId("memory");
+      const details = {
+        heapUsed: memory.heapUsed,
+        heapTotal: memory.heapTotal,
+        heapSizeLimit: limit,
+        rss: memory.rss,
+      };
+
+      if (
+        this.heapSnapshot === "warning" ||
+        (this.heapSnapshot && newLevel === "critical")
+      ) {
+        try {
+          details.snapshotId = this.monitor.takeHeapSnapshot({
+            reason: "alert",
+            alertId: id,
+          }).id;
+        } catch (error) {
+          details.snapshotError = error.message;
+          console.warn(`AlertManager: Heap snapshot skipped: ${error.message}`);
+        }
+      }
+
+      this._triggerAlert("memory", newLevel, {
+        id,
+        value: ratio * 100,
+        threshold:
+          (newLevel === "critical"
+            ? this.thresholds.heapCritical
+            : this.thresholds.heapWarning) * 100,
+        unit: "%",
+        details,
+      });
+
+      this.alertState.memory.level = newLevel;
+      this.alertState.memory.lastTriggered = now;
+      this.alertState.memory.count++;
+    } else if (!newLevel && currentLevel) {
+      this._resolveAlert("memory", currentLevel, ratio * 100);
+      this.alertState.memory.level = null;
+    }
+  }
+
+  /**
+   * Check threadpool queue latency thresholds and trigger alerts
+   * @private
+   */
+  _checkThreadpoolThresholds(threadpool, now) {
+    const latency = threadpool.latency;
+    let newLevel = null;
+
+    if (latency >= this.thresholds.threadpoolCritical) {
+      newLevel = "critical";
+    } else if (latency >= this.thresholds.threadpoolWarning) {
+      newLevel = "warning";
+    }
+
+    const currentLevel = this.alertState.threadpool.level;
+    const lastTriggered = this.alertState.threadpool.lastTriggered;
+    const cooldownExpired =
+      !lastTriggered || now - lastTriggered >= this.cooldown;
+
+    if (newLevel && (newLevel !== currentLevel || cooldownExpired)) {
+      this._triggerAlert("threadpool", newLevel, {
+        value: latency,
+        threshold:
+          newLevel === "critical"
+            ? this.thresholds.threadpoolCritical
+            : this.thresholds.threadpoolWarning,
+        unit: "ms",
+        details: {
+          pending: threadpool.pending,
+          pendingFor: threadpool.pendingFor,
+          p50: threadpool.p50,
+          p99: threadpool.p99,
+        },
+      });
+
+      this.alertState.threadpool.level = newLevel;
+      this.alertState.threadpool.lastTriggered = now;
+      this.alertState.threadpool.count++;
+    } else if (!newLevel && currentLevel) {
+      this._resolveAlert("threadpool", currentLevel, latency);
+      this.alertState.threadpool.level = null;
+    }
+  }
+
+  /**
+   * Listen to the monitor's watchdog and flight recorder (both exist only
+   * while the monitor runs or once it has started)
+   * @private
+   */
+  _attachComponents() {
+    this._detachComponents();
+    this._attachWatchdog();
+    this._attachFlightRecorder();
+  }
+
+  /**
+   * @private
+   */
+  _detachComponents() {
+    this._detachWatchdog();
+    this._detachFlightRecorder();
+  }
+
+  /**
+   * Listen for stalls detected by the monitor's watchdog thread
+   * @private
+   */
+  _attachWatchdog() {
+    const watchdog = this.monitor.watchdog;
+    if (!watchdog || typeof watchdog.on !== "function") {
+      return;
+    }
+
+    watchdog.on("stall-start", this._onStallStart);
+    watchdog.on("stall-end", this._onStallEnd);
+    this.watchdog = watchdog;
+  }
+
+  /**
+   * @private
+   */
+  _detachWatchdog() {
+    if (!this.watchdog) {
+      return;
+    }
+
+    this.watchdog.removeListener("stall-start", this._onStallStart);
+    this.watchdog.removeListener("stall-end", this._onStallEnd);
+    this.watchdog = null;
+  }
+
+  /**
+   * A stall is always critical: the loop did not run at all
+   * @private
+   */
+  _handleStallStart(stall) {
+    this._triggerAlert("stall", "critical", {
+      value: stall.blockedFor,
+      threshold: this.watchdog ? this.watchdog.options.budget : 0,
+      unit: "ms",
+      details: {
+        stallId: stall.id,
+        startedAt: stall.startedAt,
+        detectedAt: stall.detectedAt,
+      },
+    });
+
+    this.alertState.stall.level = "critical";
+    this.alertState.stall.lastTriggered = Date.now();
+    this.alertState.stall.count++;
+  }
+
+  /**
+   * @private
+   */
+  _handleStallEnd(stall) {
+    if (!this.alertState.stall.level) {
+      return;
+    }
+
+    this._resolveAlert("stall", this.alertState.stall.level, stall.duration);
+    this.alertState.stall.level = null;
+  }
+
+  /**
+   * Listen for captures of the monitor's flight recorder
+   * @private
+   */
+  _attachFlightRecorder() {
+    const recorder = this.monitor.flightRecorder;
+    if (!recorder || typeof recorder.on !== "function") {
+      return;
+    }
+
+    recorder.on("trigger", this._onHealthTrigger);
+    recorder.on("recovered", this._onHealthRecovered);
+    this.flightRecorder = recorder;
+  }
+
+  /**
+   * @private
+   */
+  _detachFlightRecorder() {
+    if (!this.flightRecorder) {
+      return;
+    }
+
+    this.flightRecorder.removeListener("trigger", this._onHealthTrigger);
+    this.flightRecorder.removeListener("recovered", this._onHealthRecovered);
+    this.flightRecorder = null;
+  }
+
+  /**
+   * Health stayed critical long enough for the flight recorder to capture a
+   * profile; the alert keeps the recorder's id so the profile can be found
+   * @private
+   */
+  _handleHealthTrigger(trigger) {
+    this._triggerAlert("health", "critical", {
+      id: trigger.alertId,
+      value: trigger.detectedAt - trigger.criticalSince,
+      threshold: this.flightRecorder ? this.flightRecorder.options.sustainFor : 0,
+      unit: "ms",
+      details: {
+        score: trigger.score,
+        issues: trigger.issues,
+        criticalSince: trigger.criticalSince,
+        profileId: trigger.profileId,
+      },
+    });
+
+    this.alertState.health.level = "critical";
+    this.alertState.health.lastTriggered = Date.now();
+    this.alertState.health.count++;
+  }
+
+  /**
+   * @private
+   */
+  _handleHealthRecovered(recovery) {
+    if (!this.alertState.health.level) {
+      return;
+    }
+
+    this._resolveAlert("health", this.alertState.health.level, recovery.duration);
+    this.alertState.health.level = null;
+  }
+
+  /**
+   * An anomaly started: alert at its severity, unless only critical ones are
+   * wanted or its series fired within the cooldown
+   * @private
+   */
+  _handleAnomalyStart(anomaly) {
+    const now = Date.now();
+    const series = ANOMALY_SERIES[anomaly.metric];
+    const lastTriggered = this.anomalyTriggered[anomaly.metric];
+    if (
+      !series ||
+      (this.anomalies === "critical" && anomaly.severity !== "critical") ||
+      (lastTriggered && now - lastTriggered < this.cooldown)
+    ) {
+      return;
+    }
+
+    this._triggerAlert("anomaly", anomaly.severity, {
+      name: series.name,
+      value: series.scale(anomaly.value),
+      threshold: Number(series.scale(anomaly.bound).toFixed(2)),
+      unit: series.unit,
+      details: {
+        anomalyId: anomaly.id,
+        metric: anomaly.metric,
+        expected: series.scale(anomaly.expected),
+        score: anomaly.score,
+        direction: anomaly.direction,
+        start: anomaly.start,
+      },
+    });
+
+    this.anomalyTriggered[anomaly.metric] = now;
+    this.openAnomalies.set(anomaly.id, anomaly.severity);
+    this.alertState.anomaly.level = this._anomalyLevel();
+    this.alertState.anomaly.lastTriggered = now;
+    this.alertState.anomaly.count++;
+  }
+
+  /**
+   * @private
+   */
+  _handleAnomalyEnd(anomaly) {
+    const level = this.openAnomalies.get(anomaly.id);
+    if (!level) {
+      return;
+    }
+
+    this.openAnomalies.delete(anomaly.id);
+    this._resolveAlert("anomaly", level, anomaly.end - anomaly.start);
+    this.alertState.anomaly.level = this._anomalyLevel();
+  }
+
+  /**
+   * Highest level of the anomalies alerted on and not ended yet
+   * @private
+   */
+  _anomalyLevel() {
+    const levels = [...this.openAnomalies.values()];
+    if (levels.includes("critical")) {
+      return "critical";
+    }
+    return levels.length > 0 ? "warning" : null;
+  }
+
+  /**
+   * Unique alert id
+   * @private
+   */
+  _nextAlertId(metric) {
+    this.alertSequence++;
+    return `${metric}-${Date.now()}-${this.alertSequence}`;
+  }
+
   /**
    * Trigger an alert
    * @private
    */
   _triggerAlert(metric, level, data) {
     const alert = {
+      id: data.id || this._nextAlertId(metric),
       timestamp: Date.now(),
       metric: metric,
       level: level,
@@ -279,6 +726,7 @@ class AlertManager {
    */
   _resolveAlert(metric, level, currentValue) {
     const alert = {
+      id: this._nextAlertId(metric),
       timestamp: Date.now(),
       metric: metric,
       level: level,
@@ -305,8 +753,7 @@ class AlertManager {
    * @private
    */
   _buildAlertMessage(metric, level, data) {
-    const metricName =
-      metric === "lag" ? "Event Loop Lag" : "Event Loop Utilization";
+    const metricName = data.name || METRIC_NAMES[metric] || metric;
     const emoji = level === "critical" ? "🔴" : "⚠️";
 
     return `${emoji} ${level.toUpperCase()}: ${metricName} is ${data.value.toFixed(
@@ -319,9 +766,8 @@ class AlertManager {
    * @private
    */
   _buildResolvedMessage(metric, level, currentValue) {
-    const metricName =
-      metric === "lag" ? "Event Loop Lag" : "Event Loop Utilization";
-    const unit = metric === "lag" ? "ms" : "%";
+    const metricName = METRIC_NAMES[metric] || metric;
+    const unit = METRIC_UNITS[metric] || "";
 
     return `✅ RESOLVED: ${metricName} ${level} alert (current: ${currentValue.toFixed(
       2
@@ -348,6 +794,12 @@ class AlertManager {
   _clearAlertState() {
     this.alertState.lag.level = null;
     this.alertState.elu.level = null;
+    this.alertState.stall.level = null;
+    this.alertState.health.level = null;
+    this.alertState.memory.level = null;
+    this.alertState.threadpool.level = null;
+    this.alertState.anomaly.level = null;
+    this.openAnomalies.clear();
   }
 
   /**
@@ -360,10 +812,20 @@ class AlertManager {
       currentAlerts: {
         lag: this.alertState.lag.level,
         elu: this.alertState.elu.level,
+        stall: this.alertState.stall.level,
+        health: this.alertState.health.level,
+        memory: this.alertState.memory.level,
+        threadpool: this.alertState.threadpool.level,
+        anomaly: this.alertState.anomaly.level,
       },
       alertCounts: {
         lag: this.alertState.lag.count,
         elu: this.alertState.elu.count,
+        stall: this.alertState.stall.count,
+        health: this.alertState.health.count,
+        memory: this.alertState.memory.count,
+        threadpool: this.alertState.threadpool.count,
+        anomaly: this.alertState.anomaly.count,
       },
       thresholds: this.thresholds,
     };
@@ -393,6 +855,11 @@ class AlertManager {
 
     const lagAlerts = firingAlerts.filter((a) => a.metric === "lag");
     const eluAlerts = firingAlerts.filter((a) => a.metric === "elu");
+    const stallAlerts = firingAlerts.filter((a) => a.metric === "stall");
+    const healthAlerts = firingAlerts.filter((a) => a.metric === "health");
+    const memoryAlerts = firingAlerts.filter((a) => a.metric === "memory");
+    const threadpoolAlerts = firingAlerts.filter((a) => a.metric === "threadpool");
+    const anomalyAlerts = firingAlerts.filter((a) => a.metric === "anomaly");
 
     const criticalAlerts = firingAlerts.filter((a) => a.level === "critical");
     const warningAlerts = firingAlerts.filter((a) => a.level === "warning");
@@ -404,6 +871,11 @@ class AlertManager {
       byMetric: {
         lag: lagAlerts.length,
         elu: eluAlerts.length,
+        stall: stallAlerts.length,
+        health: healthAlerts.length,
+        memory: memoryAlerts.length,
+        threadpool: threadpoolAlerts.length,
+        anomaly: anomalyAlerts.length,
       },
       byLevel: {
         critical: criticalAlerts.length,
@@ -440,6 +912,8 @@ class AlertManager {
       thresholds: this.thresholds,
       checkInterval: this.checkInterval,
       cooldown: this.cooldown,
+      heapSnapshot: this.heapSnapshot,
+      anomalies: this.anomalies,
       isActive: this.isActive,
       hasCallback: typeof this.onAlert === "function",
     };
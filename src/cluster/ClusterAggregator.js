@@ -0,0 +1,530 @@
+/**
+ * ClusterAggregator - Primary side of cluster mode
+ *
+ * Under `node:cluster` every worker runs its own monitor. Workers started
+ * with the `cluster` middleware option send their samples here over IPC.
+ * The primary keeps a history per worker plus a combined history, and
+ * answers the dashboard and metrics requests that workers forward to it.
+ *
+ * @module cluster/ClusterAggregator
+ */
+
+const EventEmitter = require("events");
+const EventLoopMonitor = require("../core/EventLoopMonitor");
+const createDashboardRoutes = require("../dashboard/routes");
+const prometheus = require("../exporters/prometheus");
+const api = require("../dashboard/api");
+const protocol = require("./protocol");
+const { mergeLagHistograms, mergeThreadpoolHistograms } = require("../core/Histogram");
+const { mergeRequestMetrics } = require("../core/RequestTracker");
+const { mergeOperations } = require("../core/OperationTracker");
+
+/**
+ * Read-only monitor over samples received from elsewhere
+ * Reuses EventLoopMonitor (health, history, export) without sampling the
+ * primary's own loop.
+ * @private
+ */
+class RemoteMonitor extends EventLoopMonitor {
+  constructor(options, info) {
+    super(options);
+    this.info = info;
+    this.blockers = [];
+    this.isMonitoring = true;
+  }
+
+  start() {
+    this.isMonitoring = true;
+  }
+
+  stop() {
+    this.isMonitoring = false;
+  }
+
+  addSample(sample) {
+    if (this.metricsCollector.addSample(sample)) {
+      this.requestTracker.accumulate(sample.requests);
+      this.operationTracker.accumulate(sample.operations);
+      if (this.slowRequestLog) {
+        this.slowRequestLog.add(sample.slowRequests);
+      }
+      this._emitSample(sample);
+    }
+  }
+
+  getTopBlockers(limit = 10) {
+    return this.blockers.slice(0, limit);
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      worker: this.info,
+    };
+  }
+}
+
+/**
+ * ClusterAggregator - Collects samples from cluster workers
+ *
+ * @class
+ */
+class ClusterAggregator extends EventEmitter {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.sampleInterval=100] - Interval of combined samples (ms); match the workers'
+   * @param {number} [options.historySize=300] - Samples to retain per worker and combined
+   * @param {Object} [options.cluster] - Cluster module (default: require('cluster'))
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      sampleInterval: options.sampleInterval || 100,
+      historySize: options.historySize || 300,
+    };
+
+    this.cluster = options.cluster || require("cluster");
+    this.workers = new Map();
+    this.combined = null;
+    this.combinedRouter = null;
+    this.combineTimer = null;
+    this.isRunning = false;
+
+    this._onMessage = this._onMessage.bind(this);
+    this._onExit = this._onExit.bind(this);
+  }
+
+  /**
+   * Start listening to workers
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.combined = this._createMonitor({ id: "all" });
+    this.combinedRouter = createDashboardRoutes(this.combined);
+
+    this.cluster.on("message", this._onMessage);
+    this.cluster.on("exit", this._onExit);
+
+    this.combineTimer = setInterval(
+      () => this._combine(),
+      this.options.sampleInterval
+    );
+    if (this.combineTimer.unref) {
+      this.combineTimer.unref();
+    }
+
+    this.isRunning = true;
+  }
+
+  /**
+   * Stop listening to workers and drop their histories
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+
+    this.cluster.removeListener("message", this._onMessage);
+    this.cluster.removeListener("exit", this._onExit);
+
+    if (this.combineTimer) {
+      clearInterval(this.combineTimer);
+      this.combineTimer = null;
+    }
+
+    Array.from(this.workers.keys()).forEach((id) => this._removeWorker(id));
+    this.combined.metricsCollector.destroy();
+    this.combined = null;
+    this.combinedRouter = null;
+  }
+
+  /**
+   * Get the monitor view for one worker or for the whole cluster
+   * @param {string|number} [worker='all'] - Cluster worker id, or 'all'
+   * @returns {EventLoopMonitor|null} View (null for an unknown worker)
+   */
+  getMonitor(worker) {
+    if (worker === undefined || worker === null || worker === "" || worker === "all") {
+      return this.combined;
+    }
+
+    const entry = this.workers.get(Number(worker));
+    return entry ? entry.monitor : null;
+  }
+
+  /**
+   * Get the workers that have reported samples
+   * @returns {Array} Worker info ({ id, pid, samples, lastSeen })
+   */
+  getWorkers() {
+    return Array.from(this.workers.values()).map((entry) => ({
+      id: entry.id,
+      pid: entry.pid,
+      samples: entry.monitor.metricsCollector.sampleCount,
+      lastSeen: entry.lastSeen,
+    }));
+  }
+
+  /**
+   * Answer a dashboard API or metrics request
+   * `?worker=<id>` selects a worker; the combined view is the default.
+   * @param {string} url - Path and query (e.g. '/api/dashboard?worker=2')
+   * @returns {Promise<Object>} Response ({ statusCode, headers, body })
+   */
+  handleRequest(url) {
+    const parsed = new URL(url, "http://localhost");
+    const worker = parsed.searchParams.get("worker");
+
+    if (parsed.pathname === "/metrics") {
+      return Promise.resolve({
+        statusCode: 200,
+        headers: {
+          "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+          "Cache-Control": "no-cache",
+        },
+        body: prometheus.formatClusterMetrics(this),
+      });
+    }
+
+    if (parsed.pathname === "/api/cluster") {
+      return Promise.resolve(jsonResponse(api.getClusterInfo(this)));
+    }
+
+    const router = this._getRouter(worker);
+    if (!router) {
+      return Promise.resolve(
+        jsonResponse({ status: "error", message: `Unknown worker: ${worker}` }, 404)
+      );
+    }
+
+    return new Promise((resolve) => {
+      const response = { statusCode: 200, headers: {}, body: "" };
+      const res = {
+        writeHead(statusCode, headers) {
+          response.statusCode = statusCode;
+          response.headers = headers || {};
+        },
+        end(body) {
+          response.body = body === undefined ? "" : String(body);
+          resolve(response);
+        },
+      };
+
+      router({ url, headers: { host: "localhost" } }, res, () => {});
+    });
+  }
+
+  /**
+   * @private
+   */
+  _onMessage(worker, message) {
+    if (!message || typeof message !== "object") {
+      return;
+    }
+
+    if (message.type === protocol.SAMPLE) {
+      const entry = this._getWorker(worker);
+      entry.monitor.addSample(message.sample);
+      entry.monitor.blockers = message.blockers || [];
+      entry.pending.push(message.sample);
+      entry.lastSeen = Date.now();
+      return;
+    }
+
+    if (message.type === protocol.REQUEST) {
+      this.handleRequest(message.url)
+        .catch((error) => jsonResponse(api.handleError(error), 500))
+        .then((response) => {
+          if (worker.isConnected()) {
+            worker.send({ type: protocol.RESPONSE, id: message.id, response });
+          }
+        });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _onExit(worker) {
+    this._removeWorker(worker.id);
+  }
+
+  /**
+   * @private
+   */
+  _getWorker(worker) {
+    let entry = this.workers.get(worker.id);
+    if (!entry) {
+      const info = { id: worker.id, pid: worker.process ? worker.process.pid : null };
+      const monitor = this._createMonitor(info);
+      entry = {
+        ...info,
+        monitor,
+        router: createDashboardRoutes(monitor),
+        pending: [],
+        lastSeen: null,
+      };
+      this.workers.set(worker.id, entry);
+      this.emit("worker-added", info);
+    }
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  _removeWorker(id) {
+    const entry = this.workers.get(id);
+    if (!entry) {
+      return;
+    }
+
+    entry.monitor.metricsCollector.destroy();
+    this.workers.delete(id);
+    this.emit("worker-removed", { id: entry.id, pid: entry.pid });
+  }
+
+  /**
+   * @private
+   */
+  _getRouter(worker) {
+    if (worker === null || worker === "" || worker === "all") {
+      return this.combinedRouter;
+    }
+    const entry = this.workers.get(Number(worker));
+    return entry ? entry.router : null;
+  }
+
+  /**
+   * @private
+   */
+  _createMonitor(info) {
+    return new RemoteMonitor(
+      {
+        sampleInterval: this.options.sampleInterval,
+        historySize: this.options.historySize,
+      },
+      info
+    );
+  }
+
+  /**
+   * Add one combined sample built from the samples received since the
+   * previous tick
+   * @private
+   */
+  _combine() {
+    const samples = [];
+    this.workers.forEach((entry) => {
+      samples.push(...entry.pending);
+      entry.pending = [];
+    });
+
+    if (samples.length === 0) {
+      return;
+    }
+
+    this.combined.addSample(combineSamples(samples, Date.now()));
+  }
+}
+
+/**
+ * Merge samples from several workers into one
+ * Lag percentiles come from the merged lag histograms (the worst worker's
+ * when a sample has none); utilization is averaged; memory, CPU, system
+ * counters, handles, requests (merging route histograms), GC, custom
+ * metrics and measured operations are summed; slow requests are
+ * concatenated. Each worker has its own threadpool, so its latency is the
+ * worst worker's.
+ * @private
+ */
+function combineSamples(samples, timestamp) {
+  const sum = (pick) => samples.reduce((acc, s) => acc + (pick(s) || 0), 0);
+  const max = (pick) => Math.max(...samples.map((s) => pick(s) || 0));
+  const mean = (pick) => sum(pick) / samples.length;
+
+  const heapUsed = sum((s) => s.memory && s.memory.heapUsed);
+  const heapTotal = sum((s) => s.memory && s.memory.heapTotal);
+  const rss = sum((s) => s.memory && s.memory.rss);
+  const external = sum((s) => s.memory && s.memory.external);
+
+  const combined = {
+    timestamp,
+    lag: {
+      min: Math.min(...samples.map((s) => s.lag.min)),
+      max: max((s) => s.lag.max),
+      mean: mean((s) => s.lag.mean),
+      stddev: mean((s) => s.lag.stddev),
+      p50: max((s) => s.lag.p50),
+      p90: max((s) => s.lag.p90),
+      p95: max((s) => s.lag.p95),
+      p99: max((s) => s.lag.p99),
+      p999: max((s) => s.lag.p999),
+    },
+    elu: {
+      utilization: mean((s) => s.elu.utilization),
+      active: sum((s) => s.elu.active),
+      idle: sum((s) => s.elu.idle),
+    },
+    memory: {
+      heapUsed,
+      heapTotal,
+      external,
+      rss,
+      arrayBuffers: sum((s) => s.memory && s.memory.arrayBuffers),
+      heapUsedMB: (heapUsed / 1024 / 1024).toFixed(2),
+      heapTotalMB: (heapTotal / 1024 / 1024).toFixed(2),
+      rssMB: (rss / 1024 / 1024).toFixed(2),
+      externalMB: (external / 1024 / 1024).toFixed(2),
+    },
+    cpu: {
+      user: sum((s) => s.cpu && s.cpu.user),
+      system: sum((s) => s.cpu && s.cpu.system),
+      total: sum((s) => s.cpu && s.cpu.total),
+    },
+    handles: {
+      active: sum((s) => s.handles && s.handles.active),
+      requests: sum((s) => s.handles && s.handles.requests),
+      total: sum((s) => s.handles && s.handles.total),
+    },
+    requests: {
+      ...mergeRequestMetrics(samples.map((s) => s.requests)),
+      inFlight: sum((s) => s.requests && s.requests.inFlight),
+      maxInFlight: sum((s) => s.requests && s.requests.maxInFlight),
+    },
+  };
+
+  const operations = mergeOperations(samples.map((s) => s.operations));
+  if (operations) {
+    combined.operations = operations;
+  }
+
+  const withGC = samples.filter((s) => s.gc);
+  if (withGC.length > 0) {
+    const byKind = {};
+    withGC.forEach((s) => {
+      Object.entries(s.gc.byKind || {}).forEach(([kind, stats]) => {
+        if (!byKind[kind]) {
+          byKind[kind] = { count: 0, totalPause: 0, maxPause: 0 };
+        }
+        byKind[kind].count += stats.count;
+        byKind[kind].totalPause += stats.totalPause;
+        byKind[kind].maxPause = Math.max(byKind[kind].maxPause, stats.maxPause);
+      });
+    });
+
+    combined.gc = {
+      count: withGC.reduce((acc, s) => acc + s.gc.count, 0),
+      totalPause: withGC.reduce((acc, s) => acc + s.gc.totalPause, 0),
+      maxPause: Math.max(...withGC.map((s) => s.gc.maxPause)),
+      byKind,
+    };
+  }
+
+  // Worker samples may cover longer than a combine tick (adaptive sampling)
+  if (samples.some((s) => s.interval)) {
+    combined.interval = max((s) => s.interval);
+  }
+
+  if (samples.every((s) => s.lag.histogram)) {
+    const lagHistogram = mergeLagHistograms(samples);
+    const { p50, p90, p95, p99, p999 } = lagHistogram.summary();
+    Object.assign(combined.lag, { p50, p90, p95, p99, p999 });
+    combined.lag.histogram = lagHistogram.toJSON();
+  }
+
+  const slowRequests = samples
+    .filter((s) => s.slowRequests)
+    .reduce((acc, s) => acc.concat(s.slowRequests), [])
+    .sort((a, b) => a.endTime - b.endTime);
+  if (slowRequests.length > 0) {
+    combined.slowRequests = slowRequests;
+  }
+
+  const withSystem = samples.filter((s) => s.system);
+  if (withSystem.length > 0) {
+    const system = {};
+    withSystem.forEach((s) => {
+      Object.entries(s.system).forEach(([field, value]) => {
+        system[field] = (system[field] || 0) + value;
+      });
+    });
+    combined.system = system;
+  }
+
+  const withThreadpool = samples.filter((s) => s.threadpool);
+  if (withThreadpool.length > 0) {
+    const histogram = mergeThreadpoolHistograms(withThreadpool);
+    const summary = histogram ? histogram.summary() : null;
+    combined.threadpool = {
+      latency: Math.max(...withThreadpool.map((s) => s.threadpool.latency)),
+      count: summary ? summary.count : 0,
+      pending: withThreadpool.reduce((acc, s) => acc + s.threadpool.pending, 0),
+      pendingFor: Math.max(...withThreadpool.map((s) => s.threadpool.pendingFor)),
+      min: summary ? summary.min : 0,
+      max: summary ? summary.max : 0,
+      mean: summary ? summary.mean : 0,
+      p50: summary ? summary.p50 : 0,
+      p90: summary ? summary.p90 : 0,
+      p99: summary ? summary.p99 : 0,
+    };
+    if (histogram) {
+      combined.threadpool.histogram = histogram.toJSON();
+    }
+  }
+
+  const byType = {};
+  samples.forEach((s) => {
+    Object.entries((s.handles && s.handles.byType) || {}).forEach(([type, count]) => {
+      byType[type] = (byType[type] || 0) + count;
+    });
+  });
+  combined.handles.byType = byType;
+
+  const withCustom = samples.filter((s) => s.custom);
+  if (withCustom.length > 0) {
+    const custom = {};
+    withCustom.forEach((s) => {
+      Object.entries(s.custom).forEach(([name, metric]) => {
+        const entry = custom[name];
+        if (!entry) {
+          custom[name] = { ...metric };
+          return;
+        }
+        if (metric.value !== null) {
+          entry.value = (entry.value || 0) + metric.value;
+        }
+        if (entry.type === "counter") {
+          entry.delta += metric.delta;
+        }
+      });
+    });
+    combined.custom = custom;
+  }
+
+  return combined;
+}
+
+/**
+ * Build a JSON response like the dashboard routes send
+ * @private
+ */
+function jsonResponse(data, statusCode) {
+  return {
+    statusCode: statusCode || (data.status === "error" ? 500 : 200),
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-cache",
+    },
+    body: JSON.stringify(data, null, 2),
+  };
+}
+
+module.exports = ClusterAggregator;
+module.exports.combineSamples = combineSamples;
@@ -0,0 +1,159 @@
+/**
+ * ClusterClient - Worker side of cluster mode
+ *
+ * Sends every sample of the worker's monitor to the primary and forwards
+ * dashboard and metrics requests to it, so that whichever worker a request
+ * lands on answers with the cluster-wide view.
+ *
+ * @module cluster/ClusterClient
+ */
+
+const protocol = require("./protocol");
+
+/**
+ * ClusterClient - Connects a worker's monitor to the ClusterAggregator
+ *
+ * @class
+ */
+class ClusterClient {
+  /**
+   * @param {EventLoopMonitor} monitor - The worker's monitor
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.timeout=5000] - Time to wait for the primary (ms)
+   */
+  constructor(monitor, options = {}) {
+    this.monitor = monitor;
+    this.options = {
+      timeout: options.timeout || 5000,
+    };
+
+    this.isRunning = false;
+    this.nextRequestId = 1;
+    this.pending = new Map();
+
+    this._onSample = this._onSample.bind(this);
+    this._onMessage = this._onMessage.bind(this);
+  }
+
+  /**
+   * Start sending samples to the primary
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    if (typeof process.send !== "function") {
+      throw new Error("ClusterClient requires an IPC channel (run it in a cluster worker)");
+    }
+
+    this.monitor.on("sample", this._onSample);
+    this.monitor.clusterClient = this;
+    this.isRunning = true;
+  }
+
+  /**
+   * Stop sending samples and fail pending requests
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    this.monitor.removeListener("sample", this._onSample);
+    if (this.monitor.clusterClient === this) {
+      this.monitor.clusterClient = null;
+    }
+
+    Array.from(this.pending.keys()).forEach((id) => {
+      this._settle(id, new Error("Cluster client stopped"));
+    });
+  }
+
+  /**
+   * Ask the primary to answer a request
+   * @param {string} url - Path and query (e.g. '/api/dashboard?worker=all')
+   * @returns {Promise<Object>} Response ({ statusCode, headers, body })
+   */
+  request(url) {
+    if (!this.isRunning || !process.connected) {
+      return Promise.reject(new Error("Not connected to the cluster primary"));
+    }
+
+    const id = this.nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._settle(id, new Error("Timed out waiting for the cluster primary"));
+      }, this.options.timeout);
+
+      // Only listen while a request is pending: a 'message' listener keeps
+      // the IPC channel (and so the worker) alive
+      if (this.pending.size === 0) {
+        process.on("message", this._onMessage);
+      }
+      this.pending.set(id, { resolve, reject, timer });
+
+      process.send({ type: protocol.REQUEST, id, url }, (error) => {
+        if (error) {
+          this._settle(id, error);
+        }
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _onSample(sample) {
+    if (!process.connected) {
+      return;
+    }
+
+    process.send(
+      {
+        type: protocol.SAMPLE,
+        sample,
+        blockers: this.monitor.getTopBlockers(10),
+      },
+      () => {
+        // Delivery failures (e.g. primary exiting) are not actionable here
+      }
+    );
+  }
+
+  /**
+   * @private
+   */
+  _onMessage(message) {
+    if (message && message.type === protocol.RESPONSE) {
+      this._settle(message.id, null, message.response);
+    }
+  }
+
+  /**
+   * Resolve or reject a pending request
+   * @private
+   */
+  _settle(id, error, response) {
+    const request = this.pending.get(id);
+    if (!request) {
+      return;
+    }
+
+    clearTimeout(request.timer);
+    this.pending.delete(id);
+    if (this.pending.size === 0) {
+      process.removeListener("message", this._onMessage);
+    }
+
+    if (error) {
+      request.reject(error);
+    } else {
+      request.resolve(response);
+    }
+  }
+}
+
+module.exports = ClusterClient;
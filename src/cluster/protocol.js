@@ -0,0 +1,14 @@
+/**
+ * IPC message types exchanged between cluster workers and the primary
+ *
+ * @module cluster/protocol
+ */
+
+module.exports = {
+  // Worker -> primary: a new sample (and the worker's top blockers)
+  SAMPLE: "event-loop-monitor:sample",
+  // Worker -> primary: a dashboard API or /metrics request to answer
+  REQUEST: "event-loop-monitor:request",
+  // Primary -> worker: the response to a request
+  RESPONSE: "event-loop-monitor:response",
+};
@@ -0,0 +1,82 @@
+/**
+ * AdaptiveSampler - Picks the sampling interval from the current load
+ *
+ * Idle processes are sampled slowly (low overhead, long history); once lag
+ * or ELU crosses a band the interval drops to that band's, so an incident is
+ * recorded in detail. The interval only goes back up after the load has
+ * stayed below the band for `cooldown` ms, so it does not flap.
+ *
+ * @module core/AdaptiveSampler
+ */
+
+// Fastest band first: the first band whose lag or ELU is crossed wins
+const DEFAULT_BANDS = [
+  { lag: 50, elu: 0.7, interval: 50 },
+  { lag: 10, elu: 0.3, interval: 250 },
+];
+
+/**
+ * AdaptiveSampler - Load-dependent sampling interval
+ *
+ * @class
+ */
+class AdaptiveSampler {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {Array} [options.bands] - Bands ({ lag, elu, interval }); a band applies when the
+   *   sample's p99 lag (ms) or ELU (0-1) reaches its threshold
+   * @param {number} [options.idleInterval=1000] - Interval when no band applies (ms)
+   * @param {number} [options.cooldown=10000] - Time below a band before slowing down again (ms)
+   */
+  constructor(options = {}) {
+    const bands = options.bands || DEFAULT_BANDS;
+    bands.forEach((band) => {
+      if (!band || !(band.interval > 0) || (band.lag === undefined && band.elu === undefined)) {
+        throw new TypeError("Adaptive bands need an interval and a lag or elu threshold");
+      }
+    });
+
+    this.bands = bands.slice().sort((a, b) => a.interval - b.interval);
+    this.idleInterval = options.idleInterval || 1000;
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : 10000;
+
+    this.interval = this.idleInterval;
+    this.lastTriggered = null;
+  }
+
+  /**
+   * Pick the interval to use after a sample
+   * @param {Object} sample - Latest sample
+   * @returns {number} Interval until the next sample (ms)
+   */
+  update(sample) {
+    const now = sample.timestamp;
+    const band = this.bands.find(
+      (b) =>
+        (b.lag !== undefined && sample.lag.p99 >= b.lag) ||
+        (b.elu !== undefined && sample.elu.utilization >= b.elu)
+    );
+    const target = band ? band.interval : this.idleInterval;
+
+    if (target <= this.interval) {
+      this.interval = target;
+      this.lastTriggered = now;
+    } else if (this.lastTriggered === null || now - this.lastTriggered >= this.cooldown) {
+      this.interval = target;
+      this.lastTriggered = now;
+    }
+
+    return this.interval;
+  }
+
+  /**
+   * Go back to the idle interval
+   */
+  reset() {
+    this.interval = this.idleInterval;
+    this.lastTriggered = null;
+  }
+}
+
+module.exports = AdaptiveSampler;
+module.exports.DEFAULT_BANDS = DEFAULT_BANDS;
@@ -0,0 +1,402 @@
+/**
+ * AnomalyDetector - Flags samples that deviate from learned behaviour
+ *
+ * Fixed thresholds fire constantly on a busy service and miss smaller
+ * regressions on a quiet one. The detector learns each series (lag p99,
+ * ELU, heap used) as samples stream in: an exponentially weighted moving
+ * average (EWMA) is the expected value, and the band around it is the spread
+ * the series usually has, either its EWMA standard deviation ("zscore") or
+ * its EWMA mean absolute deviation ("mad", less swayed by outliers). A
+ * sample's score is its distance from the expected value in spreads;
+ * `minSamples` consecutive samples past `threshold` make an anomaly, which
+ * stays open until a sample is back within the band.
+ *
+ * Samples past the band are learned as if they were on its edge, so a spike
+ * does not widen the band it is judged by, while a lasting shift is still
+ * learned at the pace `alpha` sets.
+ *
+ * With `seasonality`, each series also gets a profile by time of day (hourly
+ * buckets by default), built over the days seen: the bucket's usual level
+ * and spread, and how much that level varies from one day to the next. Once
+ * a bucket has a day of history, samples in it are judged against it rather
+ * than against the recent past, so a service slower than usual for 9:00 is
+ * flagged even after an hour of it. Buckets are in UTC, and nothing is kept
+ * across restarts.
+ *
+ * @module core/AnomalyDetector
+ */
+
+// Watched series: the value of a sample, and the smallest spread (a flat
+// series would otherwise turn noise into anomalies)
+const SERIES = {
+  lag: {
+    value: (sample) => (sample.lag ? sample.lag.p99 : undefined),
+    minSpread: 0.5,
+  },
+  elu: {
+    value: (sample) => (sample.elu ? sample.elu.utilization : undefined),
+    minSpread: 0.02,
+  },
+  memory: {
+    value: (sample) => (sample.memory ? sample.memory.heapUsed : undefined),
+    minSpread: 1024 * 1024,
+  },
+};
+
+const METHODS = ["zscore", "mad"];
+
+// Mean absolute deviation of normally distributed values, in standard deviations
+const MAD_SCALE = Math.sqrt(Math.PI / 2);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * EWMA of a series and of its spread
+ * Until 1/alpha values are learned they are weighted equally, so that the
+ * first ones do not dominate.
+ * @private
+ */
+class Baseline {
+  constructor() {
+    this.count = 0;
+    this.mean = 0;
+    this.variance = 0;
+    this.deviation = 0;
+  }
+
+  update(value, alpha) {
+    this.count++;
+    if (this.count === 1) {
+      this.mean = value;
+      return;
+    }
+
+    const weight = Math.max(alpha, 1 / this.count);
+    const diff = value - this.mean;
+    this.mean += weight * diff;
+    this.variance = (1 - weight) * (this.variance + weight * diff * diff);
+    this.deviation += weight * (Math.abs(diff) - this.deviation);
+  }
+
+  spread(method) {
+    return method === "mad" ? this.deviation * MAD_SCALE : Math.sqrt(this.variance);
+  }
+}
+
+/**
+ * Levels of a series by time of day
+ * The bucket being filled is summed up; when the next one starts, its mean
+ * and spread are folded into the bucket's level with an EWMA over days.
+ * @private
+ */
+class SeasonalProfile {
+  constructor({ period, buckets, alpha }, minSamples) {
+    this.buckets = buckets;
+    this.bucketLength = period / buckets;
+    this.alpha = alpha;
+    this.minSamples = minSamples;
+
+    this.levels = new Array(buckets).fill(null);
+    this.current = null;
+  }
+
+  /**
+   * Add a value and the spread of the recent past at a time
+   */
+  add(timestamp, value, spread) {
+    const slot = Math.floor(timestamp / this.bucketLength);
+    if (this.current && this.current.slot !== slot) {
+      this._close();
+    }
+    if (!this.current) {
+      this.current = { slot, count: 0, sum: 0, spreadSum: 0 };
+    }
+
+    this.current.count++;
+    this.current.sum += value;
+    this.current.spreadSum += spread;
+  }
+
+  /**
+   * Usual level at a time, once its bucket has a day of history
+   * @returns {Object|null} { mean, spread }
+   */
+  expected(timestamp) {
+    const level = this.levels[Math.floor(timestamp / this.bucketLength) % this.buckets];
+    if (!level) {
+      return null;
+    }
+    return {
+      mean: level.mean,
+      spread: Math.sqrt(level.spread * level.spread + level.variance),
+    };
+  }
+
+  _close() {
+    const { slot, count, sum, spreadSum } = this.current;
+    this.current = null;
+    // A bucket seen briefly (at startup, around a gap) says little about its time of day
+    if (count < this.minSamples) {
+      return;
+    }
+
+    const index = slot % this.buckets;
+    const mean = sum / count;
+    const spread = spreadSum / count;
+    const level = this.levels[index];
+    if (!level) {
+      this.levels[index] = { days: 1, mean, spread, variance: 0 };
+      return;
+    }
+
+    const diff = mean - level.mean;
+    level.days++;
+    level.mean += this.alpha * diff;
+    level.variance = (1 - this.alpha) * (level.variance + this.alpha * diff * diff);
+    level.spread += this.alpha * (spread - level.spread);
+  }
+}
+
+/**
+ * AnomalyDetector - Streaming anomaly detection over samples
+ *
+ * @class
+ */
+class AnomalyDetector {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {Array<string>} [options.metrics] - Series to watch ('lag', 'elu', 'memory'; default all)
+   * @param {string} [options.method='zscore'] - Band: 'zscore' (EWMA standard deviation) or 'mad'
+   *   (EWMA mean absolute deviation)
+   * @param {number} [options.alpha=0.02] - EWMA weight of each sample (higher adapts faster)
+   * @param {number} [options.threshold=4] - Score (spreads from the expected value) of an anomalous sample
+   * @param {number} [options.criticalThreshold=8] - Peak score of a critical anomaly
+   * @param {number} [options.minSamples=3] - Consecutive anomalous samples that make an anomaly
+   * @param {number} [options.warmup=300] - Samples learned before anything is flagged
+   * @param {string} [options.direction='up'] - 'up' flags values above the band, 'both' below it too
+   * @param {boolean|Object} [options.seasonality=false] - Judge samples against their time of day
+   *   (`{ period, buckets, alpha }`: a day of hourly buckets, each level an EWMA over days with alpha 0.3)
+   * @param {number} [options.maxAnomalies=100] - Number of anomalies to retain
+   */
+  constructor(options = {}) {
+    const seasonality = options.seasonality === true ? {} : options.seasonality;
+    this.options = {
+      metrics: options.metrics || Object.keys(SERIES),
+      method: options.method || "zscore",
+      alpha: options.alpha || 0.02,
+      threshold: options.threshold || 4,
+      criticalThreshold: options.criticalThreshold || 8,
+      minSamples: options.minSamples || 3,
+      warmup: options.warmup !== undefined ? options.warmup : 300,
+      direction: options.direction || "up",
+      seasonality: seasonality ? { period: DAY, buckets: 24, alpha: 0.3, ...seasonality } : false,
+      maxAnomalies: options.maxAnomalies || 100,
+    };
+
+    if (!METHODS.includes(this.options.method)) {
+      throw new Error(`Unknown anomaly detection method: ${this.options.method}`);
+    }
+    this.options.metrics.forEach((metric) => {
+      if (!SERIES[metric]) {
+        throw new Error(`Unknown anomaly detection metric: ${metric}`);
+      }
+    });
+
+    this.nextId = 1;
+    // Oldest first; the open anomaly of a series is updated in place
+    this.anomalies = [];
+    this.series = new Map();
+    this.reset();
+  }
+
+  /**
+   * Learn a sample and follow anomalies
+   * @param {Object} sample - Sample ({ timestamp, lag, elu, memory, ... })
+   * @returns {Object} Anomalies that started and ended with this sample ({ started, ended })
+   */
+  observe(sample) {
+    const changes = { started: [], ended: [] };
+    this.series.forEach((state, metric) => {
+      const value = SERIES[metric].value(sample);
+      if (typeof value === "number" && Number.isFinite(value)) {
+        this._observe(metric, state, sample.timestamp, value, changes);
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Get recorded anomalies, most recent last
+   * @param {Object} [options] - Filters
+   * @param {string} [options.metric] - Only anomalies of this series
+   * @param {number} [options.since] - Only anomalies still open at or after this time
+   * @param {number} [options.count] - Number of recent anomalies to retrieve
+   * @returns {Array} Anomalies ({ id, metric, start, end, ongoing, samples, value, expected,
+   *   bound, score, direction, severity })
+   */
+  getAnomalies(options = {}) {
+    let anomalies = this.anomalies;
+    if (options.metric) {
+      anomalies = anomalies.filter((anomaly) => anomaly.metric === options.metric);
+    }
+    if (options.since) {
+      anomalies = anomalies.filter((anomaly) => anomaly.end >= options.since);
+    }
+    if (options.count && options.count < anomalies.length) {
+      anomalies = anomalies.slice(-options.count);
+    }
+    return anomalies.map((anomaly) => ({ ...anomaly }));
+  }
+
+  /**
+   * Get what each series is expected to be
+   * @param {number} [timestamp=Date.now()] - Time (matters with seasonality)
+   * @returns {Object} By series: { samples, ready, expected, spread, seasonal }
+   */
+  getBaselines(timestamp = Date.now()) {
+    const baselines = {};
+    this.series.forEach((state, metric) => {
+      const expected = this._expected(metric, state, timestamp);
+      baselines[metric] = {
+        samples: state.baseline.count,
+        ready: expected !== null,
+        expected: expected ? expected.mean : null,
+        spread: expected ? expected.spread : null,
+        seasonal: expected ? expected.seasonal : false,
+      };
+    });
+    return baselines;
+  }
+
+  /**
+   * Forget baselines and anomalies
+   */
+  reset() {
+    this.anomalies = [];
+    this.options.metrics.forEach((metric) => {
+      this.series.set(metric, {
+        baseline: new Baseline(),
+        profile: this.options.seasonality
+          ? new SeasonalProfile(this.options.seasonality, this.options.warmup)
+          : null,
+        // Anomalous samples not yet numerous enough for an anomaly
+        run: [],
+        open: null,
+      });
+    });
+  }
+
+  /**
+   * Score a value of a series, learn it and follow its anomaly
+   * @private
+   */
+  _observe(metric, state, timestamp, value, changes) {
+    const { method, alpha, threshold, direction, minSamples } = this.options;
+    const expected = this._expected(metric, state, timestamp);
+
+    let score = 0;
+    let learned = value;
+    if (expected) {
+      score = (value - expected.mean) / expected.spread;
+      const edge = threshold * expected.spread;
+      learned = Math.min(expected.mean + edge, Math.max(expected.mean - edge, value));
+    }
+    if (state.profile) {
+      state.profile.add(timestamp, learned, state.baseline.spread(method));
+    }
+    state.baseline.update(learned, alpha);
+
+    const anomalous = direction === "both" ? Math.abs(score) > threshold : score > threshold;
+    if (!anomalous) {
+      state.run = [];
+      if (state.open) {
+        state.open.ongoing = false;
+        changes.ended.push(state.open);
+        state.open = null;
+      }
+      return;
+    }
+
+    const point = { timestamp, value, expected: expected.mean, spread: expected.spread, score };
+    if (state.open) {
+      this._extend(state.open, point);
+      return;
+    }
+
+    state.run.push(point);
+    if (state.run.length >= minSamples) {
+      state.open = this._open(metric, state.run);
+      state.run = [];
+      changes.started.push(state.open);
+    }
+  }
+
+  /**
+   * Expected value and spread of a series, or null while it warms up
+   * @private
+   */
+  _expected(metric, state, timestamp) {
+    if (state.baseline.count < this.options.warmup) {
+      return null;
+    }
+
+    const seasonal = state.profile ? state.profile.expected(timestamp) : null;
+    const spread = seasonal ? seasonal.spread : state.baseline.spread(this.options.method);
+    return {
+      mean: seasonal ? seasonal.mean : state.baseline.mean,
+      spread: Math.max(spread, SERIES[metric].minSpread),
+      seasonal: seasonal !== null,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _open(metric, points) {
+    const anomaly = {
+      id: this.nextId++,
+      metric,
+      start: points[0].timestamp,
+      end: points[0].timestamp,
+      ongoing: true,
+      samples: 0,
+      value: null,
+      expected: null,
+      bound: null,
+      score: 0,
+      direction: null,
+      severity: "warning",
+    };
+    points.forEach((point) => this._extend(anomaly, point));
+
+    this.anomalies.push(anomaly);
+    if (this.anomalies.length > this.options.maxAnomalies) {
+      this.anomalies.splice(0, this.anomalies.length - this.options.maxAnomalies);
+    }
+    return anomaly;
+  }
+
+  /**
+   * Add an anomalous sample; value, expected value and band edge are those of the peak
+   * @private
+   */
+  _extend(anomaly, point) {
+    anomaly.end = point.timestamp;
+    anomaly.samples++;
+    if (Math.abs(point.score) < Math.abs(anomaly.score)) {
+      return;
+    }
+
+    const sign = point.score > 0 ? 1 : -1;
+    anomaly.value = point.value;
+    anomaly.expected = point.expected;
+    anomaly.bound = point.expected + sign * this.options.threshold * point.spread;
+    anomaly.score = point.score;
+    anomaly.direction = sign > 0 ? "above" : "below";
+    anomaly.severity =
+      Math.abs(point.score) >= this.options.criticalThreshold ? "critical" : "warning";
+  }
+}
+
+module.exports = AnomalyDetector;
+module.exports.SERIES = SERIES;
@@ -0,0 +1,282 @@
+/**
+ * BlockerTracker - Attributes synchronous loop time to the code that caused it
+ *
+ * Every unit of work (an HTTP request, a labelled operation) runs inside an
+ * AsyncLocalStorage context. An async hook times each callback executed on
+ * behalf of that context, so the time follows the work across timers,
+ * promises and I/O callbacks. Finished contexts are rolled up by label into
+ * a "top blockers" table.
+ *
+ * @module core/BlockerTracker
+ */
+
+const { AsyncLocalStorage, createHook, executionAsyncId } = require("async_hooks");
+const { performance } = require("perf_hooks");
+
+/**
+ * BlockerTracker - Per-context synchronous execution time
+ *
+ * @class
+ */
+class BlockerTracker {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.maxEntries=200] - Maximum number of labels in the table
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxEntries: options.maxEntries || 200,
+    };
+
+    this.storage = new AsyncLocalStorage();
+    this.entries = new Map();
+    this.isEnabled = false;
+
+    // Callbacks currently executing, innermost last. Time is exclusive:
+    // a nested callback pauses the clock of the one that contains it.
+    this.frames = [];
+
+    this.hook = createHook({
+      before: (asyncId) => this._enter(asyncId, this.storage.getStore()),
+      after: (asyncId) => this._exit(asyncId),
+    });
+  }
+
+  /**
+   * Start timing callbacks
+   */
+  enable() {
+    if (this.isEnabled) {
+      return;
+    }
+    this.hook.enable();
+    this.isEnabled = true;
+  }
+
+  /**
+   * Stop timing callbacks
+   */
+  disable() {
+    if (!this.isEnabled) {
+      return;
+    }
+    this.hook.disable();
+    this.storage.disable();
+    this.frames = [];
+    this.isEnabled = false;
+  }
+
+  /**
+   * Create a context for a unit of work
+   * @param {string} label - Provisional label (can be replaced by finish())
+   * @returns {Object} Context
+   */
+  createContext(label) {
+    return {
+      label,
+      time: 0,
+      callbacks: 0,
+      maxSlice: 0,
+      startTime: Date.now(),
+      entry: null,
+    };
+  }
+
+  /**
+   * Run a function inside a context, timing its synchronous part
+   * @param {Object} context - Context from createContext()
+   * @param {Function} fn - Function to run
+   * @returns {*} Return value of fn
+   */
+  runInContext(context, fn) {
+    return this.storage.run(context, () => {
+      this._enter(executionAsyncId(), context);
+      try {
+        return fn();
+      } finally {
+        this._exit(executionAsyncId());
+      }
+    });
+  }
+
+  /**
+   * Run a function in a new context that is finished as soon as the
+   * returned promise (if any) settles
+   * @param {string} label - Label to attribute the time to
+   * @param {Function} fn - Function to run
+   * @returns {*} Return value of fn
+   */
+  run(label, fn) {
+    const context = this.createContext(label);
+    const result = this.runInContext(context, fn);
+
+    if (result && typeof result.then === "function") {
+      return result.then(
+        (value) => {
+          this.finish(context);
+          return value;
+        },
+        (error) => {
+          this.finish(context);
+          throw error;
+        }
+      );
+    }
+
+    this.finish(context);
+    return result;
+  }
+
+  /**
+   * Roll a context up into the table. Time spent by the context after this
+   * point (callbacks still pending) is added to the same entry.
+   * @param {Object} context - Context from createContext()
+   * @param {string} [label] - Final label (e.g. the matched route)
+   */
+  finish(context, label) {
+    if (context.entry) {
+      return;
+    }
+
+    if (label) {
+      context.label = label;
+    }
+
+    const entry = this._getEntry(context.label);
+    entry.count++;
+    entry.totalTime += context.time;
+    entry.callbacks += context.callbacks;
+    entry.maxTime = Math.max(entry.maxTime, context.time);
+    entry.maxSlice = Math.max(entry.maxSlice, context.maxSlice);
+    entry.lastSeen = Date.now();
+
+    context.entry = entry;
+  }
+
+  /**
+   * Get the labels that consumed the most synchronous loop time
+   * @param {number} [limit=10] - Number of entries to return
+   * @returns {Array} Entries sorted by total time, descending
+   */
+  getTopBlockers(limit = 10) {
+    return Array.from(this.entries.values())
+      .map((entry) => ({
+        ...entry,
+        avgTime: entry.count > 0 ? entry.totalTime / entry.count : 0,
+      }))
+      .sort((a, b) => b.totalTime - a.totalTime)
+      .slice(0, limit);
+  }
+
+  /**
+   * Clear the table
+   */
+  reset() {
+    this.entries.clear();
+  }
+
+  /**
+   * @private
+   */
+  _enter(asyncId, context) {
+    const now = performance.now();
+    const parent = this.frames[this.frames.length - 1];
+    if (parent) {
+      this._charge(parent, now);
+    }
+    this.frames.push({ asyncId, context, start: now, slice: 0 });
+  }
+
+  /**
+   * @private
+   */
+  _exit(asyncId) {
+    const now = performance.now();
+
+    // Unwind frames left behind by callbacks that threw
+    let frame = this.frames.pop();
+    while (frame && frame.asyncId !== asyncId && this.frames.length > 0) {
+      frame = this.frames.pop();
+    }
+    if (!frame) {
+      return;
+    }
+
+    this._charge(frame, now);
+
+    if (frame.context) {
+      const target = frame.context.entry || frame.context;
+      target.callbacks++;
+      target.maxSlice = Math.max(target.maxSlice, frame.slice);
+    }
+
+    const parent = this.frames[this.frames.length - 1];
+    if (parent) {
+      parent.start = now;
+    }
+  }
+
+  /**
+   * Charge the time since the frame (re)started to its context
+   * @private
+   */
+  _charge(frame, now) {
+    const elapsed = now - frame.start;
+    frame.slice += elapsed;
+    frame.start = now;
+
+    if (!frame.context) {
+      return;
+    }
+
+    if (frame.context.entry) {
+      frame.context.entry.totalTime += elapsed;
+    } else {
+      frame.context.time += elapsed;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getEntry(label) {
+    let entry = this.entries.get(label);
+    if (entry) {
+      return entry;
+    }
+
+    if (this.entries.size >= this.options.maxEntries) {
+      this._evictSmallest();
+    }
+
+    entry = {
+      name: label,
+      count: 0,
+      totalTime: 0,
+      maxTime: 0,
+      maxSlice: 0,
+      callbacks: 0,
+      lastSeen: null,
+    };
+    this.entries.set(label, entry);
+    return entry;
+  }
+
+  /**
+   * Make room by dropping the label with the least total time
+   * @private
+   */
+  _evictSmallest() {
+    let smallest = null;
+    for (const entry of this.entries.values()) {
+      if (!smallest || entry.totalTime < smallest.totalTime) {
+        smallest = entry;
+      }
+    }
+    if (smallest) {
+      this.entries.delete(smallest.name);
+    }
+  }
+}
+
+module.exports = BlockerTracker;
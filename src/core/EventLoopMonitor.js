@@ -1,26 +1,177 @@
-const { monitorEventLoopDelay, performance } = require("perf_hooks");
+const v8 = require("v8");
+const EventEmitter = require("events");
+const {
+  monitorEventLoopDelay,
+  performance,
+  PerformanceObserver,
+  constants: perfConstants,
+} = require("perf_hooks");
 const MetricsCollector = require("./MetricsCollector");
+const BlockerTracker = require("./BlockerTracker");
+const WorkerTracker = require("./WorkerTracker");
+const MetricsRegistry = require("./MetricsRegistry");
+const Histogram = require("./Histogram");
+const AdaptiveSampler = require("./AdaptiveSampler");
+const RequestTracker = require("./RequestTracker");
+const SlowRequestLog = require("./SlowRequestLog");
+const OperationTracker = require("./OperationTracker");
+const { mergeThreadpoolHistograms } = require("./Histogram");
+const { getActiveResources, detectResourceLeaks } = require("./resources");
 
-class EventLoopMonitor {
+const GC_KINDS = {
+  [perfConstants.NODE_PERFORMANCE_GC_MINOR]: "minor",
+  [perfConstants.NODE_PERFORMANCE_GC_MAJOR]: "major",
+  [perfConstants.NODE_PERFORMANCE_GC_INCREMENTAL]: "incremental",
+  [perfConstants.NODE_PERFORMANCE_GC_WEAKCB]: "weakcb",
+};
+
+// process.resourceUsage() counters reported as per-sample deltas
+const RESOURCE_USAGE_COUNTERS = [
+  "voluntaryContextSwitches",
+  "involuntaryContextSwitches",
+  "majorPageFault",
+  "minorPageFault",
+  "fsRead",
+  "fsWrite",
+  "ipcSent",
+  "ipcReceived",
+];
+
+/**
+ * EventLoopMonitor - Samples event loop lag, utilization and process metrics
+ *
+ * Events:
+ * - `sample` - A sample was recorded (the sample)
+ * - `health-change` - The health status changed ({ previous, next, health, timestamp })
+ * - `anomaly-start` / `anomaly-end` - Lag, ELU or memory left or came back to its learned band
+ *   (the anomaly, see getAnomalies())
+ * - `memory-pressure` - History went over `maxMemoryMB` and was trimmed
+ *   ({ usage, after, limit, dropped, capacity, timestamp })
+ * - `start` / `stop` - Monitoring started or stopped ({ timestamp })
+ * - `error` - Sampling or a component failed (logged instead when nothing listens)
+ *
+ * @class
+ */
+class EventLoopMonitor extends EventEmitter {
   constructor(options = {}) {
+    super();
+
     this.options = {
       sampleInterval: options.sampleInterval || 100,
       historySize: options.historySize || 300,
       resolution: options.resolution || 10,
+      watchdog: options.watchdog || false,
+      adaptive: options.adaptive || false,
+      flightRecorder: options.flightRecorder || false,
+      heapSnapshots: options.heapSnapshots || false,
+      threadpool: options.threadpool || false,
+      // Route/method pairs with their own request metrics; the rest are "(other)"
+      maxRoutes: options.maxRoutes || 100,
+      // Names of measure()d operations with their own metrics; the rest are "(other)"
+      maxOperations: options.maxOperations || 100,
+      // Log of slow requests with the lag seen while they ran (false disables)
+      slowRequests: options.slowRequests !== undefined ? options.slowRequests : true,
+      // V8 heap space statistics are collected at this slower cadence (0 disables)
+      heapStatsInterval:
+        options.heapStatsInterval !== undefined ? options.heapStatsInterval : 5000,
+      // Durable history: FileStorage options (with a directory) or a storage backend
+      storage: options.storage || false,
+      // Coarser history tiers for long ranges: tier definitions, or false to disable
+      rollups: options.rollups !== undefined ? options.rollups : true,
+      // Memory budget of the history (samples, rollups, cached aggregates; 0 disables)
+      maxMemoryMB: options.maxMemoryMB !== undefined ? options.maxMemoryMB : 50,
+      // Anomaly detection on lag, ELU and memory: AnomalyDetector options, or false to disable
+      anomalies: options.anomalies !== undefined ? options.anomalies : true,
     };
 
+    // Opt-in features are loaded only when enabled
+    let storage = null;
+    if (this.options.storage) {
+      const FileStorage = require("./FileStorage");
+      storage =
+        typeof this.options.storage.append === "function"
+          ? this.options.storage
+          : new FileStorage(
+              typeof this.options.storage === "object" ? this.options.storage : {}
+            );
+    }
+
     this.metricsCollector = new MetricsCollector({
       historySize: this.options.historySize,
+      sampleInterval: this.options.sampleInterval,
+      storage,
+      rollups: this.options.rollups === true ? undefined : this.options.rollups,
+      maxMemoryMB: this.options.maxMemoryMB,
+      anomalies: this.options.anomalies,
     });
+    // The collector logs its own failures; pass them on only if someone listens
+    this.metricsCollector.on("error", ({ error }) => {
+      if (this.listenerCount("error") > 0) {
+        this.emit("error", error);
+      }
+    });
+    ["memory-pressure", "anomaly-start", "anomaly-end"].forEach((event) => {
+      this.metricsCollector.on(event, (payload) => this.emit(event, payload));
+    });
+
+    this.adaptiveSampler = this.options.adaptive
+      ? new AdaptiveSampler(
+          typeof this.options.adaptive === "object" ? this.options.adaptive : {}
+        )
+      : null;
+    this.currentInterval = this.adaptiveSampler
+      ? this.adaptiveSampler.interval
+      : this.options.sampleInterval;
+    this.lastSampleTime = null;
+    this.lastHeapStatsTime = null;
+
+    // Kept across stop/start: its profiles stay on disk
+    this.flightRecorder = null;
+    if (this.options.flightRecorder) {
+      const FlightRecorder = require("./FlightRecorder");
+      this.flightRecorder = new FlightRecorder(
+        typeof this.options.flightRecorder === "object" ? this.options.flightRecorder : {}
+      );
+      this.flightRecorder.on("error", (error) => {
+        this._reportError("Flight recorder error", error);
+      });
+    }
+
+    this.heapSnapshotter = null;
+    if (this.options.heapSnapshots) {
+      const HeapSnapshotter = require("./HeapSnapshotter");
+      this.heapSnapshotter = new HeapSnapshotter(
+        typeof this.options.heapSnapshots === "object" ? this.options.heapSnapshots : {}
+      );
+    }
 
     this.delayHistogram = null;
     this.lastELU = null;
     this.eluStartTime = null;
     this.lastCPU = null;
+    this.lastResourceUsage = null;
     this.isMonitoring = false;
     this.sampleTimer = null;
-    this.requestCount = 0;
-    this.totalRequestTime = 0;
+    this.requestTracker = new RequestTracker({ maxRoutes: this.options.maxRoutes });
+    this.operationTracker = new OperationTracker({
+      maxOperations: this.options.maxOperations,
+    });
+    this.slowRequestLog = this.options.slowRequests
+      ? new SlowRequestLog(
+          typeof this.options.slowRequests === "object" ? this.options.slowRequests : {}
+        )
+      : null;
+    this.watchdog = null;
+    this.threadpoolProbe = null;
+    this.blockerTracker = null;
+    this.workerTracker = new WorkerTracker();
+    this.metricsRegistry = new MetricsRegistry();
+    // Set by ClusterClient when the monitor reports to a cluster primary
+    this.clusterClient = null;
+    this.gcObserver = null;
+    this.gcStats = this._createGCStats();
+    // Status of the latest sample, for health-change events
+    this.healthStatus = null;
   }
 
   start() {
@@ -35,10 +186,46 @@ class EventLoopMonitor {
 
     this.lastELU = performance.eventLoopUtilization();
     this.eluStartTime = Date.now();
+    this.lastSampleTime = this.eluStartTime;
     this.lastCPU = process.cpuUsage();
+    this.lastResourceUsage = readResourceUsage();
+
+    this.gcStats = this._createGCStats();
+    this.gcObserver = new PerformanceObserver((list) => {
+      list.getEntries().forEach((entry) => this._recordGC(entry));
+    });
+    this.gcObserver.observe({ entryTypes: ["gc"] });
+
+    if (this.options.watchdog) {
+      const Watchdog = require("./Watchdog");
+      this.watchdog = new Watchdog(
+        typeof this.options.watchdog === "object" ? this.options.watchdog : {}
+      );
+      this.watchdog.on("error", (error) => {
+        this._reportError("Watchdog error", error);
+      });
+      this.watchdog.start();
+    }
+
+    if (this.options.threadpool) {
+      const ThreadpoolProbe = require("./ThreadpoolProbe");
+      this.threadpoolProbe = new ThreadpoolProbe(
+        typeof this.options.threadpool === "object" ? this.options.threadpool : {}
+      );
+      this.threadpoolProbe.start();
+    }
+
+    if (this.flightRecorder) {
+      this.flightRecorder.start();
+    }
+
+    if (this.blockerTracker) {
+      this.blockerTracker.enable();
+    }
 
     this.isMonitoring = true;
     this._scheduleSample();
+    this.emit("start", { timestamp: Date.now() });
   }
 
   stop() {
@@ -53,14 +240,55 @@ class EventLoopMonitor {
       this.sampleTimer = null;
     }
 
+    if (this.slowRequestLog) {
+      this.slowRequestLog.settle(this._samplesForSlowRequests());
+    }
+
+    // Write what the storage backend has buffered
+    this.metricsCollector.flush();
+
     if (this.delayHistogram) {
       this.delayHistogram.disable();
       this.delayHistogram = null;
     }
 
+    if (this.gcObserver) {
+      this.gcObserver.disconnect();
+      this.gcObserver = null;
+    }
+
+    if (this.watchdog) {
+      this.watchdog.stop();
+      this.watchdog = null;
+    }
+
+    if (this.threadpoolProbe) {
+      this.threadpoolProbe.stop();
+      this.threadpoolProbe = null;
+    }
+
+    if (this.flightRecorder) {
+      this.flightRecorder.stop();
+    }
+
+    if (this.blockerTracker) {
+      this.blockerTracker.disable();
+    }
+
     this.lastELU = null;
     this.eluStartTime = null;
     this.lastCPU = null;
+    this.lastResourceUsage = null;
+    this.lastSampleTime = null;
+    this.lastHeapStatsTime = null;
+
+    if (this.adaptiveSampler) {
+      this.adaptiveSampler.reset();
+      this.currentInterval = this.adaptiveSampler.interval;
+    }
+
+    this.healthStatus = null;
+    this.emit("stop", { timestamp: Date.now() });
   }
 
   _scheduleSample() {
@@ -68,13 +296,23 @@ class EventLoopMonitor {
       return;
     }
 
+    // Taken after the previous sample's work, so that work is not counted as lag
+    const dueAt = Date.now() + this.currentInterval;
     this.sampleTimer = setTimeout(() => {
-      this._takeSample();
+      try {
+        this._takeSample(dueAt);
+      } catch (error) {
+        this._reportError("Sampling failed", error);
+      }
       this._scheduleSample();
-    }, this.options.sampleInterval);
+    }, this.currentInterval);
   }
 
-  _takeSample() {
+  /**
+   * @param {number} [dueAt] - Time the sampling timer was due to fire
+   * @private
+   */
+  _takeSample(dueAt) {
     if (!this.delayHistogram) {
       return;
     }
@@ -93,6 +331,24 @@ class EventLoopMonitor {
       p999: this.delayHistogram.percentile(99.9) / 1e6,
     };
 
+    // The histogram records a delay on its first tick after the loop frees
+    // up, but that tick records nothing when it follows a reset. A block
+    // that delayed this timer too can then be missing from the histogram.
+    const timerDelay = dueAt ? now - dueAt : 0;
+    if (timerDelay > lagMetrics.max) {
+      lagMetrics.max = timerDelay;
+    }
+
+    // Mergeable copy of the distribution, for percentiles over whole windows
+    const lagHistogram = Histogram.fromPerfHistogram(
+      this.delayHistogram,
+      undefined,
+      now - this.lastSampleTime
+    );
+    if (lagHistogram.count > 0) {
+      lagMetrics.histogram = lagHistogram.toJSON();
+    }
+
     const currentELU = performance.eventLoopUtilization();
     const eluDiff = performance.eventLoopUtilization(currentELU, this.lastELU);
 
@@ -126,38 +382,225 @@ class EventLoopMonitor {
       total: (cpuUsage.user + cpuUsage.system) / 1000,
     };
 
-    const activeHandles = process._getActiveHandles
-      ? process._getActiveHandles().length
-      : 0;
-    const activeRequests = process._getActiveRequests
-      ? process._getActiveRequests().length
-      : 0;
-
-    const handlesMetrics = {
-      active: activeHandles,
-      requests: activeRequests,
-      total: activeHandles + activeRequests,
-    };
+    const systemMetrics = this._collectSystemMetrics();
+
+    const handlesMetrics = getActiveResources();
+
+    const gcMetrics = this.gcStats;
+    this.gcStats = this._createGCStats();
 
     const sample = {
       timestamp: now,
+      // Time covered by this sample; the interval changes in adaptive mode
+      interval: now - this.lastSampleTime,
       lag: lagMetrics,
       elu: eluMetrics,
       memory: memoryMetrics,
       cpu: cpuMetrics,
       handles: handlesMetrics,
-      requests: {
-        count: this.requestCount,
-        totalTime: this.totalRequestTime,
-        avgTime:
-          this.requestCount > 0 ? this.totalRequestTime / this.requestCount : 0,
-      },
+      gc: gcMetrics,
+      requests: this.requestTracker.drain(),
     };
 
-    this.metricsCollector.addSample(sample);
+    if (systemMetrics) {
+      sample.system = systemMetrics;
+    }
+
+    if (
+      this.options.heapStatsInterval > 0 &&
+      (this.lastHeapStatsTime === null ||
+        now - this.lastHeapStatsTime >= this.options.heapStatsInterval)
+    ) {
+      sample.heap = this._collectHeapStats();
+      this.lastHeapStatsTime = now;
+    }
+
+    if (this.watchdog) {
+      sample.blockingStacks = this.watchdog.drainPending();
+    }
+
+    if (this.slowRequestLog && this.slowRequestLog.unsettled.length > 0) {
+      const slowRequests = this.slowRequestLog.settle(
+        this._samplesForSlowRequests().concat(sample)
+      );
+      if (slowRequests.length > 0) {
+        sample.slowRequests = slowRequests;
+      }
+    }
+
+    if (this.threadpoolProbe) {
+      const threadpool = this.threadpoolProbe.drain();
+      if (threadpool) {
+        sample.threadpool = threadpool;
+      }
+    }
+
+    if (this.workerTracker.workers.size > 0) {
+      sample.workers = this.workerTracker.sample();
+    }
+
+    const operations = this.operationTracker.drain();
+    if (operations) {
+      sample.operations = operations;
+    }
+
+    const custom = this.metricsRegistry.collect();
+    if (custom) {
+      sample.custom = custom;
+    }
+
+    const added = this.metricsCollector.addSample(sample);
+    this.lastSampleTime = now;
     this.delayHistogram.reset();
-    this.requestCount = 0;
-    this.totalRequestTime = 0;
+
+    if (this.adaptiveSampler) {
+      this.currentInterval = this.adaptiveSampler.update(sample);
+    }
+
+    if (this.flightRecorder) {
+      this.flightRecorder.update(
+        this.getHealth(this.flightRecorder.options.thresholds),
+        now
+      );
+    }
+
+    if (added) {
+      this.requestTracker.accumulate(sample.requests);
+      this.operationTracker.accumulate(sample.operations);
+      this._emitSample(sample);
+    }
+  }
+
+  /**
+   * Raw samples taken since the earliest held slow request started, enough
+   * to settle them all
+   * @private
+   */
+  _samplesForSlowRequests() {
+    const since = Math.min(...this.slowRequestLog.unsettled.map((request) => request.startTime));
+    return this.metricsCollector.getHistory({ startTime: since, resolution: "raw" });
+  }
+
+  /**
+   * Emit `sample`, then `health-change` if the status of the new sample differs
+   * @private
+   */
+  _emitSample(sample) {
+    this.emit("sample", sample);
+
+    if (this.listenerCount("health-change") === 0) {
+      this.healthStatus = null;
+      return;
+    }
+
+    const health = this.getHealth();
+    const previous = this.healthStatus || "unknown";
+    this.healthStatus = health.status;
+    if (health.status !== previous) {
+      this.emit("health-change", {
+        previous,
+        next: health.status,
+        health,
+        timestamp: sample.timestamp,
+      });
+    }
+  }
+
+  /**
+   * Emit an error, or log it when nothing listens (an unhandled `error`
+   * event would throw)
+   * @private
+   */
+  _reportError(message, error) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error);
+    } else {
+      console.error(`EventLoopMonitor: ${message}`, error);
+    }
+  }
+
+  /**
+   * Context switches, page faults, FS and IPC operations since the previous
+   * sample, from process.resourceUsage()
+   * @private
+   * @returns {Object|null} Deltas plus the current maxRSS (KB), or null where unsupported
+   */
+  _collectSystemMetrics() {
+    const usage = readResourceUsage();
+    const last = this.lastResourceUsage;
+    this.lastResourceUsage = usage;
+
+    if (!usage || !last) {
+      return null;
+    }
+
+    const system = {};
+    RESOURCE_USAGE_COUNTERS.forEach((field) => {
+      system[field] = Math.max(0, usage[field] - last[field]);
+    });
+    system.maxRSS = usage.maxRSS;
+    return system;
+  }
+
+  /**
+   * V8 heap statistics per space, plus code statistics
+   * @private
+   */
+  _collectHeapStats() {
+    const spaces = {};
+    v8.getHeapSpaceStatistics().forEach((space) => {
+      spaces[space.space_name] = {
+        size: space.space_size,
+        used: space.space_used_size,
+        available: space.space_available_size,
+        physical: space.physical_space_size,
+      };
+    });
+
+    const code = v8.getHeapCodeStatistics();
+
+    return {
+      spaces,
+      code: {
+        codeAndMetadata: code.code_and_metadata_size,
+        bytecodeAndMetadata: code.bytecode_and_metadata_size,
+        externalScriptSource: code.external_script_source_size,
+        cpuProfilerMetadata: code.cpu_profiler_metadata_size || 0,
+      },
+    };
+  }
+
+  /**
+   * Empty GC counters for one sample
+   * @private
+   */
+  _createGCStats() {
+    const byKind = {};
+    Object.values(GC_KINDS).forEach((kind) => {
+      byKind[kind] = { count: 0, totalPause: 0, maxPause: 0 };
+    });
+    return { count: 0, totalPause: 0, maxPause: 0, byKind };
+  }
+
+  /**
+   * Add a `gc` performance entry to the current sample
+   * @private
+   */
+  _recordGC(entry) {
+    // Node 16+ exposes the kind in `detail`; older versions on the entry
+    const kindId = entry.detail ? entry.detail.kind : entry.kind;
+    const kind = this.gcStats.byKind[GC_KINDS[kindId]];
+    const pause = entry.duration;
+
+    this.gcStats.count++;
+    this.gcStats.totalPause += pause;
+    this.gcStats.maxPause = Math.max(this.gcStats.maxPause, pause);
+
+    if (kind) {
+      kind.count++;
+      kind.totalPause += pause;
+      kind.maxPause = Math.max(kind.maxPause, pause);
+    }
   }
 
   getCurrentMetrics() {
@@ -176,8 +619,8 @@ class EventLoopMonitor {
     };
   }
 
-  getHistory(count) {
-    return this.metricsCollector.getHistory(count);
+  getHistory(countOrOptions) {
+    return this.metricsCollector.getHistory(countOrOptions);
   }
 
   getHealth(thresholds = {}) {
@@ -188,6 +631,8 @@ class EventLoopMonitor {
       eluCritical: 0.9,
       memoryWarning: 0.8,
       memoryCritical: 0.9,
+      threadpoolWarning: 100,
+      threadpoolCritical: 500,
     };
 
     const t = { ...defaults, ...thresholds };
@@ -282,6 +727,29 @@ class EventLoopMonitor {
       }
     }
 
+    // Queued fs/crypto/dns work, invisible in lag (threadpool option)
+    if (current.threadpool) {
+      const latency = current.threadpool.latency;
+
+      if (latency >= t.threadpoolCritical) {
+        const excessRatio = Math.min(
+          (latency - t.threadpoolCritical) / t.threadpoolCritical,
+          1
+        );
+        const penalty = 25 + excessRatio * 10;
+        score -= penalty;
+        status = "critical";
+        issues.push(`Threadpool saturated: ${latency.toFixed(2)}ms queue latency`);
+      } else if (latency >= t.threadpoolWarning) {
+        const range = t.threadpoolCritical - t.threadpoolWarning;
+        const ratio = (latency - t.threadpoolWarning) / range;
+        const penalty = 5 + ratio * 15;
+        score -= penalty;
+        if (status === "healthy") status = "degraded";
+        issues.push(`Slow threadpool: ${latency.toFixed(2)}ms queue latency`);
+      }
+    }
+
     if (current.lag.p99 > t.lagWarning) {
       const spikeRatio = Math.min(current.lag.p99 / (t.lagCritical * 2), 1.5);
       const penalty = spikeRatio * 10;
@@ -310,48 +778,444 @@ class EventLoopMonitor {
   /**
    * Track a request - supports BOTH APIs for backward compatibility
    * 
-   * NEW API (returns timer function):
+   * NEW API (returns timer function, counts the request as in flight):
    *   const end = monitor.trackRequest();
    *   // ... do work ...
-   *   end();
+   *   end({ route: '/users/:id', method: 'GET', statusCode: 200 });
    * 
-   * OLD API (accepts duration directly for middleware):
-   *   monitor.trackRequest(duration);
+   * OLD API (accepts duration directly):
+   *   monitor.trackRequest(duration, { route, method, statusCode });
+   *
+   * Requests without a method only count towards the totals, not the
+   * per-route, per-method and per-status metrics. Only requests timed by
+   * the new API while monitoring can be logged as slow requests.
    */
-  trackRequest(duration) {
-    // If duration is provided, use old API (for Express middleware)
+  trackRequest(duration, details) {
     if (typeof duration === 'number') {
-      this.requestCount++;
-      this.totalRequestTime += duration;
+      this.requestTracker.record(duration, details);
       return;
     }
 
-    // Otherwise, return timer function (new API for tests)
-    const startTime = Date.now();
-    return () => {
-      const elapsed = Date.now() - startTime;
-      this.requestCount++;
-      this.totalRequestTime += elapsed;
+    const end = this.requestTracker.begin();
+    if (!this.slowRequestLog) {
+      return end;
+    }
+
+    return (requestDetails = {}) => {
+      const elapsed = end(requestDetails);
+      if (elapsed === undefined || !this.isMonitoring || !this.slowRequestLog.isSlow(elapsed)) {
+        return;
+      }
+
+      const endTime = Date.now();
+      this.slowRequestLog.hold({
+        route: requestDetails.route || null,
+        path: requestDetails.path || null,
+        method: requestDetails.method ? String(requestDetails.method).toUpperCase() : null,
+        statusCode: requestDetails.statusCode || null,
+        aborted: Boolean(requestDetails.aborted),
+        startTime: endTime - elapsed,
+        endTime,
+        duration: elapsed,
+      });
+    };
+  }
+
+  /**
+   * Run a function and record the loop time it took under a name
+   * Only the synchronous part of fn is measured; use measureAsync() for
+   * functions that return a promise.
+   * @param {string} name - Operation name (e.g. 'render:invoice')
+   * @param {Function} fn - Function to run
+   * @returns {*} Return value of fn
+   */
+  measure(name, fn) {
+    const start = performance.now();
+    try {
+      return fn();
+    } finally {
+      this.operationTracker.record(name, performance.now() - start);
+    }
+  }
+
+  /**
+   * Run an asynchronous function and record the synchronous loop time of all
+   * its callbacks (timers, promises, I/O) until its promise settles
+   * Callbacks are timed through blocker tracking, which is enabled by the
+   * first call (async_hooks).
+   * @param {string} name - Operation name (e.g. 'serialize:report')
+   * @param {Function} fn - Function to run; may return a promise
+   * @returns {Promise} Settles like the result of fn
+   */
+  measureAsync(name, fn) {
+    const tracker = this.enableBlockerTracking();
+    const context = tracker.createContext(name);
+    const record = () => this.operationTracker.record(name, context.time);
+
+    let result;
+    try {
+      result = tracker.runInContext(context, fn);
+    } catch (error) {
+      record();
+      return Promise.reject(error);
+    }
+
+    return Promise.resolve(result).then(
+      (value) => {
+        record();
+        return value;
+      },
+      (error) => {
+        record();
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Cumulative loop time of measured operations since the monitor was
+   * created or reset (Prometheus counters)
+   * @returns {Array} Entries ({ name, count, totalTime, maxTime })
+   */
+  getOperationTotals() {
+    return this.operationTracker.getTotals();
+  }
+
+  /**
+   * Get slow requests with the lag seen while they ran, most recent last
+   * @param {number} [count] - Number of recent entries to retrieve
+   * @returns {Array} Entries (empty when the slow request log is disabled)
+   */
+  getSlowRequests(count) {
+    if (!this.slowRequestLog) {
+      return [];
+    }
+    return this.slowRequestLog.getEntries(count);
+  }
+
+  /**
+   * Cumulative request latency histograms per route, method and status
+   * class since the monitor was created or reset (Prometheus histograms)
+   * @returns {Array} Entries ({ route, method, status, histogram })
+   */
+  getRequestTotals() {
+    return this.requestTracker.getTotals();
+  }
+
+  /**
+   * Get the stacks captured by the watchdog while the loop was blocked
+   * @param {number} [count] - Number of recent stacks to retrieve
+   * @returns {Array} Captured stacks (empty when the watchdog is disabled)
+   */
+  getBlockingStacks(count) {
+    if (!this.watchdog) {
+      return [];
+    }
+    return this.watchdog.getStacks(count);
+  }
+
+  /**
+   * Get stalls detected by the watchdog, with their durations
+   * @param {number} [count] - Number of recent stalls to retrieve
+   * @returns {Array} Finished stalls (empty when the watchdog is disabled)
+   */
+  getStalls(count) {
+    if (!this.watchdog) {
+      return [];
+    }
+    return this.watchdog.getStalls(count);
+  }
+
+  /**
+   * Get the CPU profiles captured by the flight recorder, newest first
+   * @returns {Array} Profile info (empty when the flight recorder is disabled)
+   */
+  getProfiles() {
+    if (!this.flightRecorder) {
+      return [];
+    }
+    return this.flightRecorder.getProfiles();
+  }
+
+  /**
+   * Write a heap snapshot (requires the heapSnapshots option)
+   * Blocks the event loop until the snapshot is written. Refused during the
+   * cooldown and when the disk is short of space.
+   * @param {Object} [context] - Stored with the snapshot
+   * @param {string} [context.reason='manual'] - Why the snapshot was taken
+   * @param {string} [context.alertId] - Alert that triggered the snapshot
+   * @returns {Object} Snapshot info, including the latest sample
+   * @throws {Error} When snapshots are disabled or a safeguard refuses
+   */
+  takeHeapSnapshot(context = {}) {
+    if (!this.heapSnapshotter) {
+      throw new Error("Heap snapshots are disabled (enable the heapSnapshots option)");
+    }
+
+    const current = this.getCurrentMetrics();
+    const sample = current
+      ? {
+          timestamp: current.timestamp,
+          lag: { mean: current.lag.mean, p99: current.lag.p99, max: current.lag.max },
+          elu: current.elu.utilization,
+          memory: current.memory
+            ? {
+                heapUsed: current.memory.heapUsed,
+                heapTotal: current.memory.heapTotal,
+                rss: current.memory.rss,
+                external: current.memory.external,
+              }
+            : null,
+        }
+      : null;
+
+    return this.heapSnapshotter.take({ ...context, sample });
+  }
+
+  /**
+   * Get the heap snapshots on disk, newest first
+   * @returns {Array} Snapshot info (empty when heap snapshots are disabled)
+   */
+  getHeapSnapshots() {
+    if (!this.heapSnapshotter) {
+      return [];
+    }
+    return this.heapSnapshotter.getSnapshots();
+  }
+
+  /**
+   * Get threadpool queue latency: the latest probe, plus percentiles of every
+   * probe in the window
+   * @param {number} [window=60000] - Time span of the percentiles (ms)
+   * @returns {Object|null} Stats ({ latency, pending, pendingFor, count, min, max, mean,
+   *   p50, p90, p95, p99, p999 }, ms), or null when the probe is disabled or has no results yet
+   */
+  getThreadpoolStats(window = 60000) {
+    const current = this.getCurrentMetrics();
+    if (!current || !current.threadpool) {
+      return null;
+    }
+
+    const since = current.timestamp - window;
+    const samples = this.getHistory({ startTime: since, resolution: "raw" });
+    const merged = mergeThreadpoolHistograms(samples);
+
+    return {
+      latency: current.threadpool.latency,
+      pending: current.threadpool.pending,
+      pendingFor: current.threadpool.pendingFor,
+      window,
+      ...(merged
+        ? merged.summary()
+        : { count: 0, min: 0, max: 0, mean: 0, p50: 0, p90: 0, p95: 0, p99: 0, p999: 0 }),
+    };
+  }
+
+  /**
+   * Attribute synchronous loop time to requests and operations
+   * Installs an async hook, so it is opt-in (the Express middleware enables
+   * it with `trackBlockers: true`)
+   * @param {Object} [options] - BlockerTracker options
+   * @returns {BlockerTracker} The tracker
+   */
+  enableBlockerTracking(options) {
+    if (!this.blockerTracker) {
+      this.blockerTracker = new BlockerTracker(options);
+    }
+    if (this.isMonitoring) {
+      this.blockerTracker.enable();
+    }
+    return this.blockerTracker;
+  }
+
+  /**
+   * Get the routes and operations that consumed the most loop time
+   * @param {number} [limit=10] - Number of entries to return
+   * @returns {Array} Top blockers (empty when tracking is disabled)
+   */
+  getTopBlockers(limit) {
+    if (!this.blockerTracker) {
+      return [];
+    }
+    return this.blockerTracker.getTopBlockers(limit);
+  }
+
+  /**
+   * Monitor the event loop of a worker thread
+   * ELU is collected automatically; lag is collected when the worker calls
+   * `startWorkerReporter()`. Workers are removed when they exit.
+   * @param {Worker} worker - Worker thread
+   * @param {Object} [options] - Options
+   * @param {string} [options.name] - Label for the worker's series (default: `worker-<threadId>`)
+   * @returns {Object} Registration info ({ name, threadId, addedAt })
+   */
+  addWorker(worker, options) {
+    return this.workerTracker.add(worker, options);
+  }
+
+  /**
+   * Stop monitoring a worker thread
+   * @param {Worker} worker - Worker thread
+   * @returns {boolean} True if the worker was registered
+   */
+  removeWorker(worker) {
+    return this.workerTracker.remove(worker);
+  }
+
+  /**
+   * Get the monitored worker threads
+   * @returns {Array} Registration info for each worker
+   */
+  getWorkers() {
+    return this.workerTracker.list();
+  }
+
+  /**
+   * Register a custom gauge, read every time a sample is taken
+   * @param {string} name - Metric name (letters, digits and underscores)
+   * @param {Function} fn - Synchronous function returning the current value
+   * @param {Object} [options] - Options
+   * @param {string} [options.help] - Description (used by the Prometheus exporter)
+   *
+   * @example
+   * monitor.registerGauge('queue_depth', () => queue.length);
+   */
+  registerGauge(name, fn, options) {
+    this.metricsRegistry.registerGauge(name, fn, options);
+  }
+
+  /**
+   * Get or create a custom counter
+   * @param {string} name - Metric name (letters, digits and underscores)
+   * @param {Object} [options] - Options
+   * @param {string} [options.help] - Description (used by the Prometheus exporter)
+   * @returns {Counter} Counter with inc(amount) and get()
+   *
+   * @example
+   * monitor.counter('jobs_processed').inc();
+   */
+  counter(name, options) {
+    return this.metricsRegistry.counter(name, options);
+  }
+
+  /**
+   * Remove a custom gauge or counter
+   * @param {string} name - Metric name
+   * @returns {boolean} True if the metric was registered
+   */
+  unregisterMetric(name) {
+    return this.metricsRegistry.unregister(name);
+  }
+
+  /**
+   * Get the registered custom metrics
+   * @returns {Array} Metric descriptions ({ name, type, help })
+   */
+  getCustomMetrics() {
+    return this.metricsRegistry.list();
+  }
+
+  /**
+   * Get the latest V8 heap statistics (collected every `heapStatsInterval` ms)
+   * @returns {Object|null} Heap stats ({ timestamp, spaces, code }) or null if none yet
+   */
+  getHeapStats() {
+    return this.metricsCollector.getLatestHeapStats();
+  }
+
+  /**
+   * Get anomalies of lag, ELU and memory against their learned baselines
+   * @param {Object} [options] - Filters
+   * @param {string} [options.metric] - 'lag', 'elu' or 'memory'
+   * @param {number} [options.since] - Only anomalies still open at or after this time
+   * @param {number} [options.count] - Number of recent anomalies to retrieve
+   * @returns {Array} Anomalies, most recent last ({ id, metric, start, end, ongoing, samples,
+   *   value, expected, bound, score, direction, severity })
+   */
+  getAnomalies(options) {
+    return this.metricsCollector.getAnomalies(options);
+  }
+
+  /**
+   * Get how much of `maxMemoryMB` the history uses and what was dropped to stay within it
+   * @returns {Object} Budget ({ used, limit, utilization, capacity, historySize,
+   *   droppedSamples, droppedRollups, pressureEvents, breakdown }); sizes in bytes
+   */
+  getMemoryBudget() {
+    const stats = this.metricsCollector.getStats();
+    return {
+      used: stats.memoryUsageBytes,
+      limit: stats.memoryLimit,
+      utilization: stats.memoryUtilization,
+      capacity: stats.capacity,
+      historySize: stats.historySize,
+      droppedSamples: stats.droppedSamples,
+      droppedRollups: stats.droppedRollups,
+      pressureEvents: stats.memoryWarnings,
+      breakdown: stats.memoryBreakdown,
     };
   }
 
+  /**
+   * Find resource types (sockets, timers, file requests, ...) whose count
+   * grows steadily across the history window
+   * @param {Object} [options] - Detection options
+   * @param {number} [options.minSamples=30] - Samples needed before anything is flagged
+   * @param {number} [options.segments=5] - Segments to split the window into
+   * @param {number} [options.minGrowth=10] - Growth needed to flag a type
+   * @returns {Array} Suspected leaks ({ type, baseline, current, growth, ratePerMinute })
+   */
+  getResourceLeaks(options) {
+    return detectResourceLeaks(this.getHistory(), options);
+  }
+
   isActive() {
     return this.isMonitoring;
   }
 
   reset() {
     this.metricsCollector.reset();
-    this.requestCount = 0;
-    this.totalRequestTime = 0;
+    this.requestTracker.reset();
+    this.operationTracker.reset();
+
+    if (this.slowRequestLog) {
+      this.slowRequestLog.clear();
+    }
+
+    if (this.blockerTracker) {
+      this.blockerTracker.reset();
+    }
 
     if (this.delayHistogram) {
       this.delayHistogram.reset();
     }
   }
 
+  /**
+   * Stop monitoring and release what the monitor holds: the cluster
+   * connection, registered workers and the storage backend (flushed and
+   * closed). The monitor is not meant to be started again.
+   */
+  destroy() {
+    this.stop();
+
+    if (this.clusterClient) {
+      this.clusterClient.stop();
+    }
+
+    this.workerTracker.clear();
+    this.metricsCollector.destroy();
+    this.removeAllListeners();
+  }
+
   getConfig() {
+    const { storage } = this.options;
     return {
       ...this.options,
+      // A storage backend passed in is reported by name, not serialized
+      storage:
+        storage && typeof storage.append === "function" ? storage.constructor.name : storage,
+      currentInterval: this.currentInterval,
       active: this.isMonitoring,
     };
   }
@@ -364,9 +1228,17 @@ class EventLoopMonitor {
     return this.metricsCollector.importJSON(json);
   }
 
-  getTimeSeries(metric, count) {
-    return this.metricsCollector.getTimeSeries(metric, count);
+  getTimeSeries(metric, countOrOptions) {
+    return this.metricsCollector.getTimeSeries(metric, countOrOptions);
   }
 }
 
-module.exports = EventLoopMonitor;
\ No newline at end of file
+/**
+ * process.resourceUsage(), or null before Node 12.6
+ * @private
+ */
+function readResourceUsage() {
+  return typeof process.resourceUsage === "function" ? process.resourceUsage() : null;
+}
+
+module.exports = EventLoopMonitor;
@@ -0,0 +1,325 @@
+/**
+ * FileStorage - Durable sample history in compressed NDJSON segments
+ *
+ * The collector keeps `historySize` samples in memory, so a restart or crash
+ * loses the history that explains it. FileStorage is a storage backend that
+ * also writes every sample to a directory: on startup the collector reloads
+ * recent history from it, and ranges no longer in memory are read back from
+ * disk.
+ *
+ * Samples are buffered and written every `flushInterval` ms as one gzip
+ * member appended to the current segment (`segment-<first timestamp>.ndjson.gz`;
+ * concatenated members are a valid gzip file). A new segment starts once the
+ * current one reaches `maxSegmentSize` bytes or covers `maxSegmentAge` ms, and
+ * whole segments are deleted once older than `maxAge` or beyond `maxSize`
+ * bytes in total.
+ *
+ * Writes are synchronous so stop() can flush from an exit handler; a flush
+ * is a few KB. A crash loses at most the samples of one flushInterval, and a
+ * member cut short by it is read up to its last complete line.
+ *
+ * Any object with the same `open()`, `append(sample)`, `load(options)`,
+ * `flush()` and `close()` methods can be passed as a storage backend instead.
+ *
+ * @module core/FileStorage
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const EventEmitter = require("events");
+
+// Segment names carry the timestamp of their first sample
+const SEGMENT_NAME = /^segment-(\d+)\.ndjson\.gz$/;
+
+/**
+ * FileStorage - Writes samples to rotating segments and reads ranges back
+ *
+ * Events:
+ * - `error` - A flush failed (the batch is dropped)
+ *
+ * @class
+ */
+class FileStorage extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} options.directory - Directory for segments, of this process only: segments
+   *   are named by timestamp, so processes sharing a directory reload and prune each other's
+   * @param {number} [options.flushInterval=5000] - Time between writes of buffered samples (ms)
+   * @param {number} [options.maxSegmentSize=4194304] - Start a new segment at this size (bytes)
+   * @param {number} [options.maxSegmentAge=3600000] - Start a new segment once it covers this long (ms)
+   * @param {number} [options.maxAge=86400000] - Delete segments older than this (ms, 0 keeps them)
+   * @param {number} [options.maxSize=104857600] - Delete the oldest segments beyond this total (bytes)
+   * @param {number} [options.maxLoad=50000] - Most samples one load() returns (the most recent in
+   *   its range); segments past them are not read
+   * @throws {Error} Without a directory
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.directory) {
+      throw new Error("FileStorage needs a directory of its own (storage: { directory })");
+    }
+
+    this.options = {
+      directory: path.resolve(options.directory),
+      flushInterval: options.flushInterval || 5000,
+      maxSegmentSize: options.maxSegmentSize || 4 * 1024 * 1024,
+      maxSegmentAge: options.maxSegmentAge || 60 * 60 * 1000,
+      maxAge: options.maxAge !== undefined ? options.maxAge : 24 * 60 * 60 * 1000,
+      maxSize: options.maxSize || 100 * 1024 * 1024,
+      maxLoad: options.maxLoad || 50000,
+    };
+
+    // Segments on disk, oldest first ({ name, startTime, endTime, size })
+    this.segments = [];
+    // Segment being written; a restart always starts a new one
+    this.current = null;
+    this.buffer = [];
+    this.timer = null;
+    this.isOpen = false;
+  }
+
+  /**
+   * Create the directory, pick up segments written by earlier runs and
+   * start the flush timer
+   */
+  open() {
+    if (this.isOpen) {
+      return;
+    }
+
+    fs.mkdirSync(this.options.directory, { recursive: true });
+    this.segments = this._loadIndex();
+    this.current = null;
+    this._applyRetention();
+
+    this.timer = setInterval(() => this.flush(), this.options.flushInterval);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    this.isOpen = true;
+  }
+
+  /**
+   * Buffer a sample for the next flush
+   * @param {Object} sample - Metrics sample
+   */
+  append(sample) {
+    if (this.isOpen) {
+      this.buffer.push(sample);
+    }
+  }
+
+  /**
+   * Write buffered samples to the current segment
+   */
+  flush() {
+    if (this.buffer.length === 0) {
+      return;
+    }
+
+    const samples = this.buffer;
+    this.buffer = [];
+
+    try {
+      const segment = this._segmentFor(samples[0].timestamp);
+      const chunk = zlib.gzipSync(samples.map((s) => JSON.stringify(s)).join("\n") + "\n");
+      fs.appendFileSync(path.join(this.options.directory, segment.name), chunk);
+
+      segment.size += chunk.length;
+      segment.endTime = samples[samples.length - 1].timestamp;
+      this._applyRetention();
+    } catch (error) {
+      if (this.listenerCount("error") > 0) {
+        this.emit("error", error);
+      }
+    }
+  }
+
+  /**
+   * Read stored samples, including buffered ones
+   * @param {Object} [options] - Range to read
+   * @param {number} [options.startTime] - Oldest timestamp to include
+   * @param {number} [options.endTime] - Newest timestamp to include
+   * @param {number} [options.count] - Only the most recent samples in the range (at most maxLoad)
+   * @returns {Array} Samples, oldest first
+   */
+  load(options = {}) {
+    const { startTime, endTime } = options;
+    // Segments are decompressed whole and synchronously, so reads are bounded
+    const count = Math.min(options.count || Infinity, this.options.maxLoad);
+    const inRange = (sample) =>
+      (startTime === undefined || sample.timestamp >= startTime) &&
+      (endTime === undefined || sample.timestamp <= endTime);
+
+    let result = this.buffer.filter(inRange);
+
+    // Newest segments first, so a count stops reading early
+    for (let i = this.segments.length - 1; i >= 0; i--) {
+      if (result.length >= count) {
+        break;
+      }
+
+      const segment = this.segments[i];
+      if (endTime !== undefined && segment.startTime > endTime) {
+        continue;
+      }
+      if (startTime !== undefined && segment.endTime < startTime) {
+        break;
+      }
+
+      result = this._readSegment(segment.name).filter(inRange).concat(result);
+    }
+
+    return result.length > count ? result.slice(-count) : result;
+  }
+
+  /**
+   * Write what is buffered and stop the flush timer
+   */
+  close() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.flush();
+    this.isOpen = false;
+  }
+
+  /**
+   * Size of the stored history
+   * @returns {Object} Stats ({ directory, segments, size, buffered, oldest })
+   */
+  getStats() {
+    return {
+      directory: this.options.directory,
+      segments: this.segments.length,
+      size: this.segments.reduce((sum, s) => sum + s.size, 0),
+      buffered: this.buffer.length,
+      // Samples still buffered count until the first flush
+      oldest:
+        this.segments.length > 0
+          ? this.segments[0].startTime
+          : this.buffer.length > 0
+            ? this.buffer[0].timestamp
+            : null,
+    };
+  }
+
+  /**
+   * Current segment, or a new one when it is full or covers maxSegmentAge
+   * @private
+   */
+  _segmentFor(timestamp) {
+    const current = this.current;
+    if (
+      current &&
+      current.size < this.options.maxSegmentSize &&
+      timestamp - current.startTime < this.options.maxSegmentAge
+    ) {
+      return current;
+    }
+
+    const startTime = Math.floor(timestamp);
+    const name = `segment-${startTime}.ndjson.gz`;
+    // A segment starting in the same millisecond is appended to
+    this.current = this.segments.find((s) => s.name === name) || null;
+    if (!this.current) {
+      this.current = { name, startTime, endTime: startTime, size: 0 };
+      this.segments.push(this.current);
+    }
+    return this.current;
+  }
+
+  /**
+   * Samples of a segment; a member cut short by a crash is read up to its
+   * last complete line
+   * @private
+   */
+  _readSegment(name) {
+    let text;
+    try {
+      const data = fs.readFileSync(path.join(this.options.directory, name));
+      try {
+        text = zlib.gunzipSync(data).toString("utf8");
+      } catch (error) {
+        text = zlib
+          .gunzipSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH })
+          .toString("utf8");
+      }
+    } catch (error) {
+      // Deleted by retention or unreadable
+      return [];
+    }
+
+    const samples = [];
+    text.split("\n").forEach((line) => {
+      if (!line) {
+        return;
+      }
+      try {
+        samples.push(JSON.parse(line));
+      } catch (error) {
+        // Incomplete last line
+      }
+    });
+    return samples;
+  }
+
+  /**
+   * Segments in the directory, oldest first
+   * @private
+   */
+  _loadIndex() {
+    return fs
+      .readdirSync(this.options.directory)
+      .map((name) => {
+        const match = SEGMENT_NAME.exec(name);
+        if (!match) {
+          return null;
+        }
+        try {
+          const stats = fs.statSync(path.join(this.options.directory, name));
+          return {
+            name,
+            startTime: Number(match[1]),
+            endTime: stats.mtimeMs,
+            size: stats.size,
+          };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Delete the oldest segments while they are older than maxAge or the
+   * total is beyond maxSize; the segment being written is kept
+   * @private
+   */
+  _applyRetention() {
+    const cutoff = this.options.maxAge > 0 ? Date.now() - this.options.maxAge : null;
+    let size = this.segments.reduce((sum, s) => sum + s.size, 0);
+
+    while (
+      this.segments.length > 0 &&
+      this.segments[0] !== this.current &&
+      (size > this.options.maxSize || (cutoff !== null && this.segments[0].endTime < cutoff))
+    ) {
+      const segment = this.segments.shift();
+      size -= segment.size;
+      try {
+        fs.unlinkSync(path.join(this.options.directory, segment.name));
+      } catch (error) {
+        // Already gone
+      }
+    }
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,358 @@
+/**
+ * FlightRecorder - CPU profiles of sustained critical health
+ *
+ * By the time someone looks at a critical alert the spike is usually over.
+ * The recorder watches the health of every sample and, once it has been
+ * critical for `sustainFor` ms, records a CPU profile through the inspector
+ * protocol for `duration` ms and saves it as a `.cpuprofile` file (open it in
+ * Chrome DevTools or VS Code). Each capture raises an alert, and the profile
+ * keeps the id of that alert.
+ *
+ * @module core/FlightRecorder
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const inspector = require("inspector");
+const EventEmitter = require("events");
+
+// Profile ids become file names; nothing else may be served from the directory
+const PROFILE_ID = /^profile-\d+$/;
+
+/**
+ * FlightRecorder - Captures CPU profiles while health is critical
+ *
+ * Events:
+ * - `trigger` - Health stayed critical for `sustainFor`; a capture starts
+ * - `recovered` - Health is no longer critical after a trigger
+ * - `profile` - A profile was saved
+ * - `error` - A capture failed
+ *
+ * @class
+ */
+class FlightRecorder extends EventEmitter {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.directory=os.tmpdir()/event-loop-profiles] - Directory for profiles
+   * @param {number} [options.sustainFor=5000] - Time health must stay critical before capturing (ms)
+   * @param {number} [options.duration=10000] - Length of each profile (ms)
+   * @param {number} [options.samplingInterval=1000] - Profiler sampling interval (µs)
+   * @param {number} [options.cooldown=60000] - Minimum time between the end of a capture and the next (ms)
+   * @param {number} [options.maxProfiles=10] - Profiles to keep; the oldest are deleted
+   * @param {number} [options.maxAge=0] - Delete profiles older than this (ms, 0 keeps them)
+   * @param {Object} [options.thresholds] - Health thresholds (see EventLoopMonitor.getHealth)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      directory: path.resolve(
+        options.directory || path.join(os.tmpdir(), "event-loop-profiles")
+      ),
+      sustainFor: options.sustainFor !== undefined ? options.sustainFor : 5000,
+      duration: options.duration || 10000,
+      samplingInterval: options.samplingInterval || 1000,
+      cooldown: options.cooldown !== undefined ? options.cooldown : 60000,
+      maxProfiles: options.maxProfiles || 10,
+      maxAge: options.maxAge || 0,
+      thresholds: options.thresholds || {},
+    };
+
+    this.profiles = [];
+    this.criticalSince = null;
+    this.trigger = null;
+    this.capture = null;
+    this.lastCaptureEnd = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Create the directory and pick up profiles saved by earlier runs
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    fs.mkdirSync(this.options.directory, { recursive: true });
+    this.profiles = this._loadIndex();
+    this._applyRetention();
+    this.isRunning = true;
+  }
+
+  /**
+   * Stop watching; a capture in progress is saved with what it has so far
+   * @returns {Promise<void>} Resolves once that capture is saved
+   */
+  stop() {
+    this.isRunning = false;
+    this.criticalSince = null;
+    this.trigger = null;
+
+    if (!this.capture) {
+      return Promise.resolve();
+    }
+    clearTimeout(this.capture.timer);
+    return this._finishCapture();
+  }
+
+  /**
+   * Feed the health of the latest sample
+   * @param {Object} health - Result of EventLoopMonitor.getHealth()
+   * @param {number} [now=Date.now()] - Time of the sample
+   */
+  update(health, now = Date.now()) {
+    if (!this.isRunning) {
+      return;
+    }
+
+    if (health.status !== "critical") {
+      if (this.trigger) {
+        this.emit("recovered", {
+          alertId: this.trigger.alertId,
+          duration: now - this.trigger.criticalSince,
+        });
+      }
+      this.criticalSince = null;
+      this.trigger = null;
+      return;
+    }
+
+    if (this.criticalSince === null) {
+      this.criticalSince = now;
+    }
+
+    const sustained = now - this.criticalSince >= this.options.sustainFor;
+    const cooledDown =
+      this.lastCaptureEnd === null ||
+      now - this.lastCaptureEnd >= this.options.cooldown;
+
+    if (!sustained || this.trigger || this.capture || !cooledDown) {
+      return;
+    }
+
+    this.trigger = {
+      alertId: `health-${now}`,
+      criticalSince: this.criticalSince,
+      detectedAt: now,
+      score: health.score,
+      issues: health.issues,
+    };
+    this.record(this.trigger).catch((error) => this.emit("error", error));
+    this.emit("trigger", { ...this.trigger, profileId: this.capture ? this.capture.id : null });
+  }
+
+  /**
+   * Record a profile now
+   * @param {Object} [trigger] - What caused the capture (stored with the profile)
+   * @returns {Promise<Object>} Saved profile info
+   */
+  record(trigger = null) {
+    if (this.capture) {
+      return Promise.reject(new Error("A CPU profile is already being recorded"));
+    }
+
+    const session = new inspector.Session();
+    session.connect();
+
+    const startedAt = Date.now();
+    this.capture = {
+      id: `profile-${startedAt}`,
+      session,
+      startedAt,
+      trigger,
+      timer: null,
+      finishing: false,
+      done: null,
+    };
+
+    const capture = this.capture;
+    capture.done = new Promise((resolve, reject) => {
+      capture.resolve = resolve;
+      capture.reject = reject;
+    });
+
+    post(session, "Profiler.enable")
+      .then(() =>
+        post(session, "Profiler.setSamplingInterval", {
+          interval: this.options.samplingInterval,
+        })
+      )
+      .then(() => post(session, "Profiler.start"))
+      .then(() => {
+        capture.timer = setTimeout(() => this._finishCapture(), this.options.duration);
+        if (capture.timer.unref) {
+          capture.timer.unref();
+        }
+      })
+      .catch((error) => {
+        this._endCapture();
+        capture.reject(error);
+      });
+
+    return capture.done;
+  }
+
+  /**
+   * Stop the profiler and save the profile
+   * @private
+   */
+  _finishCapture() {
+    const capture = this.capture;
+    if (capture.finishing) {
+      return capture.done.then(noop, noop);
+    }
+    capture.finishing = true;
+
+    let info = null;
+
+    return post(capture.session, "Profiler.stop")
+      .then(({ profile }) => {
+        const endedAt = Date.now();
+        const file = `${capture.id}.cpuprofile`;
+        const content = JSON.stringify(profile);
+
+        info = {
+          id: capture.id,
+          file,
+          alertId: capture.trigger ? capture.trigger.alertId : null,
+          startedAt: capture.startedAt,
+          endedAt,
+          duration: endedAt - capture.startedAt,
+          size: Buffer.byteLength(content),
+          trigger: capture.trigger,
+        };
+
+        // Written off the loop: profiles of long captures can be several MB
+        return fs.promises
+          .writeFile(path.join(this.options.directory, file), content)
+          .then(() =>
+            fs.promises.writeFile(
+              path.join(this.options.directory, `${capture.id}.json`),
+              JSON.stringify(info, null, 2)
+            )
+          );
+      })
+      .then(() => {
+        this.profiles.push(info);
+        this._applyRetention();
+        this._endCapture();
+        this.emit("profile", info);
+        capture.resolve(info);
+      })
+      .catch((error) => {
+        this._endCapture();
+        capture.reject(error);
+      });
+  }
+
+  /**
+   * @private
+   */
+  _endCapture() {
+    if (!this.capture) {
+      return;
+    }
+    this.capture.session.disconnect();
+    this.capture = null;
+    this.lastCaptureEnd = Date.now();
+  }
+
+  /**
+   * Get saved profiles, newest first
+   * @returns {Array} Profile info ({ id, file, alertId, startedAt, endedAt, duration, size, trigger })
+   */
+  getProfiles() {
+    return this.profiles.slice().reverse();
+  }
+
+  /**
+   * Get one saved profile
+   * @param {string} id - Profile id
+   * @returns {Object|null} Profile info, or null if there is no such profile
+   */
+  getProfile(id) {
+    return this.profiles.find((profile) => profile.id === id) || null;
+  }
+
+  /**
+   * Path of a saved profile
+   * @param {string} id - Profile id
+   * @returns {string|null} Absolute path, or null if there is no such profile
+   */
+  getProfilePath(id) {
+    const profile = this.getProfile(id);
+    return profile ? path.join(this.options.directory, profile.file) : null;
+  }
+
+  /**
+   * Whether a profile is being recorded
+   * @returns {boolean} True while capturing
+   */
+  isCapturing() {
+    return this.capture !== null;
+  }
+
+  /**
+   * Read the info files of profiles in the directory
+   * @private
+   */
+  _loadIndex() {
+    return fs
+      .readdirSync(this.options.directory)
+      .filter((name) => name.endsWith(".json") && PROFILE_ID.test(name.slice(0, -5)))
+      .map((name) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.options.directory, name), "utf8"));
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter((info) => info && fs.existsSync(path.join(this.options.directory, info.file)))
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * Delete profiles beyond maxProfiles or older than maxAge
+   * @private
+   */
+  _applyRetention() {
+    const cutoff = this.options.maxAge > 0 ? Date.now() - this.options.maxAge : null;
+
+    while (
+      this.profiles.length > this.options.maxProfiles ||
+      (cutoff !== null && this.profiles.length > 0 && this.profiles[0].startedAt < cutoff)
+    ) {
+      const profile = this.profiles.shift();
+      [profile.file, `${profile.id}.json`].forEach((name) => {
+        try {
+          fs.unlinkSync(path.join(this.options.directory, name));
+        } catch (error) {
+          // Already gone
+        }
+      });
+    }
+  }
+}
+
+function noop() {}
+
+/**
+ * Promise wrapper for Session.post
+ * @private
+ */
+function post(session, method, params) {
+  return new Promise((resolve, reject) => {
+    session.post(method, params, (error, result) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+module.exports = FlightRecorder;
+module.exports.PROFILE_ID = PROFILE_ID;
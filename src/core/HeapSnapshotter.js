@@ -0,0 +1,245 @@
+/**
+ * HeapSnapshotter - Heap snapshots with safeguards
+ *
+ * `v8.writeHeapSnapshot()` is synchronous: the event loop is blocked until
+ * the snapshot is written, which takes seconds for large heaps, and the file
+ * is about as large as the heap. Snapshots are therefore rate-limited by a
+ * cooldown, refused when the disk is short of space, and rotated beyond
+ * `maxSnapshots`. Each snapshot keeps the sample taken just before it.
+ *
+ * @module core/HeapSnapshotter
+ */
+
+const fs = require("fs");
+const childProcess = require("child_process");
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const v8 = require("v8");
+
+const SNAPSHOT_ID = /^heap-\d+$/;
+
+/**
+ * HeapSnapshotter - Writes and tracks heap snapshots
+ *
+ * @class
+ */
+class HeapSnapshotter {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.directory=os.tmpdir()/event-loop-heap-snapshots] - Directory for snapshots
+   * @param {number} [options.cooldown=300000] - Minimum time between snapshots (ms)
+   * @param {number} [options.maxSnapshots=5] - Snapshots to keep; the oldest are deleted
+   * @param {number} [options.minFreeSpaceMB=1024] - Free disk space to leave after the snapshot (MB)
+   * @param {string} [options.token] - Token required by the dashboard endpoint (endpoint disabled without one)
+   */
+  constructor(options = {}) {
+    this.options = {
+      directory: path.resolve(
+        options.directory || path.join(os.tmpdir(), "event-loop-heap-snapshots")
+      ),
+      cooldown: options.cooldown !== undefined ? options.cooldown : 300000,
+      maxSnapshots: options.maxSnapshots || 5,
+      minFreeSpaceMB:
+        options.minFreeSpaceMB !== undefined ? options.minFreeSpaceMB : 1024,
+      token: options.token || null,
+    };
+
+    this.snapshots = null;
+    this.lastSnapshotTime = null;
+  }
+
+  /**
+   * Write a heap snapshot (blocks the event loop while writing)
+   * @param {Object} [context] - Stored with the snapshot
+   * @param {string} [context.reason='manual'] - Why the snapshot was taken ('manual', 'alert', ...)
+   * @param {string} [context.alertId] - Alert that triggered the snapshot
+   * @param {Object} [context.sample] - Sample at capture time
+   * @returns {Object} Snapshot info ({ id, file, size, takenAt, duration, reason, alertId, sample })
+   * @throws {Error} When a safeguard refuses the snapshot (`error.reason` is 'cooldown' or 'disk-space')
+   */
+  take(context = {}) {
+    const now = Date.now();
+    if (
+      this.lastSnapshotTime !== null &&
+      now - this.lastSnapshotTime < this.options.cooldown
+    ) {
+      const wait = Math.ceil((this.options.cooldown - (now - this.lastSnapshotTime)) / 1000);
+      throw refusal("cooldown", `Heap snapshot cooldown: try again in ${wait}s`);
+    }
+
+    this._load();
+
+    const free = freeSpace(this.options.directory);
+    if (free === null) {
+      throw refusal(
+        "disk-space",
+        "Free disk space could not be determined; refusing to write a heap snapshot"
+      );
+    }
+    // The snapshot is roughly the size of the used heap
+    const needed =
+      process.memoryUsage().heapUsed + this.options.minFreeSpaceMB * 1024 * 1024;
+    if (free < needed) {
+      throw refusal(
+        "disk-space",
+        `Not enough disk space for a heap snapshot: ${mb(free)}MB free, ${mb(needed)}MB needed`
+      );
+    }
+
+    console.warn(
+      "HeapSnapshotter: Writing heap snapshot; the event loop is blocked until it is written"
+    );
+
+    const id = `heap-${now}`;
+    const file = `${id}.heapsnapshot`;
+    const filePath = path.join(this.options.directory, file);
+
+    const startTime = Date.now();
+    v8.writeHeapSnapshot(filePath);
+    const duration = Date.now() - startTime;
+    this.lastSnapshotTime = now;
+
+    const info = {
+      id,
+      file,
+      size: fs.statSync(filePath).size,
+      takenAt: now,
+      duration,
+      reason: context.reason || "manual",
+      alertId: context.alertId || null,
+      sample: context.sample || null,
+    };
+    fs.writeFileSync(
+      path.join(this.options.directory, `${id}.json`),
+      JSON.stringify(info, null, 2)
+    );
+
+    this.snapshots.push(info);
+    this._applyRetention();
+    return info;
+  }
+
+  /**
+   * Get the snapshots in the directory, newest first
+   * @returns {Array} Snapshot info
+   */
+  getSnapshots() {
+    this._load();
+    return this.snapshots.slice().reverse();
+  }
+
+  /**
+   * Check a token against the configured one
+   * @param {string} token - Token from the request
+   * @returns {boolean} True if a token is configured and matches
+   */
+  checkToken(token) {
+    if (!this.options.token || typeof token !== "string") {
+      return false;
+    }
+    const expected = Buffer.from(this.options.token);
+    const actual = Buffer.from(token);
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+
+  /**
+   * Time until the next snapshot is allowed
+   * @returns {number} Remaining cooldown (ms, 0 when a snapshot can be taken)
+   */
+  getCooldownRemaining() {
+    if (this.lastSnapshotTime === null) {
+      return 0;
+    }
+    return Math.max(0, this.options.cooldown - (Date.now() - this.lastSnapshotTime));
+  }
+
+  /**
+   * Read the info files of snapshots in the directory (once)
+   * @private
+   */
+  _load() {
+    if (this.snapshots) {
+      return;
+    }
+
+    fs.mkdirSync(this.options.directory, { recursive: true });
+    this.snapshots = fs
+      .readdirSync(this.options.directory)
+      .filter((name) => name.endsWith(".json") && SNAPSHOT_ID.test(name.slice(0, -5)))
+      .map((name) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.options.directory, name), "utf8"));
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter((info) => info && fs.existsSync(path.join(this.options.directory, info.file)))
+      .sort((a, b) => a.takenAt - b.takenAt);
+  }
+
+  /**
+   * Delete the oldest snapshots beyond maxSnapshots
+   * @private
+   */
+  _applyRetention() {
+    while (this.snapshots.length > this.options.maxSnapshots) {
+      const snapshot = this.snapshots.shift();
+      [snapshot.file, `${snapshot.id}.json`].forEach((name) => {
+        try {
+          fs.unlinkSync(path.join(this.options.directory, name));
+        } catch (error) {
+          // Already gone
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Free bytes on the disk holding a directory, from `fs.statfsSync` or, before
+ * Node 18.15, from `df`
+ * @private
+ * @returns {number|null} Free bytes, or null when neither can tell
+ */
+function freeSpace(directory) {
+  if (typeof fs.statfsSync === "function") {
+    const stats = fs.statfsSync(directory);
+    return stats.bavail * stats.bsize;
+  }
+
+  try {
+    // POSIX format: one line per filesystem, "Available" in 1024-byte blocks
+    const output = childProcess.execFileSync("df", ["-P", "-k", directory], {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+      timeout: 5000,
+    });
+    const lines = output.trim().split("\n");
+    const available = Number(lines[lines.length - 1].split(/\s+/)[3]);
+    return Number.isFinite(available) ? available * 1024 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function refusal(reason, message) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * @private
+ */
+function mb(bytes) {
+  return Math.round(bytes / 1024 / 1024);
+}
+
+module.exports = HeapSnapshotter;
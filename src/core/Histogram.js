@@ -0,0 +1,277 @@
+/**
+ * Histogram - Mergeable log-bucketed histogram
+ *
+ * Values are counted in buckets whose width is a fixed fraction of their
+ * value (HDR-style), so histograms from any number of samples can be merged
+ * and still answer percentile queries within that precision. Used to keep
+ * the lag distribution of every sample, so that aggregation windows report
+ * real percentiles rather than statistics of per-sample percentiles.
+ *
+ * @module core/Histogram
+ */
+
+// Smallest distinguishable value; everything at or below it shares bucket 0
+const MIN_VALUE = 0.001;
+
+/**
+ * Histogram - Sparse log-bucketed value counts
+ *
+ * @class
+ */
+class Histogram {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.precision=0.01] - Relative bucket width (0.01 = values within 1%)
+   */
+  constructor(options = {}) {
+    this.precision = options.precision || 0.01;
+    this.counts = new Map();
+    this.count = 0;
+    this.sum = 0;
+    this.min = null;
+    this.max = null;
+
+    this._logBase = Math.log(1 + this.precision);
+  }
+
+  /**
+   * Record a value
+   * @param {number} value - Value (ms for lag)
+   * @param {number} [count=1] - Number of times the value was observed
+   */
+  record(value, count = 1) {
+    if (!Number.isFinite(value) || value < 0 || !(count > 0)) {
+      return;
+    }
+
+    const index = this._indexOf(value);
+    this.counts.set(index, (this.counts.get(index) || 0) + count);
+    this.count += count;
+    this.sum += value * count;
+    this.min = this.min === null ? value : Math.min(this.min, value);
+    this.max = this.max === null ? value : Math.max(this.max, value);
+  }
+
+  /**
+   * Add the counts of another histogram
+   * @param {Histogram|Object} other - Histogram or its toJSON() form
+   * @returns {Histogram} This histogram
+   */
+  merge(other) {
+    const source = other instanceof Histogram ? other : Histogram.fromJSON(other);
+    if (source.precision !== this.precision) {
+      throw new Error(
+        `Cannot merge histograms with different precision (${source.precision} vs ${this.precision})`
+      );
+    }
+    if (source.count === 0) {
+      return this;
+    }
+
+    source.counts.forEach((count, index) => {
+      this.counts.set(index, (this.counts.get(index) || 0) + count);
+    });
+    this.count += source.count;
+    this.sum += source.sum;
+    this.min = this.min === null ? source.min : Math.min(this.min, source.min);
+    this.max = this.max === null ? source.max : Math.max(this.max, source.max);
+    return this;
+  }
+
+  /**
+   * Get the value at a percentile
+   * @param {number} percentile - Percentile (0-100)
+   * @returns {number} Value (0 when empty)
+   */
+  percentile(percentile) {
+    if (this.count === 0) {
+      return 0;
+    }
+
+    const rank = Math.max(1, Math.ceil((percentile / 100) * this.count));
+    const indices = Array.from(this.counts.keys()).sort((a, b) => a - b);
+
+    let seen = 0;
+    for (const index of indices) {
+      seen += this.counts.get(index);
+      if (seen >= rank) {
+        // Buckets are reported by their upper bound, clamped to what was seen
+        return Math.min(Math.max(this._valueOf(index), this.min), this.max);
+      }
+    }
+    return this.max;
+  }
+
+  /**
+   * Count the values at or below a bound, e.g. for Prometheus `le` buckets
+   * Values are known to their bucket, so the bucket holding the bound is
+   * counted whole (an overcount within the precision)
+   * @param {number} bound - Upper bound (inclusive)
+   * @returns {number} Number of values
+   */
+  countAtOrBelow(bound) {
+    if (this.max !== null && this.max <= bound) {
+      return this.count;
+    }
+
+    const last = this._indexOf(bound);
+    let count = 0;
+    this.counts.forEach((n, index) => {
+      if (index <= last) {
+        count += n;
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Summarize the distribution
+   * @returns {Object} Summary ({ count, min, max, mean, p50, p90, p95, p99, p999 })
+   */
+  summary() {
+    return {
+      count: this.count,
+      min: this.min || 0,
+      max: this.max || 0,
+      mean: this.count > 0 ? this.sum / this.count : 0,
+      p50: this.percentile(50),
+      p90: this.percentile(90),
+      p95: this.percentile(95),
+      p99: this.percentile(99),
+      p999: this.percentile(99.9),
+    };
+  }
+
+  /**
+   * Serializable form, stored with samples and sent over IPC
+   * @returns {Object} Plain object ({ precision, count, sum, min, max, counts })
+   */
+  toJSON() {
+    return {
+      precision: this.precision,
+      count: this.count,
+      sum: this.sum,
+      min: this.min,
+      max: this.max,
+      counts: Object.fromEntries(this.counts),
+    };
+  }
+
+  /**
+   * Restore a histogram from its toJSON() form
+   * @param {Object} json - Serialized histogram
+   * @returns {Histogram} Histogram
+   */
+  static fromJSON(json) {
+    const histogram = new Histogram({ precision: json.precision });
+    Object.entries(json.counts || {}).forEach(([index, count]) => {
+      histogram.counts.set(Number(index), count);
+    });
+    histogram.count = json.count || 0;
+    histogram.sum = json.sum || 0;
+    histogram.min = json.min === undefined ? null : json.min;
+    histogram.max = json.max === undefined ? null : json.max;
+    return histogram;
+  }
+
+  /**
+   * Convert a `perf_hooks` histogram (values in ns) to a histogram in ms
+   * Node only exposes the distribution as percentile levels, so the values
+   * between two levels are counted at the upper one. Min, max and mean are
+   * exact.
+   * Before Node 16.14 histograms have no `count`. Each delay recorded by
+   * monitorEventLoopDelay() is the time between two ticks, so the count is
+   * then estimated as `elapsed / mean`; without `elapsed` the histogram is
+   * empty.
+   * @param {IntervalHistogram} source - e.g. from monitorEventLoopDelay()
+   * @param {Object} [options] - Histogram options
+   * @param {number} [elapsed] - Time the source recorded over (ms), for the count estimate
+   * @returns {Histogram} Histogram
+   */
+  static fromPerfHistogram(source, options, elapsed) {
+    const histogram = new Histogram(options);
+    let total = source.count;
+    if (typeof total !== "number" && elapsed > 0 && source.mean > 0) {
+      total = Math.round(elapsed / (source.mean / 1e6));
+    }
+    if (typeof total !== "number" || total === 0) {
+      return histogram;
+    }
+
+    let recorded = 0;
+    source.percentiles.forEach((value, percentile) => {
+      const target = Math.round((percentile / 100) * total);
+      if (target > recorded) {
+        histogram.record(value / 1e6, target - recorded);
+        recorded = target;
+      }
+    });
+
+    histogram.min = source.min / 1e6;
+    histogram.max = source.max / 1e6;
+    histogram.sum = (source.mean / 1e6) * histogram.count;
+    return histogram;
+  }
+
+  /**
+   * @private
+   */
+  _indexOf(value) {
+    if (value <= MIN_VALUE) {
+      return 0;
+    }
+    return Math.ceil(Math.log(value / MIN_VALUE) / this._logBase);
+  }
+
+  /**
+   * Upper bound of a bucket
+   * @private
+   */
+  _valueOf(index) {
+    return MIN_VALUE * Math.pow(1 + this.precision, index);
+  }
+}
+
+/**
+ * Merge serialized histograms
+ * @param {Array} histograms - toJSON() forms; missing entries are skipped
+ * @returns {Histogram|null} Merged histogram (null if there is none)
+ */
+function mergeHistograms(histograms) {
+  let merged = null;
+  histograms.forEach((json) => {
+    if (!json) {
+      return;
+    }
+    if (!merged) {
+      merged = new Histogram({ precision: json.precision });
+    }
+    merged.merge(json);
+  });
+  return merged;
+}
+
+/**
+ * Merge the lag histograms of samples
+ * @param {Array} samples - Samples with `lag.histogram`
+ * @returns {Histogram|null} Merged histogram (null if no sample has one)
+ */
+function mergeLagHistograms(samples) {
+  return mergeHistograms(samples.map((sample) => sample.lag && sample.lag.histogram));
+}
+
+/**
+ * Merge the threadpool probe histograms of samples
+ * @param {Array} samples - Samples with `threadpool.histogram`
+ * @returns {Histogram|null} Merged histogram (null if no sample has one)
+ */
+function mergeThreadpoolHistograms(samples) {
+  return mergeHistograms(
+    samples.map((sample) => sample.threadpool && sample.threadpool.histogram)
+  );
+}
+
+module.exports = Histogram;
+module.exports.mergeHistograms = mergeHistograms;
+module.exports.mergeLagHistograms = mergeLagHistograms;
+module.exports.mergeThreadpoolHistograms = mergeThreadpoolHistograms;
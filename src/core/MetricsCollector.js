@@ -3,6 +3,66 @@
  */
 
 const EventEmitter = require("events");
+const Histogram = require("./Histogram");
+const { mergeLagHistograms, mergeThreadpoolHistograms } = require("./Histogram");
+const { mergeRequestMetrics, summarizeRoutes } = require("./RequestTracker");
+const { mergeOperations, rankOperations } = require("./OperationTracker");
+const Rollups = require("./Rollups");
+const SampleColumns = require("./SampleColumns");
+const AnomalyDetector = require("./AnomalyDetector");
+const { GC_KINDS } = require("./SampleColumns");
+const { estimateBytes } = require("./footprint");
+
+/**
+ * Smallest value with at least `target` of the total weight at or below it,
+ * found by partitioning around pivots (no full sort); values and weights are
+ * reordered in place
+ * @private
+ */
+function selectWeighted(values, weights, target) {
+  const swap = (a, b) => {
+    const value = values[a];
+    values[a] = values[b];
+    values[b] = value;
+    const weight = weights[a];
+    weights[a] = weights[b];
+    weights[b] = weight;
+  };
+
+  let low = 0;
+  let high = values.length - 1;
+  while (low < high) {
+    // [low, lt) below the pivot, [lt, gt] equal to it, (gt, high] above it
+    const pivot = values[(low + high) >> 1];
+    let lt = low;
+    let gt = high;
+    let i = low;
+    while (i <= gt) {
+      if (values[i] < pivot) {
+        swap(lt++, i++);
+      } else if (values[i] > pivot) {
+        swap(i, gt--);
+      } else {
+        i++;
+      }
+    }
+
+    let below = 0;
+    for (let j = low; j < lt; j++) below += weights[j];
+    let equal = 0;
+    for (let j = lt; j <= gt; j++) equal += weights[j];
+
+    if (below >= target) {
+      high = lt - 1;
+    } else if (below + equal >= target) {
+      return pivot;
+    } else {
+      target -= below + equal;
+      low = gt + 1;
+    }
+  }
+  return values[Math.min(low, values.length - 1)];
+}
 
 class MetricsCollector extends EventEmitter {
   constructor(options = {}) {
@@ -15,6 +75,10 @@ class MetricsCollector extends EventEmitter {
       enableValidation: options.enableValidation !== false,
       enableEvents: options.enableEvents !== false,
       cleanupInterval: options.cleanupInterval !== undefined ? options.cleanupInterval : 60000,
+      // Weight of samples that do not record the interval they covered
+      sampleInterval: options.sampleInterval || 100,
+      // Most samples one query reads from the storage backend
+      maxStorageRead: options.maxStorageRead || 10000,
       aggregationWindows: options.aggregationWindows || {
         "1m": 60,
         "5m": 300,
@@ -24,12 +88,15 @@ class MetricsCollector extends EventEmitter {
       },
     };
 
-    // Circular buffer for samples
-    this.samples = new Array(this.config.historySize);
+    // Circular buffer for samples, one typed array per numeric field
+    this.ring = new SampleColumns(this.config.historySize);
     this.currentIndex = 0;
     this.sampleCount = 0;
     this.totalSamples = 0;
 
+    // Heap stats are only in some samples (slower cadence); keep the latest
+    this.latestHeap = null;
+
     // Cache for frequently accessed data
     this.cache = {
       latest: null,
@@ -42,6 +109,7 @@ class MetricsCollector extends EventEmitter {
       firstSampleTime: null,
       lastSampleTime: null,
       droppedSamples: 0,
+      droppedRollups: 0,
       validationErrors: 0,
       memoryWarnings: 0,
     };
@@ -56,6 +124,31 @@ class MetricsCollector extends EventEmitter {
 
     // Auto-cleanup timer
     this._startAutoCleanup();
+
+    // Coarser tiers of the history (10 s, 1 m, 1 h by default), so ranges
+    // longer than the ring buffer still have data; false disables them
+    this.rollups =
+      options.rollups === false
+        ? null
+        : new Rollups(Array.isArray(options.rollups) ? options.rollups : undefined, {
+            sampleInterval: this.config.sampleInterval,
+          });
+
+    // Anomalies of lag, ELU and memory against their learned baselines
+    // (AnomalyDetector options, or false to disable)
+    this.anomalyDetector =
+      options.anomalies === false
+        ? null
+        : new AnomalyDetector(typeof options.anomalies === "object" ? options.anomalies : {});
+
+    // Optional storage backend (e.g. FileStorage): every sample is also
+    // written there, recent history is reloaded from it now, and ranges older
+    // than the ring buffer are read back from it
+    this.storage = options.storage || null;
+    this.recoveredSamples = 0;
+    if (this.storage) {
+      this._openStorage();
+    }
   }
 
   addSample(sample) {
@@ -80,32 +173,18 @@ class MetricsCollector extends EventEmitter {
         }
       }
 
-      // Check memory limits
-      if (this._shouldTriggerCleanup()) {
-        this._performCleanup();
-      }
+      this._store(sample);
 
-      // Add to circular buffer
-      this.samples[this.currentIndex] = Object.freeze(sample);
-      this.currentIndex = (this.currentIndex + 1) % this.config.historySize;
+      // Keep the history within maxMemoryMB
+      this._enforceMemoryBudget();
 
-      // Update counters
-      if (this.sampleCount < this.config.historySize) {
-        this.sampleCount++;
+      if (this.anomalyDetector) {
+        this._detectAnomalies(sample);
       }
-      this.totalSamples++;
 
-      // Update statistics
-      if (!this.stats.firstSampleTime) {
-        this.stats.firstSampleTime = sample.timestamp;
+      if (this.storage) {
+        this._appendToStorage(sample);
       }
-      this.stats.lastSampleTime = sample.timestamp;
-
-      // Invalidate cache
-      this._invalidateCache();
-
-      // Update latest sample cache
-      this.cache.latest = sample;
 
       // Emit event if enabled
       if (this.config.enableEvents) {
@@ -133,6 +212,41 @@ class MetricsCollector extends EventEmitter {
     }
   }
 
+  /**
+   * Add a sample to the circular buffer
+   * @private
+   */
+  _store(sample) {
+    const frozen = Object.freeze(sample);
+    this.ring.write(this.currentIndex, frozen);
+    this.currentIndex = (this.currentIndex + 1) % this.ring.capacity;
+
+    // Update counters
+    if (this.sampleCount < this.ring.capacity) {
+      this.sampleCount++;
+    }
+    this.totalSamples++;
+
+    // Update statistics
+    if (!this.stats.firstSampleTime) {
+      this.stats.firstSampleTime = sample.timestamp;
+    }
+    this.stats.lastSampleTime = sample.timestamp;
+
+    if (this.rollups) {
+      this.rollups.add(sample);
+    }
+
+    // Invalidate cache
+    this._invalidateCache();
+
+    // Update latest sample cache
+    this.cache.latest = frozen;
+    if (sample.heap) {
+      this.latestHeap = { timestamp: sample.timestamp, ...sample.heap };
+    }
+  }
+
   getLatestSample() {
     if (this.cache.latest) {
       this.performance.cacheHits++;
@@ -145,77 +259,384 @@ class MetricsCollector extends EventEmitter {
       return null;
     }
 
-    const latestIndex =
-      this.currentIndex === 0 ? this.sampleCount - 1 : this.currentIndex - 1;
+    const latestIndex = (this.currentIndex - 1 + this.ring.capacity) % this.ring.capacity;
 
-    const latest = this.samples[latestIndex];
+    const latest = Object.freeze(this.ring.read(latestIndex));
     this.cache.latest = latest;
 
     return latest;
   }
 
+  /**
+   * Get samples, oldest first unless sortOrder is "desc"
+   * A range older than the ring buffer is read from the finest rollup tier
+   * that reaches back to its start (then finer tiers and raw samples up to
+   * now), or with a storage backend, from storage. `resolution` forces raw
+   * samples ("raw") or a tier by name.
+   * @param {number|Object} [countOrOptions] - Number of recent samples, or options
+   *   ({ count, duration, filter, startTime, endTime, sortOrder, resolution })
+   * @returns {Array} Samples (rollups have the same shape)
+   */
   getHistory(countOrOptions) {
-    this.performance.queriesExecuted++;
-
-    if (this.sampleCount === 0) {
-      return [];
-    }
-
     const options =
       typeof countOrOptions === "number"
         ? { count: countOrOptions }
         : countOrOptions || {};
 
-    const {
-      count,
-      duration,
-      filter,
-      startTime,
-      endTime,
-      sortOrder = "asc",
-    } = options;
+    const result = this._materialize(this._query(options).parts);
 
-    let requestedCount = count || this.sampleCount;
+    if (options.sortOrder === "desc") {
+      result.reverse();
+    }
 
-    if (duration) {
-      const _cutoffTime = Date.now() - duration;
-      requestedCount = this.sampleCount;
+    return result;
+  }
+
+  /**
+   * Rows for getHistory() options, oldest first, and the resolution they
+   * were read at
+   * Rows are parts of ring slots ({ store, slots }) or of samples read from
+   * rollups or storage ({ samples }).
+   * @private
+   */
+  _query(options) {
+    this.performance.queriesExecuted++;
+
+    const resolution = options.resolution || "auto";
+    let tier = null;
+    if (resolution === "auto") {
+      tier = this._selectTier(options);
+    } else if (resolution !== "raw") {
+      tier = this.rollups ? this.rollups.getTier(resolution) : null;
+      if (!tier) {
+        throw new Error(`Unknown resolution: ${resolution}`);
+      }
     }
 
-    requestedCount = Math.min(requestedCount, this.sampleCount);
+    if (!tier) {
+      return { parts: this._rawParts(options), resolution: "raw" };
+    }
+    return { parts: this._rollupParts(tier, options), resolution: tier.name };
+  }
 
-    let startIndex;
-    if (this.sampleCount < this.config.historySize) {
-      startIndex = Math.max(0, this.sampleCount - requestedCount);
-    } else {
-      startIndex =
-        (this.currentIndex - requestedCount + this.config.historySize) %
-        this.config.historySize;
+  /**
+   * Rollup tier for a range the ring buffer does not cover: the finest one
+   * reaching back to its start, else the one reaching back the furthest
+   * (storage, if any, fills in before it)
+   * @private
+   */
+  _selectTier(options) {
+    const start = this._rangeStart(options);
+    if (!this.rollups || start === null) {
+      return null;
     }
 
-    const result = [];
-    for (let i = 0; i < requestedCount; i++) {
-      const index = (startIndex + i) % this.config.historySize;
-      const sample = this.samples[index];
+    const oldest = this._oldestTimestamp();
+    if (start >= oldest) {
+      return null;
+    }
 
-      if (!sample) continue;
+    const tier = this.rollups.select(start);
+    if (tier) {
+      return tier;
+    }
 
-      if (startTime && sample.timestamp < startTime) continue;
-      if (endTime && sample.timestamp > endTime) continue;
-      if (duration && sample.timestamp < Date.now() - duration) continue;
+    const earliest = this.rollups.earliest();
+    return earliest && earliest.oldest() < oldest ? earliest : null;
+  }
 
-      if (filter && !filter(sample)) continue;
+  /**
+   * Start of the range of getHistory() options, or null for the most recent samples
+   * @private
+   */
+  _rangeStart(options) {
+    const starts = [];
+    if (options.startTime) {
+      starts.push(options.startTime);
+    }
+    if (options.duration) {
+      starts.push(Date.now() - options.duration);
+    }
+    return starts.length > 0 ? Math.max(...starts) : null;
+  }
 
-      result.push(sample);
+  /**
+   * Rollups of a tier for getHistory() options, continued with raw samples
+   * newer than the last rollup; with a storage backend, raw samples fill in
+   * the part of the range older than the tier
+   * @private
+   */
+  _rollupParts(tier, options) {
+    const { count, filter, endTime } = options;
+    const startTime = this._rangeStart(options);
+
+    const { samples, until } = this.rollups.read(tier, { startTime, endTime });
+    const slots = this._ringSlots({ ...options, count: undefined }).filter(
+      (slot) => until === null || this.ring.timestamps[slot] > until
+    );
+    const parts = [
+      { samples: filter ? samples.filter(filter) : samples },
+      { store: this.ring, slots },
+    ];
+
+    const coveredFrom = samples.length > 0 ? samples[0].rollup.from : tier.oldest();
+    if (this.storage && startTime !== null && coveredFrom !== null && startTime < coveredFrom) {
+      parts.unshift({ samples: this._readStorage(options, coveredFrom) });
     }
 
-    if (sortOrder === "desc") {
-      result.reverse();
+    return this._limit(parts, count);
+  }
+
+  /**
+   * Raw samples for getHistory() options: the ring buffer, and with a
+   * storage backend, the part of the range older than it
+   * @private
+   */
+  _rawParts(options) {
+    const parts = [{ store: this.ring, slots: this._ringSlots(options) }];
+
+    const start = this._rangeStart(options);
+    if (this.storage && start !== null) {
+      const oldest = this._oldestTimestamp();
+      if (start < oldest) {
+        parts.unshift({ samples: this._readStorage(options, oldest) });
+      }
+    }
+
+    return this._limit(parts, options.count);
+  }
+
+  /**
+   * Slots of the ring buffer matching getHistory() options, oldest first
+   * Times are compared on the timestamp column; only a filter materializes
+   * samples.
+   * @private
+   */
+  _ringSlots(options) {
+    const { count, duration, filter, startTime, endTime } = options;
+    const slots = [];
+    if (this.sampleCount === 0) {
+      return slots;
     }
 
+    // A duration scans the whole ring; the count then applies to the window
+    const requestedCount = duration
+      ? this.sampleCount
+      : Math.min(count || this.sampleCount, this.sampleCount);
+
+    const { capacity } = this.ring;
+    const startIndex = (this.currentIndex - requestedCount + capacity) % capacity;
+    const cutoff = duration ? Date.now() - duration : null;
+    const { timestamps } = this.ring;
+
+    for (let i = 0; i < requestedCount; i++) {
+      const slot = (startIndex + i) % capacity;
+      const timestamp = timestamps[slot];
+
+      if (startTime && timestamp < startTime) continue;
+      if (endTime && timestamp > endTime) continue;
+      if (cutoff !== null && timestamp < cutoff) continue;
+
+      if (filter && !filter(this.ring.read(slot))) continue;
+
+      slots.push(slot);
+    }
+
+    return slots;
+  }
+
+  /**
+   * Keep the last `count` rows of parts
+   * @private
+   */
+  _limit(parts, count) {
+    const total = parts.reduce((sum, part) => sum + (part.samples || part.slots).length, 0);
+    let excess = count ? total - count : 0;
+
+    return parts.map((part) => {
+      if (excess <= 0) {
+        return part;
+      }
+      const rows = part.samples || part.slots;
+      const drop = Math.min(excess, rows.length);
+      excess -= drop;
+      return part.samples
+        ? { samples: rows.slice(drop) }
+        : { store: part.store, slots: rows.slice(drop) };
+    });
+  }
+
+  /**
+   * Samples of parts, oldest first
+   * @private
+   */
+  _materialize(parts) {
+    const result = [];
+    parts.forEach((part) => {
+      if (part.samples) {
+        part.samples.forEach((sample) => result.push(sample));
+      } else {
+        part.slots.forEach((slot) => result.push(this._readSlot(slot)));
+      }
+    });
     return result;
   }
 
+  /**
+   * Sample of a ring slot, frozen like the one added
+   * @private
+   */
+  _readSlot(slot) {
+    const latestIndex = (this.currentIndex - 1 + this.ring.capacity) % this.ring.capacity;
+    if (slot === latestIndex && this.cache.latest) {
+      return this.cache.latest;
+    }
+    return Object.freeze(this.ring.read(slot));
+  }
+
+  /**
+   * Parts as columns: samples read from rollups or storage are written to
+   * columns of their own so every part is scanned the same way
+   * @private
+   */
+  _columnsOf(parts) {
+    return parts
+      .map((part) =>
+        part.samples
+          ? { store: SampleColumns.fromSamples(part.samples), slots: part.samples.map((_, i) => i) }
+          : part
+      )
+      .filter((part) => part.slots.length > 0);
+  }
+
+  /**
+   * Timestamp of the oldest sample in the ring buffer
+   * @private
+   */
+  _oldestTimestamp() {
+    if (this.sampleCount === 0) {
+      return Infinity;
+    }
+    const { capacity } = this.ring;
+    return this.ring.timestamps[(this.currentIndex - this.sampleCount + capacity) % capacity];
+  }
+
+  /**
+   * Samples of the storage backend matching getHistory() options, older
+   * than `before`: at most maxStorageRead, the most recent ones
+   * @private
+   */
+  _readStorage(options, before) {
+    const { duration, filter } = options;
+    const endTime = Math.min(options.endTime || Infinity, before - 1);
+    const count = Math.min(options.count || Infinity, this.config.maxStorageRead);
+
+    let samples;
+    try {
+      samples = this.storage.load({ startTime: this._rangeStart(options), endTime, count });
+    } catch (error) {
+      this._storageError("load", error);
+      return [];
+    }
+
+    return samples.filter(
+      (sample) =>
+        sample.timestamp < before &&
+        (!duration || sample.timestamp >= Date.now() - duration) &&
+        (!filter || filter(sample))
+    );
+  }
+
+  /**
+   * Open the storage backend and reload the most recent history from it
+   * @private
+   */
+  _openStorage() {
+    try {
+      this.storage.open();
+      if (typeof this.storage.on === "function") {
+        this.storage.on("error", (error) => this._storageError("flush", error));
+      }
+
+      if (this.config.historySize > 0) {
+        const recent = this.storage.load({ count: this.config.historySize });
+        recent.forEach((sample) => this._store(sample));
+        this.recoveredSamples = recent.length;
+      }
+    } catch (error) {
+      this._storageError("open", error);
+    }
+  }
+
+  /**
+   * Write a sample to the storage backend
+   * @private
+   */
+  _appendToStorage(sample) {
+    try {
+      this.storage.append(sample);
+    } catch (error) {
+      this._storageError("append", error);
+    }
+  }
+
+  /**
+   * Report a storage failure; the in-memory history is unaffected
+   * @private
+   */
+  _storageError(operation, error) {
+    console.error(`MetricsCollector: Storage ${operation} failed`, error);
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", {
+        operation: `storage:${operation}`,
+        error,
+        timestamp: Date.now(),
+      });
+    }
+  }
+
+  /**
+   * Write samples buffered by the storage backend
+   */
+  flush() {
+    if (!this.storage) {
+      return;
+    }
+    try {
+      this.storage.flush();
+    } catch (error) {
+      this._storageError("flush", error);
+    }
+  }
+
+  /**
+   * Get anomalies flagged by the anomaly detector, most recent last
+   * @param {Object} [options] - Filters ({ metric, since, count })
+   * @returns {Array} Anomalies (empty with anomaly detection disabled)
+   */
+  getAnomalies(options) {
+    return this.anomalyDetector ? this.anomalyDetector.getAnomalies(options) : [];
+  }
+
+  /**
+   * Run the anomaly detector over a new sample and announce anomalies that
+   * start or end with it
+   * @private
+   */
+  _detectAnomalies(sample) {
+    const { started, ended } = this.anomalyDetector.observe(sample);
+    ended.forEach((anomaly) => this.emit("anomaly-end", { ...anomaly }));
+    started.forEach((anomaly) => this.emit("anomaly-start", { ...anomaly }));
+  }
+
+  /**
+   * Get the latest V8 heap statistics
+   * @returns {Object|null} Heap stats ({ timestamp, spaces, code }) or null if none yet
+   */
+  getLatestHeapStats() {
+    return this.latestHeap;
+  }
+
   getAggregatedMetrics(durationOrWindow) {
     const _startTime = Date.now();
 
@@ -241,132 +662,216 @@ class MetricsCollector extends EventEmitter {
     }
 
     try {
-      const samples = duration
-        ? this.getHistory({ duration })
-        : this.getHistory();
+      // Windows longer than the ring buffer are aggregated from rollups
+      const { parts, resolution } = this._query(duration ? { duration } : {});
+      const rows = this._columnsOf(parts);
 
-      if (samples.length === 0) {
+      if (rows.length === 0) {
         return null;
       }
 
-      const values = {
-        lag: {
-          min: [],
-          max: [],
-          mean: [],
-          stddev: [],
-          p50: [],
-          p90: [],
-          p95: [],
-          p99: [],
-          p999: [],
-        },
-        elu: {
-          utilization: [],
-          active: [],
-          idle: [],
-        },
-        memory: {
-          heapUsed: [],
-          heapTotal: [],
-          rss: [],
-          external: [],
-        },
-        cpu: {
-          user: [],
-          system: [],
-          total: [],
-        },
-        requests: {
-          count: [],
-          totalTime: [],
-          avgTime: [],
-        },
-        handles: {
-          active: [],
-          requests: [],
-          total: [],
-        },
-      };
-
-      samples.forEach((sample) => {
-        if (sample.lag) {
-          values.lag.min.push(sample.lag.min);
-          values.lag.max.push(sample.lag.max);
-          values.lag.mean.push(sample.lag.mean);
-          values.lag.stddev.push(sample.lag.stddev || 0);
-          values.lag.p50.push(sample.lag.p50);
-          values.lag.p90.push(sample.lag.p90 || 0);
-          values.lag.p95.push(sample.lag.p95);
-          values.lag.p99.push(sample.lag.p99);
-          values.lag.p999.push(sample.lag.p999 || 0);
-        }
-
-        if (sample.elu) {
-          values.elu.utilization.push(sample.elu.utilization);
-          values.elu.active.push(sample.elu.active);
-          values.elu.idle.push(sample.elu.idle);
-        }
+      // Each group is read from its columns, for the samples that have it,
+      // with samples weighted by the time they covered (adaptive sampling)
+      const lag = this._series(rows, "lag", ["min", "max", "mean", "p50", "p95", "p99"]);
+      const elu = this._series(rows, "elu", ["utilization", "active", "idle"]);
+      const memory = this._series(rows, "memory", ["heapUsed", "heapTotal", "rss"]);
+      const requestSeries = this._series(rows, "requests", [
+        "count",
+        "avgTime",
+        "inFlight",
+        "maxInFlight",
+      ]);
+      const gc = this._series(rows, "gc", ["count", "totalPause", "maxPause"]);
+      const threadpool = this._series(rows, "threadpool", ["latency"]);
+      const systemCounters = this._fieldsOf(rows, "system").filter((field) => field !== "maxRSS");
+      const system = this._series(rows, "system", [...systemCounters, "maxRSS"]);
+      const counters = Object.fromEntries(systemCounters.map((field) => [field, system[field]]));
+
+      let maxInFlight = 0;
+      requestSeries.maxInFlight.forEach((value) => {
+        maxInFlight = Math.max(maxInFlight, value);
+      });
 
-        if (sample.memory) {
-          values.memory.heapUsed.push(sample.memory.heapUsed || 0);
-          values.memory.heapTotal.push(sample.memory.heapTotal || 0);
-          values.memory.rss.push(sample.memory.rss || 0);
-          values.memory.external.push(sample.memory.external || 0);
+      // Window totals per kind
+      const gcByKind = {};
+      GC_KINDS.forEach((kind) => {
+        const kindSeries = this._series(rows, `gc.byKind.${kind}`, ["count", "totalPause", "maxPause"]);
+        if (kindSeries.weights.length > 0) {
+          gcByKind[kind] = { count: 0, totalPause: 0, maxPause: 0 };
+          for (let i = 0; i < kindSeries.weights.length; i++) {
+            gcByKind[kind].count += kindSeries.count[i];
+            gcByKind[kind].totalPause += kindSeries.totalPause[i];
+            gcByKind[kind].maxPause = Math.max(gcByKind[kind].maxPause, kindSeries.maxPause[i]);
+          }
         }
+      });
 
-        if (sample.cpu) {
-          values.cpu.user.push(sample.cpu.user || 0);
-          values.cpu.system.push(sample.cpu.system || 0);
-          values.cpu.total.push(sample.cpu.total || 0);
-        }
+      // Histograms, routes, heap stats and custom metrics are kept as sampled
+      const extras = [];
+      const heap = { spaces: {}, code: {}, weights: [] };
+      const custom = {};
+      rows.forEach(({ store, slots }) => {
+        slots.forEach((slot) => {
+          const sample = store.extrasOf(slot);
+          if (!sample) {
+            return;
+          }
+          extras.push(sample);
+          const weight = this._slotWeight(store, slot);
+
+          if (sample.gc && sample.gc.byKind) {
+            Object.entries(sample.gc.byKind).forEach(([kind, stats]) => {
+              if (GC_KINDS.includes(kind)) {
+                return;
+              }
+              if (!gcByKind[kind]) {
+                gcByKind[kind] = { count: 0, totalPause: 0, maxPause: 0 };
+              }
+              const totals = gcByKind[kind];
+              totals.count += stats.count || 0;
+              totals.totalPause += stats.totalPause || 0;
+              totals.maxPause = Math.max(totals.maxPause, stats.maxPause || 0);
+            });
+          }
+
+          if (sample.heap) {
+            heap.weights.push(weight);
+            Object.entries(sample.heap.spaces || {}).forEach(([space, stats]) => {
+              if (!heap.spaces[space]) {
+                heap.spaces[space] = [];
+              }
+              heap.spaces[space].push(stats.used);
+            });
+            Object.entries(sample.heap.code || {}).forEach(([type, size]) => {
+              if (!heap.code[type]) {
+                heap.code[type] = [];
+              }
+              heap.code[type].push(size);
+            });
+          }
+
+          if (sample.custom) {
+            Object.entries(sample.custom).forEach(([name, metric]) => {
+              if (!custom[name]) {
+                custom[name] = { type: metric.type, values: [], weights: [], total: null };
+              }
+              const entry = custom[name];
+
+              // Counters are charted as their increase per sample
+              const value = metric.type === "counter" ? metric.delta : metric.value;
+              if (value !== null && value !== undefined) {
+                entry.values.push(value);
+                entry.weights.push(weight);
+              }
+              if (metric.type === "counter") {
+                entry.total = metric.value;
+              }
+            });
+          }
+        });
+      });
 
-        if (sample.requests) {
-          values.requests.count.push(sample.requests.count || 0);
-          values.requests.totalTime.push(sample.requests.totalTime || 0);
-          values.requests.avgTime.push(sample.requests.avgTime || 0);
-        }
+      // Percentiles of every delay measured in the window, as opposed to the
+      // statistics of per-sample percentiles below
+      const lagHistogram = mergeLagHistograms(extras);
+      const threadpoolHistogram = mergeThreadpoolHistograms(extras);
+      // Counts are in columns; extras hold what the breakdowns are merged from
+      const requests = mergeRequestMetrics(extras.map((sample) => sample.requests)) || {
+        byMethod: {},
+        byStatus: {},
+        routes: [],
+      };
+      const requestWindow = this._sum(requestSeries.weights);
+      const operations = mergeOperations(extras.map((sample) => sample.operations));
 
-        if (sample.handles) {
-          values.handles.active.push(sample.handles.active || 0);
-          values.handles.requests.push(sample.handles.requests || 0);
-          values.handles.total.push(sample.handles.total || 0);
-        }
-      });
+      const first = rows[0];
+      const last = rows[rows.length - 1];
+      const firstRollup = (first.store.extrasOf(first.slots[0]) || {}).rollup;
+      const start = firstRollup ? firstRollup.from : first.store.timestamps[first.slots[0]];
+      const end = last.store.timestamps[last.slots[last.slots.length - 1]];
 
       const result = {
         timeWindow: {
-          start: samples[0].timestamp,
-          end: samples[samples.length - 1].timestamp,
-          duration: samples[samples.length - 1].timestamp - samples[0].timestamp,
-          sampleCount: samples.length,
+          start,
+          end,
+          duration: end - start,
+          sampleCount: rows.reduce((acc, { slots }) => acc + slots.length, 0),
+          resolution,
         },
         lag: {
-          min: this._calculateComprehensiveStats(values.lag.min),
-          max: this._calculateComprehensiveStats(values.lag.max),
-          mean: this._calculateComprehensiveStats(values.lag.mean),
-          p50: this._calculateComprehensiveStats(values.lag.p50),
-          p95: this._calculateComprehensiveStats(values.lag.p95),
-          p99: this._calculateComprehensiveStats(values.lag.p99),
+          min: this._calculateComprehensiveStats(lag.min, lag.weights),
+          max: this._calculateComprehensiveStats(lag.max, lag.weights),
+          mean: this._calculateComprehensiveStats(lag.mean, lag.weights),
+          // Deprecated: stats of per-sample percentiles, kept for compatibility
+          // (the window's percentiles are in distribution)
+          p50: this._calculateComprehensiveStats(lag.p50, lag.weights),
+          p95: this._calculateComprehensiveStats(lag.p95, lag.weights),
+          p99: this._calculateComprehensiveStats(lag.p99, lag.weights),
+          distribution: lagHistogram ? lagHistogram.summary() : null,
         },
         elu: {
-          utilization: this._calculateComprehensiveStats(values.elu.utilization),
-          active: this._calculateComprehensiveStats(values.elu.active),
-          idle: this._calculateComprehensiveStats(values.elu.idle),
+          utilization: this._calculateComprehensiveStats(elu.utilization, elu.weights),
+          active: this._calculateComprehensiveStats(elu.active, elu.weights),
+          idle: this._calculateComprehensiveStats(elu.idle, elu.weights),
         },
-        memory: values.memory.heapUsed.length > 0 ? {
-          heapUsed: this._calculateComprehensiveStats(values.memory.heapUsed),
-          heapTotal: this._calculateComprehensiveStats(values.memory.heapTotal),
-          rss: this._calculateComprehensiveStats(values.memory.rss),
+        memory: memory.weights.length > 0 ? {
+          heapUsed: this._calculateComprehensiveStats(memory.heapUsed, memory.weights),
+          heapTotal: this._calculateComprehensiveStats(memory.heapTotal, memory.weights),
+          rss: this._calculateComprehensiveStats(memory.rss, memory.weights),
+        } : null,
+        requests: requestSeries.weights.length > 0 ? {
+          count: this._calculateComprehensiveStats(requestSeries.count, requestSeries.weights),
+          avgTime: this._calculateComprehensiveStats(requestSeries.avgTime, requestSeries.weights),
+          // Requests per second over the window, whatever the sample intervals
+          rate: this._ratePerSecond(requestSeries.count, requestSeries.weights),
+          // Latency of every request in the window
+          latency: requests.histogram ? Histogram.fromJSON(requests.histogram).summary() : null,
+          inFlight: this._calculateComprehensiveStats(requestSeries.inFlight, requestSeries.weights),
+          maxInFlight,
+          // Window totals
+          byMethod: requests.byMethod,
+          byStatus: requests.byStatus,
+          // Slowest routes (p99) first
+          routes: summarizeRoutes(requests.routes, requestWindow),
+        } : null,
+        gc: gc.weights.length > 0 ? {
+          count: this._calculateComprehensiveStats(gc.count, gc.weights),
+          totalPause: this._calculateComprehensiveStats(gc.totalPause, gc.weights),
+          maxPause: this._calculateComprehensiveStats(gc.maxPause, gc.weights),
+          // Window totals per kind (the per-sample stats above are for charts)
+          byKind: gcByKind,
+        } : null,
+        // Used bytes per space and code sizes, from the samples with heap stats
+        heap: heap.weights.length > 0 ? {
+          spaces: this._mapStats(heap.spaces, heap.weights),
+          code: this._mapStats(heap.code, heap.weights),
         } : null,
-        requests: values.requests.count.length > 0 ? {
-          count: this._calculateComprehensiveStats(values.requests.count),
-          avgTime: this._calculateComprehensiveStats(values.requests.avgTime),
+        // Deltas per sample from process.resourceUsage(), and rates over the window
+        system: system.weights.length > 0 ? {
+          ...this._mapStats(counters, system.weights),
+          maxRSS: this._calculateComprehensiveStats(system.maxRSS, system.weights),
+          ratePerSecond: Object.fromEntries(
+            Object.entries(counters).map(([field, counts]) => [
+              field,
+              this._ratePerSecond(counts, system.weights),
+            ])
+          ),
         } : null,
+        // Latency per sample, and the distribution of every probe in the window
+        threadpool: threadpool.weights.length > 0 ? {
+          latency: this._calculateComprehensiveStats(threadpool.latency, threadpool.weights),
+          distribution: threadpoolHistogram ? threadpoolHistogram.summary() : null,
+        } : null,
+        // Measured operations, most loop time first
+        operations: operations ? rankOperations(operations, this._sum(lag.weights)) : null,
+        custom: Object.keys(custom).length > 0
+          ? this._aggregateCustomMetrics(custom)
+          : null,
       };
 
       this.cache.aggregated.set(cacheKey, {
         data: result,
+        bytes: estimateBytes(result),
         timestamp: Date.now(),
       });
 
@@ -377,13 +882,50 @@ class MetricsCollector extends EventEmitter {
     }
   }
 
-  _calculateComprehensiveStats(values) {
+  /**
+   * Stats per custom metric: gauge values, or counter increases per sample
+   * plus the latest total
+   * @private
+   */
+  _aggregateCustomMetrics(custom) {
+    const result = {};
+    Object.entries(custom).forEach(([name, entry]) => {
+      result[name] = {
+        type: entry.type,
+        ...this._calculateComprehensiveStats(entry.values, entry.weights),
+      };
+      if (entry.type === "counter") {
+        result[name].total = entry.total;
+        result[name].increase = entry.values.reduce((acc, v) => acc + v, 0);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Stats for each named series
+   * @private
+   */
+  _mapStats(series, weights) {
+    const result = {};
+    Object.entries(series).forEach(([name, values]) => {
+      result[name] = this._calculateComprehensiveStats(values, weights);
+    });
+    return result;
+  }
+
+  _calculateComprehensiveStats(values, weights) {
     if (!values || values.length === 0) {
       return { min: 0, max: 0, mean: 0, median: 0 };
     }
 
-    const sorted = [...values].sort((a, b) => a - b);
-    const sum = sorted.reduce((acc, val) => acc + val, 0);
+    // Equal weights (fixed interval) give the plain stats
+    if (weights && weights.some((w) => w !== weights[0])) {
+      return this._calculateWeightedStats(values, weights);
+    }
+
+    const sorted = new Float64Array(values).sort();
+    const sum = this._sum(sorted);
 
     return {
       min: sorted[0],
@@ -393,42 +935,333 @@ class MetricsCollector extends EventEmitter {
     };
   }
 
-  getTimeSeries(metric, count) {
-    const samples = this.getHistory(count);
+  /**
+   * Stats where each value counts in proportion to its weight
+   * (the time its sample covered)
+   * @private
+   */
+  _calculateWeightedStats(values, weights) {
+    let totalWeight = 0;
+    let weightedSum = 0;
+    for (let i = 0; i < values.length; i++) {
+      totalWeight += weights[i];
+      weightedSum += values[i] * weights[i];
+    }
 
-    if (samples.length === 0) {
-      return [];
+    let min = values[0];
+    let max = values[0];
+    for (let i = 1; i < values.length; i++) {
+      if (values[i] < min) min = values[i];
+      if (values[i] > max) max = values[i];
     }
 
+    return {
+      min,
+      max,
+      mean: weightedSum / totalWeight,
+      // Smallest value with half the weight at or below it
+      median: selectWeighted(
+        new Float64Array(values),
+        new Float64Array(weights),
+        totalWeight / 2
+      ),
+    };
+  }
+
+  /**
+   * Total of per-sample counts divided by the time they covered
+   * @private
+   */
+  _ratePerSecond(counts, weights) {
+    const total = this._sum(counts);
+    const duration = this._sum(weights);
+    return duration > 0 ? (total / duration) * 1000 : 0;
+  }
+
+  /**
+   * Sum of an array or typed array
+   * @private
+   */
+  _sum(values) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+    }
+    return sum;
+  }
+
+  /**
+   * Fields of a group read from columns, for the rows whose sample has the
+   * group, along with their weights
+   * @param {Array} rows - Parts of slots ({ store, slots })
+   * @param {string} group - Group path ("lag", "gc.byKind.major", ...)
+   * @param {Array<string>} fields - Field names
+   * @returns {Object} A Float64Array per field (0 where a sample lacks it) and `weights`
+   * @private
+   */
+  _series(rows, group, fields) {
+    const present = rows.map(({ store, slots }) => ({ store, slots: store.slotsWith(slots, group) }));
+    const length = present.reduce((acc, { slots }) => acc + slots.length, 0);
+
+    const series = { weights: new Float64Array(length) };
+    fields.forEach((field) => {
+      series[field] = new Float64Array(length);
+    });
+
+    let offset = 0;
+    present.forEach(({ store, slots }) => {
+      for (let i = 0; i < slots.length; i++) {
+        const interval = store.intervals[slots[i]];
+        series.weights[offset + i] = interval > 0 ? interval : this.config.sampleInterval;
+      }
+      fields.forEach((field) => {
+        const column = store.column(`${group}.${field}`);
+        const values = series[field];
+        for (let i = 0; i < slots.length; i++) {
+          const value = column ? column[slots[i]] : NaN;
+          // Fields outside the schema (e.g. other resourceUsage counters) are extras
+          values[offset + i] = Number.isNaN(value)
+            ? this._extraNumber(store.extrasOf(slots[i]), `${group}.${field}`)
+            : value;
+        }
+      });
+      offset += slots.length;
+    });
+
+    return series;
+  }
+
+  /**
+   * Names of the fields any row has in a group, from columns and extras
+   * @private
+   */
+  _fieldsOf(rows, group) {
+    const prefix = `${group}.`;
+    const fields = new Set();
+
+    rows.forEach(({ store, slots }) => {
+      store.columns.forEach((column, path) => {
+        const field = path.slice(prefix.length);
+        if (
+          path.startsWith(prefix) &&
+          !field.includes(".") &&
+          slots.some((slot) => !Number.isNaN(column[slot]))
+        ) {
+          fields.add(field);
+        }
+      });
+      slots.forEach((slot) => {
+        const extras = store.extrasOf(slot);
+        if (extras && extras[group] && typeof extras[group] === "object") {
+          Object.keys(extras[group]).forEach((field) => fields.add(field));
+        }
+      });
+    });
+
+    return Array.from(fields);
+  }
+
+  /**
+   * Number at a path of a slot's extras, or 0
+   * @private
+   */
+  _extraNumber(extras, path) {
+    const value = path
+      .split(".")
+      .reduce((object, key) => (object && typeof object === "object" ? object[key] : undefined), extras);
+    return typeof value === "number" ? value : 0;
+  }
+
+  /**
+   * Time a slot's sample covered (ms), used to weight it
+   * @private
+   */
+  _slotWeight(store, slot) {
+    const interval = store.intervals[slot];
+    return interval > 0 ? interval : this.config.sampleInterval;
+  }
+
+  /**
+   * Get one metric per sample, for charts
+   * Points are read from the columns; samples are not materialized.
+   * @param {string} metric - Metric name ("lag", "elu", "requests", ...)
+   * @param {number|Object} [countOrOptions] - Number of recent samples, or getHistory() options
+   * @returns {Array} Points ({ timestamp, interval, ...values })
+   */
+  getTimeSeries(metric, countOrOptions) {
+    const options =
+      typeof countOrOptions === "number"
+        ? { count: countOrOptions }
+        : countOrOptions || {};
+    const rows = this._columnsOf(this._query(options).parts);
+
+    const points = [];
+    rows.forEach(({ store, slots }) => {
+      const point = this._pointReader(metric, store);
+      if (!point) {
+        return;
+      }
+      for (let i = 0; i < slots.length; i++) {
+        const value = point(slots[i]);
+        if (value) {
+          points.push(value);
+        }
+      }
+    });
+
+    if (options.sortOrder === "desc") {
+      points.reverse();
+    }
+
+    return points;
+  }
+
+  /**
+   * Function reading the time series point of a metric from a slot of a
+   * store (null for slots without the metric), or null for unknown metrics
+   * @private
+   */
+  _pointReader(metric, store) {
+    const { timestamps } = store;
+    const weight = (slot) => this._slotWeight(store, slot);
+    const extra = (slot, name) => (store.extrasOf(slot) || {})[name];
+    // Columns of the fields of a group, read with `at` (undefined where absent)
+    const columns = (group, fields) => fields.map((field) => store.column(`${group}.${field}`));
+    const at = (column, slot) =>
+      column && !Number.isNaN(column[slot]) ? column[slot] : undefined;
+
     switch (metric) {
-      case "lag":
-        return samples.map((s) => ({
-          timestamp: s.timestamp,
-          min: s.lag.min,
-          max: s.lag.max,
-          mean: s.lag.mean,
-          p50: s.lag.p50,
-          p95: s.lag.p95,
-          p99: s.lag.p99,
-        }));
-
-      case "elu":
-        return samples.map((s) => ({
-          timestamp: s.timestamp,
-          utilization: s.elu.utilization,
-          active: s.elu.active,
-          idle: s.elu.idle,
-        }));
-
-      case "requests":
-        return samples.map((s) => ({
-          timestamp: s.timestamp,
-          count: s.requests?.count || 0,
-          avgTime: s.requests?.avgTime || 0,
-        }));
+      case "lag": {
+        const [min, max, mean, p50, p95, p99] = columns("lag", ["min", "max", "mean", "p50", "p95", "p99"]);
+        return (slot) => ({
+          timestamp: timestamps[slot],
+          interval: weight(slot),
+          min: at(min, slot),
+          max: at(max, slot),
+          mean: at(mean, slot),
+          p50: at(p50, slot),
+          p95: at(p95, slot),
+          p99: at(p99, slot),
+        });
+      }
+
+      case "elu": {
+        const [utilization, active, idle] = columns("elu", ["utilization", "active", "idle"]);
+        return (slot) => ({
+          timestamp: timestamps[slot],
+          interval: weight(slot),
+          utilization: at(utilization, slot),
+          active: at(active, slot),
+          idle: at(idle, slot),
+        });
+      }
+
+      case "requests": {
+        const [count, avgTime, p50, p95, p99, inFlight] = columns("requests", [
+          "count",
+          "avgTime",
+          "p50",
+          "p95",
+          "p99",
+          "inFlight",
+        ]);
+        return (slot) => ({
+          timestamp: timestamps[slot],
+          interval: weight(slot),
+          count: at(count, slot) || 0,
+          rate: ((at(count, slot) || 0) / weight(slot)) * 1000,
+          avgTime: at(avgTime, slot) || 0,
+          p50: at(p50, slot) || 0,
+          p95: at(p95, slot) || 0,
+          p99: at(p99, slot) || 0,
+          inFlight: at(inFlight, slot) || 0,
+        });
+      }
+
+      case "operations":
+        return (slot) => ({
+          timestamp: timestamps[slot],
+          interval: weight(slot),
+          ...Object.fromEntries(
+            Object.entries(extra(slot, "operations") || {}).map(([name, stats]) => [
+              name,
+              stats.totalTime,
+            ])
+          ),
+        });
+
+      case "custom":
+        return (slot) => ({
+          timestamp: timestamps[slot],
+          interval: weight(slot),
+          ...Object.fromEntries(
+            Object.entries(extra(slot, "custom") || {}).map(([name, value]) => [
+              name,
+              value.type === "counter" ? value.delta : value.value,
+            ])
+          ),
+        });
+
+      case "heap":
+        return (slot) => {
+          const heap = extra(slot, "heap");
+          return heap
+            ? {
+                timestamp: timestamps[slot],
+                ...Object.fromEntries(
+                  Object.entries(heap.spaces || {}).map(([space, stats]) => [space, stats.used])
+                ),
+              }
+            : null;
+        };
+
+      case "system":
+        return (slot) =>
+          store.has(slot, "system")
+            ? { timestamp: timestamps[slot], interval: weight(slot), ...store.group(slot, "system") }
+            : null;
+
+      case "threadpool": {
+        const [latency, count, pendingFor, p50, p99] = columns("threadpool", [
+          "latency",
+          "count",
+          "pendingFor",
+          "p50",
+          "p99",
+        ]);
+        return (slot) =>
+          store.has(slot, "threadpool")
+            ? {
+                timestamp: timestamps[slot],
+                interval: weight(slot),
+                latency: at(latency, slot),
+                count: at(count, slot),
+                pendingFor: at(pendingFor, slot),
+                p50: at(p50, slot),
+                p99: at(p99, slot),
+              }
+            : null;
+      }
+
+      case "resources":
+        return (slot) => ({
+          timestamp: timestamps[slot],
+          ...((extra(slot, "handles") || {}).byType || {}),
+        });
+
+      case "gc": {
+        const [count, totalPause, maxPause] = columns("gc", ["count", "totalPause", "maxPause"]);
+        return (slot) => ({
+          timestamp: timestamps[slot],
+          interval: weight(slot),
+          count: at(count, slot) || 0,
+          totalPause: at(totalPause, slot) || 0,
+          maxPause: at(maxPause, slot) || 0,
+        });
+      }
 
       default:
-        return [];
+        return null;
     }
   }
 
@@ -496,10 +1329,23 @@ class MetricsCollector extends EventEmitter {
     }
   }
 
+  // Samples already written to the storage backend are kept
   reset(keepStats = false) {
-    this.samples = new Array(this.config.historySize);
+    if (this.ring.capacity === this.config.historySize) {
+      this.ring.clear();
+    } else {
+      // Shrunk under memory pressure
+      this.ring = new SampleColumns(this.config.historySize);
+    }
     this.currentIndex = 0;
     this.sampleCount = 0;
+    this.latestHeap = null;
+    if (this.rollups) {
+      this.rollups.clear();
+    }
+    if (this.anomalyDetector) {
+      this.anomalyDetector.reset();
+    }
 
     if (!keepStats) {
       this.totalSamples = 0;
@@ -507,6 +1353,7 @@ class MetricsCollector extends EventEmitter {
         firstSampleTime: null,
         lastSampleTime: null,
         droppedSamples: 0,
+        droppedRollups: 0,
         validationErrors: 0,
         memoryWarnings: 0,
       };
@@ -522,17 +1369,21 @@ class MetricsCollector extends EventEmitter {
 
   getStats() {
     const memoryUsage = this._estimateMemoryUsage();
+    const memoryLimit = this.config.maxMemoryMB * 1024 * 1024;
 
     return {
       historySize: this.config.historySize,
+      // Below historySize while shrunk under memory pressure
+      capacity: this.ring.capacity,
       sampleCount: this.sampleCount,
       totalSamples: this.totalSamples,
       currentIndex: this.currentIndex,
       memoryUsage: memoryUsage.formatted,
       memoryUsageBytes: memoryUsage.bytes,
-      memoryLimit: this.config.maxMemoryMB * 1024 * 1024,
-      memoryUtilization:
-        (memoryUsage.bytes / (this.config.maxMemoryMB * 1024 * 1024)) * 100,
+      memoryLimit,
+      // 0 without a budget (maxMemoryMB: 0)
+      memoryUtilization: memoryLimit > 0 ? (memoryUsage.bytes / memoryLimit) * 100 : 0,
+      memoryBreakdown: memoryUsage.breakdown,
       firstSampleTime: this.stats.firstSampleTime,
       lastSampleTime: this.stats.lastSampleTime,
       timeSpan:
@@ -540,6 +1391,7 @@ class MetricsCollector extends EventEmitter {
           ? this.stats.lastSampleTime - this.stats.firstSampleTime
           : 0,
       droppedSamples: this.stats.droppedSamples,
+      droppedRollups: this.stats.droppedRollups,
       validationErrors: this.stats.validationErrors,
       memoryWarnings: this.stats.memoryWarnings,
       cacheHitRate:
@@ -551,6 +1403,13 @@ class MetricsCollector extends EventEmitter {
             ).toFixed(2) + "%"
           : "N/A",
       queriesExecuted: this.performance.queriesExecuted,
+      recoveredSamples: this.recoveredSamples,
+      // Rollups kept per tier
+      rollups: this.rollups ? this.rollups.getStats() : null,
+      storage:
+        this.storage && typeof this.storage.getStats === "function"
+          ? this.storage.getStats()
+          : null,
     };
   }
 
@@ -566,6 +1425,13 @@ class MetricsCollector extends EventEmitter {
       errors.push("timestamp must be a number");
     }
 
+    if (
+      sample.interval !== undefined &&
+      (typeof sample.interval !== "number" || !(sample.interval >= 0))
+    ) {
+      errors.push("interval must be a non-negative number");
+    }
+
     if (sample.lag) {
       if (typeof sample.lag.min !== "number") errors.push("lag.min must be a number");
       if (typeof sample.lag.max !== "number") errors.push("lag.max must be a number");
@@ -573,6 +1439,18 @@ class MetricsCollector extends EventEmitter {
       if (typeof sample.lag.p50 !== "number") errors.push("lag.p50 must be a number");
       if (typeof sample.lag.p95 !== "number") errors.push("lag.p95 must be a number");
       if (typeof sample.lag.p99 !== "number") errors.push("lag.p99 must be a number");
+      if (sample.lag.histogram !== undefined) {
+        const histogram = sample.lag.histogram;
+        if (
+          !histogram ||
+          typeof histogram.precision !== "number" ||
+          typeof histogram.count !== "number" ||
+          !histogram.counts ||
+          typeof histogram.counts !== "object"
+        ) {
+          errors.push("lag.histogram must have precision, count and counts");
+        }
+      }
     }
 
     if (sample.elu) {
@@ -588,6 +1466,99 @@ class MetricsCollector extends EventEmitter {
       }
     }
 
+    if (sample.handles && sample.handles.byType !== undefined) {
+      const byType = sample.handles.byType;
+      if (!byType || typeof byType !== "object") {
+        errors.push("handles.byType must be an object");
+      } else {
+        Object.entries(byType).forEach(([type, count]) => {
+          if (!Number.isInteger(count) || count < 0) {
+            errors.push(`handles.byType.${type} must be a non-negative integer`);
+          }
+        });
+      }
+    }
+
+    if (sample.heap !== undefined) {
+      if (!sample.heap || typeof sample.heap.spaces !== "object" || !sample.heap.spaces) {
+        errors.push("heap.spaces must be an object");
+      } else {
+        Object.entries(sample.heap.spaces).forEach(([space, stats]) => {
+          if (!stats || typeof stats.used !== "number" || typeof stats.size !== "number") {
+            errors.push(`heap.spaces.${space} must have numeric size and used`);
+          }
+        });
+      }
+    }
+
+    if (sample.system !== undefined) {
+      if (!sample.system || typeof sample.system !== "object") {
+        errors.push("system must be an object");
+      } else {
+        Object.entries(sample.system).forEach(([field, value]) => {
+          if (typeof value !== "number" || !(value >= 0)) {
+            errors.push(`system.${field} must be a non-negative number`);
+          }
+        });
+      }
+    }
+
+    if (sample.requests !== undefined) {
+      if (!sample.requests || typeof sample.requests !== "object") {
+        errors.push("requests must be an object");
+      } else if (sample.requests.routes !== undefined && !Array.isArray(sample.requests.routes)) {
+        errors.push("requests.routes must be an array");
+      }
+    }
+
+    if (sample.threadpool !== undefined) {
+      if (
+        !sample.threadpool ||
+        typeof sample.threadpool.latency !== "number" ||
+        !(sample.threadpool.latency >= 0)
+      ) {
+        errors.push("threadpool.latency must be a non-negative number");
+      }
+    }
+
+    if (sample.operations !== undefined) {
+      if (!sample.operations || typeof sample.operations !== "object") {
+        errors.push("operations must be an object");
+      } else {
+        Object.entries(sample.operations).forEach(([name, stats]) => {
+          if (!stats || typeof stats.count !== "number" || typeof stats.totalTime !== "number") {
+            errors.push(`operations.${name} must have a numeric count and totalTime`);
+          }
+        });
+      }
+    }
+
+    if (sample.custom !== undefined) {
+      if (!sample.custom || typeof sample.custom !== "object") {
+        errors.push("custom must be an object");
+      } else {
+        Object.entries(sample.custom).forEach(([name, metric]) => {
+          if (!metric || (metric.type !== "gauge" && metric.type !== "counter")) {
+            errors.push(`custom.${name}.type must be "gauge" or "counter"`);
+            return;
+          }
+          // Gauges that failed to read are recorded as null
+          const validValue =
+            (metric.type === "gauge" && metric.value === null) ||
+            (typeof metric.value === "number" && Number.isFinite(metric.value));
+          if (!validValue) {
+            errors.push(`custom.${name}.value must be a finite number`);
+          }
+          if (
+            metric.type === "counter" &&
+            (typeof metric.delta !== "number" || metric.delta < 0)
+          ) {
+            errors.push(`custom.${name}.delta must be a non-negative number`);
+          }
+        });
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors,
@@ -648,15 +1619,27 @@ class MetricsCollector extends EventEmitter {
     return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
   }
 
+  /**
+   * Estimated memory held: the ring buffer (columns, allocated for every
+   * slot, and the histograms, routes and the like of each sample), rollups
+   * and cached aggregates
+   * @private
+   */
   _estimateMemoryUsage() {
-    const bytesPerSample = 500;
-    const samplesBytes = this.sampleCount * bytesPerSample;
-    const cacheBytes = this.cache.aggregated.size * 1000;
-    const totalBytes = samplesBytes + cacheBytes;
+    const breakdown = {
+      samples: Math.round(this.ring.byteLength + this.ring.extrasBytes),
+      rollups: this.rollups ? Math.round(this.rollups.byteLength) : 0,
+      cache: 0,
+    };
+    this.cache.aggregated.forEach((entry) => {
+      breakdown.cache += entry.bytes;
+    });
+    const totalBytes = breakdown.samples + breakdown.rollups + breakdown.cache;
 
     return {
       bytes: totalBytes,
       formatted: this._formatBytes(totalBytes),
+      breakdown,
     };
   }
 
@@ -666,14 +1649,108 @@ class MetricsCollector extends EventEmitter {
     return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
   }
 
-  _shouldTriggerCleanup() {
-    const memory = this._estimateMemoryUsage();
-    return memory.bytes > this.config.maxMemoryMB * 1024 * 1024 * 0.9;
-  }
+  /**
+   * Keep the estimated memory within maxMemoryMB
+   * Over budget, cached aggregates go first, then the oldest raw samples
+   * (rollups still cover their range, at a coarser resolution). When the
+   * columns alone do not fit, the ring buffer shrinks to the samples that
+   * do; the oldest rollups are dropped last. Usage is trimmed to 90% of the
+   * budget, so that a full history is not trimmed again on every sample. The
+   * ring grows back toward historySize once there is room again.
+   * @private
+   */
+  _enforceMemoryBudget() {
+    if (!(this.config.maxMemoryMB > 0)) {
+      return;
+    }
 
-  _performCleanup() {
+    const limit = this.config.maxMemoryMB * 1024 * 1024;
+    const usage = this._estimateMemoryUsage();
+    if (usage.bytes <= limit) {
+      this._regrowRing(usage.bytes, limit);
+      return;
+    }
+
+    const target = limit * 0.9;
+    const dropped = { samples: 0, rollups: 0 };
     this.cache.aggregated.clear();
+
+    // Room for the ring buffer next to the rollups
+    const room = target - (this.rollups ? this.rollups.byteLength : 0);
+    if (this.ring.byteLength > room) {
+      const perSample =
+        this.ring.byteLength / this.ring.capacity + this.ring.extrasBytes / this.sampleCount;
+      dropped.samples += this._resizeRing(Math.max(1, Math.floor(room / perSample)));
+    }
+    // The latest sample is always kept
+    while (this.sampleCount > 1 && this.ring.byteLength + this.ring.extrasBytes > room) {
+      this._evictOldest();
+      dropped.samples++;
+    }
+
+    const over = this._estimateMemoryUsage().bytes - target;
+    if (over > 0 && this.rollups) {
+      dropped.rollups = this.rollups.evict(over);
+    }
+
+    this.stats.droppedSamples += dropped.samples;
+    this.stats.droppedRollups += dropped.rollups;
     this.stats.memoryWarnings++;
+
+    this.emit("memory-pressure", {
+      usage: usage.bytes,
+      after: this._estimateMemoryUsage().bytes,
+      limit,
+      dropped,
+      capacity: this.ring.capacity,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Drop the oldest sample of the ring buffer
+   * @private
+   */
+  _evictOldest() {
+    const { capacity } = this.ring;
+    this.ring.erase((this.currentIndex - this.sampleCount + capacity) % capacity);
+    this.sampleCount--;
+  }
+
+  /**
+   * Move the ring buffer to one of another capacity, keeping the newest samples
+   * @returns {number} Number of samples that did not fit
+   * @private
+   */
+  _resizeRing(capacity) {
+    const slots = this._ringSlots({ count: capacity });
+    const ring = new SampleColumns(capacity);
+    slots.forEach((slot, i) => ring.write(i, this.ring.read(slot)));
+
+    const dropped = this.sampleCount - slots.length;
+    this.ring = ring;
+    this.sampleCount = slots.length;
+    this.currentIndex = slots.length % capacity;
+    return dropped;
+  }
+
+  /**
+   * Grow a ring buffer shrunk under memory pressure (doubling, up to
+   * historySize) once it is full and the grown one would stay well within
+   * the budget
+   * @private
+   */
+  _regrowRing(usageBytes, limit) {
+    const { capacity } = this.ring;
+    if (capacity >= this.config.historySize || this.sampleCount < capacity) {
+      return;
+    }
+
+    const grown = Math.min(this.config.historySize, capacity * 2);
+    const perSample = (this.ring.byteLength + this.ring.extrasBytes) / capacity;
+    if (usageBytes + perSample * (grown - capacity) <= limit * 0.8) {
+      this._resizeRing(grown);
+    }
   }
 
   _invalidateCache() {
@@ -697,9 +1774,7 @@ class MetricsCollector extends EventEmitter {
     }
 
     this._cleanupTimer = setInterval(() => {
-      if (this._shouldTriggerCleanup()) {
-        this._performCleanup();
-      }
+      this._enforceMemoryBudget();
     }, this.config.cleanupInterval);
 
     if (this._cleanupTimer.unref) {
@@ -716,6 +1791,13 @@ class MetricsCollector extends EventEmitter {
 
   destroy() {
     this._stopAutoCleanup();
+    if (this.storage) {
+      try {
+        this.storage.close();
+      } catch (error) {
+        this._storageError("close", error);
+      }
+    }
     this.reset();
     this.removeAllListeners();
 
@@ -0,0 +1,175 @@
+/**
+ * MetricsRegistry - Application metrics collected with every sample
+ *
+ * Gauges are read from a callback when a sample is taken; counters are
+ * incremented by the application. Both end up in `sample.custom`, next to
+ * lag on the same timeline.
+ *
+ * @module core/MetricsRegistry
+ */
+
+// Prometheus-compatible metric names
+const NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Counter handle returned by MetricsRegistry.counter()
+ *
+ * @class
+ */
+class Counter {
+  constructor(name) {
+    this.name = name;
+    this.value = 0;
+  }
+
+  /**
+   * Increment the counter
+   * @param {number} [amount=1] - Non-negative amount
+   */
+  inc(amount = 1) {
+    if (typeof amount !== "number" || !Number.isFinite(amount) || amount < 0) {
+      throw new RangeError(`Counter "${this.name}" can only be incremented by a non-negative number`);
+    }
+    this.value += amount;
+  }
+
+  /**
+   * Get the current total
+   * @returns {number} Total since registration
+   */
+  get() {
+    return this.value;
+  }
+}
+
+/**
+ * MetricsRegistry - Registry of custom gauges and counters
+ *
+ * @class
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Register a gauge read when each sample is taken
+   * @param {string} name - Metric name (letters, digits and underscores)
+   * @param {Function} fn - Synchronous function returning the current value
+   * @param {Object} [options] - Options
+   * @param {string} [options.help] - Description (used by the Prometheus exporter)
+   */
+  registerGauge(name, fn, options = {}) {
+    this._validateName(name);
+    if (typeof fn !== "function") {
+      throw new TypeError(`Gauge "${name}" needs a function returning its value`);
+    }
+
+    this.metrics.set(name, {
+      type: "gauge",
+      name,
+      help: options.help || null,
+      fn,
+    });
+  }
+
+  /**
+   * Get or create a counter
+   * @param {string} name - Metric name (letters, digits and underscores)
+   * @param {Object} [options] - Options
+   * @param {string} [options.help] - Description (used by the Prometheus exporter)
+   * @returns {Counter} Counter handle
+   */
+  counter(name, options = {}) {
+    const existing = this.metrics.get(name);
+    if (existing && existing.type === "counter") {
+      return existing.counter;
+    }
+
+    this._validateName(name);
+    const counter = new Counter(name);
+    this.metrics.set(name, {
+      type: "counter",
+      name,
+      help: options.help || null,
+      counter,
+      lastValue: 0,
+    });
+    return counter;
+  }
+
+  /**
+   * Remove a metric
+   * @param {string} name - Metric name
+   * @returns {boolean} True if the metric was registered
+   */
+  unregister(name) {
+    return this.metrics.delete(name);
+  }
+
+  /**
+   * Get the registered metrics
+   * @returns {Array} Metric descriptions ({ name, type, help })
+   */
+  list() {
+    return Array.from(this.metrics.values()).map((metric) => ({
+      name: metric.name,
+      type: metric.type,
+      help: metric.help,
+    }));
+  }
+
+  /**
+   * Read every metric for a sample
+   * Gauges that throw or return a non-finite value are recorded as null.
+   * Counters report their total and the increase since the previous call.
+   * @returns {Object|null} Metric values by name (null when none are registered)
+   */
+  collect() {
+    if (this.metrics.size === 0) {
+      return null;
+    }
+
+    const values = {};
+    this.metrics.forEach((metric) => {
+      if (metric.type === "gauge") {
+        let value = null;
+        try {
+          const result = metric.fn();
+          value = typeof result === "number" && Number.isFinite(result) ? result : null;
+        } catch (error) {
+          value = null;
+        }
+        values[metric.name] = { type: "gauge", value };
+        return;
+      }
+
+      const total = metric.counter.get();
+      values[metric.name] = {
+        type: "counter",
+        value: total,
+        delta: total - metric.lastValue,
+      };
+      metric.lastValue = total;
+    });
+
+    return values;
+  }
+
+  /**
+   * @private
+   */
+  _validateName(name) {
+    if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+      throw new TypeError(
+        `Invalid metric name "${name}": use letters, digits and underscores, not starting with a digit`
+      );
+    }
+    if (this.metrics.has(name)) {
+      throw new Error(`Metric "${name}" is already registered`);
+    }
+  }
+}
+
+module.exports = MetricsRegistry;
+module.exports.Counter = Counter;
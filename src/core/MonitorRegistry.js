@@ -0,0 +1,189 @@
+/**
+ * MonitorRegistry - Named EventLoopMonitor instances
+ *
+ * The middleware, the Prometheus exporter, alert managers and
+ * `getMonitor()` all resolve monitors through the shared registry, so the
+ * monitor behind the dashboard is the same object the application sees. An
+ * application can run several monitors side by side (e.g. one per
+ * subsystem, each with its own options) and the dashboard switches between
+ * them.
+ *
+ * The registry never starts a monitor on its own: `get()` creates monitors
+ * stopped, and `start()`/`stop()` make the lifecycle explicit. The
+ * middleware starts the monitor it serves. `remove()` and `clear()` destroy
+ * the monitors they unregister, closing their storage.
+ *
+ * @module core/MonitorRegistry
+ */
+
+const EventLoopMonitor = require("./EventLoopMonitor");
+
+// Name used when none is given
+const DEFAULT_MONITOR = "default";
+
+/**
+ * @private
+ */
+function validateName(name) {
+  if (typeof name !== "string" || name.length === 0) {
+    throw new TypeError("Monitor name must be a non-empty string");
+  }
+}
+
+/**
+ * MonitorRegistry - Creates and looks up monitors by name
+ *
+ * @class
+ */
+class MonitorRegistry {
+  constructor() {
+    this.monitors = new Map();
+  }
+
+  /**
+   * Get a monitor, creating it (stopped) if it does not exist yet
+   * @param {string} [name='default'] - Monitor name
+   * @param {Object} [options] - EventLoopMonitor options, only used when the monitor is created
+   * @returns {EventLoopMonitor} Monitor instance
+   */
+  get(name = DEFAULT_MONITOR, options) {
+    validateName(name);
+
+    let monitor = this.monitors.get(name);
+    if (!monitor) {
+      monitor = new EventLoopMonitor(options);
+      this.monitors.set(name, monitor);
+    }
+    return monitor;
+  }
+
+  /**
+   * Look up a monitor without creating it
+   * @param {string} [name='default'] - Monitor name
+   * @returns {EventLoopMonitor|null} Monitor instance or null if not registered
+   */
+  find(name = DEFAULT_MONITOR) {
+    return this.monitors.get(name) || null;
+  }
+
+  /**
+   * Check whether a monitor is registered
+   * @param {string} name - Monitor name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.monitors.has(name);
+  }
+
+  /**
+   * Register a monitor created elsewhere
+   * @param {string} name - Monitor name
+   * @param {EventLoopMonitor} monitor - Monitor instance
+   * @returns {EventLoopMonitor} The registered monitor
+   * @throws {Error} If another monitor is registered under the name
+   */
+  register(name, monitor) {
+    validateName(name);
+    if (!(monitor instanceof EventLoopMonitor)) {
+      throw new TypeError("Only EventLoopMonitor instances can be registered");
+    }
+
+    const existing = this.monitors.get(name);
+    if (existing && existing !== monitor) {
+      throw new Error(`A monitor named "${name}" is already registered`);
+    }
+    this.monitors.set(name, monitor);
+    return monitor;
+  }
+
+  /**
+   * Resolve a monitor reference: an instance is returned as is, a name is
+   * looked up and nothing means the default monitor
+   * @param {EventLoopMonitor|string} [monitor] - Monitor instance or name
+   * @returns {EventLoopMonitor|null} Monitor instance or null if not registered
+   */
+  resolve(monitor) {
+    if (monitor instanceof EventLoopMonitor) {
+      return monitor;
+    }
+    return this.find(monitor === undefined || monitor === null ? DEFAULT_MONITOR : monitor);
+  }
+
+  /**
+   * Get the name of a registered monitor
+   * @param {EventLoopMonitor} monitor - Monitor instance
+   * @returns {string|null} Name or null if the monitor is not registered
+   */
+  nameOf(monitor) {
+    for (const [name, registered] of this.monitors) {
+      if (registered === monitor) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the names of all registered monitors
+   * @returns {string[]} Names in registration order
+   */
+  names() {
+    return Array.from(this.monitors.keys());
+  }
+
+  /**
+   * Start a monitor, creating it if needed
+   * @param {string} [name='default'] - Monitor name
+   * @param {Object} [options] - EventLoopMonitor options, only used when the monitor is created
+   * @returns {EventLoopMonitor} The started monitor
+   */
+  start(name = DEFAULT_MONITOR, options) {
+    const monitor = this.get(name, options);
+    monitor.start();
+    return monitor;
+  }
+
+  /**
+   * Stop a monitor; it stays registered and can be started again
+   * @param {string} [name='default'] - Monitor name
+   * @returns {boolean} True if the monitor was registered
+   */
+  stop(name = DEFAULT_MONITOR) {
+    const monitor = this.monitors.get(name);
+    if (!monitor) {
+      return false;
+    }
+    monitor.stop();
+    return true;
+  }
+
+  /**
+   * Destroy a monitor and unregister it
+   * @param {string} name - Monitor name
+   * @returns {boolean} True if the monitor was registered
+   */
+  remove(name) {
+    const monitor = this.monitors.get(name);
+    if (!monitor) {
+      return false;
+    }
+    this.monitors.delete(name);
+    monitor.destroy();
+    return true;
+  }
+
+  /**
+   * Destroy and unregister every monitor
+   */
+  clear() {
+    const monitors = Array.from(this.monitors.values());
+    this.monitors.clear();
+    monitors.forEach((monitor) => monitor.destroy());
+  }
+}
+
+module.exports = MonitorRegistry;
+module.exports.DEFAULT_MONITOR = DEFAULT_MONITOR;
+
+// Registry shared by the middleware, exporters and the package entry point
+module.exports.registry = new MonitorRegistry();
@@ -0,0 +1,175 @@
+/**
+ * OperationTracker - Loop time consumed by labelled operations
+ *
+ * Code wrapped with `monitor.measure()` / `monitor.measureAsync()` is
+ * recorded under its name. Operations finished since the previous sample are
+ * rolled up into `sample.operations` (count, total and longest synchronous
+ * time per name); aggregation windows, the cluster primary and the
+ * Prometheus counters are built from those.
+ *
+ * The number of names is capped: once `maxOperations` names have been seen,
+ * new ones are counted as `(other)` so label cardinality stays bounded.
+ *
+ * @module core/OperationTracker
+ */
+
+// Name of operations once maxOperations is reached
+const OTHER_OPERATION = "(other)";
+
+/**
+ * OperationTracker - Per-sample operation timings and their running totals
+ *
+ * @class
+ */
+class OperationTracker {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.maxOperations=100] - Maximum number of operation names tracked
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxOperations: options.maxOperations || 100,
+    };
+
+    this.knownNames = new Set();
+    // Cumulative count and time per name, for Prometheus
+    this.totals = new Map();
+    this.current = new Map();
+  }
+
+  /**
+   * Record a finished operation
+   * @param {string} name - Operation name
+   * @param {number} duration - Synchronous loop time it consumed (ms)
+   */
+  record(name, duration) {
+    if (typeof duration !== "number" || !(duration >= 0)) {
+      return;
+    }
+
+    const label = this._label(String(name));
+    let entry = this.current.get(label);
+    if (!entry) {
+      entry = { count: 0, totalTime: 0, maxTime: 0 };
+      this.current.set(label, entry);
+    }
+    entry.count++;
+    entry.totalTime += duration;
+    entry.maxTime = Math.max(entry.maxTime, duration);
+  }
+
+  /**
+   * Operations recorded since the last call, for a sample
+   * @returns {Object|null} Stats per name ({ count, totalTime, maxTime }), or null if none
+   */
+  drain() {
+    if (this.current.size === 0) {
+      return null;
+    }
+
+    const operations = Object.fromEntries(this.current);
+    this.current = new Map();
+    return operations;
+  }
+
+  /**
+   * Add the operations of a sample to the running totals
+   * Called with every recorded sample, including samples received from
+   * cluster workers, so totals are built the same way everywhere
+   * @param {Object} operations - `sample.operations`
+   */
+  accumulate(operations) {
+    if (!operations) {
+      return;
+    }
+
+    Object.entries(operations).forEach(([name, stats]) => {
+      let total = this.totals.get(name);
+      if (!total) {
+        total = { name, count: 0, totalTime: 0, maxTime: 0 };
+        this.totals.set(name, total);
+      }
+      total.count += stats.count;
+      total.totalTime += stats.totalTime;
+      total.maxTime = Math.max(total.maxTime, stats.maxTime);
+    });
+  }
+
+  /**
+   * Cumulative stats since the monitor started
+   * @returns {Array} Entries ({ name, count, totalTime, maxTime })
+   */
+  getTotals() {
+    return Array.from(this.totals.values());
+  }
+
+  /**
+   * Forget recorded operations and totals
+   */
+  reset() {
+    this.knownNames.clear();
+    this.totals.clear();
+    this.current = new Map();
+  }
+
+  /**
+   * Operation name, capped at maxOperations names
+   * @private
+   */
+  _label(name) {
+    if (this.knownNames.has(name)) {
+      return name;
+    }
+    if (this.knownNames.size >= this.options.maxOperations) {
+      return OTHER_OPERATION;
+    }
+    this.knownNames.add(name);
+    return name;
+  }
+}
+
+/**
+ * Combine the operations of several samples (a window, or cluster workers
+ * at the same time)
+ * @param {Array} list - `sample.operations` objects; missing entries are skipped
+ * @returns {Object|null} Stats per name, in the `sample.operations` form (null if there are none)
+ */
+function mergeOperations(list) {
+  const merged = {};
+  list.filter(Boolean).forEach((operations) => {
+    Object.entries(operations).forEach(([name, stats]) => {
+      if (!merged[name]) {
+        merged[name] = { count: 0, totalTime: 0, maxTime: 0 };
+      }
+      merged[name].count += stats.count;
+      merged[name].totalTime += stats.totalTime;
+      merged[name].maxTime = Math.max(merged[name].maxTime, stats.maxTime);
+    });
+  });
+  return Object.keys(merged).length > 0 ? merged : null;
+}
+
+/**
+ * Operations ranked by the loop time they consumed, most first
+ * @param {Object} operations - Stats per name (from mergeOperations())
+ * @param {number} duration - Time covered (ms), for each operation's share of it
+ * @returns {Array} Rows ({ name, count, totalTime, avgTime, maxTime, share })
+ */
+function rankOperations(operations, duration) {
+  return Object.entries(operations || {})
+    .map(([name, stats]) => ({
+      name,
+      count: stats.count,
+      totalTime: stats.totalTime,
+      avgTime: stats.count > 0 ? stats.totalTime / stats.count : 0,
+      maxTime: stats.maxTime,
+      // Share of the time covered that the loop spent in this operation
+      share: duration > 0 ? stats.totalTime / duration : 0,
+    }))
+    .sort((a, b) => b.totalTime - a.totalTime);
+}
+
+module.exports = OperationTracker;
+module.exports.mergeOperations = mergeOperations;
+module.exports.rankOperations = rankOperations;
+module.exports.OTHER_OPERATION = OTHER_OPERATION;
@@ -0,0 +1,346 @@
+/**
+ * RequestTracker - HTTP request counts and latency per route
+ *
+ * Requests finished since the previous sample are rolled up into
+ * `sample.requests`: totals, latency percentiles, counts per method and per
+ * status class, and one entry per route/method/status class with a
+ * mergeable latency histogram. Aggregation windows, the cluster primary and
+ * the Prometheus histograms are all built from those entries.
+ *
+ * Routes are the matched route patterns (`/users/:id`), never raw URLs, and
+ * their number is capped: once `maxRoutes` route/method pairs have been
+ * seen, new ones are counted as `(other)` so label cardinality stays bounded.
+ *
+ * @module core/RequestTracker
+ */
+
+const Histogram = require("./Histogram");
+const { mergeHistograms } = require("./Histogram");
+
+// Route label of requests that did not match a route (404s, static files)
+const UNMATCHED_ROUTE = "(unmatched)";
+// Route label once maxRoutes is reached
+const OTHER_ROUTE = "(other)";
+
+/**
+ * Status class of a response ('2xx', '5xx', ...), or 'aborted' if the client
+ * went away before the response was sent
+ * @param {number} statusCode - HTTP status code
+ * @param {boolean} [aborted=false] - Connection closed before the response ended
+ * @returns {string|null} Status class (null if unknown)
+ */
+function statusClass(statusCode, aborted = false) {
+  if (aborted) {
+    return "aborted";
+  }
+  if (typeof statusCode !== "number" || statusCode < 100 || statusCode > 599) {
+    return null;
+  }
+  return `${Math.floor(statusCode / 100)}xx`;
+}
+
+/**
+ * RequestTracker - Per-sample request metrics and their running totals
+ *
+ * @class
+ */
+class RequestTracker {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.maxRoutes=100] - Maximum number of route/method pairs tracked
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxRoutes: options.maxRoutes || 100,
+    };
+
+    this.inFlight = 0;
+    this.knownRoutes = new Set();
+    // Cumulative histograms per route/method/status class, for Prometheus
+    this.totals = new Map();
+    this._resetPeriod();
+  }
+
+  /**
+   * Count a request as in flight
+   * @returns {Function} Call with `{ route, method, statusCode, aborted }` when the
+   *   request ends; returns the duration (ms), further calls are ignored
+   */
+  begin() {
+    const startTime = Date.now();
+    this.inFlight++;
+    this.maxInFlight = Math.max(this.maxInFlight, this.inFlight);
+
+    let ended = false;
+    return (details = {}) => {
+      if (ended) {
+        return undefined;
+      }
+      ended = true;
+      this.inFlight = Math.max(0, this.inFlight - 1);
+      const duration = Date.now() - startTime;
+      this.record(duration, details);
+      return duration;
+    };
+  }
+
+  /**
+   * Record a finished request
+   * @param {number} duration - Request duration (ms)
+   * @param {Object} [details] - Request details
+   * @param {string|null} [details.route] - Matched route pattern (null for unmatched requests)
+   * @param {string} [details.method] - HTTP method
+   * @param {number} [details.statusCode] - Response status code
+   * @param {boolean} [details.aborted] - Connection closed before the response ended
+   */
+  record(duration, details = {}) {
+    if (typeof duration !== "number" || !(duration >= 0)) {
+      return;
+    }
+
+    this.count++;
+    this.totalTime += duration;
+    this.histogram.record(duration);
+
+    // Bare durations (trackRequest(duration)) only count towards the totals
+    if (!details.method) {
+      return;
+    }
+
+    const method = String(details.method).toUpperCase();
+    const status = statusClass(details.statusCode, details.aborted);
+    this.byMethod[method] = (this.byMethod[method] || 0) + 1;
+    if (status) {
+      this.byStatus[status] = (this.byStatus[status] || 0) + 1;
+    }
+
+    const route = this._routeLabel(details.route || UNMATCHED_ROUTE, method);
+    const key = `${method} ${route} ${status}`;
+    let entry = this.routes.get(key);
+    if (!entry) {
+      entry = { route, method, status, count: 0, totalTime: 0, histogram: new Histogram() };
+      this.routes.set(key, entry);
+    }
+    entry.count++;
+    entry.totalTime += duration;
+    entry.histogram.record(duration);
+  }
+
+  /**
+   * Request metrics since the last call, for a sample
+   * @returns {Object} Request metrics ({ count, totalTime, avgTime, inFlight, maxInFlight,
+   *   p50, p95, p99, max, histogram, byMethod, byStatus, routes })
+   */
+  drain() {
+    const summary = this.histogram.summary();
+    const requests = {
+      count: this.count,
+      totalTime: this.totalTime,
+      avgTime: this.count > 0 ? this.totalTime / this.count : 0,
+      inFlight: this.inFlight,
+      maxInFlight: this.maxInFlight,
+      p50: summary.p50,
+      p95: summary.p95,
+      p99: summary.p99,
+      max: summary.max,
+      byMethod: this.byMethod,
+      byStatus: this.byStatus,
+      routes: Array.from(this.routes.values()).map((entry) => ({
+        ...entry,
+        histogram: entry.histogram.toJSON(),
+      })),
+    };
+    if (this.histogram.count > 0) {
+      requests.histogram = this.histogram.toJSON();
+    }
+
+    this._resetPeriod();
+    return requests;
+  }
+
+  /**
+   * Add the routes of a sample to the running totals
+   * Called with every recorded sample, including samples received from
+   * cluster workers, so totals are built the same way everywhere
+   * @param {Object} requests - `sample.requests`
+   */
+  accumulate(requests) {
+    if (!requests || !Array.isArray(requests.routes)) {
+      return;
+    }
+
+    requests.routes.forEach((entry) => {
+      const key = `${entry.method} ${entry.route} ${entry.status}`;
+      let total = this.totals.get(key);
+      if (!total) {
+        total = {
+          route: entry.route,
+          method: entry.method,
+          status: entry.status,
+          histogram: new Histogram(),
+        };
+        this.totals.set(key, total);
+      }
+      if (entry.histogram) {
+        total.histogram.merge(entry.histogram);
+      }
+    });
+  }
+
+  /**
+   * Cumulative latency histograms since the monitor started
+   * @returns {Array} Entries ({ route, method, status, histogram })
+   */
+  getTotals() {
+    return Array.from(this.totals.values());
+  }
+
+  /**
+   * Forget recorded requests and totals; requests in flight stay counted
+   */
+  reset() {
+    this.knownRoutes.clear();
+    this.totals.clear();
+    this._resetPeriod();
+  }
+
+  /**
+   * Route label, capped at maxRoutes route/method pairs
+   * @private
+   */
+  _routeLabel(route, method) {
+    const pair = `${method} ${route}`;
+    if (this.knownRoutes.has(pair)) {
+      return route;
+    }
+    if (this.knownRoutes.size >= this.options.maxRoutes) {
+      return OTHER_ROUTE;
+    }
+    this.knownRoutes.add(pair);
+    return route;
+  }
+
+  /**
+   * @private
+   */
+  _resetPeriod() {
+    this.count = 0;
+    this.totalTime = 0;
+    this.maxInFlight = this.inFlight;
+    this.histogram = new Histogram();
+    this.byMethod = {};
+    this.byStatus = {};
+    this.routes = new Map();
+  }
+}
+
+/**
+ * Combine the request metrics of several samples (a window, or cluster
+ * workers at the same time)
+ * @param {Array} list - `sample.requests` objects; missing entries are skipped
+ * @returns {Object|null} Request metrics in the `sample.requests` form, without the
+ *   in-flight gauges (null if the list is empty)
+ */
+function mergeRequestMetrics(list) {
+  const present = list.filter(Boolean);
+  if (present.length === 0) {
+    return null;
+  }
+
+  const byMethod = {};
+  const byStatus = {};
+  const routes = new Map();
+  let count = 0;
+  let totalTime = 0;
+
+  present.forEach((requests) => {
+    count += requests.count || 0;
+    totalTime += requests.totalTime || 0;
+    Object.entries(requests.byMethod || {}).forEach(([method, n]) => {
+      byMethod[method] = (byMethod[method] || 0) + n;
+    });
+    Object.entries(requests.byStatus || {}).forEach(([status, n]) => {
+      byStatus[status] = (byStatus[status] || 0) + n;
+    });
+    (requests.routes || []).forEach((entry) => {
+      const key = `${entry.method} ${entry.route} ${entry.status}`;
+      let merged = routes.get(key);
+      if (!merged) {
+        merged = { ...entry, count: 0, totalTime: 0, histograms: [] };
+        routes.set(key, merged);
+      }
+      merged.count += entry.count || 0;
+      merged.totalTime += entry.totalTime || 0;
+      merged.histograms.push(entry.histogram);
+    });
+  });
+
+  const histogram = mergeHistograms(present.map((requests) => requests.histogram));
+  const summary = (histogram || new Histogram()).summary();
+  const merged = {
+    count,
+    totalTime,
+    avgTime: count > 0 ? totalTime / count : 0,
+    p50: summary.p50,
+    p95: summary.p95,
+    p99: summary.p99,
+    max: summary.max,
+    byMethod,
+    byStatus,
+    routes: Array.from(routes.values()).map(({ histograms, ...entry }) => ({
+      ...entry,
+      histogram: (mergeHistograms(histograms) || new Histogram()).toJSON(),
+    })),
+  };
+  if (histogram) {
+    merged.histogram = histogram.toJSON();
+  }
+  return merged;
+}
+
+/**
+ * Latency and error rate per route/method pair, slowest (p99) first
+ * @param {Array} routes - Route entries from mergeRequestMetrics()
+ * @param {number} duration - Time covered (ms), for request rates
+ * @returns {Array} Rows ({ route, method, count, rate, errors, errorRate, byStatus,
+ *   mean, p50, p95, p99, max })
+ */
+function summarizeRoutes(routes, duration) {
+  const rows = new Map();
+  routes.forEach((entry) => {
+    const key = `${entry.method} ${entry.route}`;
+    let row = rows.get(key);
+    if (!row) {
+      row = { route: entry.route, method: entry.method, byStatus: {}, histograms: [] };
+      rows.set(key, row);
+    }
+    row.byStatus[entry.status] = (row.byStatus[entry.status] || 0) + entry.count;
+    row.histograms.push(entry.histogram);
+  });
+
+  return Array.from(rows.values())
+    .map(({ histograms, ...row }) => {
+      const summary = (mergeHistograms(histograms) || new Histogram()).summary();
+      const errors = row.byStatus["5xx"] || 0;
+      return {
+        ...row,
+        count: summary.count,
+        rate: duration > 0 ? (summary.count / duration) * 1000 : 0,
+        errors,
+        errorRate: summary.count > 0 ? errors / summary.count : 0,
+        mean: summary.mean,
+        p50: summary.p50,
+        p95: summary.p95,
+        p99: summary.p99,
+        max: summary.max,
+      };
+    })
+    .sort((a, b) => b.p99 - a.p99);
+}
+
+module.exports = RequestTracker;
+module.exports.statusClass = statusClass;
+module.exports.mergeRequestMetrics = mergeRequestMetrics;
+module.exports.summarizeRoutes = summarizeRoutes;
+module.exports.UNMATCHED_ROUTE = UNMATCHED_ROUTE;
+module.exports.OTHER_ROUTE = OTHER_ROUTE;
@@ -0,0 +1,534 @@
+/**
+ * Rollups - Multi-resolution history for long time ranges
+ *
+ * At 100 ms sampling the raw history (`historySize` samples) covers half a
+ * minute. Rollup tiers keep coarser samples for longer: by default 10 s
+ * rollups for 3 hours, 1 m rollups for 24 hours and 1 h rollups for 30 days.
+ * Each tier is built from the closed rollups of the tier below it (the first
+ * from raw samples), so every bucket is merged once however long it is kept.
+ *
+ * A rollup has the shape of a sample, so aggregation, time series and the
+ * dashboard use it unchanged: `interval` is the time it covers and `rollup`
+ * ({ resolution, from, samples }) marks it. Merging keeps the meaning of each
+ * field: lag and threadpool percentiles come from the merged histograms, min
+ * and max are the extremes, per-sample counts and times (CPU, GC, requests,
+ * system counters, counter deltas, measured operations) are summed, and
+ * gauges (memory, handles, in-flight requests, gauge metrics) are averaged
+ * over the time they covered. Heap statistics and worker metrics are the
+ * latest of the bucket; stacks and slow requests are not kept.
+ *
+ * @module core/Rollups
+ */
+
+const { mergeLagHistograms, mergeThreadpoolHistograms } = require("./Histogram");
+const { mergeRequestMetrics } = require("./RequestTracker");
+const { mergeOperations } = require("./OperationTracker");
+const { estimateBytes } = require("./footprint");
+
+// Resolutions must be multiples of the tier below them
+const DEFAULT_TIERS = [
+  { name: "10s", resolution: 10 * 1000, retention: 3 * 60 * 60 * 1000 },
+  { name: "1m", resolution: 60 * 1000, retention: 24 * 60 * 60 * 1000 },
+  { name: "1h", resolution: 60 * 60 * 1000, retention: 30 * 24 * 60 * 60 * 1000 },
+];
+
+/**
+ * RollupTier - Closed rollups of one resolution and the bucket being filled
+ *
+ * @class
+ */
+class RollupTier {
+  /**
+   * @param {Object} options - Tier definition
+   * @param {string} options.name - Tier name (e.g. '1m')
+   * @param {number} options.resolution - Bucket length (ms)
+   * @param {number} options.retention - Time rollups are kept (ms)
+   * @param {number} sampleInterval - Weight of samples that do not record their interval
+   */
+  constructor(options, sampleInterval) {
+    this.name = options.name;
+    this.resolution = options.resolution;
+    this.retention = options.retention;
+    this.sampleInterval = sampleInterval;
+
+    // Closed rollups, oldest first
+    this.entries = [];
+    this.pending = [];
+    this.bucket = null;
+
+    // Estimated size of each entry, of the entries and pending items, and of the pending items
+    this.sizes = [];
+    this.bytes = 0;
+    this.pendingBytes = 0;
+  }
+
+  /**
+   * Add a sample (or a rollup of the tier below)
+   * @param {Object} item - Sample or rollup
+   * @returns {Object|null} The rollup of the previous bucket if this item closed it
+   */
+  add(item) {
+    const bucket = Math.floor(item.timestamp / this.resolution);
+    let closed = null;
+    if (this.pending.length > 0 && bucket !== this.bucket) {
+      closed = this._close();
+    }
+
+    this.bucket = bucket;
+    const size = estimateBytes(item);
+    this.pending.push(item);
+    this.pendingBytes += size;
+    this.bytes += size;
+    return closed;
+  }
+
+  /**
+   * Drop the oldest rollups
+   * @param {number} count - Number of rollups to drop
+   * @returns {number} Estimated bytes freed
+   */
+  evict(count) {
+    let freed = 0;
+    for (let i = 0; i < count && this.entries.length > 0; i++) {
+      this.entries.shift();
+      freed += this.sizes.shift();
+    }
+    this.bytes -= freed;
+    return freed;
+  }
+
+  /**
+   * Start of the oldest rollup
+   * @returns {number|null} Timestamp of its first sample, or null if none is closed yet
+   */
+  oldest() {
+    return this.entries.length > 0 ? this.entries[0].rollup.from : null;
+  }
+
+  /**
+   * Timestamp of the newest closed rollup
+   * @returns {number|null}
+   */
+  newest() {
+    return this.entries.length > 0 ? this.entries[this.entries.length - 1].timestamp : null;
+  }
+
+  clear() {
+    this.entries = [];
+    this.pending = [];
+    this.bucket = null;
+    this.sizes = [];
+    this.bytes = 0;
+    this.pendingBytes = 0;
+  }
+
+  /**
+   * Merge the pending bucket and drop rollups past the retention
+   * @private
+   */
+  _close() {
+    // Cleared first, so a bucket that cannot be merged is dropped rather than retried forever
+    const pending = this.pending;
+    this.pending = [];
+    this.bytes -= this.pendingBytes;
+    this.pendingBytes = 0;
+
+    const rollup = Object.freeze(mergeSamples(pending, this.resolution, this.sampleInterval));
+    const size = estimateBytes(rollup);
+    this.entries.push(rollup);
+    this.sizes.push(size);
+    this.bytes += size;
+
+    const cutoff = rollup.timestamp - this.retention;
+    let expired = 0;
+    while (expired < this.entries.length && this.entries[expired].timestamp < cutoff) {
+      expired++;
+    }
+    this.evict(expired);
+    return rollup;
+  }
+}
+
+/**
+ * Rollups - The tiers of a collector
+ *
+ * @class
+ */
+class Rollups {
+  /**
+   * @param {Array} [tiers] - Tier definitions ({ name, resolution, retention }), finest first
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.sampleInterval=100] - Weight of samples that do not record their interval
+   */
+  constructor(tiers = DEFAULT_TIERS, options = {}) {
+    tiers.forEach((tier, i) => {
+      if (!tier.name || !(tier.resolution > 0) || !(tier.retention > 0)) {
+        throw new Error("Rollup tiers need a name, a resolution and a retention");
+      }
+      if (i > 0 && tier.resolution % tiers[i - 1].resolution !== 0) {
+        throw new Error(
+          `Rollup tier ${tier.name} must be a multiple of ${tiers[i - 1].name}`
+        );
+      }
+    });
+
+    const sampleInterval = options.sampleInterval || 100;
+    this.tiers = tiers.map((tier) => new RollupTier(tier, sampleInterval));
+  }
+
+  /**
+   * Add a raw sample; closed buckets cascade to the coarser tiers
+   * @param {Object} sample - Metrics sample
+   */
+  add(sample) {
+    let item = sample;
+    for (const tier of this.tiers) {
+      item = tier.add(item);
+      if (!item) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Get a tier by name
+   * @param {string} name - Tier name
+   * @returns {RollupTier|null}
+   */
+  getTier(name) {
+    return this.tiers.find((tier) => tier.name === name) || null;
+  }
+
+  /**
+   * Finest tier whose rollups reach back to a time
+   * @param {number} startTime - Start of the requested range
+   * @returns {RollupTier|null} Tier, or null if none reaches that far
+   */
+  select(startTime) {
+    return (
+      this.tiers.find((tier) => tier.oldest() !== null && tier.oldest() <= startTime) || null
+    );
+  }
+
+  /**
+   * Tier reaching back the furthest (the finest of equals)
+   * @returns {RollupTier|null} Tier, or null if no rollup is closed yet
+   */
+  earliest() {
+    let best = null;
+    this.tiers.forEach((tier) => {
+      if (tier.oldest() !== null && (best === null || tier.oldest() < best.oldest())) {
+        best = tier;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Rollups of a tier in a range, continued with the finer tiers where the
+   * tier has not closed a bucket yet
+   * @param {RollupTier} tier - Tier to read
+   * @param {Object} [range] - Range ({ startTime, endTime })
+   * @returns {Object} { samples, until }: rollups oldest first, and the time
+   *   up to which they cover (raw samples continue from there)
+   */
+  read(tier, range = {}) {
+    const { startTime, endTime } = range;
+    const samples = [];
+    let until = null;
+
+    for (let i = this.tiers.indexOf(tier); i >= 0; i--) {
+      this.tiers[i].entries.forEach((entry) => {
+        if (
+          (until === null || entry.timestamp > until) &&
+          (!startTime || entry.timestamp >= startTime) &&
+          (!endTime || entry.timestamp <= endTime)
+        ) {
+          samples.push(entry);
+        }
+      });
+
+      const newest = this.tiers[i].newest();
+      if (newest !== null && (until === null || newest > until)) {
+        until = newest;
+      }
+    }
+
+    return { samples, until };
+  }
+
+  /**
+   * Estimated bytes held by all tiers
+   * @returns {number}
+   */
+  get byteLength() {
+    return this.tiers.reduce((acc, tier) => acc + tier.bytes, 0);
+  }
+
+  /**
+   * Drop the oldest rollups, from the tier holding the most, until enough
+   * is freed or no rollup is left
+   * @param {number} bytes - Estimated bytes to free
+   * @returns {number} Number of rollups dropped
+   */
+  evict(bytes) {
+    let freed = 0;
+    let dropped = 0;
+    while (freed < bytes) {
+      const largest = this.tiers.reduce(
+        (best, tier) =>
+          tier.entries.length > 0 && (best === null || tier.bytes > best.bytes) ? tier : best,
+        null
+      );
+      if (!largest) {
+        break;
+      }
+      freed += largest.evict(1);
+      dropped++;
+    }
+    return dropped;
+  }
+
+  /**
+   * Number and estimated size of the rollups kept per tier
+   * @returns {Array} Tiers ({ name, resolution, retention, count, oldest, bytes })
+   */
+  getStats() {
+    return this.tiers.map((tier) => ({
+      name: tier.name,
+      resolution: tier.resolution,
+      retention: tier.retention,
+      count: tier.entries.length,
+      oldest: tier.oldest(),
+      bytes: tier.bytes,
+    }));
+  }
+
+  clear() {
+    this.tiers.forEach((tier) => tier.clear());
+  }
+}
+
+/**
+ * Merge consecutive samples (or rollups) into one rollup
+ * @param {Array} samples - Samples, oldest first
+ * @param {number} resolution - Bucket length (ms)
+ * @param {number} [sampleInterval=100] - Weight of samples that do not record their interval
+ * @returns {Object} Rollup in the shape of a sample
+ */
+function mergeSamples(samples, resolution, sampleInterval = 100) {
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const weightOf = (s) => (s.interval > 0 ? s.interval : sampleInterval);
+
+  const sum = (list, pick) => list.reduce((acc, s) => acc + (pick(s) || 0), 0);
+  const max = (list, pick) => list.reduce((acc, s) => Math.max(acc, pick(s) || 0), 0);
+  // Mean weighted by the time each sample covered
+  const mean = (list, pick) => {
+    let total = 0;
+    let weight = 0;
+    list.forEach((s) => {
+      const value = pick(s);
+      if (typeof value === "number" && Number.isFinite(value)) {
+        total += value * weightOf(s);
+        weight += weightOf(s);
+      }
+    });
+    return weight > 0 ? total / weight : 0;
+  };
+
+  const rollup = {
+    timestamp: last.timestamp,
+    interval: sum(samples, weightOf),
+    rollup: {
+      resolution,
+      from: first.rollup ? first.rollup.from : first.timestamp,
+      samples: sum(samples, (s) => (s.rollup ? s.rollup.samples : 1)),
+    },
+    lag: {
+      min: samples.reduce((acc, s) => Math.min(acc, s.lag.min), Infinity),
+      max: max(samples, (s) => s.lag.max),
+      mean: mean(samples, (s) => s.lag.mean),
+      stddev: mean(samples, (s) => s.lag.stddev),
+      // Approximations, replaced below when samples carry histograms
+      p50: mean(samples, (s) => s.lag.p50),
+      p90: mean(samples, (s) => s.lag.p90),
+      p95: mean(samples, (s) => s.lag.p95),
+      p99: mean(samples, (s) => s.lag.p99),
+      p999: mean(samples, (s) => s.lag.p999),
+    },
+  };
+
+  const withELU = samples.filter((s) => s.elu);
+  if (withELU.length > 0) {
+    const active = sum(withELU, (s) => s.elu.active);
+    const idle = sum(withELU, (s) => s.elu.idle);
+    rollup.elu = {
+      utilization:
+        active + idle > 0 ? active / (active + idle) : mean(withELU, (s) => s.elu.utilization),
+      active,
+      idle,
+    };
+  }
+
+  // Samples without a histogram recorded no delays, so the others hold them all
+  const lagHistogram = mergeLagHistograms(samples);
+  if (lagHistogram) {
+    const { mean: lagMean, p50, p90, p95, p99, p999 } = lagHistogram.summary();
+    Object.assign(rollup.lag, { mean: lagMean, p50, p90, p95, p99, p999 });
+    rollup.lag.histogram = lagHistogram.toJSON();
+  }
+
+  const withMemory = samples.filter((s) => s.memory);
+  if (withMemory.length > 0) {
+    const memory = {};
+    ["heapUsed", "heapTotal", "external", "rss", "arrayBuffers"].forEach((field) => {
+      memory[field] = mean(withMemory, (s) => s.memory[field]);
+    });
+    memory.heapUsedMB = (memory.heapUsed / 1024 / 1024).toFixed(2);
+    memory.heapTotalMB = (memory.heapTotal / 1024 / 1024).toFixed(2);
+    memory.rssMB = (memory.rss / 1024 / 1024).toFixed(2);
+    memory.externalMB = (memory.external / 1024 / 1024).toFixed(2);
+    rollup.memory = memory;
+  }
+
+  const withCPU = samples.filter((s) => s.cpu);
+  if (withCPU.length > 0) {
+    rollup.cpu = {
+      user: sum(withCPU, (s) => s.cpu.user),
+      system: sum(withCPU, (s) => s.cpu.system),
+      total: sum(withCPU, (s) => s.cpu.total),
+    };
+  }
+
+  const withHandles = samples.filter((s) => s.handles);
+  if (withHandles.length > 0) {
+    const types = new Set();
+    withHandles.forEach((s) => Object.keys(s.handles.byType || {}).forEach((t) => types.add(t)));
+    rollup.handles = {
+      active: mean(withHandles, (s) => s.handles.active),
+      requests: mean(withHandles, (s) => s.handles.requests),
+      total: mean(withHandles, (s) => s.handles.total),
+      byType: Object.fromEntries(
+        Array.from(types).map((type) => [
+          type,
+          mean(withHandles, (s) => (s.handles.byType && s.handles.byType[type]) || 0),
+        ])
+      ),
+    };
+  }
+
+  const withGC = samples.filter((s) => s.gc);
+  if (withGC.length > 0) {
+    const byKind = {};
+    withGC.forEach((s) => {
+      Object.entries(s.gc.byKind || {}).forEach(([kind, stats]) => {
+        if (!byKind[kind]) {
+          byKind[kind] = { count: 0, totalPause: 0, maxPause: 0 };
+        }
+        byKind[kind].count += stats.count;
+        byKind[kind].totalPause += stats.totalPause;
+        byKind[kind].maxPause = Math.max(byKind[kind].maxPause, stats.maxPause);
+      });
+    });
+
+    rollup.gc = {
+      count: sum(withGC, (s) => s.gc.count),
+      totalPause: sum(withGC, (s) => s.gc.totalPause),
+      maxPause: max(withGC, (s) => s.gc.maxPause),
+      byKind,
+    };
+  }
+
+  const requests = mergeRequestMetrics(samples.map((s) => s.requests));
+  if (requests) {
+    const withRequests = samples.filter((s) => s.requests);
+    rollup.requests = {
+      ...requests,
+      inFlight: mean(withRequests, (s) => s.requests.inFlight),
+      maxInFlight: max(withRequests, (s) => s.requests.maxInFlight),
+    };
+  }
+
+  const withSystem = samples.filter((s) => s.system);
+  if (withSystem.length > 0) {
+    const system = {};
+    withSystem.forEach((s) => {
+      Object.entries(s.system).forEach(([field, value]) => {
+        // maxRSS is a high-water mark, the rest are per-sample deltas
+        system[field] =
+          field === "maxRSS" ? Math.max(system[field] || 0, value) : (system[field] || 0) + value;
+      });
+    });
+    rollup.system = system;
+  }
+
+  const withHeap = samples.filter((s) => s.heap);
+  if (withHeap.length > 0) {
+    rollup.heap = withHeap[withHeap.length - 1].heap;
+  }
+
+  const withThreadpool = samples.filter((s) => s.threadpool);
+  if (withThreadpool.length > 0) {
+    const histogram = mergeThreadpoolHistograms(withThreadpool);
+    const summary = histogram ? histogram.summary() : null;
+    rollup.threadpool = {
+      latency: mean(withThreadpool, (s) => s.threadpool.latency),
+      count: sum(withThreadpool, (s) => s.threadpool.count),
+      pending: withThreadpool[withThreadpool.length - 1].threadpool.pending,
+      pendingFor: max(withThreadpool, (s) => s.threadpool.pendingFor),
+      min: summary ? summary.min : 0,
+      max: summary ? summary.max : 0,
+      mean: summary ? summary.mean : 0,
+      p50: summary ? summary.p50 : 0,
+      p90: summary ? summary.p90 : 0,
+      p99: summary ? summary.p99 : 0,
+    };
+    if (histogram) {
+      rollup.threadpool.histogram = histogram.toJSON();
+    }
+  }
+
+  const withWorkers = samples.filter((s) => s.workers);
+  if (withWorkers.length > 0) {
+    rollup.workers = withWorkers[withWorkers.length - 1].workers;
+  }
+
+  const operations = mergeOperations(samples.map((s) => s.operations));
+  if (operations) {
+    rollup.operations = operations;
+  }
+
+  const withCustom = samples.filter((s) => s.custom);
+  if (withCustom.length > 0) {
+    const custom = {};
+    withCustom.forEach((s) => {
+      Object.entries(s.custom).forEach(([name, metric]) => {
+        if (!custom[name]) {
+          custom[name] = { type: metric.type, samples: [] };
+        }
+        custom[name].samples.push({ ...metric, interval: weightOf(s) });
+      });
+    });
+
+    rollup.custom = Object.fromEntries(
+      Object.entries(custom).map(([name, { type, samples: values }]) => {
+        if (type === "counter") {
+          return [
+            name,
+            { type, value: values[values.length - 1].value, delta: sum(values, (v) => v.delta) },
+          ];
+        }
+        const present = values.filter((v) => v.value !== null && v.value !== undefined);
+        return [name, { type, value: present.length > 0 ? mean(present, (v) => v.value) : null }];
+      })
+    );
+  }
+
+  return rollup;
+}
+
+module.exports = Rollups;
+module.exports.RollupTier = RollupTier;
+module.exports.mergeSamples = mergeSamples;
+module.exports.DEFAULT_TIERS = DEFAULT_TIERS;
@@ -0,0 +1,458 @@
+/**
+ * SampleColumns - Columnar storage for the sample ring buffer
+ *
+ * A sample is a dozen nested objects around ~60 numbers, so keeping tens of
+ * thousands of them costs far more than the numbers themselves, and every
+ * aggregation walks them all to rebuild arrays. SampleColumns keeps each
+ * numeric field of the known groups (lag, elu, memory, cpu, handles, gc,
+ * requests, system, threadpool) in a `Float64Array` column indexed by slot,
+ * so windows are scanned column by column and samples are only materialized
+ * when asked for.
+ *
+ * NaN marks a field a sample does not have, and a bitmask per slot records
+ * which groups (and derived MB strings) it has, so a materialized sample has
+ * exactly the fields of the one written. Anything that is not a number of a
+ * known field (histograms, routes, handle types, heap stats, custom metrics,
+ * workers, stacks...) is kept as is in a per-slot "extras" object of the same
+ * shape, which aggregation reads for distributions and breakdowns.
+ *
+ * Columns are allocated the first time a sample has their field, so groups a
+ * monitor never records (threadpool without the probe) cost nothing.
+ *
+ * @module core/SampleColumns
+ */
+
+const { estimateBytes } = require("./footprint");
+
+// process.resourceUsage() counters the monitor reports (others are kept as extras)
+const SYSTEM_COUNTERS = [
+  "voluntaryContextSwitches",
+  "involuntaryContextSwitches",
+  "majorPageFault",
+  "minorPageFault",
+  "fsRead",
+  "fsWrite",
+  "ipcSent",
+  "ipcReceived",
+];
+
+// Garbage collection kinds of gc.byKind
+const GC_KINDS = ["minor", "major", "incremental", "weakcb"];
+
+// Numeric fields per group; nested objects with known fields are groups too
+const SCHEMA = {
+  lag: ["min", "max", "mean", "stddev", "p50", "p90", "p95", "p99", "p999"],
+  elu: ["utilization", "active", "idle"],
+  memory: ["heapUsed", "heapTotal", "external", "rss", "arrayBuffers"],
+  cpu: ["user", "system", "total"],
+  handles: ["active", "requests", "total"],
+  gc: [
+    "count",
+    "totalPause",
+    "maxPause",
+    { byKind: GC_KINDS.map((kind) => ({ [kind]: ["count", "totalPause", "maxPause"] })) },
+  ],
+  requests: [
+    "count",
+    "totalTime",
+    "avgTime",
+    "inFlight",
+    "maxInFlight",
+    "p50",
+    "p95",
+    "p99",
+    "max",
+  ],
+  system: [...SYSTEM_COUNTERS, "maxRSS"],
+  threadpool: [
+    "latency",
+    "count",
+    "pending",
+    "pendingFor",
+    "min",
+    "max",
+    "mean",
+    "p50",
+    "p90",
+    "p99",
+  ],
+};
+
+// MB strings the monitor derives from byte counts: not stored when they match
+const DERIVED = {
+  memory: {
+    heapUsedMB: "heapUsed",
+    heapTotalMB: "heapTotal",
+    rssMB: "rss",
+    externalMB: "external",
+  },
+};
+
+/**
+ * Groups as a tree of nodes ({ path, bit, fields, children, derived }),
+ * each group and derived field with its own bit of the slot mask
+ * @private
+ */
+function buildNodes() {
+  let nextBit = 0;
+  const bit = () => 2 ** nextBit++;
+
+  const build = (path, spec) => {
+    const node = { path, bit: bit(), fields: new Map(), children: new Map(), derived: new Map() };
+    spec.forEach((entry) => {
+      if (typeof entry === "string") {
+        node.fields.set(entry, `${path}.${entry}`);
+        return;
+      }
+      Object.entries(entry).forEach(([name, childSpec]) => {
+        node.children.set(name, build(`${path}.${name}`, childSpec));
+      });
+    });
+    Object.entries(DERIVED[path] || {}).forEach(([name, source]) => {
+      node.derived.set(name, { source, bit: bit() });
+    });
+    return node;
+  };
+
+  return new Map(Object.entries(SCHEMA).map(([name, spec]) => [name, build(name, spec)]));
+}
+
+const GROUPS = buildNodes();
+
+// Every node by path, for presence checks ("gc", "gc.byKind.major", ...)
+const NODES = new Map();
+(function index(nodes) {
+  nodes.forEach((node) => {
+    NODES.set(node.path, node);
+    index(node.children);
+  });
+})(GROUPS);
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * SampleColumns - Samples by slot, one typed array per numeric field
+ *
+ * @class
+ */
+class SampleColumns {
+  /**
+   * @param {number} capacity - Number of slots
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.timestamps = new Float64Array(capacity);
+    this.intervals = new Float64Array(capacity).fill(NaN);
+    // Groups and derived fields present in each slot
+    this.masks = new Uint32Array(capacity);
+    this.extras = new Array(capacity).fill(null);
+    // Estimated size of each slot's extras, and their total
+    this.extrasSizes = new Float64Array(capacity);
+    this.extrasBytes = 0;
+    // Field path -> Float64Array, allocated on first use
+    this.columns = new Map();
+    this._bytes =
+      this.timestamps.byteLength +
+      this.intervals.byteLength +
+      this.masks.byteLength +
+      this.extrasSizes.byteLength;
+  }
+
+  /**
+   * Store a sample in a slot, replacing what was there
+   * @param {number} slot - Slot index
+   * @param {Object} sample - Metrics sample
+   */
+  write(slot, sample) {
+    this.columns.forEach((column) => {
+      column[slot] = NaN;
+    });
+    this.timestamps[slot] = sample.timestamp;
+    this.intervals[slot] = NaN;
+
+    const state = { mask: 0 };
+    let extras = null;
+    Object.keys(sample).forEach((key) => {
+      const value = sample[key];
+      if (key === "timestamp") {
+        return;
+      }
+      if (key === "interval" && typeof value === "number" && !Number.isNaN(value)) {
+        this.intervals[slot] = value;
+        return;
+      }
+
+      const node = GROUPS.get(key);
+      const rest = node && isObject(value) ? this._writeNode(node, value, slot, state) : value;
+      if (rest !== undefined) {
+        extras = extras || {};
+        extras[key] = rest;
+      }
+    });
+
+    this.masks[slot] = state.mask;
+    this._setExtras(slot, extras);
+  }
+
+  /**
+   * Empty a slot
+   * @param {number} slot - Slot index
+   */
+  erase(slot) {
+    this.columns.forEach((column) => {
+      column[slot] = NaN;
+    });
+    this.timestamps[slot] = 0;
+    this.intervals[slot] = NaN;
+    this.masks[slot] = 0;
+    this._setExtras(slot, null);
+  }
+
+  /**
+   * Materialize the sample of a slot
+   * @param {number} slot - Slot index
+   * @returns {Object} Sample with the fields of the one written
+   */
+  read(slot) {
+    const sample = { timestamp: this.timestamps[slot] };
+    if (!Number.isNaN(this.intervals[slot])) {
+      sample.interval = this.intervals[slot];
+    }
+
+    const mask = this.masks[slot];
+    GROUPS.forEach((node, name) => {
+      if (mask & node.bit) {
+        sample[name] = this._readNode(node, slot, mask);
+      }
+    });
+
+    const extras = this.extras[slot];
+    if (extras) {
+      Object.keys(extras).forEach((key) => {
+        const node = GROUPS.get(key);
+        sample[key] =
+          node && isObject(sample[key]) ? mergeExtras(sample[key], extras[key], node) : extras[key];
+      });
+    }
+    return sample;
+  }
+
+  /**
+   * Materialize one group of a slot (e.g. "system")
+   * @param {number} slot - Slot index
+   * @param {string} name - Group name
+   * @returns {Object|undefined} The group as it was written
+   */
+  group(slot, name) {
+    const node = GROUPS.get(name);
+    const extras = this.extras[slot];
+    const rest = extras ? extras[name] : undefined;
+    if (!node || !(this.masks[slot] & node.bit)) {
+      return rest;
+    }
+    const value = this._readNode(node, slot, this.masks[slot]);
+    return rest !== undefined && isObject(rest) ? mergeExtras(value, rest, node) : value;
+  }
+
+  /**
+   * Whether the sample of a slot has a group
+   * @param {number} slot - Slot index
+   * @param {string} path - Group path ("lag", "gc.byKind.major", ...)
+   * @returns {boolean}
+   */
+  has(slot, path) {
+    const node = NODES.get(path);
+    if (node) {
+      return (this.masks[slot] & node.bit) !== 0;
+    }
+    const extras = this.extras[slot];
+    return Boolean(extras && extras[path] !== undefined);
+  }
+
+  /**
+   * Slots whose sample has a group
+   * @param {Array<number>} slots - Slot indexes
+   * @param {string} path - Group path ("lag", "gc.byKind.major", ...)
+   * @returns {Array<number>} The slots with the group, in the same order
+   */
+  slotsWith(slots, path) {
+    const node = NODES.get(path);
+    if (!node) {
+      return slots.filter((slot) => this.has(slot, path));
+    }
+    const result = [];
+    for (let i = 0; i < slots.length; i++) {
+      if (this.masks[slots[i]] & node.bit) {
+        result.push(slots[i]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Column of a numeric field
+   * @param {string} path - Field path ("lag.max", "gc.byKind.major.count", ...)
+   * @returns {Float64Array|null} Values by slot (NaN where absent), or null if no sample had it
+   */
+  column(path) {
+    return this.columns.get(path) || null;
+  }
+
+  /**
+   * Value of a numeric field in a slot
+   * @param {number} slot - Slot index
+   * @param {string} path - Field path
+   * @returns {number|undefined}
+   */
+  get(slot, path) {
+    const column = this.columns.get(path);
+    if (!column || Number.isNaN(column[slot])) {
+      return undefined;
+    }
+    return column[slot];
+  }
+
+  /**
+   * Non-numeric parts of a slot, in the shape of the sample
+   * (e.g. `{ lag: { histogram }, requests: { routes, ... }, custom }`)
+   * @param {number} slot - Slot index
+   * @returns {Object|null}
+   */
+  extrasOf(slot) {
+    return this.extras[slot];
+  }
+
+  /**
+   * Forget every slot; columns stay allocated
+   */
+  clear() {
+    this.timestamps.fill(0);
+    this.intervals.fill(NaN);
+    this.masks.fill(0);
+    this.extras.fill(null);
+    this.extrasSizes.fill(0);
+    this.extrasBytes = 0;
+    this.columns.forEach((column) => column.fill(NaN));
+  }
+
+  /**
+   * Bytes allocated for typed arrays (extras are estimated in `extrasBytes`)
+   * @returns {number}
+   */
+  get byteLength() {
+    return this._bytes;
+  }
+
+  /**
+   * Store samples in a new set of columns, one slot each
+   * @param {Array} samples - Samples
+   * @returns {SampleColumns}
+   */
+  static fromSamples(samples) {
+    const store = new SampleColumns(samples.length);
+    samples.forEach((sample, slot) => store.write(slot, sample));
+    return store;
+  }
+
+  /**
+   * Write the numbers of a group to its columns
+   * @returns {Object|undefined} What is left for extras
+   * @private
+   */
+  _writeNode(node, object, slot, state) {
+    state.mask |= node.bit;
+    let rest;
+
+    Object.keys(object).forEach((key) => {
+      const value = object[key];
+      const path = node.fields.get(key);
+      if (path && typeof value === "number" && !Number.isNaN(value)) {
+        this._column(path)[slot] = value;
+        return;
+      }
+
+      const derived = node.derived.get(key);
+      if (derived && value === (object[derived.source] / 1024 / 1024).toFixed(2)) {
+        state.mask |= derived.bit;
+        return;
+      }
+
+      const child = node.children.get(key);
+      const remaining = child && isObject(value) ? this._writeNode(child, value, slot, state) : value;
+      if (remaining !== undefined) {
+        rest = rest || {};
+        rest[key] = remaining;
+      }
+    });
+
+    return rest;
+  }
+
+  /**
+   * Object of a group from its columns
+   * @private
+   */
+  _readNode(node, slot, mask) {
+    const object = {};
+    node.fields.forEach((path, key) => {
+      const column = this.columns.get(path);
+      if (column && !Number.isNaN(column[slot])) {
+        object[key] = column[slot];
+      }
+    });
+    node.derived.forEach(({ source, bit }, key) => {
+      if (mask & bit) {
+        object[key] = (object[source] / 1024 / 1024).toFixed(2);
+      }
+    });
+    node.children.forEach((child, key) => {
+      if (mask & child.bit) {
+        object[key] = this._readNode(child, slot, mask);
+      }
+    });
+    return object;
+  }
+
+  /**
+   * Set the extras of a slot and keep their size up to date
+   * @private
+   */
+  _setExtras(slot, extras) {
+    const size = extras ? estimateBytes(extras) : 0;
+    this.extrasBytes += size - this.extrasSizes[slot];
+    this.extrasSizes[slot] = size;
+    this.extras[slot] = extras;
+  }
+
+  /**
+   * Column of a field, allocated (all NaN) on first use
+   * @private
+   */
+  _column(path) {
+    let column = this.columns.get(path);
+    if (!column) {
+      column = new Float64Array(this.capacity).fill(NaN);
+      this.columns.set(path, column);
+      this._bytes += column.byteLength;
+    }
+    return column;
+  }
+}
+
+/**
+ * Put the extras of a group back into the object read from its columns
+ * @private
+ */
+function mergeExtras(object, extras, node) {
+  Object.keys(extras).forEach((key) => {
+    const child = node.children.get(key);
+    object[key] =
+      child && isObject(object[key]) && isObject(extras[key])
+        ? mergeExtras(object[key], extras[key], child)
+        : extras[key];
+  });
+  return object;
+}
+
+module.exports = SampleColumns;
+module.exports.GC_KINDS = GC_KINDS;
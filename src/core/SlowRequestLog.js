@@ -0,0 +1,156 @@
+/**
+ * SlowRequestLog - Slow requests and the loop lag measured while they ran
+ *
+ * A request that took longer than the threshold is logged with the maximum
+ * event loop lag seen while it was in flight, and gets a verdict: when that
+ * lag accounts for a large part of the duration the request was slowed by
+ * a blocked loop ("loop-bound"), otherwise by its own I/O ("io-bound").
+ *
+ * Lag is known per sample, so it is measured at sample resolution. A
+ * handler that blocks the loop and then responds ends before the delay is
+ * recorded, so entries are held until the next sample settles them and only
+ * then show up in the log. A stall cannot have delayed a request for longer
+ * than the request was in flight during that sample, so each sample's lag is
+ * capped at that overlap; a request ending just before another one blocks
+ * the loop is not blamed for it.
+ *
+ * @module core/SlowRequestLog
+ */
+
+const LOOP_BOUND = "loop-bound";
+const IO_BOUND = "io-bound";
+
+/**
+ * SlowRequestLog - Bounded log of slow requests with their verdicts
+ *
+ * @class
+ */
+class SlowRequestLog {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.threshold=1000] - Requests taking at least this long are logged (ms)
+   * @param {number} [options.maxEntries=100] - Number of entries to retain
+   * @param {number} [options.loopBoundRatio=0.5] - Share of the duration the lag must reach
+   *   for a "loop-bound" verdict
+   */
+  constructor(options = {}) {
+    this.options = {
+      threshold: options.threshold !== undefined ? options.threshold : 1000,
+      maxEntries: options.maxEntries || 100,
+      loopBoundRatio: options.loopBoundRatio || 0.5,
+    };
+
+    this.nextId = 1;
+    // Ended requests waiting for the next sample
+    this.unsettled = [];
+    this.entries = [];
+  }
+
+  /**
+   * Whether a request took long enough to be logged
+   * @param {number} duration - Request duration (ms)
+   * @returns {boolean}
+   */
+  isSlow(duration) {
+    return duration >= this.options.threshold;
+  }
+
+  /**
+   * Hold a slow request until the next sample settles its lag
+   * @param {Object} request - Request ({ route, path, method, statusCode, aborted,
+   *   startTime, endTime, duration })
+   */
+  hold(request) {
+    this.unsettled.push(request);
+  }
+
+  /**
+   * Settle held requests with the maximum lag of the samples taken since
+   * they started
+   * @param {Array} samples - Recent samples, oldest first
+   * @returns {Array} Settled entries (sent along with the sample)
+   */
+  settle(samples) {
+    const settled = this.unsettled.map((request) => {
+      let maxLag = 0;
+      for (let i = samples.length - 1; i >= 0 && samples[i].timestamp > request.startTime; i--) {
+        maxLag = Math.max(maxLag, this._lagDuring(request, samples[i]));
+      }
+      return {
+        id: this.nextId++,
+        ...request,
+        maxLag,
+        verdict: this.judge(request.duration, maxLag),
+      };
+    });
+    this.unsettled = [];
+
+    this.add(settled);
+    return settled;
+  }
+
+  /**
+   * Lag of a sample, capped at the time the request was in flight during it
+   * @private
+   */
+  _lagDuring(request, sample) {
+    const lag = sample.lag.max || 0;
+    if (typeof sample.interval !== "number") {
+      return lag;
+    }
+
+    const overlap =
+      Math.min(request.endTime, sample.timestamp) -
+      Math.max(request.startTime, sample.timestamp - sample.interval);
+    return Math.max(0, Math.min(lag, overlap));
+  }
+
+  /**
+   * Verdict for a request
+   * @param {number} duration - Request duration (ms)
+   * @param {number} maxLag - Maximum lag while it was in flight (ms)
+   * @returns {string} "loop-bound" or "io-bound"
+   */
+  judge(duration, maxLag) {
+    return maxLag >= duration * this.options.loopBoundRatio ? LOOP_BOUND : IO_BOUND;
+  }
+
+  /**
+   * Add settled entries, e.g. received with samples from cluster workers
+   * @param {Array} entries - Settled entries
+   */
+  add(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return;
+    }
+
+    this.entries.push(...entries);
+    if (this.entries.length > this.options.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.options.maxEntries);
+    }
+  }
+
+  /**
+   * Get logged slow requests, most recent last
+   * @param {number} [count] - Number of recent entries to retrieve
+   * @returns {Array} Entries
+   */
+  getEntries(count) {
+    if (count && count < this.entries.length) {
+      return this.entries.slice(-count);
+    }
+    return [...this.entries];
+  }
+
+  /**
+   * Forget all entries, including requests waiting to be settled
+   */
+  clear() {
+    this.unsettled = [];
+    this.entries = [];
+  }
+}
+
+module.exports = SlowRequestLog;
+module.exports.LOOP_BOUND = LOOP_BOUND;
+module.exports.IO_BOUND = IO_BOUND;
@@ -0,0 +1,154 @@
+/**
+ * ThreadpoolProbe - libuv threadpool queue latency
+ *
+ * `fs`, `dns.lookup`, `crypto.pbkdf2`/`scrypt` and `zlib` run on the libuv
+ * threadpool (4 threads unless `UV_THREADPOOL_SIZE` says otherwise). When
+ * every thread is busy, new work queues up while the event loop itself stays
+ * idle, so lag looks fine. The probe submits a trivial task every `interval`
+ * ms and measures the time from submission to its callback; on an idle pool
+ * that is well under a millisecond.
+ *
+ * One probe is in flight at a time. A probe that has not come back counts as
+ * at least as slow as its age, so a pool that never drains still shows up.
+ *
+ * @module core/ThreadpoolProbe
+ */
+
+const fs = require("fs");
+const os = require("os");
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
+const Histogram = require("./Histogram");
+
+const METHODS = ["fs", "crypto"];
+
+/**
+ * ThreadpoolProbe - Measures how long threadpool tasks wait
+ *
+ * @class
+ */
+class ThreadpoolProbe {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.interval=500] - Time between probes (ms)
+   * @param {string} [options.method='fs'] - Probe task: 'fs' (`fs.stat`) or 'crypto' (1-iteration `crypto.pbkdf2`)
+   * @param {string} [options.path=os.tmpdir()] - Path stat'ed by the 'fs' probe
+   */
+  constructor(options = {}) {
+    const method = options.method || "fs";
+    if (!METHODS.includes(method)) {
+      throw new TypeError(`Threadpool probe method must be one of: ${METHODS.join(", ")}`);
+    }
+
+    this.options = {
+      interval: options.interval || 500,
+      method,
+      path: options.path || os.tmpdir(),
+    };
+
+    this.histogram = new Histogram();
+    this.inFlightSince = null;
+    this.lastLatency = null;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start probing
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    this._probe();
+    this.timer = setInterval(() => this._probe(), this.options.interval);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop probing; a probe in flight is ignored when it comes back
+   */
+  stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.inFlightSince = null;
+    this.lastLatency = null;
+    this.histogram = new Histogram();
+  }
+
+  /**
+   * Latencies measured since the last call, for a sample
+   * @returns {Object|null} Threadpool metrics ({ latency, count, pending, pendingFor, min, max,
+   *   mean, p50, p90, p99, histogram }), or null before the first probe has come back
+   */
+  drain() {
+    const pendingFor =
+      this.inFlightSince !== null ? performance.now() - this.inFlightSince : 0;
+
+    if (this.lastLatency === null && pendingFor === 0) {
+      return null;
+    }
+
+    const histogram = this.histogram;
+    this.histogram = new Histogram();
+    const summary = histogram.summary();
+
+    const metrics = {
+      // Latest completed latency, or the age of the probe in flight if longer
+      latency: Math.max(this.lastLatency || 0, pendingFor),
+      count: summary.count,
+      pending: this.inFlightSince !== null ? 1 : 0,
+      pendingFor,
+      min: summary.min,
+      max: summary.max,
+      mean: summary.mean,
+      p50: summary.p50,
+      p90: summary.p90,
+      p99: summary.p99,
+    };
+    if (histogram.count > 0) {
+      metrics.histogram = histogram.toJSON();
+    }
+    return metrics;
+  }
+
+  /**
+   * Submit one probe task unless the previous one is still queued
+   * @private
+   */
+  _probe() {
+    if (!this.isRunning || this.inFlightSince !== null) {
+      return;
+    }
+
+    const submittedAt = performance.now();
+    this.inFlightSince = submittedAt;
+
+    const done = () => {
+      // Stopped (and maybe restarted) while this probe was queued
+      if (this.inFlightSince !== submittedAt) {
+        return;
+      }
+      const latency = performance.now() - submittedAt;
+      this.inFlightSince = null;
+      this.lastLatency = latency;
+      this.histogram.record(latency);
+    };
+
+    // Errors are irrelevant: the callback still ran on the threadpool
+    if (this.options.method === "crypto") {
+      crypto.pbkdf2("", "", 1, 8, "sha256", done);
+    } else {
+      fs.stat(this.options.path, done);
+    }
+  }
+}
+
+module.exports = ThreadpoolProbe;
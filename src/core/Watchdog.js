@@ -0,0 +1,285 @@
+/**
+ * Watchdog - Out-of-band stall detection and blocking stack capture
+ *
+ * The main thread writes a heartbeat into shared memory. A worker thread
+ * checks it and, when the loop has not checked in for longer than `budget`,
+ * reports a stall and pauses the main thread through the inspector protocol
+ * to record its stack. Because the check runs on its own thread, a stall is
+ * detected while it is happening, even when the loop never recovers.
+ *
+ * @module core/Watchdog
+ */
+
+const path = require("path");
+const EventEmitter = require("events");
+const { Worker } = require("worker_threads");
+
+/**
+ * Watchdog - Out-of-band stall detector
+ *
+ * Events (delivered once the main loop is running again):
+ * - `stall-start` - The loop missed its budget
+ * - `stall-end` - The loop checked in again, with the stall duration
+ * - `stall-report` - A diagnostic report was written during a stall
+ * - `stack` - The stack of the blocking code was captured
+ *
+ * @class
+ */
+class Watchdog extends EventEmitter {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.budget=1000] - Time without heartbeat (ms) before a stall is reported
+   * @param {number} [options.heartbeatInterval] - How often the main thread checks in (ms)
+   * @param {number} [options.checkInterval] - How often the worker checks the heartbeat (ms)
+   * @param {number} [options.maxStacks=50] - Number of captured stacks to retain
+   * @param {number} [options.maxFrames=32] - Maximum frames recorded per stack
+   * @param {boolean} [options.captureStacks=true] - Capture the blocking stack of each stall
+   * @param {number} [options.maxStalls=100] - Number of finished stalls to retain
+   * @param {boolean} [options.logStalls=false] - Write stalls to stderr from the watchdog thread
+   * @param {boolean|Object} [options.report=false] - Write a diagnostic report (`process.report`) during a stall
+   * @param {number} [options.report.after=budget] - Stall duration (ms) before the report is written
+   * @param {string} [options.report.directory=process.cwd()] - Directory for report files
+   * @param {string} [options.alertModule] - Module loaded on the watchdog thread and called with
+   *   each stall event; runs during a hang, unlike listeners on the main thread
+   */
+  constructor(options = {}) {
+    super();
+
+    const budget = options.budget || 1000;
+
+    this.options = {
+      budget,
+      heartbeatInterval:
+        options.heartbeatInterval || Math.max(10, Math.floor(budget / 4)),
+      checkInterval:
+        options.checkInterval || Math.max(10, Math.floor(budget / 10)),
+      maxStacks: options.maxStacks || 50,
+      maxFrames: options.maxFrames || 32,
+      captureStacks: options.captureStacks !== false,
+      maxStalls: options.maxStalls || 100,
+      logStalls: options.logStalls || false,
+      report: options.report
+        ? {
+            after: options.report.after || budget,
+            directory: options.report.directory || process.cwd(),
+          }
+        : false,
+      alertModule: options.alertModule
+        ? path.resolve(options.alertModule)
+        : null,
+    };
+
+    this.worker = null;
+    // Resolves once the worker of the latest start() has exited
+    this.exited = Promise.resolve();
+    this.heartbeat = null;
+    this.heartbeatTimer = null;
+    this.isRunning = false;
+
+    // Every captured stack (bounded) and those not yet attached to a sample
+    this.stacks = [];
+    this.pending = [];
+
+    // Stall in progress (as reported by the worker) and finished stalls
+    this.currentStall = null;
+    this.stalls = [];
+  }
+
+  /**
+   * Start the watchdog thread
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    const buffer = new SharedArrayBuffer(BigInt64Array.BYTES_PER_ELEMENT);
+    this.heartbeat = new BigInt64Array(buffer);
+    this._beat();
+
+    this.worker = new Worker(path.join(__dirname, "watchdog-worker.js"), {
+      workerData: {
+        buffer,
+        budget: this.options.budget,
+        checkInterval: this.options.checkInterval,
+        maxFrames: this.options.maxFrames,
+        captureStacks: this.options.captureStacks,
+        logStalls: this.options.logStalls,
+        report: this.options.report,
+        alertModule: this.options.alertModule,
+      },
+    });
+    this.worker.unref();
+    this.exited = new Promise((resolve) => this.worker.once("exit", () => resolve()));
+
+    this.worker.on("message", (message) => this._handleMessage(message));
+    this.worker.on("error", (error) => {
+      this.emit("error", error);
+    });
+
+    this.heartbeatTimer = setInterval(
+      () => this._beat(),
+      this.options.heartbeatInterval
+    );
+    if (this.heartbeatTimer.unref) {
+      this.heartbeatTimer.unref();
+    }
+
+    this.isRunning = true;
+  }
+
+  /**
+   * Stop the watchdog thread
+   * @returns {Promise<void>} Resolves once the thread has exited
+   */
+  stop() {
+    if (!this.isRunning) {
+      return this.exited;
+    }
+
+    this.isRunning = false;
+
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    if (this.worker) {
+      this.worker.postMessage({ type: "stop" });
+      this.worker = null;
+    }
+
+    this.heartbeat = null;
+    this.currentStall = null;
+    return this.exited;
+  }
+
+  /**
+   * Get finished stalls, most recent last
+   * @param {number} [count] - Number of recent stalls to retrieve
+   * @returns {Array} Stalls with their durations
+   */
+  getStalls(count) {
+    if (count && count < this.stalls.length) {
+      return this.stalls.slice(-count);
+    }
+    return [...this.stalls];
+  }
+
+  /**
+   * Get captured stacks, most recent last
+   * @param {number} [count] - Number of recent stacks to retrieve
+   * @returns {Array} Captured stacks
+   */
+  getStacks(count) {
+    if (count && count < this.stacks.length) {
+      return this.stacks.slice(-count);
+    }
+    return [...this.stacks];
+  }
+
+  /**
+   * Take the stacks captured since the previous call
+   * Used by the monitor to attach stacks to the next sample
+   * @returns {Array} Stacks not yet attached to a sample
+   */
+  drainPending() {
+    const pending = this.pending;
+    this.pending = [];
+    return pending;
+  }
+
+  /**
+   * Clear captured stacks
+   */
+  clear() {
+    this.stacks = [];
+    this.pending = [];
+    this.stalls = [];
+  }
+
+  /**
+   * Record that the main loop is alive
+   * @private
+   */
+  _beat() {
+    if (this.heartbeat) {
+      Atomics.store(this.heartbeat, 0, BigInt(Date.now()));
+    }
+  }
+
+  /**
+   * Handle a message from the worker thread
+   * @private
+   */
+  _handleMessage(message) {
+    if (!message) {
+      return;
+    }
+
+    switch (message.type) {
+      case "stack":
+        this._recordStack(message.capture);
+        break;
+
+      case "stall-start":
+        this.currentStall = { ...message.stall };
+        this.emit("stall-start", message.stall);
+        break;
+
+      case "stall-end": {
+        const stall = {
+          ...message.stall,
+          stack: this.currentStall ? this.currentStall.stack || null : null,
+        };
+        this.currentStall = null;
+
+        this.stalls.push(stall);
+        if (this.stalls.length > this.options.maxStalls) {
+          this.stalls.shift();
+        }
+
+        this.emit("stall-end", stall);
+        break;
+      }
+
+      case "stall-report":
+        if (this.currentStall && this.currentStall.id === message.stall.id) {
+          this.currentStall.reportFile = message.file;
+        }
+        this.emit("stall-report", message);
+        break;
+
+      case "error":
+        this.emit("error", new Error(message.message));
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Record a captured stack
+   * @private
+   */
+  _recordStack(capture) {
+    if (this.currentStall) {
+      this.currentStall.stack = capture.stack;
+    }
+
+    this.stacks.push(capture);
+    if (this.stacks.length > this.options.maxStacks) {
+      this.stacks.shift();
+    }
+
+    this.pending.push(capture);
+    if (this.pending.length > this.options.maxStacks) {
+      this.pending.shift();
+    }
+
+    this.emit("stack", capture);
+  }
+}
+
+module.exports = Watchdog;
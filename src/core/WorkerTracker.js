@@ -0,0 +1,142 @@
+/**
+ * WorkerTracker - Event loop metrics for worker threads
+ *
+ * ELU is read from the main thread through `worker.performance`, so it works
+ * for any worker. Lag can only be measured inside the worker: workers that
+ * call `startWorkerReporter()` post their lag histogram to the main thread,
+ * where it is picked up by the next sample.
+ *
+ * @module core/WorkerTracker
+ */
+
+const { LAG_MESSAGE_TYPE } = require("./workerReporter");
+
+/**
+ * WorkerTracker - Registry of monitored worker threads
+ *
+ * @class
+ */
+class WorkerTracker {
+  constructor() {
+    this.workers = new Map();
+  }
+
+  /**
+   * Start monitoring a worker
+   * @param {Worker} worker - Worker thread
+   * @param {Object} [options] - Options
+   * @param {string} [options.name] - Label for the worker's series (default: `worker-<threadId>`)
+   * @returns {Object} Registration info
+   */
+  add(worker, options = {}) {
+    if (!worker || !worker.performance) {
+      throw new TypeError("addWorker() expects a worker_threads Worker");
+    }
+
+    const existing = this.workers.get(worker);
+    if (existing) {
+      return this._describe(existing);
+    }
+
+    const entry = {
+      worker,
+      name: options.name || `worker-${worker.threadId}`,
+      threadId: worker.threadId,
+      addedAt: Date.now(),
+      lastELU: worker.performance.eventLoopUtilization(),
+      lag: null,
+      onMessage: null,
+      onExit: null,
+    };
+
+    entry.onMessage = (message) => {
+      if (message && message.type === LAG_MESSAGE_TYPE) {
+        entry.lag = message.lag;
+      }
+    };
+    entry.onExit = () => this.remove(worker);
+
+    worker.on("message", entry.onMessage);
+    worker.once("exit", entry.onExit);
+
+    this.workers.set(worker, entry);
+    return this._describe(entry);
+  }
+
+  /**
+   * Stop monitoring a worker
+   * @param {Worker} worker - Worker thread
+   * @returns {boolean} True if the worker was registered
+   */
+  remove(worker) {
+    const entry = this.workers.get(worker);
+    if (!entry) {
+      return false;
+    }
+
+    worker.removeListener("message", entry.onMessage);
+    worker.removeListener("exit", entry.onExit);
+    this.workers.delete(worker);
+    return true;
+  }
+
+  /**
+   * Remove every worker
+   */
+  clear() {
+    Array.from(this.workers.keys()).forEach((worker) => this.remove(worker));
+  }
+
+  /**
+   * Get the registered workers
+   * @returns {Array} Registration info for each worker
+   */
+  list() {
+    return Array.from(this.workers.values()).map((entry) =>
+      this._describe(entry)
+    );
+  }
+
+  /**
+   * Take a sample for every worker: ELU since the previous sample and the
+   * most recent lag report (null if the worker sent none since then)
+   * @returns {Array} Per-worker metrics
+   */
+  sample() {
+    return Array.from(this.workers.values()).map((entry) => {
+      const currentELU = entry.worker.performance.eventLoopUtilization();
+      const eluDiff = entry.worker.performance.eventLoopUtilization(
+        currentELU,
+        entry.lastELU
+      );
+      entry.lastELU = currentELU;
+
+      const lag = entry.lag;
+      entry.lag = null;
+
+      return {
+        name: entry.name,
+        threadId: entry.threadId,
+        elu: {
+          utilization: eluDiff.utilization,
+          active: eluDiff.active,
+          idle: eluDiff.idle,
+        },
+        lag,
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _describe(entry) {
+    return {
+      name: entry.name,
+      threadId: entry.threadId,
+      addedAt: entry.addedAt,
+    };
+  }
+}
+
+module.exports = WorkerTracker;
@@ -0,0 +1,58 @@
+/**
+ * Memory footprint estimates
+ *
+ * The collector keeps its history within `maxMemoryMB`, so it needs the size
+ * of what it holds. V8 does not expose the size of an object graph, so this
+ * estimates it from what V8 allocates on 64-bit builds: a header per object
+ * and array, a slot per property or element, a boxed double per number and
+ * a byte per character of (one-byte) strings. Estimates are within a small
+ * factor of the real size, which is enough to trade history for memory.
+ *
+ * @module core/footprint
+ */
+
+const OBJECT_HEADER = 32;
+const SLOT = 8;
+const NUMBER = 16;
+const STRING_HEADER = 16;
+
+/**
+ * Estimated bytes of a value and everything it references
+ * Shared references are counted each time they are reached, so the estimate
+ * of a graph with shared parts is high rather than low.
+ * @param {*} value - Value (samples, rollups, aggregates... no cycles)
+ * @returns {number} Bytes
+ */
+function estimateBytes(value) {
+  if (typeof value === "number") {
+    return NUMBER;
+  }
+  if (typeof value === "string") {
+    return STRING_HEADER + value.length;
+  }
+  if (value === null || typeof value !== "object") {
+    return 0;
+  }
+  if (ArrayBuffer.isView(value)) {
+    return OBJECT_HEADER + value.byteLength;
+  }
+
+  let bytes = OBJECT_HEADER;
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      bytes += SLOT + estimateBytes(value[i]);
+    }
+    return bytes;
+  }
+
+  for (const key in value) {
+    if (Object.prototype.hasOwnProperty.call(value, key)) {
+      bytes += SLOT + estimateBytes(value[key]);
+    }
+  }
+  return bytes;
+}
+
+module.exports = {
+  estimateBytes,
+};
@@ -0,0 +1,109 @@
+/**
+ * Active resource counts and leak detection
+ *
+ * Counts the resources keeping the event loop alive per type (TCPWRAP,
+ * Timeout, FSReqCallback, ...) and looks for types whose count keeps
+ * growing across the history window.
+ *
+ * @module core/resources
+ */
+
+// Async requests (as opposed to long-lived handles) by type name
+const REQUEST_TYPE = /Req|^(Write|Shutdown|Connect|Send)Wrap$/;
+
+/**
+ * Count the active resources per type
+ * Uses `process.getActiveResourcesInfo()` (Node 17+), which also includes
+ * timers and immediates. Older versions fall back to the undocumented
+ * `_getActiveHandles()` / `_getActiveRequests()`, typed by constructor name.
+ * @returns {Object} Counts ({ active, requests, total, byType })
+ */
+function getActiveResources() {
+  let types;
+  if (typeof process.getActiveResourcesInfo === "function") {
+    types = process.getActiveResourcesInfo();
+  } else {
+    const handles = process._getActiveHandles ? process._getActiveHandles() : [];
+    const requests = process._getActiveRequests ? process._getActiveRequests() : [];
+    types = handles
+      .concat(requests)
+      .map((resource) => (resource && resource.constructor ? resource.constructor.name : "Unknown"));
+  }
+
+  const byType = {};
+  let requests = 0;
+  types.forEach((type) => {
+    byType[type] = (byType[type] || 0) + 1;
+    if (REQUEST_TYPE.test(type)) {
+      requests++;
+    }
+  });
+
+  return {
+    active: types.length - requests,
+    requests,
+    total: types.length,
+    byType,
+  };
+}
+
+/**
+ * Find resource types whose count grows steadily across the samples
+ * The window is split into segments and the lowest count of each segment
+ * is compared: a leak raises the floor every segment, while a busy but
+ * healthy process returns to its baseline.
+ * @param {Array} history - Samples, oldest first
+ * @param {Object} [options] - Options
+ * @param {number} [options.minSamples=30] - Samples needed before anything is flagged
+ * @param {number} [options.segments=5] - Segments to split the window into
+ * @param {number} [options.minGrowth=10] - Growth of the floor needed to flag a type
+ * @returns {Array} Suspected leaks ({ type, baseline, current, growth, ratePerMinute }), largest growth first
+ */
+function detectResourceLeaks(history, options = {}) {
+  const minSamples = options.minSamples || 30;
+  const segments = options.segments || 5;
+  const minGrowth = options.minGrowth || 10;
+
+  const samples = history.filter((s) => s.handles && s.handles.byType);
+  if (samples.length < Math.max(minSamples, segments)) {
+    return [];
+  }
+
+  const types = new Set();
+  samples.forEach((s) => Object.keys(s.handles.byType).forEach((type) => types.add(type)));
+
+  const segmentSize = samples.length / segments;
+  const durationMinutes =
+    (samples[samples.length - 1].timestamp - samples[0].timestamp) / 60000;
+
+  const leaks = [];
+  types.forEach((type) => {
+    const counts = samples.map((s) => s.handles.byType[type] || 0);
+
+    const floors = [];
+    for (let i = 0; i < segments; i++) {
+      const segment = counts.slice(Math.round(i * segmentSize), Math.round((i + 1) * segmentSize));
+      floors.push(Math.min(...segment));
+    }
+
+    const rising = floors.every((floor, i) => i === 0 || floor >= floors[i - 1]);
+    const growth = floors[floors.length - 1] - floors[0];
+
+    if (rising && growth >= minGrowth) {
+      leaks.push({
+        type,
+        baseline: floors[0],
+        current: counts[counts.length - 1],
+        growth,
+        ratePerMinute: durationMinutes > 0 ? growth / durationMinutes : null,
+      });
+    }
+  });
+
+  return leaks.sort((a, b) => b.growth - a.growth);
+}
+
+module.exports = {
+  getActiveResources,
+  detectResourceLeaks,
+};
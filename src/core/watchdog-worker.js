@@ -0,0 +1,235 @@
+/**
+ * Watchdog worker
+ *
+ * Runs on a separate thread and watches the heartbeat written by the main
+ * thread. When the main loop misses its budget a stall is reported, the main
+ * thread's stack is captured through the inspector protocol and, optionally,
+ * a diagnostic report is written. None of this needs the main loop to run,
+ * so it still works during a permanent hang.
+ *
+ * @module core/watchdog-worker
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parentPort, workerData } = require("worker_threads");
+const inspector = require("inspector");
+
+const heartbeat = new BigInt64Array(workerData.buffer);
+const {
+  budget,
+  checkInterval,
+  maxFrames,
+  captureStacks,
+  logStalls,
+  report,
+  alertModule,
+} = workerData;
+
+const session = new inspector.Session();
+session.connectToMainThread();
+
+// Out-of-band alert handler, loaded in this thread so it runs during a hang
+let alertHandler = null;
+if (alertModule) {
+  try {
+    alertHandler = require(alertModule);
+  } catch (error) {
+    parentPort.postMessage({
+      type: "error",
+      message: `Failed to load alert module: ${error.message}`,
+    });
+  }
+}
+
+// Current stall (null while the main loop is checking in)
+let stall = null;
+let stallCount = 0;
+let pausePending = false;
+let pauseRequestedAt = 0;
+
+session.on("Debugger.paused", (message) => {
+  // Ignore pauses we did not request (e.g. a developer using a debugger)
+  if (!pausePending) {
+    return;
+  }
+
+  // The loop recovered before the pause landed: the stack is unrelated
+  if (!stall) {
+    pausePending = false;
+    session.post("Debugger.resume", () => session.post("Debugger.disable"));
+    return;
+  }
+
+  const blockedSince = stall.startedAt;
+  const frames = message.params.callFrames.slice(0, maxFrames).map((frame) => ({
+    functionName: frame.functionName || "<anonymous>",
+    url: frame.url || "",
+    lineNumber: frame.location.lineNumber + 1,
+    columnNumber: frame.location.columnNumber + 1,
+  }));
+
+  session.post("Debugger.resume", () => {
+    session.post("Debugger.disable");
+    pausePending = false;
+
+    const capturedAt = Date.now();
+    parentPort.postMessage({
+      type: "stack",
+      capture: {
+        timestamp: capturedAt,
+        blockedSince,
+        blockedFor: capturedAt - blockedSince,
+        captureLatency: capturedAt - pauseRequestedAt,
+        frames,
+        stack: frames
+          .map(
+            (f) =>
+              `    at ${f.functionName} (${f.url || "<unknown>"}:${f.lineNumber}:${f.columnNumber})`
+          )
+          .join("\n"),
+      },
+    });
+  });
+});
+
+/**
+ * Notify everything that runs outside the main loop
+ */
+function notify(event) {
+  if (logStalls) {
+    const line =
+      event.type === "stall-start"
+        ? `[event-loop-monitor] pid ${process.pid}: event loop stalled for ${event.stall.blockedFor}ms\n`
+        : `[event-loop-monitor] pid ${process.pid}: event loop recovered after ${event.stall.duration}ms\n`;
+    try {
+      // Written directly to fd 2: worker stdio is relayed by the (blocked) main thread
+      fs.writeSync(2, line);
+    } catch (error) {
+      // Nothing more we can do
+    }
+  }
+
+  if (alertHandler) {
+    try {
+      const result = alertHandler(event);
+      if (result && typeof result.catch === "function") {
+        result.catch(() => {});
+      }
+    } catch (error) {
+      // Never let a faulty handler stop the watchdog
+    }
+  }
+
+  parentPort.postMessage(event);
+}
+
+function startStall(beat, now) {
+  stallCount++;
+  stall = {
+    id: stallCount,
+    beat,
+    startedAt: Number(beat),
+    detectedAt: now,
+    reportFile: null,
+  };
+
+  notify({
+    type: "stall-start",
+    stall: {
+      id: stall.id,
+      startedAt: stall.startedAt,
+      detectedAt: now,
+      blockedFor: now - stall.startedAt,
+    },
+  });
+
+  if (captureStacks) {
+    pausePending = true;
+    pauseRequestedAt = now;
+    session.post("Debugger.enable", () => session.post("Debugger.pause"));
+  }
+}
+
+function endStall(beat) {
+  const endedAt = Number(beat);
+  const ended = stall;
+  stall = null;
+
+  notify({
+    type: "stall-end",
+    stall: {
+      id: ended.id,
+      startedAt: ended.startedAt,
+      detectedAt: ended.detectedAt,
+      endedAt,
+      duration: endedAt - ended.startedAt,
+      reportFile: ended.reportFile,
+    },
+  });
+}
+
+function writeReport() {
+  const file = path.join(
+    report.directory,
+    `stall-report-${process.pid}-${stall.id}-${Date.now()}.json`
+  );
+  const current = stall;
+  current.reportFile = file;
+
+  // Evaluated on the main thread through an interrupt, so the report
+  // contains the JavaScript stack of the code that is blocking the loop
+  session.post(
+    "Runtime.evaluate",
+    { expression: `process.report.writeReport(${JSON.stringify(file)})` },
+    (error, result) => {
+      const failed = error || (result && result.exceptionDetails);
+      parentPort.postMessage({
+        type: "stall-report",
+        stall: { id: current.id, startedAt: current.startedAt },
+        file: failed ? null : file,
+        error: failed
+          ? (error && error.message) || "Failed to write report"
+          : null,
+      });
+    }
+  );
+}
+
+function check() {
+  const lastBeat = Atomics.load(heartbeat, 0);
+  if (lastBeat === 0n) {
+    return;
+  }
+
+  const now = Date.now();
+
+  if (stall) {
+    if (lastBeat !== stall.beat) {
+      endStall(lastBeat);
+    } else if (report && !stall.reportFile && now - stall.startedAt >= report.after) {
+      writeReport();
+    }
+    return;
+  }
+
+  if (now - Number(lastBeat) > budget) {
+    startStall(lastBeat, now);
+  }
+}
+
+const timer = setInterval(check, checkInterval);
+
+// Leaves the main thread running and lets this thread exit by itself:
+// disconnecting the session from here aborts the process on Node < 18 once
+// a stack was captured
+parentPort.on("message", (message) => {
+  if (message && message.type === "stop") {
+    clearInterval(timer);
+    // A pause still on its way is resumed by the Debugger.paused handler
+    stall = null;
+    session.post("Debugger.resume", () => {
+      session.post("Debugger.disable", () => parentPort.unref());
+    });
+  }
+});
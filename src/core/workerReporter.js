@@ -0,0 +1,75 @@
+/**
+ * Worker reporter
+ *
+ * Runs inside a worker thread and reports the worker's event loop lag to the
+ * main thread, where a monitor that registered the worker with `addWorker()`
+ * records it. Lag has to be measured on the thread whose loop is observed.
+ *
+ * @module core/workerReporter
+ */
+
+const { monitorEventLoopDelay } = require("perf_hooks");
+const { isMainThread, parentPort } = require("worker_threads");
+
+const LAG_MESSAGE_TYPE = "event-loop-monitor:lag";
+
+/**
+ * Report this worker's event loop lag to the main thread
+ *
+ * Reports are regular `parentPort` messages with `type` set to
+ * `"event-loop-monitor:lag"`; ignore them in your own message handlers.
+ *
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.interval=1000] - Reporting interval (ms)
+ * @param {number} [options.resolution=10] - Histogram resolution (ms)
+ * @returns {Function} Stops reporting
+ *
+ * @example
+ * // worker.js
+ * const { startWorkerReporter } = require('event-loop-monitor-dashboard');
+ * startWorkerReporter();
+ */
+function startWorkerReporter(options = {}) {
+  if (isMainThread || !parentPort) {
+    throw new Error("startWorkerReporter() must be called inside a worker thread");
+  }
+
+  const interval = options.interval || 1000;
+  const histogram = monitorEventLoopDelay({
+    resolution: options.resolution || 10,
+  });
+  histogram.enable();
+
+  const timer = setInterval(() => {
+    parentPort.postMessage({
+      type: LAG_MESSAGE_TYPE,
+      lag: {
+        min: histogram.min / 1e6,
+        max: histogram.max / 1e6,
+        mean: histogram.mean / 1e6,
+        stddev: histogram.stddev / 1e6,
+        p50: histogram.percentile(50) / 1e6,
+        p90: histogram.percentile(90) / 1e6,
+        p95: histogram.percentile(95) / 1e6,
+        p99: histogram.percentile(99) / 1e6,
+        p999: histogram.percentile(99.9) / 1e6,
+      },
+    });
+    histogram.reset();
+  }, interval);
+
+  // Reporting must not keep the worker alive
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  return function stopWorkerReporter() {
+    clearInterval(timer);
+    histogram.disable();
+  };
+}
+
+module.exports = {
+  startWorkerReporter,
+  LAG_MESSAGE_TYPE,
+};
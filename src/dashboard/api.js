@@ -4,11 +4,24 @@
  * This file includes ALL functions required by routes.js
  */
 
+const { detectResourceLeaks } = require("../core/resources");
+const { mergeLagHistograms } = require("../core/Histogram");
+const { mergeRequestMetrics, summarizeRoutes } = require("../core/RequestTracker");
+const { mergeOperations, rankOperations } = require("../core/OperationTracker");
+
+// Assumed interval of samples that do not record one (the monitor default)
+const DEFAULT_SAMPLE_INTERVAL = 100;
+
 // ============================================================================
 // EXISTING FUNCTIONS FROM YOUR FILE
 // ============================================================================
 
-function getDashboardData(monitor) {
+/**
+ * Get everything the dashboard shows
+ * @param {number} [timeRange] - Seconds of history to chart (rollups beyond
+ *   the ring buffer); the last 300 samples if omitted
+ */
+function getDashboardData(monitor, timeRange) {
   if (!monitor || !monitor.isActive()) {
     return {
       status: "error",
@@ -19,7 +32,9 @@ function getDashboardData(monitor) {
 
   const current = monitor.getCurrentMetrics();
   const health = monitor.getHealth();
-  const history = monitor.getHistory(300);
+  const history = timeRange
+    ? monitor.getHistory({ duration: timeRange * 1000 })
+    : monitor.getHistory(300);
 
   if (!current) {
     return {
@@ -32,6 +47,7 @@ function getDashboardData(monitor) {
   const timeSeries = {
     lag: history.map((s) => ({
       t: s.timestamp,
+      interval: sampleInterval(s),
       mean: s.lag.mean,
       p50: s.lag.p50,
       p95: s.lag.p95,
@@ -51,7 +67,11 @@ function getDashboardData(monitor) {
     requests: history.map((s) => ({
       t: s.timestamp,
       count: s.requests.count,
+      rate: perSecond(s.requests.count, s),
       avgTime: s.requests.avgTime,
+      p95: s.requests.p95 || 0,
+      p99: s.requests.p99 || 0,
+      inFlight: s.requests.inFlight || 0,
     })),
     cpu: history.map((s) => ({
       t: s.timestamp,
@@ -63,11 +83,44 @@ function getDashboardData(monitor) {
       requests: s.handles ? s.handles.requests : 0,
       total: s.handles ? s.handles.total : 0,
     })),
+    resources: buildResourceSeries(history),
+    heap: buildHeapSeries(history),
+    // Per-second rates from process.resourceUsage() deltas
+    system: history
+      .filter((s) => s.system)
+      .map((s) => ({
+        t: s.timestamp,
+        voluntaryContextSwitches: perSecond(s.system.voluntaryContextSwitches, s),
+        involuntaryContextSwitches: perSecond(s.system.involuntaryContextSwitches, s),
+        majorPageFaults: perSecond(s.system.majorPageFault, s),
+        fsOperations: perSecond(s.system.fsRead + s.system.fsWrite, s),
+      })),
+    threadpool: history
+      .filter((s) => s.threadpool)
+      .map((s) => ({
+        t: s.timestamp,
+        latency: s.threadpool.latency,
+        pendingFor: s.threadpool.pendingFor,
+      })),
+    gc: history.map((s) => ({
+      t: s.timestamp,
+      count: s.gc ? s.gc.count : 0,
+      totalPause: s.gc ? s.gc.totalPause : 0,
+      maxPause: s.gc ? s.gc.maxPause : 0,
+      majorPause: s.gc ? s.gc.byKind.major.totalPause : 0,
+      // Comparable across samples of different intervals
+      pausePerSecond: s.gc ? perSecond(s.gc.totalPause, s) : 0,
+    })),
+    workers: buildWorkerSeries(history),
+    custom: buildCustomSeries(history),
   };
 
+  const leaks = monitor.getResourceLeaks();
   const trends = calculateTrends(history);
-  const insights = generateInsights(current, history, health);
+  const insights = generateInsights(current, history, health, leaks);
   const aggregated = calculateAggregatedStats(history);
+  const blockers = monitor.getTopBlockers(10);
+  const heapSnapshots = monitor.heapSnapshotter ? monitor.getHeapSnapshots() : null;
 
   return {
     status: "ok",
@@ -106,10 +159,30 @@ function getDashboardData(monitor) {
               active: current.handles.active,
               requests: current.handles.requests,
               total: current.handles.total,
+              byType: current.handles.byType || null,
             }
           : null,
-        requests: current.requests,
+        system: current.system || null,
+        // Heap stats come at a slower cadence than samples
+        heap: monitor.getHeapStats(),
+        // Latest probe plus percentiles over the last minute (threadpool option)
+        threadpool: monitor.getThreadpoolStats(),
+        requests: {
+          count: current.requests.count,
+          avgTime: current.requests.avgTime,
+          inFlight: current.requests.inFlight || 0,
+          p50: current.requests.p50 || 0,
+          p95: current.requests.p95 || 0,
+          p99: current.requests.p99 || 0,
+        },
       },
+      // Per-route latency and status classes over the same history
+      requests: buildRequestSummary(history),
+      // Measured operations ranked by the loop time they consumed
+      operations: rankOperations(
+        mergeOperations(history.map((s) => s.operations)),
+        history.reduce((acc, s) => acc + sampleInterval(s), 0)
+      ),
       health: {
         status: health.status,
         score: health.score,
@@ -120,6 +193,15 @@ function getDashboardData(monitor) {
       trends,
       insights,
       aggregated,
+      blockers,
+      heapSnapshots,
+      leaks,
+      // History memory against maxMemoryMB
+      memoryBudget: monitor.getMemoryBudget(),
+      // Anomalies within the history, shaded on the charts
+      anomalies: monitor.getAnomalies({
+        since: history.length > 0 ? history[0].timestamp : Date.now(),
+      }),
     },
   };
 }
@@ -226,6 +308,7 @@ function exportMetrics(monitor, count) {
         current,
         health,
         insights,
+        slowRequests: monitor.getSlowRequests(),
         history,
       },
     };
@@ -269,8 +352,11 @@ function getMetricsResponse(monitor) {
 
 /**
  * Get historical metrics (called by /api/history endpoint)
+ * @param {number|Object} [countOrOptions] - Number of recent samples, or
+ *   { count, startTime, endTime, resolution } (ranges older than memory are read
+ *   from rollups or storage)
  */
-function getHistoryMetrics(monitor, count) {
+function getHistoryMetrics(monitor, countOrOptions) {
   if (!monitor || !monitor.isActive()) {
     return {
       status: "error",
@@ -279,7 +365,7 @@ function getHistoryMetrics(monitor, count) {
   }
 
   try {
-    const history = monitor.getHistory(count);
+    const history = monitor.getHistory(countOrOptions);
     return {
       status: "ok",
       timestamp: Date.now(),
@@ -296,8 +382,10 @@ function getHistoryMetrics(monitor, count) {
 
 /**
  * Get time series data for a specific metric (called by /api/timeseries endpoint)
+ * @param {number|Object} [countOrOptions] - Number of recent samples, or
+ *   { count, duration, startTime, endTime, resolution } (long ranges are read from rollups)
  */
-function getTimeSeriesData(monitor, metric, count) {
+function getTimeSeriesData(monitor, metric, countOrOptions) {
   if (!monitor || !monitor.isActive()) {
     return {
       status: "error",
@@ -306,7 +394,7 @@ function getTimeSeriesData(monitor, metric, count) {
   }
 
   try {
-    const history = monitor.getHistory(count);
+    const history = monitor.getHistory(countOrOptions);
 
     let timeSeries;
     switch (metric) {
@@ -344,10 +432,68 @@ function getTimeSeriesData(monitor, metric, count) {
         timeSeries = history.map((s) => ({
           timestamp: s.timestamp,
           count: s.requests.count,
+          rate: perSecond(s.requests.count, s),
           avgTime: s.requests.avgTime,
         }));
         break;
 
+      case "custom":
+        timeSeries = history.map((s) => ({
+          timestamp: s.timestamp,
+          custom: s.custom || {},
+        }));
+        break;
+
+      case "resources":
+        timeSeries = history.map((s) => ({
+          timestamp: s.timestamp,
+          byType: s.handles && s.handles.byType ? s.handles.byType : {},
+        }));
+        break;
+
+      case "heap":
+        timeSeries = history
+          .filter((s) => s.heap)
+          .map((s) => ({
+            timestamp: s.timestamp,
+            spaces: s.heap.spaces,
+            code: s.heap.code,
+          }));
+        break;
+
+      case "system":
+        timeSeries = history
+          .filter((s) => s.system)
+          .map((s) => ({
+            timestamp: s.timestamp,
+            ...s.system,
+          }));
+        break;
+
+      case "threadpool":
+        timeSeries = history
+          .filter((s) => s.threadpool)
+          .map((s) => ({
+            timestamp: s.timestamp,
+            latency: s.threadpool.latency,
+            count: s.threadpool.count,
+            pending: s.threadpool.pending,
+            pendingFor: s.threadpool.pendingFor,
+            p50: s.threadpool.p50,
+            p99: s.threadpool.p99,
+          }));
+        break;
+
+      case "gc":
+        timeSeries = history.map((s) => ({
+          timestamp: s.timestamp,
+          count: s.gc ? s.gc.count : 0,
+          totalPause: s.gc ? s.gc.totalPause : 0,
+          maxPause: s.gc ? s.gc.maxPause : 0,
+          byKind: s.gc ? s.gc.byKind : null,
+        }));
+        break;
+
       default:
         return {
           status: "error",
@@ -355,6 +501,12 @@ function getTimeSeriesData(monitor, metric, count) {
         };
     }
 
+    // Samples cover different intervals in adaptive mode
+    timeSeries = timeSeries.map((point, i) => ({
+      ...point,
+      interval: sampleInterval(history[i]),
+    }));
+
     return {
       status: "ok",
       timestamp: Date.now(),
@@ -372,6 +524,7 @@ function getTimeSeriesData(monitor, metric, count) {
 
 /**
  * Get aggregated metrics over a duration (called by /api/aggregated endpoint)
+ * The duration is in ms, or the name of an aggregation window ('1m', '5m', '1h', ...)
  */
 function getAggregatedMetrics(monitor, duration) {
   if (!monitor || !monitor.isActive()) {
@@ -381,13 +534,22 @@ function getAggregatedMetrics(monitor, duration) {
     };
   }
 
-  try {
-    // If duration specified, filter history to that time window
-    let history = monitor.getHistory();
-    if (duration) {
-      const cutoff = Date.now() - duration;
-      history = history.filter((s) => s.timestamp >= cutoff);
+  let window = null;
+  if (typeof duration === "string") {
+    const seconds = monitor.metricsCollector.config.aggregationWindows[duration];
+    if (!seconds) {
+      return {
+        status: "error",
+        message: `Unknown aggregation window: ${duration}`,
+      };
     }
+    window = duration;
+    duration = seconds * 1000;
+  }
+
+  try {
+    // Windows longer than the ring buffer are read from rollups
+    const history = duration ? monitor.getHistory({ duration }) : monitor.getHistory();
 
     const aggregated = calculateAggregatedStats(history);
 
@@ -395,6 +557,7 @@ function getAggregatedMetrics(monitor, duration) {
       status: "ok",
       timestamp: Date.now(),
       duration: duration || "all",
+      window,
       sampleCount: history.length,
       data: aggregated,
     };
@@ -432,6 +595,409 @@ function getMonitorConfig(monitor) {
   }
 }
 
+/**
+ * Get request counts, latency and status classes per route (called by
+ * /api/requests endpoint)
+ * @param {number} [duration] - Only include samples from the last `duration` ms
+ */
+function getRequestMetrics(monitor, duration) {
+  if (!monitor || !monitor.isActive()) {
+    return {
+      status: "error",
+      message: "Monitor not active",
+    };
+  }
+
+  try {
+    let history = monitor.getHistory();
+    if (duration) {
+      const cutoff = Date.now() - duration;
+      history = history.filter((s) => s.timestamp >= cutoff);
+    }
+
+    return {
+      status: "ok",
+      timestamp: Date.now(),
+      duration: duration || "all",
+      sampleCount: history.length,
+      data: buildRequestSummary(history),
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: `Failed to get request metrics: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Get slow requests with their verdicts (called by /api/slow-requests endpoint)
+ * @param {EventLoopMonitor} monitor - Monitor instance
+ * @param {number} [count] - Number of recent entries to return
+ * @param {string} [verdict] - Only entries with this verdict ("loop-bound" or "io-bound")
+ */
+function getSlowRequests(monitor, count, verdict) {
+  if (!monitor || !monitor.isActive()) {
+    return {
+      status: "error",
+      message: "Monitor not active",
+    };
+  }
+
+  try {
+    const all = monitor.getSlowRequests();
+    const matching = verdict ? all.filter((entry) => entry.verdict === verdict) : all;
+    const entries = count && count < matching.length ? matching.slice(-count) : matching;
+    const loopBound = all.filter((entry) => entry.verdict === "loop-bound").length;
+
+    return {
+      status: "ok",
+      timestamp: Date.now(),
+      enabled: Boolean(monitor.slowRequestLog),
+      threshold: monitor.slowRequestLog ? monitor.slowRequestLog.options.threshold : null,
+      summary: {
+        total: all.length,
+        loopBound,
+        ioBound: all.length - loopBound,
+      },
+      count: entries.length,
+      data: entries,
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: `Failed to get slow requests: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Get the top blockers table (called by /api/blockers endpoint)
+ */
+function getTopBlockers(monitor, limit) {
+  if (!monitor || !monitor.isActive()) {
+    return {
+      status: "error",
+      message: "Monitor not active",
+    };
+  }
+
+  try {
+    const blockers = monitor.getTopBlockers(limit);
+    return {
+      status: "ok",
+      timestamp: Date.now(),
+      enabled: Boolean(monitor.blockerTracker && monitor.blockerTracker.isEnabled),
+      count: blockers.length,
+      data: blockers,
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: `Failed to get blockers: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Get stacks captured by the watchdog (called by /api/stacks endpoint)
+ */
+function getBlockingStacks(monitor, count) {
+  if (!monitor || !monitor.isActive()) {
+    return {
+      status: "error",
+      message: "Monitor not active",
+    };
+  }
+
+  try {
+    const stacks = monitor.getBlockingStacks(count);
+    return {
+      status: "ok",
+      timestamp: Date.now(),
+      enabled: Boolean(monitor.watchdog),
+      count: stacks.length,
+      data: stacks,
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: `Failed to get blocking stacks: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Get stalls detected by the watchdog (called by /api/stalls endpoint)
+ */
+function getStalls(monitor, count) {
+  if (!monitor || !monitor.isActive()) {
+    return {
+      status: "error",
+      message: "Monitor not active",
+    };
+  }
+
+  try {
+    const stalls = monitor.getStalls(count);
+    const current = monitor.watchdog ? monitor.watchdog.currentStall : null;
+    return {
+      status: "ok",
+      timestamp: Date.now(),
+      enabled: Boolean(monitor.watchdog),
+      current,
+      count: stalls.length,
+      data: stalls,
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: `Failed to get stalls: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Get anomalies of lag, ELU and memory and the baselines they are judged by
+ * (called by /api/anomalies endpoint)
+ */
+function getAnomalies(monitor, options = {}) {
+  if (!monitor || !monitor.isActive()) {
+    return {
+      status: "error",
+      message: "Monitor not active",
+    };
+  }
+
+  try {
+    const detector = monitor.metricsCollector.anomalyDetector;
+    const anomalies = monitor.getAnomalies(options);
+    return {
+      status: "ok",
+      timestamp: Date.now(),
+      enabled: Boolean(detector),
+      baselines: detector ? detector.getBaselines() : null,
+      count: anomalies.length,
+      data: anomalies,
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: `Failed to get anomalies: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Get monitored worker threads with their latest metrics (called by /api/workers endpoint)
+ */
+function getWorkerMetrics(monitor) {
+  if (!monitor || !monitor.isActive()) {
+    return {
+      status: "error",
+      message: "Monitor not active",
+    };
+  }
+
+  try {
+    const current = monitor.getCurrentMetrics();
+    const latest = new Map(
+      ((current && current.workers) || []).map((w) => [w.name, w])
+    );
+
+    const workers = monitor.getWorkers().map((worker) => {
+      const metrics = latest.get(worker.name);
+      return {
+        ...worker,
+        elu: metrics ? metrics.elu : null,
+        lag: metrics ? metrics.lag : null,
+      };
+    });
+
+    return {
+      status: "ok",
+      timestamp: Date.now(),
+      count: workers.length,
+      data: workers,
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: `Failed to get workers: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Get active resources by type and suspected leaks (called by /api/resources endpoint)
+ */
+function getResourceInfo(monitor, options) {
+  if (!monitor || !monitor.isActive()) {
+    return {
+      status: "error",
+      message: "Monitor not active",
+    };
+  }
+
+  try {
+    const current = monitor.getCurrentMetrics();
+
+    return {
+      status: "ok",
+      timestamp: Date.now(),
+      data: {
+        current: current && current.handles ? current.handles : null,
+        leaks: monitor.getResourceLeaks(options),
+      },
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: `Failed to get resources: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Get the CPU profiles captured by the flight recorder (called by /api/profiles endpoint)
+ * Each profile has the id of the alert raised when it was captured
+ */
+function getProfiles(monitor) {
+  if (!monitor || !monitor.isActive()) {
+    return {
+      status: "error",
+      message: "Monitor not active",
+    };
+  }
+
+  try {
+    const recorder = monitor.flightRecorder;
+    const profiles = monitor.getProfiles();
+    return {
+      status: "ok",
+      timestamp: Date.now(),
+      enabled: Boolean(recorder),
+      capturing: recorder ? recorder.isCapturing() : false,
+      count: profiles.length,
+      data: profiles,
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: `Failed to get profiles: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Get the heap snapshots on disk (called by GET /api/heap-snapshots endpoint)
+ */
+function getHeapSnapshots(monitor) {
+  if (!monitor || !monitor.isActive()) {
+    return {
+      status: "error",
+      message: "Monitor not active",
+    };
+  }
+
+  try {
+    const snapshotter = monitor.heapSnapshotter;
+    const snapshots = monitor.getHeapSnapshots();
+    return {
+      status: "ok",
+      timestamp: Date.now(),
+      enabled: Boolean(snapshotter),
+      // The endpoint that takes snapshots only works with a token
+      protected: Boolean(snapshotter && snapshotter.options.token),
+      cooldownRemaining: snapshotter ? snapshotter.getCooldownRemaining() : 0,
+      count: snapshots.length,
+      data: snapshots,
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: `Failed to get heap snapshots: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Write a heap snapshot (called by POST /api/heap-snapshots endpoint)
+ * The caller checks the token; refusals by a safeguard keep their reason
+ */
+function takeHeapSnapshot(monitor) {
+  if (!monitor || !monitor.isActive()) {
+    return {
+      status: "error",
+      message: "Monitor not active",
+    };
+  }
+
+  try {
+    const snapshot = monitor.takeHeapSnapshot({ reason: "manual" });
+    return {
+      status: "ok",
+      timestamp: Date.now(),
+      warning: `The event loop was blocked for ${snapshot.duration}ms while the snapshot was written`,
+      data: snapshot,
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      reason: error.reason || null,
+      message: error.message,
+    };
+  }
+}
+
+/**
+ * Get the cluster workers reporting to the primary (called by /api/cluster endpoint)
+ * Without an aggregator (single process), cluster mode is reported as disabled
+ */
+function getClusterInfo(aggregator) {
+  return {
+    status: "ok",
+    timestamp: Date.now(),
+    data: {
+      enabled: Boolean(aggregator),
+      workers: aggregator ? aggregator.getWorkers() : [],
+    },
+  };
+}
+
+/**
+ * List the registered monitors (called by /api/monitors endpoint)
+ * `current` is the name of the monitor the dashboard is mounted on, or null
+ * if it was given a monitor instance that is not registered
+ */
+function getMonitors(registry, current) {
+  try {
+    const monitors = registry.names().map((name) => {
+      const monitor = registry.find(name);
+      const active = monitor.isActive();
+      return {
+        name,
+        active,
+        status: active ? monitor.getHealth().status : "stopped",
+      };
+    });
+
+    return {
+      status: "ok",
+      timestamp: Date.now(),
+      data: {
+        current: registry.nameOf(current),
+        monitors,
+      },
+    };
+  } catch (error) {
+    return {
+      status: "error",
+      message: `Failed to list monitors: ${error.message}`,
+    };
+  }
+}
+
 /**
  * Handle and format errors (called by error handler in routes)
  */
@@ -461,21 +1027,21 @@ function calculateTrends(history) {
   const earlier = history.slice(-20, -10);
 
   const recentAvg = {
-    lag: calculateMean(recent.map((s) => s.lag.mean)),
-    elu: calculateMean(recent.map((s) => s.elu.utilization)),
-    memory: calculateMean(
-      recent.map((s) => (s.memory ? parseFloat(s.memory.heapUsedMB) : 0))
+    lag: calculateWeightedMean(recent, (s) => s.lag.mean),
+    elu: calculateWeightedMean(recent, (s) => s.elu.utilization),
+    memory: calculateWeightedMean(recent, (s) =>
+      s.memory ? parseFloat(s.memory.heapUsedMB) : 0
     ),
-    requests: calculateMean(recent.map((s) => s.requests.count)),
+    requests: calculateRate(recent, (s) => s.requests.count),
   };
 
   const earlierAvg = {
-    lag: calculateMean(earlier.map((s) => s.lag.mean)),
-    elu: calculateMean(earlier.map((s) => s.elu.utilization)),
-    memory: calculateMean(
-      earlier.map((s) => (s.memory ? parseFloat(s.memory.heapUsedMB) : 0))
+    lag: calculateWeightedMean(earlier, (s) => s.lag.mean),
+    elu: calculateWeightedMean(earlier, (s) => s.elu.utilization),
+    memory: calculateWeightedMean(earlier, (s) =>
+      s.memory ? parseFloat(s.memory.heapUsedMB) : 0
     ),
-    requests: calculateMean(earlier.map((s) => s.requests.count)),
+    requests: calculateRate(earlier, (s) => s.requests.count),
   };
 
   return {
@@ -505,12 +1071,41 @@ function calculateTrend(current, previous) {
   };
 }
 
-function calculateMean(arr) {
-  if (arr.length === 0) return 0;
-  return arr.reduce((sum, val) => sum + val, 0) / arr.length;
+/**
+ * Mean of a value over samples, each weighted by the interval it covered
+ */
+function calculateWeightedMean(samples, pick) {
+  const totalWeight = samples.reduce((sum, s) => sum + sampleInterval(s), 0);
+  if (totalWeight === 0) return 0;
+  return (
+    samples.reduce((sum, s) => sum + pick(s) * sampleInterval(s), 0) / totalWeight
+  );
+}
+
+/**
+ * Per-second rate of a per-sample count over samples
+ */
+function calculateRate(samples, pick) {
+  const duration = samples.reduce((sum, s) => sum + sampleInterval(s), 0);
+  if (duration === 0) return 0;
+  return (samples.reduce((sum, s) => sum + (pick(s) || 0), 0) / duration) * 1000;
+}
+
+/**
+ * Time a sample covered (ms)
+ */
+function sampleInterval(sample) {
+  return sample.interval > 0 ? sample.interval : DEFAULT_SAMPLE_INTERVAL;
+}
+
+/**
+ * Convert a per-sample amount to a per-second rate
+ */
+function perSecond(amount, sample) {
+  return ((amount || 0) / sampleInterval(sample)) * 1000;
 }
 
-function generateInsights(current, history, health) {
+function generateInsights(current, history, health, leaks) {
   const insights = [];
 
   if (current.lag.mean > 50) {
@@ -567,6 +1162,35 @@ function generateInsights(current, history, health) {
     }
   }
 
+  if (current.threadpool && current.threadpool.latency > 100) {
+    const latency = current.threadpool.latency;
+    insights.push({
+      type: "threadpool",
+      severity: latency > 500 ? "critical" : "warning",
+      title: "Busy Threadpool",
+      message: `Threadpool tasks wait ${latency.toFixed(
+        1
+      )}ms before running, while event loop lag is ${current.lag.mean.toFixed(2)}ms.`,
+      recommendation:
+        "Look for slow fs, dns.lookup, crypto or zlib calls, or raise UV_THREADPOOL_SIZE.",
+      timestamp: Date.now(),
+    });
+  }
+
+  (leaks || detectResourceLeaks(history)).forEach((leak) => {
+    insights.push({
+      type: "resource-leak",
+      severity: "warning",
+      title: `Possible ${leak.type} Leak`,
+      message: `Active ${leak.type} resources grew from ${leak.baseline} to ${
+        leak.current
+      } and did not return to their baseline.`,
+      recommendation:
+        "Check that sockets, timers and file handles of this type are closed or cleared.",
+      timestamp: Date.now(),
+    });
+  });
+
   if (health.status === "healthy" && insights.length === 0) {
     insights.push({
       type: "optimization",
@@ -589,34 +1213,191 @@ function calculateAggregatedStats(history) {
 
   const lagValues = history.map((s) => s.lag.mean);
   const eluValues = history.map((s) => s.elu.utilization);
-  const memValues = history
-    .map((s) => (s.memory ? parseFloat(s.memory.heapUsedMB) : 0))
-    .filter((v) => v > 0);
+  // Real percentiles of the window when samples carry their distribution
+  const lagHistogram = mergeLagHistograms(history);
+  const withMemory = history.filter(
+    (s) => s.memory && parseFloat(s.memory.heapUsedMB) > 0
+  );
+  const memValues = withMemory.map((s) => parseFloat(s.memory.heapUsedMB));
 
   return {
     lag: {
       min: Math.min(...lagValues),
       max: Math.max(...lagValues),
-      avg: calculateMean(lagValues),
-      p95: calculatePercentile(lagValues, 95),
-      p99: calculatePercentile(lagValues, 99),
+      avg: calculateWeightedMean(history, (s) => s.lag.mean),
+      p95: lagHistogram
+        ? lagHistogram.percentile(95)
+        : calculatePercentile(lagValues, 95),
+      p99: lagHistogram
+        ? lagHistogram.percentile(99)
+        : calculatePercentile(lagValues, 99),
     },
     elu: {
       min: Math.min(...eluValues) * 100,
       max: Math.max(...eluValues) * 100,
-      avg: calculateMean(eluValues) * 100,
+      avg: calculateWeightedMean(history, (s) => s.elu.utilization) * 100,
     },
     memory:
       memValues.length > 0
         ? {
             min: Math.min(...memValues),
             max: Math.max(...memValues),
-            avg: calculateMean(memValues),
+            avg: calculateWeightedMean(withMemory, (s) =>
+              parseFloat(s.memory.heapUsedMB)
+            ),
           }
         : null,
   };
 }
 
+/**
+ * Split worker metrics into one series per worker, keyed by name
+ */
+function buildWorkerSeries(history) {
+  const series = {};
+
+  history.forEach((s) => {
+    (s.workers || []).forEach((w) => {
+      if (!series[w.name]) {
+        series[w.name] = [];
+      }
+      series[w.name].push({
+        t: s.timestamp,
+        utilization: w.elu.utilization * 100,
+        lagMean: w.lag ? w.lag.mean : null,
+        lagP99: w.lag ? w.lag.p99 : null,
+      });
+    });
+  });
+
+  return series;
+}
+
+/**
+ * Request totals, latency percentiles, status classes and per-route rows
+ * (slowest p99 first) over a list of samples
+ */
+function buildRequestSummary(history) {
+  const merged = mergeRequestMetrics(history.map((s) => s.requests));
+  if (!merged) {
+    return null;
+  }
+
+  const duration = history
+    .filter((s) => s.requests)
+    .reduce((acc, s) => acc + sampleInterval(s), 0);
+  const latest = history[history.length - 1].requests || {};
+
+  return {
+    count: merged.count,
+    rate: duration > 0 ? (merged.count / duration) * 1000 : 0,
+    avgTime: merged.avgTime,
+    p50: merged.p50,
+    p95: merged.p95,
+    p99: merged.p99,
+    max: merged.max,
+    inFlight: latest.inFlight || 0,
+    maxInFlight: Math.max(0, ...history.map((s) => (s.requests && s.requests.maxInFlight) || 0)),
+    byMethod: merged.byMethod,
+    byStatus: merged.byStatus,
+    routes: summarizeRoutes(merged.routes, duration),
+  };
+}
+
+/**
+ * Split active resources into one series per type, keyed by type
+ * The types with the most resources in the window get their own series;
+ * the rest are summed into "other".
+ */
+function buildResourceSeries(history, limit = 6) {
+  const peaks = {};
+  history.forEach((s) => {
+    Object.entries((s.handles && s.handles.byType) || {}).forEach(([type, count]) => {
+      peaks[type] = Math.max(peaks[type] || 0, count);
+    });
+  });
+
+  const types = Object.keys(peaks)
+    .sort((a, b) => peaks[b] - peaks[a])
+    .slice(0, limit);
+  const hasOther = Object.keys(peaks).length > types.length;
+
+  const series = {};
+  types.forEach((type) => {
+    series[type] = [];
+  });
+  if (hasOther) {
+    series.other = [];
+  }
+
+  history.forEach((s) => {
+    const byType = (s.handles && s.handles.byType) || {};
+    types.forEach((type) => {
+      series[type].push({ t: s.timestamp, count: byType[type] || 0 });
+    });
+    if (hasOther) {
+      const other = Object.entries(byType)
+        .filter(([type]) => !types.includes(type))
+        .reduce((acc, [, count]) => acc + count, 0);
+      series.other.push({ t: s.timestamp, count: other });
+    }
+  });
+
+  return series;
+}
+
+/**
+ * Split V8 heap used size into one series per space, keyed by space name
+ * Only samples that carry heap stats contribute; spaces that stay empty
+ * across the window are left out.
+ */
+function buildHeapSeries(history) {
+  const withHeap = history.filter((s) => s.heap && s.heap.spaces);
+  const spaces = new Set();
+  withHeap.forEach((s) => {
+    Object.entries(s.heap.spaces).forEach(([space, stats]) => {
+      if (stats.used > 0) {
+        spaces.add(space);
+      }
+    });
+  });
+
+  const series = {};
+  spaces.forEach((space) => {
+    series[space] = withHeap.map((s) => {
+      const stats = s.heap.spaces[space];
+      return {
+        t: s.timestamp,
+        usedMB: stats ? stats.used / 1024 / 1024 : 0,
+      };
+    });
+  });
+
+  return series;
+}
+
+/**
+ * Split custom metrics into one series per metric, keyed by name
+ * Counters are plotted as their increase per second
+ */
+function buildCustomSeries(history) {
+  const series = {};
+
+  history.forEach((s) => {
+    Object.entries(s.custom || {}).forEach(([name, metric]) => {
+      if (!series[name]) {
+        series[name] = { type: metric.type, points: [] };
+      }
+      series[name].points.push({
+        t: s.timestamp,
+        value: metric.type === "counter" ? perSecond(metric.delta, s) : metric.value,
+      });
+    });
+  });
+
+  return series;
+}
+
 function calculatePercentile(arr, percentile) {
   if (arr.length === 0) return 0;
 
@@ -642,6 +1423,19 @@ module.exports = {
   getTimeSeriesData,
   getAggregatedMetrics,
   getMonitorConfig,
+  getSlowRequests,
+  getTopBlockers,
+  getRequestMetrics,
+  getBlockingStacks,
+  getStalls,
+  getAnomalies,
+  getWorkerMetrics,
+  getResourceInfo,
+  getProfiles,
+  getHeapSnapshots,
+  takeHeapSnapshot,
+  getClusterInfo,
+  getMonitors,
   handleError,
 
   // Helper functions
@@ -9,14 +9,26 @@
 const path = require('path');
 const fs = require('fs');
 const api = require('./api');
+const { PROFILE_ID } = require('../core/FlightRecorder');
+const { registry: sharedRegistry } = require('../core/MonitorRegistry');
+
+// Status codes of heap snapshots refused by a safeguard
+const SNAPSHOT_REFUSALS = {
+  cooldown: 429,
+  'disk-space': 507
+};
 
 /**
  * Create dashboard router
  * 
- * @param {EventLoopMonitor} monitor - Monitor instance
+ * API requests are answered for `servedMonitor` unless they select another
+ * registered monitor with `?monitor=<name>`.
+ * 
+ * @param {EventLoopMonitor} servedMonitor - Monitor instance
+ * @param {MonitorRegistry} [registry] - Registry of the monitors the dashboard can switch to
  * @returns {Function} Express router middleware
  */
-function createDashboardRoutes(monitor) {
+function createDashboardRoutes(servedMonitor, registry = sharedRegistry) {
   // Mini router implementation (no external dependencies)
   const router = function(req, res, _next) {
     // Parse query parameters
@@ -30,6 +42,46 @@ function createDashboardRoutes(monitor) {
         return serveDashboard(req, res);
       }
 
+      // Route: Registered monitors (the dashboard's monitor selector)
+      if (pathname === '/api/monitors') {
+        return serveMonitors(req, res, registry, servedMonitor);
+      }
+
+      const monitor = query.monitor ? registry.find(query.monitor) : servedMonitor;
+      if (!monitor) {
+        return sendError(res, 404, `Monitor not found: ${query.monitor}`);
+      }
+
+      // Route: CPU profiles captured by the flight recorder. Profiles are
+      // files of this process, so they are served locally even in cluster mode
+      if (pathname === '/api/profiles') {
+        return serveProfiles(req, res, monitor);
+      }
+
+      // Route: Download one CPU profile
+      if (pathname.startsWith('/api/profiles/')) {
+        return serveProfileDownload(req, res, monitor, pathname.slice('/api/profiles/'.length));
+      }
+
+      // Route: Heap snapshots (list, or POST to write one). Like profiles,
+      // snapshots are files of this process
+      if (pathname === '/api/heap-snapshots') {
+        if (req.method === 'POST') {
+          return serveTakeHeapSnapshot(req, res, monitor);
+        }
+        return serveHeapSnapshots(req, res, monitor);
+      }
+
+      // Cluster mode: the primary answers API requests with the cluster-wide view
+      if (monitor.clusterClient && pathname.startsWith('/api/')) {
+        return serveFromPrimary(req, res, monitor.clusterClient, pathname + url.search);
+      }
+
+      // Route: Cluster workers (only available in cluster mode)
+      if (pathname === '/api/cluster') {
+        return serveClusterInfo(req, res);
+      }
+
       // Route: Current metrics
       if (pathname === '/api/current') {
         return serveCurrentMetrics(req, res, monitor);
@@ -40,10 +92,15 @@ function createDashboardRoutes(monitor) {
         return serveMetrics(req, res, monitor);
       }
 
-      // Route: History
+      // Route: History (startTime/endTime in ms since the epoch)
       if (pathname === '/api/history') {
         const count = parseInt(query.count) || undefined;
-        return serveHistory(req, res, monitor, count);
+        const startTime = parseInt(query.startTime) || undefined;
+        const endTime = parseInt(query.endTime) || undefined;
+        const options = startTime || endTime || query.resolution
+          ? { count, startTime, endTime, resolution: query.resolution }
+          : count;
+        return serveHistory(req, res, monitor, options);
       }
 
       // Route: Health status
@@ -54,13 +111,20 @@ function createDashboardRoutes(monitor) {
       // Route: Time series data
       if (pathname === '/api/timeseries') {
         const metric = query.metric || 'lag';
-        const count = parseInt(query.count) || 60;
-        return serveTimeSeries(req, res, monitor, metric, count);
+        const count = parseInt(query.count) || undefined;
+        const duration = parseInt(query.duration) || undefined;
+        const startTime = parseInt(query.startTime) || undefined;
+        const endTime = parseInt(query.endTime) || undefined;
+        // A range (duration in ms) is read from the rollup tier that covers it
+        const options = duration || startTime || endTime || query.resolution
+          ? { count, duration, startTime, endTime, resolution: query.resolution }
+          : count || 60;
+        return serveTimeSeries(req, res, monitor, metric, options);
       }
 
       // Route: Aggregated metrics
       if (pathname === '/api/aggregated') {
-        const duration = parseInt(query.duration) || undefined;
+        const duration = query.window || parseInt(query.duration) || undefined;
         return serveAggregated(req, res, monitor, duration);
       }
 
@@ -71,7 +135,55 @@ function createDashboardRoutes(monitor) {
 
       // Route: Dashboard data (optimized for frontend)
       if (pathname === '/api/dashboard') {
-        return serveDashboardData(req, res, monitor);
+        const timeRange = parseInt(query.timeRange) || undefined;
+        return serveDashboardData(req, res, monitor, timeRange);
+      }
+
+      // Route: Request counts and latency per route
+      if (pathname === '/api/requests') {
+        const duration = parseInt(query.duration) || undefined;
+        return serveRequests(req, res, monitor, duration);
+      }
+
+      // Route: Slow requests and whether the loop or their I/O slowed them
+      if (pathname === '/api/slow-requests') {
+        const count = parseInt(query.count) || undefined;
+        return serveSlowRequests(req, res, monitor, count, query.verdict);
+      }
+
+      // Route: Routes and operations that consumed the most loop time
+      if (pathname === '/api/blockers') {
+        const limit = parseInt(query.limit) || 10;
+        return serveBlockers(req, res, monitor, limit);
+      }
+
+      // Route: Stacks captured by the watchdog while the loop was blocked
+      if (pathname === '/api/stacks') {
+        const count = parseInt(query.count) || undefined;
+        return serveBlockingStacks(req, res, monitor, count);
+      }
+
+      // Route: Stalls detected by the watchdog
+      if (pathname === '/api/stalls') {
+        const count = parseInt(query.count) || undefined;
+        return serveStalls(req, res, monitor, count);
+      }
+
+      // Route: Anomalies of lag, ELU and memory (metric, since in ms since the epoch)
+      if (pathname === '/api/anomalies') {
+        const count = parseInt(query.count) || undefined;
+        const since = parseInt(query.since) || undefined;
+        return serveAnomalies(req, res, monitor, { metric: query.metric, since, count });
+      }
+
+      // Route: Worker threads and their latest metrics
+      if (pathname === '/api/workers') {
+        return serveWorkers(req, res, monitor);
+      }
+
+      // Route: Active resources by type and suspected leaks
+      if (pathname === '/api/resources') {
+        return serveResources(req, res, monitor);
       }
 
       // Route: Export metrics
@@ -136,8 +248,8 @@ function serveMetrics(req, res, monitor) {
 /**
  * Serve historical metrics
  */
-function serveHistory(req, res, monitor, count) {
-  const data = api.getHistoryMetrics(monitor, count);
+function serveHistory(req, res, monitor, countOrOptions) {
+  const data = api.getHistoryMetrics(monitor, countOrOptions);
   sendJSON(res, data);
 }
 
@@ -161,8 +273,8 @@ function serveHealth(req, res, monitor, thresholdsQuery) {
 /**
  * Serve time series data
  */
-function serveTimeSeries(req, res, monitor, metric, count) {
-  const data = api.getTimeSeriesData(monitor, metric, count);
+function serveTimeSeries(req, res, monitor, metric, countOrOptions) {
+  const data = api.getTimeSeriesData(monitor, metric, countOrOptions);
   sendJSON(res, data);
 }
 
@@ -185,11 +297,192 @@ function serveConfig(req, res, monitor) {
 /**
  * Serve dashboard-optimized data
  */
-function serveDashboardData(req, res, monitor) {
-  const data = api.getDashboardData(monitor);
+function serveDashboardData(req, res, monitor, timeRange) {
+  const data = api.getDashboardData(monitor, timeRange);
+  sendJSON(res, data);
+}
+
+/**
+ * Serve request metrics per route
+ */
+function serveRequests(req, res, monitor, duration) {
+  const data = api.getRequestMetrics(monitor, duration);
+  sendJSON(res, data);
+}
+
+/**
+ * Serve the slow request log
+ */
+function serveSlowRequests(req, res, monitor, count, verdict) {
+  const data = api.getSlowRequests(monitor, count, verdict);
+  sendJSON(res, data);
+}
+
+/**
+ * Serve the top blockers table
+ */
+function serveBlockers(req, res, monitor, limit) {
+  const data = api.getTopBlockers(monitor, limit);
+  sendJSON(res, data);
+}
+
+/**
+ * Serve captured blocking stacks
+ */
+function serveBlockingStacks(req, res, monitor, count) {
+  const data = api.getBlockingStacks(monitor, count);
+  sendJSON(res, data);
+}
+
+/**
+ * Serve detected stalls
+ */
+function serveStalls(req, res, monitor, count) {
+  const data = api.getStalls(monitor, count);
+  sendJSON(res, data);
+}
+
+/**
+ * Serve anomalies and the baselines they are judged by
+ */
+function serveAnomalies(req, res, monitor, options) {
+  const data = api.getAnomalies(monitor, options);
+  sendJSON(res, data);
+}
+
+/**
+ * Serve monitored worker threads
+ */
+function serveWorkers(req, res, monitor) {
+  const data = api.getWorkerMetrics(monitor);
+  sendJSON(res, data);
+}
+
+/**
+ * Serve active resources and suspected leaks
+ */
+function serveResources(req, res, monitor) {
+  const data = api.getResourceInfo(monitor);
+  sendJSON(res, data);
+}
+
+/**
+ * Serve captured CPU profiles
+ */
+function serveProfiles(req, res, monitor) {
+  const data = api.getProfiles(monitor);
+  sendJSON(res, data);
+}
+
+/**
+ * Serve a CPU profile as a downloadable .cpuprofile file
+ */
+function serveProfileDownload(req, res, monitor, id) {
+  const file = PROFILE_ID.test(id) && monitor.flightRecorder
+    ? monitor.flightRecorder.getProfilePath(id)
+    : null;
+
+  if (!file) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      status: 'error',
+      message: 'Profile not found'
+    }));
+    return;
+  }
+
+  fs.readFile(file, (err, content) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        status: 'error',
+        message: 'Profile not found'
+      }));
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'application/json',
+      'Content-Disposition': `attachment; filename="${id}.cpuprofile"`,
+      'Cache-Control': 'no-cache'
+    });
+    res.end(content);
+  });
+}
+
+/**
+ * Serve the heap snapshots on disk
+ */
+function serveHeapSnapshots(req, res, monitor) {
+  const data = api.getHeapSnapshots(monitor);
+  sendJSON(res, data);
+}
+
+/**
+ * Write a heap snapshot; requires the configured token, sent as
+ * `Authorization: Bearer <token>` or `X-Snapshot-Token`
+ */
+function serveTakeHeapSnapshot(req, res, monitor) {
+  const snapshotter = monitor.heapSnapshotter;
+  if (!snapshotter || !snapshotter.options.token) {
+    return sendError(res, 403, 'Heap snapshot endpoint is disabled (set heapSnapshots.token)');
+  }
+
+  const authorization = req.headers.authorization || '';
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length)
+    : req.headers['x-snapshot-token'];
+  if (!snapshotter.checkToken(token)) {
+    return sendError(res, 401, 'Invalid heap snapshot token');
+  }
+
+  const data = api.takeHeapSnapshot(monitor);
+  if (data.status === 'error' && SNAPSHOT_REFUSALS[data.reason]) {
+    res.writeHead(SNAPSHOT_REFUSALS[data.reason], {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    });
+    res.end(JSON.stringify(data, null, 2));
+    return;
+  }
+  sendJSON(res, data);
+}
+
+/**
+ * Serve the registered monitors
+ */
+function serveMonitors(req, res, registry, servedMonitor) {
+  const data = api.getMonitors(registry, servedMonitor);
   sendJSON(res, data);
 }
 
+/**
+ * Serve cluster info (cluster mode disabled: requests in cluster mode are
+ * answered by the primary)
+ */
+function serveClusterInfo(req, res) {
+  const data = api.getClusterInfo(null);
+  sendJSON(res, data);
+}
+
+/**
+ * Relay an API request to the cluster primary
+ */
+function serveFromPrimary(req, res, clusterClient, url) {
+  clusterClient.request(url)
+    .then((response) => {
+      res.writeHead(response.statusCode, {
+        ...response.headers,
+        'Access-Control-Allow-Origin': '*'
+      });
+      res.end(response.body);
+    })
+    .catch((error) => {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(api.handleError(error)));
+    });
+}
+
 /**
  * Serve exported metrics
  */
@@ -209,6 +502,17 @@ function serveExport(req, res, monitor, count) {
   }
 }
 
+/**
+ * Helper: Send a JSON error with a status code
+ */
+function sendError(res, statusCode, message) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    status: 'error',
+    message
+  }));
+}
+
 /**
  * Helper: Send JSON response
  */
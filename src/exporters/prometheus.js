@@ -7,6 +7,19 @@
  * @module exporters/prometheus
  */
 
+const { registry } = require('../core/MonitorRegistry');
+
+// Upper bounds (seconds) of the request duration histogram buckets
+const REQUEST_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value (backslash, double quote and newline)
+ * @private
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
 /**
  * Format metrics in Prometheus text format
  * 
@@ -83,6 +96,223 @@ function formatPrometheusMetrics(monitor) {
     lines.push('# TYPE nodejs_eventloop_request_duration_seconds gauge');
     lines.push(`nodejs_eventloop_request_duration_seconds ${(current.requests.avgTime / 1000).toFixed(6)} ${timestamp}`);
     lines.push('');
+
+    lines.push('# HELP nodejs_http_requests_in_flight Requests being handled when the last sample was taken');
+    lines.push('# TYPE nodejs_http_requests_in_flight gauge');
+    lines.push(`nodejs_http_requests_in_flight ${current.requests.inFlight || 0} ${timestamp}`);
+    lines.push('');
+  }
+
+  // Request latency per route, method and status class, cumulative since the
+  // monitor was created
+  const requestTotals = monitor.getRequestTotals();
+  if (requestTotals.length > 0) {
+    lines.push('# HELP nodejs_http_request_duration_seconds HTTP request duration by route, method and status class');
+    lines.push('# TYPE nodejs_http_request_duration_seconds histogram');
+    requestTotals.forEach(({ route, method, status, histogram }) => {
+      const labels = `route="${escapeLabelValue(route)}",method="${escapeLabelValue(method)}",status="${status || 'unknown'}"`;
+      REQUEST_BUCKETS.forEach((le) => {
+        lines.push(`nodejs_http_request_duration_seconds_bucket{${labels},le="${le}"} ${histogram.countAtOrBelow(le * 1000)}`);
+      });
+      lines.push(`nodejs_http_request_duration_seconds_bucket{${labels},le="+Inf"} ${histogram.count}`);
+      lines.push(`nodejs_http_request_duration_seconds_sum{${labels}} ${(histogram.sum / 1000).toFixed(6)}`);
+      lines.push(`nodejs_http_request_duration_seconds_count{${labels}} ${histogram.count}`);
+    });
+    lines.push('');
+  }
+
+  // Loop time of measured operations (monitor.measure()), cumulative since
+  // the monitor was created
+  const operationTotals = monitor.getOperationTotals();
+  if (operationTotals.length > 0) {
+    const operationLabel = (name) => `operation="${escapeLabelValue(name)}"`;
+
+    lines.push('# HELP nodejs_eventloop_operation_seconds_total Synchronous loop time consumed by measured operations');
+    lines.push('# TYPE nodejs_eventloop_operation_seconds_total counter');
+    operationTotals.forEach(({ name, totalTime }) => {
+      lines.push(`nodejs_eventloop_operation_seconds_total{${operationLabel(name)}} ${(totalTime / 1000).toFixed(6)}`);
+    });
+    lines.push('');
+
+    lines.push('# HELP nodejs_eventloop_operations_total Measured operations completed');
+    lines.push('# TYPE nodejs_eventloop_operations_total counter');
+    operationTotals.forEach(({ name, count }) => {
+      lines.push(`nodejs_eventloop_operations_total{${operationLabel(name)}} ${count}`);
+    });
+    lines.push('');
+
+    lines.push('# HELP nodejs_eventloop_operation_max_seconds Longest run of each measured operation');
+    lines.push('# TYPE nodejs_eventloop_operation_max_seconds gauge');
+    operationTotals.forEach(({ name, maxTime }) => {
+      lines.push(`nodejs_eventloop_operation_max_seconds{${operationLabel(name)}} ${(maxTime / 1000).toFixed(6)}`);
+    });
+    lines.push('');
+  }
+
+  // Garbage Collection (for the last sample)
+  if (current.gc) {
+    const kinds = Object.entries(current.gc.byKind || {});
+
+    lines.push('# HELP nodejs_eventloop_gc_count Garbage collections during the last sample');
+    lines.push('# TYPE nodejs_eventloop_gc_count gauge');
+    kinds.forEach(([kind, stats]) => {
+      lines.push(`nodejs_eventloop_gc_count{kind="${kind}"} ${stats.count} ${timestamp}`);
+    });
+    lines.push('');
+
+    lines.push('# HELP nodejs_eventloop_gc_pause_seconds Total GC pause time during the last sample in seconds');
+    lines.push('# TYPE nodejs_eventloop_gc_pause_seconds gauge');
+    kinds.forEach(([kind, stats]) => {
+      lines.push(`nodejs_eventloop_gc_pause_seconds{kind="${kind}"} ${(stats.totalPause / 1000).toFixed(6)} ${timestamp}`);
+    });
+    lines.push('');
+
+    lines.push('# HELP nodejs_eventloop_gc_pause_max_seconds Longest GC pause during the last sample in seconds');
+    lines.push('# TYPE nodejs_eventloop_gc_pause_max_seconds gauge');
+    kinds.forEach(([kind, stats]) => {
+      lines.push(`nodejs_eventloop_gc_pause_max_seconds{kind="${kind}"} ${(stats.maxPause / 1000).toFixed(6)} ${timestamp}`);
+    });
+    lines.push('');
+  }
+
+  // System pressure from process.resourceUsage(), as rates over the last sample
+  if (current.system) {
+    const seconds = (current.interval || monitor.options.sampleInterval) / 1000;
+    const rate = (field) => (current.system[field] / seconds).toFixed(3);
+    const families = [
+      ['context_switches', 'Context switches per second during the last sample', 'type', {
+        voluntary: 'voluntaryContextSwitches',
+        involuntary: 'involuntaryContextSwitches',
+      }],
+      ['page_faults', 'Page faults per second during the last sample (major faults needed disk I/O)', 'type', {
+        major: 'majorPageFault',
+        minor: 'minorPageFault',
+      }],
+      ['fs_operations', 'File system operations per second during the last sample', 'op', {
+        read: 'fsRead',
+        write: 'fsWrite',
+      }],
+      ['ipc_messages', 'IPC messages per second during the last sample', 'direction', {
+        sent: 'ipcSent',
+        received: 'ipcReceived',
+      }],
+    ];
+
+    families.forEach(([name, help, label, fields]) => {
+      lines.push(`# HELP nodejs_eventloop_${name}_per_second ${help}`);
+      lines.push(`# TYPE nodejs_eventloop_${name}_per_second gauge`);
+      Object.entries(fields).forEach(([value, field]) => {
+        lines.push(`nodejs_eventloop_${name}_per_second{${label}="${value}"} ${rate(field)} ${timestamp}`);
+      });
+      lines.push('');
+    });
+
+    lines.push('# HELP nodejs_eventloop_max_rss_bytes Peak resident set size in bytes');
+    lines.push('# TYPE nodejs_eventloop_max_rss_bytes gauge');
+    lines.push(`nodejs_eventloop_max_rss_bytes ${current.system.maxRSS * 1024} ${timestamp}`);
+    lines.push('');
+  }
+
+  // Active resources by type
+  if (current.handles && current.handles.byType) {
+    lines.push('# HELP nodejs_eventloop_active_resources Resources keeping the event loop alive, by type');
+    lines.push('# TYPE nodejs_eventloop_active_resources gauge');
+    Object.entries(current.handles.byType).forEach(([type, count]) => {
+      lines.push(`nodejs_eventloop_active_resources{type="${type}"} ${count} ${timestamp}`);
+    });
+    lines.push('');
+  }
+
+  // V8 heap spaces and code (latest collection, at heapStatsInterval)
+  const heap = monitor.getHeapStats();
+  if (heap) {
+    const spaces = Object.entries(heap.spaces);
+    const spaceGauges = [
+      ['size', 'Size of the V8 heap space in bytes'],
+      ['used', 'Used size of the V8 heap space in bytes'],
+      ['available', 'Available size of the V8 heap space in bytes'],
+    ];
+    spaceGauges.forEach(([field, help]) => {
+      lines.push(`# HELP nodejs_eventloop_heap_space_${field}_bytes ${help}`);
+      lines.push(`# TYPE nodejs_eventloop_heap_space_${field}_bytes gauge`);
+      spaces.forEach(([space, stats]) => {
+        lines.push(`nodejs_eventloop_heap_space_${field}_bytes{space="${space}"} ${stats[field]} ${heap.timestamp}`);
+      });
+      lines.push('');
+    });
+
+    lines.push('# HELP nodejs_eventloop_heap_code_bytes V8 code and metadata size in bytes, by type');
+    lines.push('# TYPE nodejs_eventloop_heap_code_bytes gauge');
+    Object.entries(heap.code).forEach(([type, size]) => {
+      lines.push(`nodejs_eventloop_heap_code_bytes{type="${type}"} ${size} ${heap.timestamp}`);
+    });
+    lines.push('');
+  }
+
+  // libuv threadpool queue latency (threadpool probe)
+  const threadpool = monitor.getThreadpoolStats();
+  if (threadpool) {
+    lines.push('# HELP nodejs_eventloop_threadpool_latency_seconds Threadpool queue-to-callback latency over the last minute in seconds');
+    lines.push('# TYPE nodejs_eventloop_threadpool_latency_seconds gauge');
+    [['0.5', 'p50'], ['0.9', 'p90'], ['0.99', 'p99']].forEach(([quantile, field]) => {
+      lines.push(`nodejs_eventloop_threadpool_latency_seconds{quantile="${quantile}"} ${(threadpool[field] / 1000).toFixed(6)} ${timestamp}`);
+    });
+    lines.push('');
+
+    lines.push('# HELP nodejs_eventloop_threadpool_current_latency_seconds Latest threadpool probe latency (or age of a probe still queued) in seconds');
+    lines.push('# TYPE nodejs_eventloop_threadpool_current_latency_seconds gauge');
+    lines.push(`nodejs_eventloop_threadpool_current_latency_seconds ${(threadpool.latency / 1000).toFixed(6)} ${timestamp}`);
+    lines.push('');
+  }
+
+  // Worker Threads
+  if (current.workers && current.workers.length > 0) {
+    const workerLabels = (worker) =>
+      `thread="${escapeLabelValue(worker.name)}",thread_id="${worker.threadId}"`;
+
+    lines.push('# HELP nodejs_eventloop_worker_utilization Worker thread event loop utilization ratio (0-1)');
+    lines.push('# TYPE nodejs_eventloop_worker_utilization gauge');
+    current.workers.forEach((worker) => {
+      lines.push(`nodejs_eventloop_worker_utilization{${workerLabels(worker)}} ${worker.elu.utilization.toFixed(6)} ${timestamp}`);
+    });
+    lines.push('');
+
+    const withLag = current.workers.filter((worker) => worker.lag);
+    if (withLag.length > 0) {
+      lines.push('# HELP nodejs_eventloop_worker_lag_seconds Worker thread event loop lag in seconds');
+      lines.push('# TYPE nodejs_eventloop_worker_lag_seconds gauge');
+      withLag.forEach((worker) => {
+        const labels = workerLabels(worker);
+        lines.push(`nodejs_eventloop_worker_lag_seconds{${labels},quantile="0.5"} ${(worker.lag.p50 / 1000).toFixed(6)} ${timestamp}`);
+        lines.push(`nodejs_eventloop_worker_lag_seconds{${labels},quantile="0.99"} ${(worker.lag.p99 / 1000).toFixed(6)} ${timestamp}`);
+      });
+      lines.push('');
+
+      lines.push('# HELP nodejs_eventloop_worker_lag_mean_seconds Mean worker thread event loop lag in seconds');
+      lines.push('# TYPE nodejs_eventloop_worker_lag_mean_seconds gauge');
+      withLag.forEach((worker) => {
+        lines.push(`nodejs_eventloop_worker_lag_mean_seconds{${workerLabels(worker)}} ${(worker.lag.mean / 1000).toFixed(6)} ${timestamp}`);
+      });
+      lines.push('');
+    }
+  }
+
+  // Custom Application Metrics (exported under their registered names)
+  if (current.custom) {
+    const help = new Map(
+      (monitor.getCustomMetrics ? monitor.getCustomMetrics() : []).map((m) => [m.name, m.help])
+    );
+
+    Object.entries(current.custom).forEach(([name, metric]) => {
+      if (metric.value === null) {
+        return;
+      }
+      const metricName = metric.type === 'counter' ? `${name}_total` : name;
+      lines.push(`# HELP ${metricName} ${help.get(name) || `Custom ${metric.type} ${name}`}`);
+      lines.push(`# TYPE ${metricName} ${metric.type}`);
+      lines.push(`${metricName} ${metric.value} ${timestamp}`);
+      lines.push('');
+    });
   }
 
   // Health Score
@@ -117,28 +347,20 @@ function formatPrometheusMetrics(monitor) {
  * Create Prometheus exporter middleware
  * Returns Express middleware that serves metrics at /metrics endpoint
  * 
- * @param {EventLoopMonitor} [monitor] - Optional monitor instance (uses global if not provided)
+ * @param {EventLoopMonitor|string} [monitor] - Monitor instance or registered monitor name
+ *   (uses the default monitor if not provided)
  * @returns {Function} Express middleware
  * 
  * @example
  * const { prometheusExporter } = require('event-loop-monitor-dashboard');
  * 
  * app.get('/metrics', prometheusExporter());
+ * app.get('/metrics/jobs', prometheusExporter('jobs'));
  */
 function createPrometheusExporter(monitor) {
   return function prometheusMiddleware(req, res) {
-    // Get monitor instance
-    let monitorInstance = monitor;
-    
-    if (!monitorInstance) {
-      // Try to get global monitor from express middleware
-      try {
-        const expressMiddleware = require('../middleware/express');
-        monitorInstance = expressMiddleware.getGlobalMonitor();
-      } catch (error) {
-        // Ignore error, will handle below
-      }
-    }
+    // Resolved per request: the monitor may be registered after the exporter
+    const monitorInstance = registry.resolve(monitor);
 
     if (!monitorInstance || !monitorInstance.isActive()) {
       res.writeHead(503, { 
@@ -149,6 +371,23 @@ function createPrometheusExporter(monitor) {
       return;
     }
 
+    // In cluster mode the primary answers with every worker's metrics
+    if (monitorInstance.clusterClient) {
+      monitorInstance.clusterClient.request('/metrics')
+        .then((response) => {
+          res.writeHead(response.statusCode, response.headers);
+          res.end(response.body);
+        })
+        .catch((error) => {
+          res.writeHead(503, {
+            'Content-Type': 'text/plain',
+            'Cache-Control': 'no-cache'
+          });
+          res.end(`# Cluster metrics unavailable: ${error.message}\n`);
+        });
+      return;
+    }
+
     try {
       const metrics = formatPrometheusMetrics(monitorInstance);
       
@@ -210,8 +449,19 @@ function getMetricsJSON(monitor) {
     requests: current.requests ? {
       count: current.requests.count,
       totalTime: current.requests.totalTime,
-      avgTime: current.requests.avgTime
+      avgTime: current.requests.avgTime,
+      inFlight: current.requests.inFlight || 0,
+      p50: current.requests.p50 || 0,
+      p95: current.requests.p95 || 0,
+      p99: current.requests.p99 || 0,
+      byStatus: current.requests.byStatus || {}
     } : null,
+    resources: current.handles || null,
+    heap: monitor.getHeapStats(),
+    threadpool: monitor.getThreadpoolStats(),
+    system: current.system || null,
+    gc: current.gc || null,
+    workers: current.workers || [],
     health: {
       status: health.status,
       score: health.score,
@@ -225,6 +475,78 @@ function getMetricsJSON(monitor) {
   };
 }
 
+/**
+ * Format the metrics of every cluster worker, labelled with `worker` and `pid`
+ * Each metric family is written once, with one series per worker.
+ * 
+ * @param {ClusterAggregator} aggregator - Aggregator running on the cluster primary
+ * @returns {string} Metrics in Prometheus format
+ */
+function formatClusterMetrics(aggregator) {
+  const families = new Map();
+
+  aggregator.getWorkers().forEach((worker) => {
+    const text = formatPrometheusMetrics(aggregator.getMonitor(worker.id));
+    const labelString = `worker="${worker.id}",pid="${worker.pid}"`;
+    let family = null;
+
+    text.split('\n').forEach((line) => {
+      if (line.startsWith('# HELP ')) {
+        const name = line.split(' ')[2];
+        family = families.get(name);
+        if (!family) {
+          family = { help: line, type: null, series: [] };
+          families.set(name, family);
+        }
+      } else if (line.startsWith('# TYPE ')) {
+        if (family && !family.type) {
+          family.type = line;
+        }
+      } else if (line && !line.startsWith('#') && family) {
+        family.series.push(addLabels(line, labelString));
+      }
+    });
+  });
+
+  if (families.size === 0) {
+    return '# No cluster workers reporting\n';
+  }
+
+  const lines = [];
+  families.forEach((family) => {
+    lines.push(family.help);
+    if (family.type) {
+      lines.push(family.type);
+    }
+    lines.push(...family.series);
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Add labels to a metric line
+ * @private
+ */
+function addLabels(line, labelString) {
+  const spaceIndex = line.indexOf(' ');
+  if (spaceIndex <= 0) {
+    return line;
+  }
+
+  const metricName = line.substring(0, spaceIndex);
+  const rest = line.substring(spaceIndex);
+
+  // Check if metric already has labels
+  if (metricName.includes('{')) {
+    // Add to existing labels
+    return line.replace('{', `{${labelString},`);
+  }
+  // Add new labels
+  return `${metricName}{${labelString}}${rest}`;
+}
+
 /**
  * Export metrics in OpenMetrics format (newer Prometheus format)
  * 
@@ -241,6 +563,7 @@ function formatOpenMetrics(monitor) {
 /**
  * Create custom exporter with labels
  * Useful for multi-instance deployments
+ * Labels are added to every series, including custom application metrics
  * 
  * @param {EventLoopMonitor} monitor - Monitor instance
  * @param {Object} labels - Custom labels (e.g., {instance: "web-1", region: "us-east"})
@@ -267,22 +590,8 @@ function createCustomExporter(monitor, labels = {}) {
       // Add custom labels to each metric line
       if (labelString) {
         metrics = metrics.split('\n').map(line => {
-          if (line.startsWith('nodejs_eventloop_') && !line.startsWith('#')) {
-            // Find the metric name end
-            const spaceIndex = line.indexOf(' ');
-            if (spaceIndex > 0) {
-              const metricName = line.substring(0, spaceIndex);
-              const rest = line.substring(spaceIndex);
-              
-              // Check if metric already has labels
-              if (metricName.includes('{')) {
-                // Add to existing labels
-                return line.replace('{', `{${labelString},`);
-              } else {
-                // Add new labels
-                return `${metricName}{${labelString}}${rest}`;
-              }
-            }
+          if (line && !line.startsWith('#')) {
+            return addLabels(line, labelString);
           }
           return line;
         }).join('\n');
@@ -309,5 +618,6 @@ module.exports = createPrometheusExporter;
 // Additional exports
 module.exports.formatPrometheusMetrics = formatPrometheusMetrics;
 module.exports.formatOpenMetrics = formatOpenMetrics;
+module.exports.formatClusterMetrics = formatClusterMetrics;
 module.exports.getMetricsJSON = getMetricsJSON;
 module.exports.createCustomExporter = createCustomExporter;
\ No newline at end of file
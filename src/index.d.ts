@@ -4,6 +4,9 @@
 
 /// <reference types="node" />
 
+import { EventEmitter } from 'events';
+import { Worker } from 'worker_threads';
+import { IntervalHistogram } from 'perf_hooks';
 import { RequestHandler } from 'express';
 
 // ============================================================================
@@ -32,6 +35,38 @@ export interface LagMetrics {
   p99: number;
   /** 99.9th percentile lag (ms) */
   p999: number;
+  /** Distribution of the sample's delays, mergeable across samples */
+  histogram?: HistogramJSON;
+}
+
+/**
+ * Serialized Histogram (stored with samples and sent over IPC)
+ */
+export interface HistogramJSON {
+  /** Relative bucket width */
+  precision: number;
+  count: number;
+  sum: number;
+  min: number | null;
+  max: number | null;
+  /** Value counts by bucket index */
+  counts: Record<string, number>;
+}
+
+/**
+ * Percentiles of a merged distribution
+ */
+export interface DistributionSummary {
+  /** Number of values */
+  count: number;
+  min: number;
+  max: number;
+  mean: number;
+  p50: number;
+  p90: number;
+  p95: number;
+  p99: number;
+  p999: number;
 }
 
 /**
@@ -56,6 +91,338 @@ export interface RequestMetrics {
   totalTime: number;
   /** Average time per request (ms) */
   avgTime: number;
+  /** Requests in flight when the sample was taken */
+  inFlight?: number;
+  /** Most requests in flight at once during the sample */
+  maxInFlight?: number;
+  /** Latency percentiles of the requests in this sample (ms) */
+  p50?: number;
+  p95?: number;
+  p99?: number;
+  max?: number;
+  /** Latency distribution (absent when no request finished) */
+  histogram?: HistogramJSON;
+  /** Requests per HTTP method */
+  byMethod?: Record<string, number>;
+  /** Requests per status class ('2xx', '5xx', 'aborted', ...) */
+  byStatus?: Record<string, number>;
+  /** One entry per route, method and status class */
+  routes?: RouteRequestMetrics[];
+}
+
+/**
+ * Requests of one route, method and status class during a sample
+ */
+export interface RouteRequestMetrics {
+  /** Route pattern ('/users/:id'), '(unmatched)' or '(other)' past maxRoutes */
+  route: string;
+  method: string;
+  /** Status class ('2xx', ..., 'aborted'), null if unknown */
+  status: string | null;
+  count: number;
+  totalTime: number;
+  histogram: HistogramJSON;
+}
+
+/**
+ * Request latency and errors of one route/method pair over a window
+ */
+export interface RouteSummary {
+  route: string;
+  method: string;
+  count: number;
+  /** Requests per second */
+  rate: number;
+  /** 5xx responses */
+  errors: number;
+  errorRate: number;
+  byStatus: Record<string, number>;
+  mean: number;
+  p50: number;
+  p95: number;
+  p99: number;
+  max: number;
+}
+
+/**
+ * Cumulative latency of one route, method and status class (Prometheus histograms)
+ */
+export interface RequestTotal {
+  route: string;
+  method: string;
+  status: string | null;
+  histogram: Histogram;
+}
+
+/**
+ * Garbage collection totals for one kind of collection
+ */
+export interface GCKindMetrics {
+  /** Number of collections */
+  count: number;
+  /** Total pause time (ms) */
+  totalPause: number;
+  /** Longest pause (ms) */
+  maxPause: number;
+}
+
+/**
+ * Garbage collection metrics for one sample
+ */
+export interface GCMetrics extends GCKindMetrics {
+  /** Breakdown by kind of collection */
+  byKind: {
+    minor: GCKindMetrics;
+    major: GCKindMetrics;
+    incremental: GCKindMetrics;
+    weakcb: GCKindMetrics;
+  };
+}
+
+/**
+ * A single frame of a captured stack
+ */
+export interface StackFrame {
+  functionName: string;
+  url: string;
+  lineNumber: number;
+  columnNumber: number;
+}
+
+/**
+ * Stack of the main thread captured by the watchdog while the loop was blocked
+ */
+export interface BlockingStack {
+  /** When the stack was captured */
+  timestamp: number;
+  /** Last heartbeat before the loop blocked */
+  blockedSince: number;
+  /** How long the loop had been blocked at capture time (ms) */
+  blockedFor: number;
+  /** Time between requesting the pause and receiving the stack (ms) */
+  captureLatency: number;
+  /** Captured frames, innermost first */
+  frames: StackFrame[];
+  /** Frames formatted like an Error stack */
+  stack: string;
+}
+
+/**
+ * Synchronous loop time attributed to a route or operation
+ */
+export interface BlockerEntry {
+  /** Route (e.g. 'GET /users/:id') or operation label */
+  name: string;
+  /** Number of finished requests/operations */
+  count: number;
+  /** Total synchronous execution time (ms) */
+  totalTime: number;
+  /** Average time per request/operation (ms) */
+  avgTime: number;
+  /** Largest time for a single request/operation (ms) */
+  maxTime: number;
+  /** Longest single callback (ms) */
+  maxSlice: number;
+  /** Number of callbacks executed */
+  callbacks: number;
+  /** When the last request/operation finished */
+  lastSeen: number | null;
+}
+
+/**
+ * Options for a monitored worker thread
+ */
+export interface WorkerOptions {
+  /** Label for the worker's series (default: 'worker-<threadId>') */
+  name?: string;
+}
+
+/**
+ * A monitored worker thread
+ */
+export interface WorkerInfo {
+  name: string;
+  threadId: number;
+  addedAt: number;
+}
+
+/**
+ * Event loop metrics of a worker thread for one sample
+ */
+export interface WorkerMetrics {
+  name: string;
+  threadId: number;
+  /** ELU since the previous sample, read from the main thread */
+  elu: ELUMetrics;
+  /** Latest lag report (null unless the worker runs startWorkerReporter()) */
+  lag: LagMetrics | null;
+}
+
+/**
+ * Options for startWorkerReporter()
+ */
+export interface WorkerReporterOptions {
+  /** Reporting interval in ms (default: 1000) */
+  interval?: number;
+  /** Histogram resolution in ms (default: 10) */
+  resolution?: number;
+}
+
+/**
+ * Value of a custom metric in one sample
+ */
+export type CustomMetricValue =
+  | { type: 'gauge'; /** null when the gauge threw or returned a non-finite value */ value: number | null }
+  | { type: 'counter'; /** Total since registration */ value: number; /** Increase since the previous sample */ delta: number };
+
+/**
+ * Options for custom metrics
+ */
+export interface CustomMetricOptions {
+  /** Description (used by the Prometheus exporter) */
+  help?: string;
+}
+
+/**
+ * A registered custom metric
+ */
+export interface CustomMetricInfo {
+  name: string;
+  type: 'gauge' | 'counter';
+  help: string | null;
+}
+
+/**
+ * Counter returned by monitor.counter()
+ */
+export interface Counter {
+  readonly name: string;
+  /** Increment by a non-negative amount (default: 1) */
+  inc(amount?: number): void;
+  /** Total since registration */
+  get(): number;
+}
+
+/**
+ * Resources keeping the event loop alive
+ */
+export interface ResourceMetrics {
+  /** Handles and timers (sockets, servers, Timeout, Immediate, ...) */
+  active: number;
+  /** In-flight async requests (FSReqCallback, GetAddrInfoReqWrap, ...) */
+  requests: number;
+  /** All resources */
+  total: number;
+  /** Count per resource type */
+  byType: Record<string, number>;
+}
+
+/**
+ * Resource type whose count grows steadily across the history window
+ */
+export interface ResourceLeak {
+  /** Resource type (e.g. 'Timeout', 'TCPWRAP') */
+  type: string;
+  /** Lowest count at the start of the window */
+  baseline: number;
+  /** Latest count */
+  current: number;
+  /** Growth of the lowest count across the window */
+  growth: number;
+  /** Growth per minute (null if the window has no duration) */
+  ratePerMinute: number | null;
+}
+
+/**
+ * Leak detection options
+ */
+export interface ResourceLeakOptions {
+  /** Samples needed before anything is flagged (default: 30) */
+  minSamples?: number;
+  /** Segments to split the window into (default: 5) */
+  segments?: number;
+  /** Growth needed to flag a type (default: 10) */
+  minGrowth?: number;
+}
+
+/**
+ * Sizes of one V8 heap space in bytes
+ */
+export interface HeapSpaceStats {
+  /** Space size */
+  size: number;
+  /** Used size */
+  used: number;
+  /** Available size */
+  available: number;
+  /** Committed physical memory */
+  physical: number;
+}
+
+/**
+ * V8 heap statistics from v8.getHeapSpaceStatistics() and v8.getHeapCodeStatistics()
+ */
+export interface HeapStats {
+  /** Stats per space, keyed by space name (e.g. 'old_space', 'new_space', 'code_space') */
+  spaces: Record<string, HeapSpaceStats>;
+  /** Code sizes in bytes */
+  code: {
+    codeAndMetadata: number;
+    bytecodeAndMetadata: number;
+    externalScriptSource: number;
+    cpuProfilerMetadata: number;
+  };
+}
+
+/**
+ * process.resourceUsage() counters since the previous sample
+ */
+export interface SystemMetrics {
+  voluntaryContextSwitches: number;
+  /** Preemptions; high counts point at CPU contention (noisy neighbours) */
+  involuntaryContextSwitches: number;
+  /** Page faults that needed disk I/O */
+  majorPageFault: number;
+  minorPageFault: number;
+  fsRead: number;
+  fsWrite: number;
+  ipcSent: number;
+  ipcReceived: number;
+  /** Peak resident set size so far (KB, not a delta) */
+  maxRSS: number;
+}
+
+/**
+ * libuv threadpool probe results for a sample (latencies in ms)
+ */
+export interface ThreadpoolMetrics {
+  /** Latest completed probe latency, or the age of the probe still queued if longer */
+  latency: number;
+  /** Probes that completed during the sample */
+  count: number;
+  /** Probes still queued (0 or 1) */
+  pending: number;
+  /** Age of the queued probe (0 when none) */
+  pendingFor: number;
+  min: number;
+  max: number;
+  mean: number;
+  p50: number;
+  p90: number;
+  p99: number;
+  /** Distribution of the completed probes (mergeable across samples) */
+  histogram?: HistogramJSON;
+}
+
+/**
+ * Threadpool latency: the latest probe plus percentiles over a window
+ */
+export interface ThreadpoolStats extends DistributionSummary {
+  latency: number;
+  pending: number;
+  pendingFor: number;
+  /** Time span of the percentiles (ms) */
+  window: number;
 }
 
 /**
@@ -64,12 +431,36 @@ export interface RequestMetrics {
 export interface MetricsSample {
   /** Timestamp when sample was taken */
   timestamp: number;
+  /** Time covered by the sample (ms); varies in adaptive mode */
+  interval?: number;
   /** Event loop lag metrics */
   lag: LagMetrics;
   /** Event loop utilization metrics */
   elu: ELUMetrics;
   /** Request metrics (if tracked) */
   requests: RequestMetrics;
+  /** Active resources by type */
+  handles?: ResourceMetrics;
+  /** Garbage collections during the sample */
+  gc?: GCMetrics;
+  /** V8 heap statistics (only in samples taken every heapStatsInterval) */
+  heap?: HeapStats;
+  /** Threadpool queue latency (only with the threadpool option, once a probe ran) */
+  threadpool?: ThreadpoolMetrics;
+  /** Context switches, page faults, FS and IPC operations during the sample */
+  system?: SystemMetrics;
+  /** Worker thread metrics (only when workers are registered) */
+  workers?: WorkerMetrics[];
+  /** Custom application metrics (only when metrics are registered) */
+  custom?: Record<string, CustomMetricValue>;
+  /** Stacks captured since the previous sample (only when the watchdog is enabled) */
+  blockingStacks?: BlockingStack[];
+  /** Slow requests settled by this sample */
+  slowRequests?: SlowRequest[];
+  /** Operations measured since the previous sample (only when any finished) */
+  operations?: Record<string, OperationStats>;
+  /** Set on rollups: the samples merged into this one */
+  rollup?: RollupInfo;
 }
 
 /**
@@ -102,6 +493,8 @@ export interface TimeWindow {
   duration: number;
   /** Number of samples in window */
   sampleCount: number;
+  /** 'raw', or the rollup tier the window was aggregated from */
+  resolution?: string;
 }
 
 /**
@@ -115,9 +508,14 @@ export interface AggregatedMetrics {
     min: AggregatedStats;
     max: AggregatedStats;
     mean: AggregatedStats;
+    /** @deprecated Stats of the per-sample p50s, not the window's p50; use `distribution.p50` */
     p50: AggregatedStats;
+    /** @deprecated Stats of the per-sample p95s, not the window's p95; use `distribution.p95` */
     p95: AggregatedStats;
+    /** @deprecated Stats of the per-sample p99s, not the window's p99; use `distribution.p99` */
     p99: AggregatedStats;
+    /** Percentiles of every delay measured in the window (null without sample histograms) */
+    distribution: DistributionSummary | null;
   };
   /** Aggregated ELU statistics */
   elu: {
@@ -125,190 +523,1264 @@ export interface AggregatedMetrics {
     active: AggregatedStats;
     idle: AggregatedStats;
   };
-  /** Aggregated request statistics */
+  /** Aggregated request statistics (per-sample stats, weighted by sample interval) */
   requests: {
-    totalCount: number;
-    totalTime: number;
-    avgTime: number;
+    count: AggregatedStats;
+    avgTime: AggregatedStats;
+    /** Requests per second over the window */
+    rate: number;
+    /** Latency of every request in the window (null if none finished) */
+    latency: DistributionSummary | null;
+    inFlight: AggregatedStats;
+    maxInFlight: number;
+    byMethod: Record<string, number>;
+    byStatus: Record<string, number>;
+    /** Per route/method pair, slowest p99 first */
+    routes: RouteSummary[];
+  } | null;
+  /** Aggregated GC statistics (per-sample stats, totals per kind) */
+  gc: {
+    count: AggregatedStats;
+    totalPause: AggregatedStats;
+    maxPause: AggregatedStats;
+    byKind: Record<string, GCKindMetrics>;
+  } | null;
+  /** Used bytes per heap space and code sizes, from the samples with heap stats */
+  heap: {
+    spaces: Record<string, AggregatedStats>;
+    code: Record<string, AggregatedStats>;
+  } | null;
+  /** Threadpool latency per sample, and percentiles of every probe in the window */
+  threadpool: {
+    latency: AggregatedStats;
+    distribution: DistributionSummary | null;
+  } | null;
+  /** process.resourceUsage() deltas per sample, and rates over the window */
+  system: (Record<Exclude<keyof SystemMetrics, 'maxRSS'>, AggregatedStats> & {
+    maxRSS: AggregatedStats;
+    ratePerSecond: Record<Exclude<keyof SystemMetrics, 'maxRSS'>, number>;
+  }) | null;
+  /** Custom metrics: gauge values or counter increases per sample */
+  custom: Record<string, AggregatedStats & {
+    type: 'gauge' | 'counter';
+    /** Latest counter total */
+    total?: number;
+    /** Counter increase over the window */
+    increase?: number;
+  }> | null;
+  /** Measured operations, most loop time first (null if none finished) */
+  operations: OperationSummary[] | null;
+}
+
+/**
+ * Complete metrics response
+ */
+export interface Metrics {
+  /** Current/latest metrics */
+  current: MetricsSample | null;
+  /** Historical samples */
+  history: MetricsSample[];
+  /** Aggregated statistics */
+  aggregated: AggregatedMetrics | null;
+  /** Whether monitoring is active */
+  isMonitoring: boolean;
+}
+
+/**
+ * Health status levels
+ */
+export type HealthStatus = 'healthy' | 'degraded' | 'critical' | 'unknown';
+
+/**
+ * Health assessment result
+ */
+export interface HealthResult {
+  /** Health status level */
+  status: HealthStatus;
+  /** Health score (0-100) */
+  score: number;
+  /** List of issues detected */
+  issues: string[];
+  /** Human-readable message */
+  message: string;
+  /** Current metric values */
+  metrics: {
+    lag: number;
+    elu: number;
   };
 }
 
 /**
- * Complete metrics response
+ * Health threshold configuration
+ */
+export interface HealthThresholds {
+  /** Warning threshold for lag (ms) */
+  lagWarning?: number;
+  /** Critical threshold for lag (ms) */
+  lagCritical?: number;
+  /** Warning threshold for ELU (0-1) */
+  eluWarning?: number;
+  /** Critical threshold for ELU (0-1) */
+  eluCritical?: number;
+  /** Warning threshold for threadpool queue latency (ms, default: 100) */
+  threadpoolWarning?: number;
+  /** Critical threshold for threadpool queue latency (ms, default: 500) */
+  threadpoolCritical?: number;
+}
+
+/**
+ * Time series data point for lag
+ */
+export interface LagTimeSeriesPoint {
+  timestamp: number;
+  min: number;
+  max: number;
+  mean: number;
+  p50: number;
+  p95: number;
+  p99: number;
+}
+
+/**
+ * Time series data point for ELU
+ */
+export interface ELUTimeSeriesPoint {
+  timestamp: number;
+  utilization: number;
+  active: number;
+  idle: number;
+}
+
+/**
+ * Time series data point for requests
+ */
+export interface RequestTimeSeriesPoint {
+  timestamp: number;
+  count: number;
+  avgTime: number;
+  p50: number;
+  p95: number;
+  p99: number;
+  inFlight: number;
+}
+
+/**
+ * Time series data point for measured operations: loop time (ms) per name
+ */
+export interface OperationTimeSeriesPoint {
+  timestamp: number;
+  interval: number;
+  [name: string]: number;
+}
+
+// ============================================================================
+// EventLoopMonitor
+// ============================================================================
+
+/**
+ * Configuration options for EventLoopMonitor
+ */
+export interface EventLoopMonitorOptions {
+  /** Sampling interval in milliseconds (default: 100) */
+  sampleInterval?: number;
+  /** Number of samples to retain in history (default: 300) */
+  historySize?: number;
+  /** Histogram resolution for lag measurement (default: 10) */
+  resolution?: number;
+  /** Capture stacks of code blocking the loop from a watchdog thread (default: false) */
+  watchdog?: boolean | WatchdogOptions;
+  /** Change the sampling interval with the load (default: false, fixed sampleInterval) */
+  adaptive?: boolean | AdaptiveOptions;
+  /** Capture CPU profiles while health stays critical (default: false) */
+  flightRecorder?: boolean | FlightRecorderOptions;
+  /** Allow heap snapshots (default: false) */
+  heapSnapshots?: boolean | HeapSnapshotOptions;
+  /** Probe libuv threadpool queue latency (default: false) */
+  threadpool?: boolean | ThreadpoolProbeOptions;
+  /** Route/method pairs with their own request metrics; later ones count as '(other)' (default: 100) */
+  maxRoutes?: number;
+  /** Log slow requests with the lag seen while they ran (default: true) */
+  slowRequests?: boolean | SlowRequestLogOptions;
+  /** Names of measured operations with their own metrics; later ones count as '(other)' (default: 100) */
+  maxOperations?: number;
+  /** Keep history on disk and reload it on restart: FileStorage options or a backend (default: false) */
+  storage?: false | FileStorageOptions | StorageBackend;
+  /** Keep 10s/1m/1h rollups so long ranges have data: tier definitions or false (default: true) */
+  rollups?: boolean | RollupTierOptions[];
+  /** Memory budget of the history in MB; the oldest samples and rollups are dropped to stay within it, 0 disables (default: 50) */
+  maxMemoryMB?: number;
+  /** Detect anomalies in lag, ELU and heap against learned baselines: detector options or false (default: true) */
+  anomalies?: boolean | AnomalyDetectorOptions;
+  /** Interval of V8 heap space and code statistics in ms, 0 disables (default: 5000) */
+  heapStatsInterval?: number;
+}
+
+/**
+ * A load band of adaptive sampling
+ */
+export interface AdaptiveBand {
+  /** Applies when a sample's p99 lag reaches this (ms) */
+  lag?: number;
+  /** Applies when a sample's ELU reaches this (0-1) */
+  elu?: number;
+  /** Sampling interval while the band applies (ms) */
+  interval: number;
+}
+
+/**
+ * Configuration options for adaptive sampling
+ */
+export interface AdaptiveOptions {
+  /** Bands, fastest applicable wins (default: 50ms at lag 50 / ELU 0.7, 250ms at lag 10 / ELU 0.3) */
+  bands?: AdaptiveBand[];
+  /** Interval when no band applies (ms, default: 1000) */
+  idleInterval?: number;
+  /** Time below a band before slowing down again (ms, default: 10000) */
+  cooldown?: number;
+}
+
+/**
+ * Configuration options for FlightRecorder
+ */
+export interface FlightRecorderOptions {
+  /** Directory for profiles (default: <os.tmpdir()>/event-loop-profiles) */
+  directory?: string;
+  /** Time health must stay critical before capturing (ms, default: 5000) */
+  sustainFor?: number;
+  /** Length of each profile (ms, default: 10000) */
+  duration?: number;
+  /** Profiler sampling interval (µs, default: 1000) */
+  samplingInterval?: number;
+  /** Minimum time between the end of a capture and the next (ms, default: 60000) */
+  cooldown?: number;
+  /** Profiles to keep; the oldest are deleted (default: 10) */
+  maxProfiles?: number;
+  /** Delete profiles older than this (ms, default: 0, keep them) */
+  maxAge?: number;
+  /** Health thresholds used to decide what is critical */
+  thresholds?: HealthThresholds;
+}
+
+/**
+ * Critical health condition that started a capture
+ */
+export interface FlightRecorderTrigger {
+  /** Id of the alert raised for the capture */
+  alertId: string;
+  /** When health turned critical */
+  criticalSince: number;
+  /** When the condition had lasted sustainFor */
+  detectedAt: number;
+  /** Health score at detection */
+  score: number;
+  /** Health issues at detection */
+  issues: string[];
+}
+
+/**
+ * CPU profile saved by the flight recorder
+ */
+export interface ProfileInfo {
+  /** Profile id (download at <dashboard>/api/profiles/<id>) */
+  id: string;
+  /** File name in the profile directory */
+  file: string;
+  /** Id of the alert that triggered the capture (null for manual captures) */
+  alertId: string | null;
+  startedAt: number;
+  endedAt: number;
+  /** Profiled time (ms) */
+  duration: number;
+  /** File size in bytes */
+  size: number;
+  trigger: FlightRecorderTrigger | null;
+}
+
+/**
+ * Configuration options for the threadpool probe
+ */
+export interface ThreadpoolProbeOptions {
+  /** Time between probes (ms, default: 500) */
+  interval?: number;
+  /** Probe task: fs.stat or a 1-iteration crypto.pbkdf2 (default: 'fs') */
+  method?: 'fs' | 'crypto';
+  /** Path stat'ed by the 'fs' probe (default: os.tmpdir()) */
+  path?: string;
+}
+
+/**
+ * Configuration options for heap snapshots
+ */
+export interface HeapSnapshotOptions {
+  /** Directory for snapshots (default: <os.tmpdir()>/event-loop-heap-snapshots) */
+  directory?: string;
+  /** Minimum time between snapshots (ms, default: 300000) */
+  cooldown?: number;
+  /** Snapshots to keep; the oldest are deleted (default: 5) */
+  maxSnapshots?: number;
+  /** Free disk space to leave after the snapshot (MB, default: 1024) */
+  minFreeSpaceMB?: number;
+  /** Token required by POST <dashboard>/api/heap-snapshots (endpoint disabled without one) */
+  token?: string;
+}
+
+/**
+ * Heap snapshot written by the monitor
+ */
+export interface HeapSnapshotInfo {
+  /** Snapshot id */
+  id: string;
+  /** File name in the snapshot directory */
+  file: string;
+  /** File size in bytes */
+  size: number;
+  takenAt: number;
+  /** Time the event loop was blocked while writing (ms) */
+  duration: number;
+  /** Why the snapshot was taken ('manual', 'alert') */
+  reason: string;
+  /** Alert that triggered the snapshot */
+  alertId: string | null;
+  /** Latest sample when the snapshot was taken */
+  sample: {
+    timestamp: number;
+    lag: { mean: number; p99: number; max: number };
+    elu: number;
+    memory: { heapUsed: number; heapTotal: number; rss: number; external: number } | null;
+  } | null;
+}
+
+/**
+ * Configuration options for Watchdog
+ */
+export interface WatchdogOptions {
+  /** Time without heartbeat before a stack is captured (ms, default: 1000) */
+  budget?: number;
+  /** How often the main thread checks in (ms, default: budget / 4) */
+  heartbeatInterval?: number;
+  /** How often the watchdog thread checks the heartbeat (ms, default: budget / 10) */
+  checkInterval?: number;
+  /** Number of captured stacks to retain (default: 50) */
+  maxStacks?: number;
+  /** Maximum frames recorded per stack (default: 32) */
+  maxFrames?: number;
+  /** Capture the blocking stack of each stall (default: true) */
+  captureStacks?: boolean;
+  /** Number of finished stalls to retain (default: 100) */
+  maxStalls?: number;
+  /** Write stalls to stderr from the watchdog thread (default: false) */
+  logStalls?: boolean;
+  /** Write a diagnostic report (process.report) during a stall (default: false) */
+  report?: boolean | {
+    /** Stall duration before the report is written (ms, default: budget) */
+    after?: number;
+    /** Directory for report files (default: process.cwd()) */
+    directory?: string;
+  };
+  /** Module called on the watchdog thread with each stall event; runs during a hang */
+  alertModule?: string;
+}
+
+/**
+ * Stall reported by the watchdog thread when it is detected
+ */
+export interface StallStart {
+  id: number;
+  /** Last heartbeat before the stall */
+  startedAt: number;
+  /** When the watchdog thread detected the stall */
+  detectedAt: number;
+  /** How long the loop had been blocked at detection time (ms) */
+  blockedFor: number;
+}
+
+/**
+ * Finished stall
+ */
+export interface Stall {
+  id: number;
+  startedAt: number;
+  detectedAt: number;
+  /** First heartbeat after the stall */
+  endedAt: number;
+  /** Stall duration (ms) */
+  duration: number;
+  /** Diagnostic report written during the stall, if any */
+  reportFile: string | null;
+  /** Stack of the blocking code, if captured */
+  stack: string | null;
+}
+
+/**
+ * Monitor configuration with status
+ */
+export interface MonitorConfig extends EventLoopMonitorOptions {
+  /** Whether monitoring is currently active */
+  isMonitoring: boolean;
+  /** Interval until the next sample (ms); changes in adaptive mode */
+  currentInterval: number;
+}
+
+/**
+ * Payload of the monitor's health-change event
+ */
+export interface HealthChangeEvent {
+  /** Status before the sample ('unknown' for the first sample after start) */
+  previous: HealthStatus;
+  /** Status after the sample */
+  next: HealthStatus;
+  health: HealthResult;
+  /** Timestamp of the sample */
+  timestamp: number;
+}
+
+/**
+ * Estimated memory of the history (bytes)
+ */
+export interface MemoryBreakdown {
+  /** Ring buffer: columns allocated for every slot, plus what samples keep as objects */
+  samples: number;
+  rollups: number;
+  /** Cached aggregates */
+  cache: number;
+}
+
+/**
+ * Payload of the memory-pressure event: the history went over maxMemoryMB and was trimmed
+ */
+export interface MemoryPressureEvent {
+  /** Estimated bytes before trimming */
+  usage: number;
+  /** Estimated bytes after trimming */
+  after: number;
+  /** Budget (bytes) */
+  limit: number;
+  dropped: { samples: number; rollups: number };
+  /** Ring buffer slots (below historySize while shrunk) */
+  capacity: number;
+  timestamp: number;
+}
+
+/**
+ * History memory against maxMemoryMB
+ */
+export interface MemoryBudget {
+  /** Estimated bytes */
+  used: number;
+  /** Budget in bytes (0 when disabled) */
+  limit: number;
+  /** Percentage of the budget used */
+  utilization: number;
+  /** Ring buffer slots (below historySize while shrunk) */
+  capacity: number;
+  historySize: number;
+  droppedSamples: number;
+  droppedRollups: number;
+  /** Times the history was trimmed */
+  pressureEvents: number;
+  breakdown: MemoryBreakdown;
+}
+
+/**
+ * Core event loop monitoring class
+ */
+export class EventLoopMonitor extends EventEmitter {
+  /**
+   * Create a new EventLoopMonitor instance
+   * @param options Configuration options
+   */
+  constructor(options?: EventLoopMonitorOptions);
+
+  /**
+   * Start monitoring the event loop
+   */
+  start(): void;
+
+  /**
+   * Stop monitoring the event loop
+   */
+  stop(): void;
+
+  /**
+   * Stop monitoring and release the cluster connection, registered workers
+   * and the storage backend (flushed and closed)
+   */
+  destroy(): void;
+
+  /**
+   * Get current metrics snapshot
+   * @returns Current metrics or null if not monitoring
+   */
+  getCurrentMetrics(): MetricsSample | null;
+
+  /**
+   * Get all metrics (current + historical + aggregated)
+   * @returns Complete metrics
+   */
+  getMetrics(): Metrics;
+
+  /**
+   * Get historical metrics
+   * @param countOrOptions Number of recent samples, or a query; a range older
+   *   than the in-memory history is read from rollups, or with storage from disk
+   * @returns Array of historical samples
+   */
+  getHistory(countOrOptions?: number | HistoryQuery): MetricsSample[];
+
+  /**
+   * Get health status based on current metrics
+   * @param thresholds Custom thresholds for health assessment (optional)
+   * @returns Health status and score
+   */
+  getHealth(thresholds?: HealthThresholds): HealthResult;
+
+  /**
+   * Record a finished request (for Express integration)
+   * @param duration Request duration in milliseconds
+   * @param details Route, method and status; without a method only the totals count it
+   */
+  trackRequest(duration: number, details?: RequestDetails): void;
+  /**
+   * Count a request as in flight
+   * @returns Function to call when the request ends
+   */
+  trackRequest(): (details?: RequestDetails) => void;
+
+  /**
+   * Cumulative request latency per route, method and status class since the
+   * monitor was created or reset
+   */
+  getRequestTotals(): RequestTotal[];
+
+  /**
+   * Run a function and record the loop time it took under a name
+   * Only the synchronous part is measured; use measureAsync() for promises
+   * @param name Operation name (e.g. 'render:invoice')
+   * @param fn Function to run
+   * @returns Return value of fn
+   */
+  measure<T>(name: string, fn: () => T): T;
+
+  /**
+   * Run an asynchronous function and record the synchronous loop time of all
+   * its callbacks until its promise settles (enables blocker tracking)
+   * @param name Operation name (e.g. 'serialize:report')
+   * @param fn Function to run; may return a promise
+   */
+  measureAsync<T>(name: string, fn: () => T | Promise<T>): Promise<T>;
+
+  /**
+   * Cumulative loop time of measured operations since the monitor was
+   * created or reset
+   */
+  getOperationTotals(): OperationTotal[];
+
+  /**
+   * Get slow requests with the lag seen while they ran
+   * @param count Number of recent entries to retrieve (optional)
+   * @returns Entries, most recent last (empty when the log is disabled)
+   */
+  getSlowRequests(count?: number): SlowRequest[];
+
+  /**
+   * Get stacks captured by the watchdog while the loop was blocked
+   * @param count Number of recent stacks to retrieve (optional)
+   * @returns Captured stacks (empty when the watchdog is disabled)
+   */
+  getBlockingStacks(count?: number): BlockingStack[];
+
+  /**
+   * Get stalls detected by the watchdog
+   * @param count Number of recent stalls to retrieve (optional)
+   * @returns Finished stalls (empty when the watchdog is disabled)
+   */
+  getStalls(count?: number): Stall[];
+
+  /**
+   * Get CPU profiles captured by the flight recorder, newest first
+   * @returns Profiles (empty when the flight recorder is disabled)
+   */
+  getProfiles(): ProfileInfo[];
+
+  /** Flight recorder (null unless the flightRecorder option is set) */
+  readonly flightRecorder: FlightRecorder | null;
+
+  /**
+   * Write a heap snapshot (requires the heapSnapshots option)
+   * Blocks the event loop until written; throws during the cooldown or when
+   * the disk is short of space (`error.reason` is 'cooldown' or 'disk-space')
+   */
+  takeHeapSnapshot(context?: { reason?: string; alertId?: string }): HeapSnapshotInfo;
+
+  /**
+   * Get heap snapshots on disk, newest first
+   * @returns Snapshots (empty when heap snapshots are disabled)
+   */
+  getHeapSnapshots(): HeapSnapshotInfo[];
+
+  /** Heap snapshotter (null unless the heapSnapshots option is set) */
+  readonly heapSnapshotter: HeapSnapshotter | null;
+
+  /**
+   * Get threadpool queue latency: the latest probe plus percentiles over a window
+   * @param window Time span of the percentiles (ms, default: 60000)
+   * @returns Stats, or null when the threadpool probe is disabled or has no results yet
+   */
+  getThreadpoolStats(window?: number): ThreadpoolStats | null;
+
+  /** Threadpool probe (null unless the threadpool option is set and monitoring is active) */
+  readonly threadpoolProbe: ThreadpoolProbe | null;
+
+  /**
+   * Attribute synchronous loop time to requests and operations (installs an async hook)
+   * @param options Tracker options
+   */
+  enableBlockerTracking(options?: BlockerTrackerOptions): BlockerTracker;
+
+  /**
+   * Get the routes and operations that consumed the most loop time
+   * @param limit Number of entries to return (default: 10)
+   */
+  getTopBlockers(limit?: number): BlockerEntry[];
+
+  /**
+   * Monitor the event loop of a worker thread (removed when it exits)
+   * ELU is collected automatically; lag requires startWorkerReporter() in the worker
+   * @param worker Worker thread
+   * @param options Worker options
+   */
+  addWorker(worker: Worker, options?: WorkerOptions): WorkerInfo;
+
+  /**
+   * Stop monitoring a worker thread
+   * @returns True if the worker was registered
+   */
+  removeWorker(worker: Worker): boolean;
+
+  /**
+   * Get the monitored worker threads
+   */
+  getWorkers(): WorkerInfo[];
+
+  /**
+   * Register a custom gauge, read every time a sample is taken
+   * @param name Metric name (letters, digits and underscores)
+   * @param fn Synchronous function returning the current value
+   */
+  registerGauge(name: string, fn: () => number, options?: CustomMetricOptions): void;
+
+  /**
+   * Get or create a custom counter
+   * @param name Metric name (letters, digits and underscores)
+   */
+  counter(name: string, options?: CustomMetricOptions): Counter;
+
+  /**
+   * Remove a custom gauge or counter
+   * @returns True if the metric was registered
+   */
+  unregisterMetric(name: string): boolean;
+
+  /**
+   * Get the registered custom metrics
+   */
+  getCustomMetrics(): CustomMetricInfo[];
+
+  /**
+   * Find resource types (sockets, timers, file requests, ...) whose count
+   * grows steadily across the history window
+   */
+  getResourceLeaks(options?: ResourceLeakOptions): ResourceLeak[];
+
+  /**
+   * Get the latest V8 heap statistics (collected every heapStatsInterval ms)
+   * @returns Heap stats, or null if none were collected yet
+   */
+  getHeapStats(): (HeapStats & { timestamp: number }) | null;
+
+  /**
+   * Get how much of maxMemoryMB the history uses and what was dropped to stay within it
+   */
+  getMemoryBudget(): MemoryBudget;
+
+  /**
+   * Get anomalies detected in lag, ELU and heap, most recent last
+   * @returns Anomalies (empty when detection is disabled)
+   */
+  getAnomalies(options?: AnomalyQuery): Anomaly[];
+
+  /**
+   * Check if monitoring is active
+   * @returns True if monitoring is active
+   */
+  isActive(): boolean;
+
+  /**
+   * Reset all metrics
+   */
+  reset(): void;
+
+  /**
+   * Get configuration options
+   * @returns Current configuration
+   */
+  getConfig(): MonitorConfig;
+
+  /** A sample was recorded */
+  on(event: 'sample', listener: (sample: MetricsSample) => void): this;
+  /** The health status of the latest sample differs from the previous one */
+  on(event: 'health-change', listener: (change: HealthChangeEvent) => void): this;
+  /** The history went over maxMemoryMB and was trimmed */
+  on(event: 'memory-pressure', listener: (event: MemoryPressureEvent) => void): this;
+  /** A series left its expected band for minSamples samples, or came back into it */
+  on(event: 'anomaly-start' | 'anomaly-end', listener: (anomaly: Anomaly) => void): this;
+  on(event: 'start' | 'stop', listener: (event: { timestamp: number }) => void): this;
+  /** Sampling or a component failed (logged instead when nothing listens) */
+  on(event: 'error', listener: (error: Error) => void): this;
+}
+
+// ============================================================================
+// Watchdog
+// ============================================================================
+
+/**
+ * Captures the main thread's stack from a worker thread when the loop blocks
+ */
+export class Watchdog extends EventEmitter {
+  constructor(options?: WatchdogOptions);
+
+  /** Start the watchdog thread */
+  start(): void;
+
+  /** Stop the watchdog thread; resolves once it has exited */
+  stop(): Promise<void>;
+
+  /**
+   * Get captured stacks, most recent last
+   * @param count Number of recent stacks to retrieve (optional)
+   */
+  getStacks(count?: number): BlockingStack[];
+
+  /** Take the stacks captured since the previous call */
+  drainPending(): BlockingStack[];
+
+  /**
+   * Get finished stalls, most recent last
+   * @param count Number of recent stalls to retrieve (optional)
+   */
+  getStalls(count?: number): Stall[];
+
+  /** Stall in progress, as last reported by the watchdog thread */
+  currentStall: StallStart | null;
+
+  /** Clear captured stacks and stalls */
+  clear(): void;
+
+  on(event: 'stall-start', listener: (stall: StallStart) => void): this;
+  on(event: 'stall-end', listener: (stall: Stall) => void): this;
+  on(event: 'stall-report', listener: (report: { stall: { id: number; startedAt: number }; file: string | null; error: string | null }) => void): this;
+  on(event: 'stack', listener: (capture: BlockingStack) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+}
+
+// ============================================================================
+// BlockerTracker
+// ============================================================================
+
+/**
+ * Configuration options for BlockerTracker
+ */
+export interface BlockerTrackerOptions {
+  /** Maximum number of labels in the table (default: 200) */
+  maxEntries?: number;
+}
+
+/**
+ * Context for a unit of work tracked by BlockerTracker
+ */
+export interface BlockerContext {
+  label: string;
+  time: number;
+  callbacks: number;
+  maxSlice: number;
+  startTime: number;
+}
+
+/**
+ * Attributes synchronous loop time to the context (request, operation) that caused it
+ */
+export class BlockerTracker {
+  constructor(options?: BlockerTrackerOptions);
+
+  /** Whether callbacks are being timed */
+  readonly isEnabled: boolean;
+
+  /** Start timing callbacks */
+  enable(): void;
+
+  /** Stop timing callbacks */
+  disable(): void;
+
+  /** Create a context for a unit of work */
+  createContext(label: string): BlockerContext;
+
+  /** Run a function inside a context, timing its synchronous part */
+  runInContext<T>(context: BlockerContext, fn: () => T): T;
+
+  /** Run a function in a new context, finished when its result settles */
+  run<T>(label: string, fn: () => T): T;
+
+  /** Roll a context up into the table, optionally under a final label */
+  finish(context: BlockerContext, label?: string): void;
+
+  /** Get the labels that consumed the most loop time */
+  getTopBlockers(limit?: number): BlockerEntry[];
+
+  /** Clear the table */
+  reset(): void;
+}
+
+// ============================================================================
+// MetricsRegistry
+// ============================================================================
+
+/**
+ * Registry of custom gauges and counters (used by EventLoopMonitor)
+ */
+export class MetricsRegistry {
+  constructor();
+
+  registerGauge(name: string, fn: () => number, options?: CustomMetricOptions): void;
+  counter(name: string, options?: CustomMetricOptions): Counter;
+  unregister(name: string): boolean;
+  list(): CustomMetricInfo[];
+  /** Read every metric for a sample (null when none are registered) */
+  collect(): Record<string, CustomMetricValue> | null;
+}
+
+// ============================================================================
+// Histogram
+// ============================================================================
+
+/**
+ * Mergeable log-bucketed histogram, used for windowed lag percentiles
+ */
+export class Histogram {
+  /**
+   * @param options.precision Relative bucket width (default: 0.01)
+   */
+  constructor(options?: { precision?: number });
+
+  readonly precision: number;
+  readonly count: number;
+  readonly sum: number;
+  readonly min: number | null;
+  readonly max: number | null;
+
+  record(value: number, count?: number): void;
+  /** Add the counts of another histogram (same precision) */
+  merge(other: Histogram | HistogramJSON): this;
+  /** Value at a percentile (0-100) */
+  percentile(percentile: number): number;
+  /** Number of values at or below a bound (a bucket straddling it is left out) */
+  countAtOrBelow(bound: number): number;
+  summary(): DistributionSummary;
+  toJSON(): HistogramJSON;
+
+  static fromJSON(json: HistogramJSON): Histogram;
+  /**
+   * Convert a perf_hooks histogram (ns) to a histogram in ms
+   * @param elapsed Time the source recorded over (ms): estimates the count where
+   *   the source has none (Node < 16.14); without it the histogram is then empty
+   */
+  static fromPerfHistogram(
+    source: IntervalHistogram,
+    options?: { precision?: number },
+    elapsed?: number
+  ): Histogram;
+}
+
+// ============================================================================
+// AdaptiveSampler
+// ============================================================================
+
+/**
+ * Picks the sampling interval from the load (used by EventLoopMonitor)
+ */
+export class AdaptiveSampler {
+  constructor(options?: AdaptiveOptions);
+
+  /** Current interval (ms) */
+  readonly interval: number;
+
+  /** Pick the interval to use after a sample */
+  update(sample: MetricsSample): number;
+  /** Go back to the idle interval */
+  reset(): void;
+}
+
+// ============================================================================
+// FlightRecorder
+// ============================================================================
+
+/**
+ * Captures CPU profiles once health has been critical for a while
+ */
+export class FlightRecorder extends EventEmitter {
+  constructor(options?: FlightRecorderOptions);
+
+  /** Create the directory and load profiles saved by earlier runs */
+  start(): void;
+  /** Stop watching; a capture in progress is saved */
+  stop(): Promise<void>;
+
+  /** Feed the health of the latest sample */
+  update(health: HealthResult, now?: number): void;
+  /** Record a profile now */
+  record(trigger?: FlightRecorderTrigger | null): Promise<ProfileInfo>;
+
+  /** Saved profiles, newest first */
+  getProfiles(): ProfileInfo[];
+  getProfile(id: string): ProfileInfo | null;
+  /** Absolute path of a saved profile */
+  getProfilePath(id: string): string | null;
+  isCapturing(): boolean;
+
+  on(event: 'trigger', listener: (trigger: FlightRecorderTrigger & { profileId: string | null }) => void): this;
+  on(event: 'recovered', listener: (recovery: { alertId: string; duration: number }) => void): this;
+  on(event: 'profile', listener: (profile: ProfileInfo) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+}
+
+// ============================================================================
+// HeapSnapshotter
+// ============================================================================
+
+/**
+ * Writes heap snapshots with a cooldown, a disk space check and rotation
+ */
+export class HeapSnapshotter {
+  constructor(options?: HeapSnapshotOptions);
+
+  /** Write a heap snapshot (blocks the event loop) */
+  take(context?: { reason?: string; alertId?: string; sample?: HeapSnapshotInfo['sample'] }): HeapSnapshotInfo;
+  /** Snapshots on disk, newest first */
+  getSnapshots(): HeapSnapshotInfo[];
+  /** Check a token against the configured one */
+  checkToken(token: string): boolean;
+  /** Remaining cooldown (ms) */
+  getCooldownRemaining(): number;
+}
+
+// ============================================================================
+// ThreadpoolProbe
+// ============================================================================
+
+/**
+ * Measures how long trivial tasks wait for a libuv threadpool thread
+ */
+export class ThreadpoolProbe {
+  constructor(options?: ThreadpoolProbeOptions);
+
+  start(): void;
+  stop(): void;
+  /** Latencies measured since the last call (null before the first probe came back) */
+  drain(): ThreadpoolMetrics | null;
+}
+
+// ============================================================================
+// RequestTracker
+// ============================================================================
+
+/**
+ * Details of a finished request
+ */
+export interface RequestDetails {
+  /** Matched route pattern, null or omitted for unmatched requests */
+  route?: string | null;
+  /** Request path without the query string (slow request log only) */
+  path?: string;
+  method?: string;
+  statusCode?: number;
+  /** The connection closed before the response ended */
+  aborted?: boolean;
+}
+
+/**
+ * Per-sample request metrics per route, method and status class
+ */
+export class RequestTracker {
+  constructor(options?: { maxRoutes?: number });
+
+  readonly inFlight: number;
+
+  /** Count a request as in flight; call the result when it ends (returns the duration once) */
+  begin(): (details?: RequestDetails) => number | undefined;
+  record(duration: number, details?: RequestDetails): void;
+  /** Request metrics since the last call */
+  drain(): RequestMetrics;
+  /** Add the routes of a sample to the running totals */
+  accumulate(requests: RequestMetrics): void;
+  getTotals(): RequestTotal[];
+  reset(): void;
+}
+
+// ============================================================================
+// SlowRequestLog
+// ============================================================================
+
+/**
+ * Configuration options for the slow request log
+ */
+export interface SlowRequestLogOptions {
+  /** Requests taking at least this long are logged (ms, default: 1000) */
+  threshold?: number;
+  /** Number of entries to retain (default: 100) */
+  maxEntries?: number;
+  /** Share of the duration the lag must reach for a 'loop-bound' verdict (default: 0.5) */
+  loopBoundRatio?: number;
+}
+
+/**
+ * A slow request and the loop lag measured while it ran
  */
-export interface Metrics {
-  /** Current/latest metrics */
-  current: MetricsSample | null;
-  /** Historical samples */
-  history: MetricsSample[];
-  /** Aggregated statistics */
-  aggregated: AggregatedMetrics | null;
-  /** Whether monitoring is active */
-  isMonitoring: boolean;
+export interface SlowRequest {
+  id: number;
+  /** Matched route pattern, null for unmatched requests */
+  route: string | null;
+  /** Request path without the query string */
+  path: string | null;
+  method: string | null;
+  statusCode: number | null;
+  /** The connection closed before the response ended */
+  aborted: boolean;
+  startTime: number;
+  endTime: number;
+  /** Request duration (ms) */
+  duration: number;
+  /** Maximum lag while the request was in flight, at sample resolution (ms) */
+  maxLag: number;
+  /** 'loop-bound' when the lag reached loopBoundRatio of the duration */
+  verdict: 'loop-bound' | 'io-bound';
 }
 
 /**
- * Health status levels
+ * Bounded log of slow requests; entries are settled by the next sample
  */
-export type HealthStatus = 'healthy' | 'degraded' | 'critical' | 'unknown';
+export class SlowRequestLog {
+  static readonly LOOP_BOUND: 'loop-bound';
+  static readonly IO_BOUND: 'io-bound';
+
+  constructor(options?: SlowRequestLogOptions);
+
+  readonly options: Required<SlowRequestLogOptions>;
+
+  isSlow(duration: number): boolean;
+  /** Hold an ended request until the next sample */
+  hold(request: Omit<SlowRequest, 'id' | 'maxLag' | 'verdict'>): void;
+  /** Settle held requests with the max lag of the samples taken since they started */
+  settle(samples: MetricsSample[]): SlowRequest[];
+  judge(duration: number, maxLag: number): 'loop-bound' | 'io-bound';
+  /** Add settled entries (e.g. from cluster workers) */
+  add(entries: SlowRequest[]): void;
+  /** Entries, most recent last */
+  getEntries(count?: number): SlowRequest[];
+  clear(): void;
+}
+
+// ============================================================================
+// OperationTracker
+// ============================================================================
 
 /**
- * Health assessment result
+ * Loop time of one operation name during a sample
  */
-export interface HealthResult {
-  /** Health status level */
-  status: HealthStatus;
-  /** Health score (0-100) */
-  score: number;
-  /** List of issues detected */
-  issues: string[];
-  /** Human-readable message */
-  message: string;
-  /** Current metric values */
-  metrics: {
-    lag: number;
-    elu: number;
-  };
+export interface OperationStats {
+  count: number;
+  /** Synchronous loop time consumed (ms) */
+  totalTime: number;
+  /** Longest single run (ms) */
+  maxTime: number;
 }
 
 /**
- * Health threshold configuration
+ * Cumulative stats of an operation since the monitor started
  */
-export interface HealthThresholds {
-  /** Warning threshold for lag (ms) */
-  lagWarning?: number;
-  /** Critical threshold for lag (ms) */
-  lagCritical?: number;
-  /** Warning threshold for ELU (0-1) */
-  eluWarning?: number;
-  /** Critical threshold for ELU (0-1) */
-  eluCritical?: number;
+export interface OperationTotal extends OperationStats {
+  /** Operation name, or '(other)' past maxOperations */
+  name: string;
 }
 
 /**
- * Time series data point for lag
+ * A measured operation over a window, as ranked on the dashboard
  */
-export interface LagTimeSeriesPoint {
-  timestamp: number;
-  min: number;
-  max: number;
-  mean: number;
-  p50: number;
-  p95: number;
-  p99: number;
+export interface OperationSummary extends OperationTotal {
+  avgTime: number;
+  /** Share of the window the loop spent in the operation (0-1) */
+  share: number;
 }
 
 /**
- * Time series data point for ELU
+ * Per-sample loop time of named operations and their running totals
  */
-export interface ELUTimeSeriesPoint {
-  timestamp: number;
-  utilization: number;
-  active: number;
-  idle: number;
+export class OperationTracker {
+  static readonly OTHER_OPERATION: '(other)';
+
+  constructor(options?: { maxOperations?: number });
+
+  record(name: string, duration: number): void;
+  /** Operations recorded since the last call (null if none) */
+  drain(): Record<string, OperationStats> | null;
+  /** Add the operations of a sample to the running totals */
+  accumulate(operations: Record<string, OperationStats> | null | undefined): void;
+  getTotals(): OperationTotal[];
+  reset(): void;
 }
 
+// ============================================================================
+// MonitorRegistry
+// ============================================================================
+
 /**
- * Time series data point for requests
+ * Named monitors shared by the middleware, exporters and alert managers
+ * Monitors are created stopped; start() and stop() control their lifecycle
  */
-export interface RequestTimeSeriesPoint {
-  timestamp: number;
-  count: number;
-  avgTime: number;
+export class MonitorRegistry {
+  /** Name used when none is given ('default') */
+  static readonly DEFAULT_MONITOR: string;
+
+  constructor();
+
+  /** Get a monitor, creating it (stopped) with the options if it does not exist */
+  get(name?: string, options?: EventLoopMonitorOptions): EventLoopMonitor;
+  /** Look up a monitor without creating it */
+  find(name?: string): EventLoopMonitor | null;
+  has(name: string): boolean;
+  /** Register a monitor created elsewhere (throws if the name is taken) */
+  register(name: string, monitor: EventLoopMonitor): EventLoopMonitor;
+  /** Instance as is, name looked up, nothing for the default monitor */
+  resolve(monitor?: EventLoopMonitor | string): EventLoopMonitor | null;
+  nameOf(monitor: EventLoopMonitor): string | null;
+  names(): string[];
+  start(name?: string, options?: EventLoopMonitorOptions): EventLoopMonitor;
+  /** Stop a monitor; it stays registered */
+  stop(name?: string): boolean;
+  /** Destroy and unregister a monitor (closes its storage) */
+  remove(name: string): boolean;
+  /** Destroy and unregister every monitor */
+  clear(): void;
 }
 
 // ============================================================================
-// EventLoopMonitor
+// WorkerTracker
 // ============================================================================
 
 /**
- * Configuration options for EventLoopMonitor
+ * Registry of monitored worker threads (used by EventLoopMonitor)
  */
-export interface EventLoopMonitorOptions {
-  /** Sampling interval in milliseconds (default: 100) */
+export class WorkerTracker {
+  constructor();
+
+  add(worker: Worker, options?: WorkerOptions): WorkerInfo;
+  remove(worker: Worker): boolean;
+  clear(): void;
+  list(): WorkerInfo[];
+  /** Take a sample for every worker */
+  sample(): WorkerMetrics[];
+}
+
+// ============================================================================
+// Cluster
+// ============================================================================
+
+/**
+ * Configuration options for ClusterAggregator
+ */
+export interface ClusterAggregatorOptions {
+  /** Interval of combined samples in ms; match the workers' (default: 100) */
   sampleInterval?: number;
-  /** Number of samples to retain in history (default: 300) */
+  /** Samples to retain per worker and combined (default: 300) */
   historySize?: number;
-  /** Histogram resolution for lag measurement (default: 10) */
-  resolution?: number;
 }
 
 /**
- * Monitor configuration with status
+ * A cluster worker reporting to the primary
  */
-export interface MonitorConfig extends EventLoopMonitorOptions {
-  /** Whether monitoring is currently active */
-  isMonitoring: boolean;
+export interface ClusterWorkerInfo {
+  /** Cluster worker id */
+  id: number;
+  pid: number | null;
+  /** Samples retained for this worker */
+  samples: number;
+  /** When the last sample was received */
+  lastSeen: number | null;
 }
 
 /**
- * Core event loop monitoring class
+ * Response to a request answered by the primary
  */
-export class EventLoopMonitor {
-  /**
-   * Create a new EventLoopMonitor instance
-   * @param options Configuration options
-   */
-  constructor(options?: EventLoopMonitorOptions);
+export interface ClusterResponse {
+  statusCode: number;
+  headers: Record<string, string>;
+  body: string;
+}
 
-  /**
-   * Start monitoring the event loop
-   */
+/**
+ * Collects samples from cluster workers (runs on the cluster primary)
+ */
+export class ClusterAggregator extends EventEmitter {
+  constructor(options?: ClusterAggregatorOptions);
+
+  readonly isRunning: boolean;
+
+  /** Start listening to workers */
   start(): void;
 
-  /**
-   * Stop monitoring the event loop
-   */
+  /** Stop listening to workers and drop their histories */
   stop(): void;
 
   /**
-   * Get current metrics snapshot
-   * @returns Current metrics or null if not monitoring
+   * Get the view for one worker or for the whole cluster
+   * @param worker Cluster worker id, or 'all' (default)
    */
-  getCurrentMetrics(): MetricsSample | null;
+  getMonitor(worker?: number | string): EventLoopMonitor | null;
 
-  /**
-   * Get all metrics (current + historical + aggregated)
-   * @returns Complete metrics
-   */
-  getMetrics(): Metrics;
+  /** Get the workers that have reported samples */
+  getWorkers(): ClusterWorkerInfo[];
 
   /**
-   * Get historical metrics
-   * @param count Number of recent samples to retrieve (optional)
-   * @returns Array of historical samples
+   * Answer a dashboard API or /metrics request
+   * @param url Path and query; `?worker=<id>` selects a worker
    */
-  getHistory(count?: number): MetricsSample[];
+  handleRequest(url: string): Promise<ClusterResponse>;
 
-  /**
-   * Get health status based on current metrics
-   * @param thresholds Custom thresholds for health assessment (optional)
-   * @returns Health status and score
-   */
-  getHealth(thresholds?: HealthThresholds): HealthResult;
+  on(event: 'worker-added' | 'worker-removed', listener: (worker: { id: number; pid: number | null }) => void): this;
+}
 
-  /**
-   * Track a request (for Express integration)
-   * @param duration Request duration in milliseconds
-   */
-  trackRequest(duration: number): void;
+/**
+ * Configuration options for ClusterClient
+ */
+export interface ClusterClientOptions {
+  /** Time to wait for the primary in ms (default: 5000) */
+  timeout?: number;
+}
 
-  /**
-   * Check if monitoring is active
-   * @returns True if monitoring is active
-   */
-  isActive(): boolean;
+/**
+ * Connects a worker's monitor to the ClusterAggregator (used by the middleware)
+ */
+export class ClusterClient {
+  constructor(monitor: EventLoopMonitor, options?: ClusterClientOptions);
 
-  /**
-   * Reset all metrics
-   */
-  reset(): void;
+  readonly isRunning: boolean;
 
-  /**
-   * Get configuration options
-   * @returns Current configuration
-   */
-  getConfig(): MonitorConfig;
+  /** Start sending samples to the primary */
+  start(): void;
+
+  /** Stop sending samples and fail pending requests */
+  stop(): void;
+
+  /** Ask the primary to answer a request */
+  request(url: string): Promise<ClusterResponse>;
 }
 
 // ============================================================================
@@ -321,6 +1793,35 @@ export class EventLoopMonitor {
 export interface MetricsCollectorOptions {
   /** Maximum number of samples to retain (default: 300) */
   historySize?: number;
+  /** Storage backend: samples are written to it and recent history is reloaded from it */
+  storage?: StorageBackend;
+  /** Most samples one query reads from storage, the most recent of its range (default: 10000) */
+  maxStorageRead?: number;
+  /** Rollup tiers, or false to disable them (default: 10s for 3 hours, 1m for 24 hours, 1h for 30 days) */
+  rollups?: false | RollupTierOptions[];
+  /** Memory budget in MB, 0 disables (default: 50) */
+  maxMemoryMB?: number;
+  /** Anomaly detector options, or false to disable it */
+  anomalies?: false | AnomalyDetectorOptions;
+}
+
+/**
+ * Query for getHistory()
+ */
+export interface HistoryQuery {
+  /** Only the most recent samples */
+  count?: number;
+  /** Only samples of the last `duration` ms */
+  duration?: number;
+  /** Oldest timestamp to include (read through to storage when older than memory) */
+  startTime?: number;
+  /** Newest timestamp to include */
+  endTime?: number;
+  filter?: (sample: MetricsSample) => boolean;
+  /** Sample order (default: 'asc') */
+  sortOrder?: 'asc' | 'desc';
+  /** 'raw', a rollup tier name, or 'auto' to pick the finest tier covering the range (default: 'auto') */
+  resolution?: string;
 }
 
 /**
@@ -329,12 +1830,32 @@ export interface MetricsCollectorOptions {
 export interface CollectionStats {
   /** Maximum history size */
   historySize: number;
+  /** Ring buffer slots (below historySize while shrunk under memory pressure) */
+  capacity: number;
   /** Current number of samples */
   sampleCount: number;
   /** Current buffer index */
   currentIndex: number;
   /** Estimated memory usage */
   memoryUsage: string;
+  memoryUsageBytes: number;
+  /** maxMemoryMB in bytes */
+  memoryLimit: number;
+  /** Percentage of the budget used (0 without a budget) */
+  memoryUtilization: number;
+  memoryBreakdown: MemoryBreakdown;
+  /** Samples dropped to stay within the budget */
+  droppedSamples: number;
+  /** Rollups dropped to stay within the budget */
+  droppedRollups: number;
+  /** Times the history was trimmed */
+  memoryWarnings: number;
+  /** Samples reloaded from storage on startup */
+  recoveredSamples: number;
+  /** Rollups kept per tier (null when disabled) */
+  rollups: RollupTierStats[] | null;
+  /** Storage stats (null without a storage backend or getStats()) */
+  storage: FileStorageStats | null;
 }
 
 /**
@@ -361,10 +1882,15 @@ export class MetricsCollector {
 
   /**
    * Get historical samples
-   * @param count Number of recent samples to retrieve (optional)
-   * @returns Array of samples in chronological order
+   * @param countOrOptions Number of recent samples, or a query (optional)
+   * @returns Array of samples in chronological order (unless sortOrder is 'desc')
+   */
+  getHistory(countOrOptions?: number | HistoryQuery): MetricsSample[];
+
+  /**
+   * Write samples buffered by the storage backend
    */
-  getHistory(count?: number): MetricsSample[];
+  flush(): void;
 
   /**
    * Get aggregated metrics over a time window
@@ -375,13 +1901,19 @@ export class MetricsCollector {
 
   /**
    * Get time series data for charting
-   * @param metric Metric name ('lag', 'elu', or 'requests')
-   * @param count Number of recent samples (optional)
+   * @param metric Metric name ('lag', 'elu', 'requests' or 'operations')
+   * @param countOrOptions Number of recent samples, or a query (optional)
    * @returns Time series data array
    */
-  getTimeSeries(metric: 'lag', count?: number): LagTimeSeriesPoint[];
-  getTimeSeries(metric: 'elu', count?: number): ELUTimeSeriesPoint[];
-  getTimeSeries(metric: 'requests', count?: number): RequestTimeSeriesPoint[];
+  getTimeSeries(metric: 'lag', countOrOptions?: number | HistoryQuery): LagTimeSeriesPoint[];
+  getTimeSeries(metric: 'elu', countOrOptions?: number | HistoryQuery): ELUTimeSeriesPoint[];
+  getTimeSeries(metric: 'requests', countOrOptions?: number | HistoryQuery): RequestTimeSeriesPoint[];
+  getTimeSeries(metric: 'operations', countOrOptions?: number | HistoryQuery): OperationTimeSeriesPoint[];
+
+  /**
+   * Get detected anomalies, most recent last (empty when detection is disabled)
+   */
+  getAnomalies(options?: AnomalyQuery): Anomaly[];
 
   /**
    * Reset all stored metrics
@@ -408,6 +1940,277 @@ export class MetricsCollector {
   importJSON(json: string): void;
 }
 
+// ============================================================================
+// FileStorage
+// ============================================================================
+
+/**
+ * A storage backend for durable history
+ */
+export interface StorageBackend {
+  /** Prepare for writing; called once by the collector */
+  open(): void;
+  append(sample: MetricsSample): void;
+  /** Stored samples in a range, oldest first (synchronous; keep it bounded) */
+  load(options?: { startTime?: number; endTime?: number; count?: number }): MetricsSample[];
+  flush(): void;
+  close(): void;
+  getStats?(): FileStorageStats;
+}
+
+/**
+ * Configuration options for FileStorage
+ */
+export interface FileStorageOptions {
+  /** Directory for segments, of this process only (processes sharing one reload and prune each other's history) */
+  directory: string;
+  /** Time between writes of buffered samples in ms (default: 5000) */
+  flushInterval?: number;
+  /** Start a new segment at this size in bytes (default: 4 MB) */
+  maxSegmentSize?: number;
+  /** Start a new segment once it covers this long in ms (default: 1 hour) */
+  maxSegmentAge?: number;
+  /** Delete segments older than this in ms, 0 keeps them (default: 24 hours) */
+  maxAge?: number;
+  /** Delete the oldest segments beyond this total in bytes (default: 100 MB) */
+  maxSize?: number;
+  /** Most samples one load() returns, the most recent of its range; older segments are not read (default: 50000) */
+  maxLoad?: number;
+}
+
+/**
+ * Size of the stored history
+ */
+export interface FileStorageStats {
+  directory: string;
+  segments: number;
+  /** Total size of the segments (bytes) */
+  size: number;
+  /** Samples waiting for the next flush */
+  buffered: number;
+  /** Start of the oldest segment, or the oldest buffered sample before the first flush (null if none) */
+  oldest: number | null;
+}
+
+/**
+ * Writes samples to rotating gzip-compressed NDJSON segments and reads
+ * ranges back
+ */
+export class FileStorage extends EventEmitter implements StorageBackend {
+  constructor(options?: FileStorageOptions);
+
+  readonly options: Required<FileStorageOptions>;
+
+  open(): void;
+  append(sample: MetricsSample): void;
+  load(options?: { startTime?: number; endTime?: number; count?: number }): MetricsSample[];
+  flush(): void;
+  close(): void;
+  getStats(): FileStorageStats;
+
+  on(event: 'error', listener: (error: Error) => void): this;
+}
+
+// ============================================================================
+// Rollups
+// ============================================================================
+
+/**
+ * Definition of a rollup tier
+ */
+export interface RollupTierOptions {
+  /** Tier name, used as a resolution in queries (e.g. '1m') */
+  name: string;
+  /** Bucket length in ms; a multiple of the previous tier's */
+  resolution: number;
+  /** Time rollups are kept in ms */
+  retention: number;
+}
+
+/**
+ * What a rollup was merged from
+ */
+export interface RollupInfo {
+  /** Bucket length of its tier (ms) */
+  resolution: number;
+  /** Timestamp of its first raw sample */
+  from: number;
+  /** Number of raw samples merged into it */
+  samples: number;
+}
+
+/**
+ * Rollups kept by a tier
+ */
+export interface RollupTierStats {
+  name: string;
+  resolution: number;
+  retention: number;
+  count: number;
+  /** Start of the oldest rollup (null if none is closed yet) */
+  oldest: number | null;
+  /** Estimated size of its rollups and pending items */
+  bytes: number;
+}
+
+/**
+ * Closed rollups of one resolution
+ */
+export class RollupTier {
+  readonly name: string;
+  readonly resolution: number;
+  readonly retention: number;
+  /** Closed rollups, oldest first */
+  readonly entries: MetricsSample[];
+
+  /** Add a sample or rollup; returns the rollup of the bucket it closed */
+  add(item: MetricsSample): MetricsSample | null;
+  oldest(): number | null;
+  newest(): number | null;
+  /** Drop the oldest rollups; returns the estimated bytes freed */
+  evict(count: number): number;
+  clear(): void;
+}
+
+/**
+ * Multi-resolution history: each tier is built from the closed rollups of
+ * the tier below it
+ */
+export class Rollups {
+  static readonly DEFAULT_TIERS: RollupTierOptions[];
+
+  /** Merge consecutive samples or rollups into one rollup */
+  static mergeSamples(samples: MetricsSample[], resolution: number, sampleInterval?: number): MetricsSample;
+
+  constructor(tiers?: RollupTierOptions[], options?: { sampleInterval?: number });
+
+  readonly tiers: RollupTier[];
+
+  add(sample: MetricsSample): void;
+  getTier(name: string): RollupTier | null;
+  /** Finest tier whose rollups reach back to startTime */
+  select(startTime: number): RollupTier | null;
+  /** Tier reaching back the furthest */
+  earliest(): RollupTier | null;
+  /** Rollups of a tier in a range, continued with finer tiers; raw samples continue after `until` */
+  read(tier: RollupTier, range?: { startTime?: number; endTime?: number }): {
+    samples: MetricsSample[];
+    until: number | null;
+  };
+  /** Estimated size of all tiers */
+  readonly byteLength: number;
+  /** Drop the oldest rollups, from the largest tier first, until `bytes` are freed; returns the number dropped */
+  evict(bytes: number): number;
+  getStats(): RollupTierStats[];
+  clear(): void;
+}
+
+// ============================================================================
+// AnomalyDetector
+// ============================================================================
+
+/** Series the anomaly detector watches: p99 lag, ELU and heap used */
+export type AnomalyMetric = 'lag' | 'elu' | 'memory';
+
+/**
+ * Configuration options for AnomalyDetector
+ */
+export interface AnomalyDetectorOptions {
+  /** Series to watch (default: all) */
+  metrics?: AnomalyMetric[];
+  /** Band: EWMA standard deviation or mean absolute deviation (default: 'zscore') */
+  method?: 'zscore' | 'mad';
+  /** EWMA weight of each sample, higher adapts faster (default: 0.02) */
+  alpha?: number;
+  /** Score (spreads from the expected value) of an anomalous sample (default: 4) */
+  threshold?: number;
+  /** Peak score of a critical anomaly (default: 8) */
+  criticalThreshold?: number;
+  /** Consecutive anomalous samples that make an anomaly (default: 3) */
+  minSamples?: number;
+  /** Samples learned before anything is flagged (default: 300) */
+  warmup?: number;
+  /** 'up' flags values above the band, 'both' below it too (default: 'up') */
+  direction?: 'up' | 'both';
+  /** Judge samples against their time of day (default: false; true is a day of hourly buckets) */
+  seasonality?: boolean | {
+    /** Length of a season in ms (default: 1 day) */
+    period?: number;
+    /** Buckets per season (default: 24) */
+    buckets?: number;
+    /** EWMA weight of each season (default: 0.3) */
+    alpha?: number;
+  };
+  /** Number of anomalies to retain (default: 100) */
+  maxAnomalies?: number;
+}
+
+/**
+ * A run of samples outside the expected band; value, expected, bound and
+ * score are those of its most anomalous sample
+ */
+export interface Anomaly {
+  id: number;
+  metric: AnomalyMetric;
+  /** Timestamp of its first sample */
+  start: number;
+  /** Timestamp of its latest sample */
+  end: number;
+  ongoing: boolean;
+  samples: number;
+  value: number;
+  expected: number;
+  /** Edge of the band the value crossed */
+  bound: number;
+  /** Spreads from the expected value */
+  score: number;
+  direction: 'above' | 'below';
+  severity: 'warning' | 'critical';
+}
+
+/**
+ * Query for getAnomalies()
+ */
+export interface AnomalyQuery {
+  metric?: AnomalyMetric;
+  /** Only anomalies still open at or after this time */
+  since?: number;
+  /** Only the most recent anomalies */
+  count?: number;
+}
+
+/**
+ * What a series is expected to be
+ */
+export interface AnomalyBaseline {
+  /** Samples learned */
+  samples: number;
+  /** Whether the warmup is over */
+  ready: boolean;
+  expected: number | null;
+  spread: number | null;
+  /** Whether the expectation comes from the time of day */
+  seasonal: boolean;
+}
+
+/**
+ * Streaming anomaly detection over samples
+ */
+export class AnomalyDetector {
+  static readonly SERIES: Record<AnomalyMetric, { value: (sample: MetricsSample) => number; minSpread: number }>;
+
+  constructor(options?: AnomalyDetectorOptions);
+
+  readonly options: Required<AnomalyDetectorOptions>;
+
+  /** Learn a sample; returns the anomalies that started and ended with it */
+  observe(sample: MetricsSample): { started: Anomaly[]; ended: Anomaly[] };
+  getAnomalies(options?: AnomalyQuery): Anomaly[];
+  getBaselines(timestamp?: number): Partial<Record<AnomalyMetric, AnomalyBaseline>>;
+  /** Forget baselines and anomalies */
+  reset(): void;
+}
+
 // ============================================================================
 // Express Middleware
 // ============================================================================
@@ -416,6 +2219,9 @@ export class MetricsCollector {
  * Alert callback function type
  */
 export type AlertCallback = (alert: {
+  /** Unique alert id (CPU profiles keep the id of the alert that triggered them) */
+  id: string;
+  metric: 'lag' | 'elu' | 'stall' | 'health' | 'memory' | 'threadpool' | 'anomaly';
   level: 'warning' | 'critical';
   message: string;
   metrics: MetricsSample;
@@ -427,6 +2233,15 @@ export type AlertCallback = (alert: {
 export interface ExpressMiddlewareOptions extends EventLoopMonitorOptions {
   /** Dashboard route path (default: '/event-loop-stats') */
   path?: string;
+  /**
+   * Registered monitor to serve, created with these options if it does not
+   * exist yet, or a monitor instance (default: 'default')
+   */
+  monitor?: string | EventLoopMonitor;
+  /** Attribute loop time to routes in a "top blockers" table (default: false) */
+  trackBlockers?: boolean;
+  /** In a cluster worker, report to the primary and serve the cluster-wide view (default: false) */
+  cluster?: boolean | ClusterClientOptions;
   /** Alert thresholds */
   thresholds?: HealthThresholds;
   /** Alert callback function */
@@ -456,10 +2271,10 @@ export const middleware: typeof eventLoopMonitor;
 
 /**
  * Create Prometheus metrics exporter
- * @param monitor Optional monitor instance (uses global if not provided)
+ * @param monitor Monitor instance or registered monitor name (uses the default monitor if not provided)
  * @returns Express middleware for /metrics endpoint
  */
-export function prometheusExporter(monitor?: EventLoopMonitor): RequestHandler;
+export function prometheusExporter(monitor?: EventLoopMonitor | string): RequestHandler;
 
 // ============================================================================
 // Alert Manager
@@ -470,11 +2285,20 @@ export function prometheusExporter(monitor?: EventLoopMonitor): RequestHandler;
  */
 export interface AlertManagerOptions {
   /** Alert thresholds */
-  thresholds?: HealthThresholds;
+  thresholds?: HealthThresholds & {
+    /** Warning heap used / heap size limit (0-1); memory alerts are off unless set */
+    heapWarning?: number;
+    /** Critical heap used / heap size limit (0-1) */
+    heapCritical?: number;
+  };
   /** Alert callback function */
   onAlert?: AlertCallback;
-  /** Check interval in milliseconds (default: 1000) */
+  /** Minimum time between threshold checks in ms; 0 checks every sample (default: 1000) */
   checkInterval?: number;
+  /** Write a heap snapshot when a memory alert fires at this level (default: false) */
+  heapSnapshot?: 'critical' | 'warning' | false;
+  /** Alert on anomalies the monitor detects, or only on critical ones (default: false) */
+  anomalies?: boolean | 'critical';
 }
 
 /**
@@ -483,13 +2307,14 @@ export interface AlertManagerOptions {
 export class AlertManager {
   /**
    * Create an Alert Manager instance
-   * @param monitor Monitor instance to attach to
+   * @param monitor Monitor instance, or the name of a registered monitor (created if needed)
    * @param options Alert configuration
    */
-  constructor(monitor: EventLoopMonitor, options?: AlertManagerOptions);
+  constructor(monitor: EventLoopMonitor | string, options?: AlertManagerOptions);
 
   /**
-   * Start alert monitoring
+   * Start alert monitoring; on a monitor that is not started yet, checks
+   * begin with its first sample
    */
   start(): void;
 
@@ -506,12 +2331,12 @@ export class AlertManager {
 
 /**
  * Create an Alert Manager instance
- * @param monitor Monitor instance to attach to
+ * @param monitor Monitor instance, or the name of a registered monitor (created if needed)
  * @param options Alert configuration
  * @returns Alert manager instance
  */
 export function createAlertManager(
-  monitor: EventLoopMonitor,
+  monitor: EventLoopMonitor | string,
   options?: AlertManagerOptions
 ): AlertManager;
 
@@ -520,18 +2345,31 @@ export function createAlertManager(
 // ============================================================================
 
 /**
- * Create a standalone monitor instance
+ * Create a standalone monitor instance (not registered)
  * @param options Configuration options
  * @returns Monitor instance
  */
 export function createMonitor(options?: EventLoopMonitorOptions): EventLoopMonitor;
 
 /**
- * Get or create the global monitor instance
- * @returns Global monitor instance
+ * Get a named monitor from the registry, creating it (stopped) if needed
+ * @param name Monitor name (default: 'default')
+ * @param options Configuration options, only used when the monitor is created
+ * @returns Registered monitor instance
+ */
+export function getMonitor(name?: string, options?: EventLoopMonitorOptions): EventLoopMonitor;
+
+/**
+ * Get or create the default monitor (the one the middleware serves by default)
+ * @returns Default monitor instance
  */
 export function getGlobalMonitor(): EventLoopMonitor;
 
+/**
+ * Registry shared by the middleware, exporters and getMonitor()
+ */
+export const monitorRegistry: MonitorRegistry;
+
 /**
  * Quick start helper - creates and starts monitoring with Express
  * @param app Express app instance
@@ -543,6 +2381,21 @@ export function quickStart(
   options?: ExpressMiddlewareOptions
 ): EventLoopMonitor;
 
+/**
+ * Create a cluster aggregator for the cluster primary (call start())
+ * Workers using the middleware with `cluster: true` report to it
+ * @param options Aggregator options
+ */
+export function createClusterAggregator(options?: ClusterAggregatorOptions): ClusterAggregator;
+
+/**
+ * Report a worker thread's event loop lag to the main thread
+ * Call inside the worker; register the worker with monitor.addWorker()
+ * @param options Reporter options
+ * @returns Function that stops reporting
+ */
+export function startWorkerReporter(options?: WorkerReporterOptions): () => void;
+
 // ============================================================================
 // Package Info
 // ============================================================================
@@ -558,6 +2411,23 @@ export const version: string;
 export const core: {
   EventLoopMonitor: typeof EventLoopMonitor;
   MetricsCollector: typeof MetricsCollector;
+  Watchdog: typeof Watchdog;
+  BlockerTracker: typeof BlockerTracker;
+  WorkerTracker: typeof WorkerTracker;
+  MetricsRegistry: typeof MetricsRegistry;
+  Histogram: typeof Histogram;
+  AdaptiveSampler: typeof AdaptiveSampler;
+  FlightRecorder: typeof FlightRecorder;
+  HeapSnapshotter: typeof HeapSnapshotter;
+  ThreadpoolProbe: typeof ThreadpoolProbe;
+  RequestTracker: typeof RequestTracker;
+  SlowRequestLog: typeof SlowRequestLog;
+  OperationTracker: typeof OperationTracker;
+  FileStorage: typeof FileStorage;
+  Rollups: typeof Rollups;
+  AnomalyDetector: typeof AnomalyDetector;
+  MonitorRegistry: typeof MonitorRegistry;
+  ClusterClient: typeof ClusterClient;
 };
 
 // ============================================================================
@@ -567,18 +2437,40 @@ export const core: {
 declare const _default: {
   EventLoopMonitor: typeof EventLoopMonitor;
   MetricsCollector: typeof MetricsCollector;
+  ClusterAggregator: typeof ClusterAggregator;
   eventLoopMonitor: typeof eventLoopMonitor;
   prometheusExporter: typeof prometheusExporter;
   createAlertManager: typeof createAlertManager;
+  createClusterAggregator: typeof createClusterAggregator;
   createMonitor: typeof createMonitor;
+  getMonitor: typeof getMonitor;
   getGlobalMonitor: typeof getGlobalMonitor;
+  monitorRegistry: MonitorRegistry;
   quickStart: typeof quickStart;
+  startWorkerReporter: typeof startWorkerReporter;
   monitor: typeof eventLoopMonitor;
   middleware: typeof eventLoopMonitor;
   version: string;
   core: {
     EventLoopMonitor: typeof EventLoopMonitor;
     MetricsCollector: typeof MetricsCollector;
+    Watchdog: typeof Watchdog;
+    BlockerTracker: typeof BlockerTracker;
+    WorkerTracker: typeof WorkerTracker;
+    MetricsRegistry: typeof MetricsRegistry;
+    Histogram: typeof Histogram;
+    AdaptiveSampler: typeof AdaptiveSampler;
+    FlightRecorder: typeof FlightRecorder;
+    HeapSnapshotter: typeof HeapSnapshotter;
+    ThreadpoolProbe: typeof ThreadpoolProbe;
+    RequestTracker: typeof RequestTracker;
+    SlowRequestLog: typeof SlowRequestLog;
+    OperationTracker: typeof OperationTracker;
+    FileStorage: typeof FileStorage;
+    Rollups: typeof Rollups;
+    AnomalyDetector: typeof AnomalyDetector;
+    MonitorRegistry: typeof MonitorRegistry;
+    ClusterClient: typeof ClusterClient;
   };
 };
 
@@ -15,6 +15,8 @@ let _expressMiddleware;
 let _prometheusExporter;
 let _alertManager;
 let _dashboardRoutes;
+let _clusterAggregator;
+let _monitorRegistry;
 
 /**
  * Get Express middleware (lazy-loaded)
@@ -49,6 +51,28 @@ function getAlertManager() {
   return _alertManager;
 }
 
+/**
+ * Get Cluster Aggregator (lazy-loaded)
+ * @private
+ */
+function getClusterAggregator() {
+  if (!_clusterAggregator) {
+    _clusterAggregator = require('./cluster/ClusterAggregator');
+  }
+  return _clusterAggregator;
+}
+
+/**
+ * Get Monitor Registry (lazy-loaded)
+ * @private
+ */
+function getMonitorRegistry() {
+  if (!_monitorRegistry) {
+    _monitorRegistry = require('./core/MonitorRegistry');
+  }
+  return _monitorRegistry;
+}
+
 /**
  * Get Dashboard Routes (lazy-loaded)
  * @private
@@ -130,11 +154,34 @@ function createAlertManager(monitor, options) {
 }
 
 /**
- * Create a standalone monitor instance
+ * Get a named monitor from the registry, creating it (stopped) if needed
+ * The middleware, Prometheus exporter and alert managers resolve the same
+ * names, and the dashboard can switch between registered monitors
+ * 
+ * @param {string} [name='default'] - Monitor name
+ * @param {Object} [options] - Monitor options, only used when the monitor is created
+ * @returns {EventLoopMonitor} Registered monitor instance
+ * 
+ * @example
+ * const { getMonitor, eventLoopMonitor } = require('event-loop-monitor-dashboard');
+ * 
+ * const jobs = getMonitor('jobs', { sampleInterval: 500 });
+ * jobs.start();
+ * 
+ * // Serves the default monitor; the dashboard lists 'jobs' too
+ * app.use(eventLoopMonitor());
+ */
+function getMonitor(name, options) {
+  return getMonitorRegistry().registry.get(name, options);
+}
+
+/**
+ * Create a standalone monitor instance (not registered)
  * 
  * @param {Object} [options] - Configuration options
  * @param {number} [options.sampleInterval=100] - Sampling interval in ms
  * @param {number} [options.historySize=300] - Number of samples to retain
+ * @param {boolean|Object} [options.adaptive=false] - Sample faster while lag or ELU is high
  * @returns {EventLoopMonitor} Monitor instance
  * 
  * @example
@@ -153,10 +200,11 @@ function createMonitor(options) {
 }
 
 /**
- * Get or create the global monitor instance
+ * Get or create the default monitor (the one the middleware serves unless
+ * configured otherwise)
  * Useful for sharing a single monitor across modules
  * 
- * @returns {EventLoopMonitor} Global monitor instance
+ * @returns {EventLoopMonitor} Default monitor instance
  * 
  * @example
  * const { getGlobalMonitor } = require('event-loop-monitor-dashboard');
@@ -166,12 +214,32 @@ function createMonitor(options) {
  *   monitor.start();
  * }
  */
-let globalMonitor = null;
 function getGlobalMonitor() {
-  if (!globalMonitor) {
-    globalMonitor = new EventLoopMonitor();
-  }
-  return globalMonitor;
+  const MonitorRegistry = getMonitorRegistry();
+  return MonitorRegistry.registry.get(MonitorRegistry.DEFAULT_MONITOR);
+}
+
+/**
+ * Create a cluster aggregator for the cluster primary
+ * Workers using the middleware with `cluster: true` report to it
+ * 
+ * @param {Object} [options] - Aggregator options
+ * @returns {ClusterAggregator} Aggregator instance (call start())
+ * 
+ * @example
+ * const cluster = require('cluster');
+ * const { createClusterAggregator, eventLoopMonitor } = require('event-loop-monitor-dashboard');
+ * 
+ * if (cluster.isPrimary) {
+ *   createClusterAggregator().start();
+ *   for (let i = 0; i < 4; i++) cluster.fork();
+ * } else {
+ *   app.use(eventLoopMonitor({ cluster: true }));
+ * }
+ */
+function createClusterAggregator(options) {
+  const ClusterAggregator = getClusterAggregator();
+  return new ClusterAggregator(options);
 }
 
 /**
@@ -196,7 +264,7 @@ function quickStart(app, options = {}) {
   }
   
   app.use(eventLoopMonitor(options));
-  return getGlobalMonitor();
+  return getMonitorRegistry().registry.resolve(options.monitor);
 }
 
 // Main exports
@@ -204,16 +272,27 @@ module.exports = {
   // Core classes
   EventLoopMonitor,
   MetricsCollector,
+  get ClusterAggregator() {
+    return getClusterAggregator();
+  },
   
   // High-level API (recommended)
   eventLoopMonitor,
   prometheusExporter,
   createAlertManager,
+  createClusterAggregator,
   
   // Utility functions
   createMonitor,
+  getMonitor,
   getGlobalMonitor,
+  get monitorRegistry() {
+    return getMonitorRegistry().registry;
+  },
   quickStart,
+  get startWorkerReporter() {
+    return require('./core/workerReporter').startWorkerReporter;
+  },
   
   // Aliases for convenience
   monitor: eventLoopMonitor,
@@ -228,10 +307,61 @@ module.exports = {
     }
   },
   
-  // Low-level access (advanced users)
+  // Low-level access (advanced users), loaded on first access
   core: {
     EventLoopMonitor,
-    MetricsCollector
+    MetricsCollector,
+    get Watchdog() {
+      return require('./core/Watchdog');
+    },
+    get BlockerTracker() {
+      return require('./core/BlockerTracker');
+    },
+    get WorkerTracker() {
+      return require('./core/WorkerTracker');
+    },
+    get MetricsRegistry() {
+      return require('./core/MetricsRegistry');
+    },
+    get Histogram() {
+      return require('./core/Histogram');
+    },
+    get AdaptiveSampler() {
+      return require('./core/AdaptiveSampler');
+    },
+    get FlightRecorder() {
+      return require('./core/FlightRecorder');
+    },
+    get HeapSnapshotter() {
+      return require('./core/HeapSnapshotter');
+    },
+    get ThreadpoolProbe() {
+      return require('./core/ThreadpoolProbe');
+    },
+    get RequestTracker() {
+      return require('./core/RequestTracker');
+    },
+    get SlowRequestLog() {
+      return require('./core/SlowRequestLog');
+    },
+    get OperationTracker() {
+      return require('./core/OperationTracker');
+    },
+    get FileStorage() {
+      return require('./core/FileStorage');
+    },
+    get Rollups() {
+      return require('./core/Rollups');
+    },
+    get AnomalyDetector() {
+      return require('./core/AnomalyDetector');
+    },
+    get MonitorRegistry() {
+      return getMonitorRegistry();
+    },
+    get ClusterClient() {
+      return require('./cluster/ClusterClient');
+    }
   }
 };
 
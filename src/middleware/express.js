@@ -10,25 +10,83 @@
  */
 
 const EventLoopMonitor = require("../core/EventLoopMonitor");
+const { registry, DEFAULT_MONITOR } = require("../core/MonitorRegistry");
+const { UNMATCHED_ROUTE } = require("../core/RequestTracker");
 
-// Global monitor instance (shared across middleware calls)
-let globalMonitor = null;
 let globalAlertManager = null;
 
 /**
- * Get or create the global monitor instance
+ * Resolve the monitor served by a middleware through the registry and start it
  * @private
  */
 function getOrCreateMonitor(options) {
-  if (!globalMonitor) {
-    globalMonitor = new EventLoopMonitor({
-      sampleInterval: options.sampleInterval,
-      historySize: options.historySize,
-      resolution: options.resolution,
-    });
-    globalMonitor.start();
+  const monitor =
+    options.monitor instanceof EventLoopMonitor
+      ? options.monitor
+      : registry.get(options.monitor, {
+          sampleInterval: options.sampleInterval,
+          historySize: options.historySize,
+          resolution: options.resolution,
+          watchdog: options.watchdog,
+          adaptive: options.adaptive,
+          heapStatsInterval: options.heapStatsInterval,
+          flightRecorder: options.flightRecorder,
+          heapSnapshots: options.heapSnapshots,
+          threadpool: options.threadpool,
+          maxRoutes: options.maxRoutes,
+          slowRequests: options.slowRequests,
+          storage: options.storage,
+          rollups: options.rollups,
+          maxMemoryMB: options.maxMemoryMB,
+          anomalies: options.anomalies,
+        });
+
+  if (!monitor.isActive()) {
+    monitor.start();
+  }
+
+  if (options.trackBlockers) {
+    monitor.enableBlockerTracking();
+  }
+
+  if (options.cluster && !monitor.clusterClient && require("cluster").isWorker) {
+    const ClusterClient = require("../cluster/ClusterClient");
+    new ClusterClient(
+      monitor,
+      typeof options.cluster === "object" ? options.cluster : {}
+    ).start();
   }
-  return globalMonitor;
+
+  return monitor;
+}
+
+/**
+ * Matched route pattern of a request (e.g. `/users/:id`), or null if no
+ * route matched
+ * @private
+ */
+function getRoutePattern(req) {
+  if (req.route && req.route.path) {
+    return `${req.baseUrl || ""}${req.route.path}`;
+  }
+  return null;
+}
+
+/**
+ * Request path without the query string
+ * @private
+ */
+function getRequestPath(req) {
+  return req.originalUrl ? req.originalUrl.split("?")[0] : req.path;
+}
+
+/**
+ * Label a request by its matched route; unmatched requests share one label
+ * per method, as in the request metrics, so raw paths do not fill the table
+ * @private
+ */
+function getRouteLabel(req) {
+  return `${req.method} ${getRoutePattern(req) || UNMATCHED_ROUTE}`;
 }
 
 /**
@@ -59,9 +117,31 @@ function getOrCreateMonitor(options) {
  *
  * @param {Object} [options] - Configuration options
  * @param {string} [options.path='/event-loop-stats'] - Dashboard route path
+ * @param {string|EventLoopMonitor} [options.monitor='default'] - Registered monitor to serve
+ *   (created with the options below if it does not exist yet) or a monitor instance
  * @param {number} [options.sampleInterval=100] - Sampling interval in ms
  * @param {number} [options.historySize=300] - Number of samples to retain
  * @param {number} [options.resolution=10] - Histogram resolution
+ * @param {boolean|Object} [options.watchdog=false] - Capture stacks of code blocking the loop
+ * @param {boolean|Object} [options.adaptive=false] - Sample faster under load (see EventLoopMonitor)
+ * @param {number} [options.heapStatsInterval=5000] - Interval of V8 heap space statistics (ms, 0 disables)
+ * @param {boolean|Object} [options.flightRecorder=false] - Capture CPU profiles while health stays critical
+ * @param {boolean|Object} [options.heapSnapshots=false] - Allow heap snapshots (`{ token }` enables the endpoint)
+ * @param {boolean|Object} [options.threadpool=false] - Probe libuv threadpool queue latency
+ * @param {number} [options.maxRoutes=100] - Route/method pairs with their own request metrics
+ * @param {boolean|Object} [options.slowRequests=true] - Log slow requests with the lag seen while
+ *   they ran (`{ threshold, maxEntries, loopBoundRatio }`)
+ * @param {Object} [options.storage] - Keep history on disk and reload it on restart: FileStorage
+ *   options with a directory per process (`{ directory, ... }`), or a storage backend
+ * @param {boolean|Array} [options.rollups=true] - Keep 10s/1m/1h rollups so long ranges have data
+ *   (tier definitions `{ name, resolution, retention }`, or false to disable)
+ * @param {number} [options.maxMemoryMB=50] - Memory budget of the history; the oldest samples
+ *   and rollups are dropped to stay within it (0 disables)
+ * @param {boolean|Object} [options.anomalies=true] - Flag lag, ELU and memory that deviate from
+ *   learned behaviour (AnomalyDetector options, or false to disable)
+ * @param {boolean} [options.trackBlockers=false] - Attribute loop time to routes (uses async_hooks)
+ * @param {boolean|Object} [options.cluster=false] - In a cluster worker, report to the primary's
+ *   ClusterAggregator and serve the cluster-wide view (`{ timeout }` for primary requests)
  * @param {Object} [options.thresholds] - Alert thresholds
  * @param {number} [options.thresholds.lagWarning=50] - Warning lag threshold (ms)
  * @param {number} [options.thresholds.lagCritical=100] - Critical lag threshold (ms)
@@ -90,9 +170,24 @@ function createMiddleware(options = {}) {
   // Default options
   const config = {
     path: options.path || "/event-loop-stats",
+    monitor: options.monitor || DEFAULT_MONITOR,
     sampleInterval: options.sampleInterval || 100,
     historySize: options.historySize || 300,
     resolution: options.resolution || 10,
+    watchdog: options.watchdog || false,
+    adaptive: options.adaptive || false,
+    heapStatsInterval: options.heapStatsInterval,
+    flightRecorder: options.flightRecorder || false,
+    heapSnapshots: options.heapSnapshots || false,
+    threadpool: options.threadpool || false,
+    maxRoutes: options.maxRoutes,
+    slowRequests: options.slowRequests,
+    storage: options.storage || false,
+    rollups: options.rollups !== undefined ? options.rollups : true,
+    maxMemoryMB: options.maxMemoryMB,
+    anomalies: options.anomalies !== undefined ? options.anomalies : true,
+    trackBlockers: options.trackBlockers || false,
+    cluster: options.cluster || false,
     thresholds: options.thresholds,
     onAlert: options.onAlert,
   };
@@ -113,7 +208,7 @@ function createMiddleware(options = {}) {
   function getDashboardRouter() {
     if (!dashboardRouter) {
       const createDashboardRoutes = require("../dashboard/routes");
-      dashboardRouter = createDashboardRoutes(monitor);
+      dashboardRouter = createDashboardRoutes(monitor, registry);
     }
     return dashboardRouter;
   }
@@ -160,36 +255,71 @@ function createMiddleware(options = {}) {
       return;
     }
 
-    // Track request timing for non-dashboard requests
-    const startTime = Date.now();
+    // Track request timing for non-dashboard requests; the request counts
+    // as in flight until it ends
+    const endRequest = monitor.trackRequest();
+
+    // Attribute the loop time spent on this request to its route
+    const tracker = monitor.blockerTracker;
+    const blockerContext =
+      tracker && tracker.isEnabled ? tracker.createContext(getRouteLabel(req)) : null;
 
     // Capture the original res.end to measure request duration
     const originalEnd = res.end;
 
     res.end = function (...args) {
-      // Calculate request duration
-      const duration = Date.now() - startTime;
+      // Track in monitor, by the route matched while handling it
+      endRequest({
+        route: getRoutePattern(req),
+        path: getRequestPath(req),
+        method: req.method,
+        statusCode: res.statusCode,
+      });
 
-      // Track in monitor
-      monitor.trackRequest(duration);
+      if (blockerContext) {
+        // The route is only known once routing has matched
+        blockerContext.label = getRouteLabel(req);
+      }
 
       // Call original end
       originalEnd.apply(res, args);
     };
 
+    // The client went away before a response was sent
+    res.once("close", () => {
+      endRequest({
+        route: getRoutePattern(req),
+        path: getRequestPath(req),
+        method: req.method,
+        statusCode: res.statusCode,
+        aborted: true,
+      });
+    });
+
+    if (blockerContext) {
+      // Roll up once the synchronous handler (if any) has returned
+      const finish = () => tracker.finish(blockerContext);
+      res.once("finish", finish);
+      res.once("close", finish);
+
+      // Continue to next middleware inside the request's context
+      tracker.runInContext(blockerContext, next);
+      return;
+    }
+
     // Continue to next middleware
     next();
   };
 }
 
 /**
- * Get the global monitor instance
+ * Get the default monitor from the registry
  * Useful for accessing metrics outside of middleware
  *
- * @returns {EventLoopMonitor|null} Global monitor instance or null if not initialized
+ * @returns {EventLoopMonitor|null} Default monitor or null if not created yet
  */
 function getGlobalMonitor() {
-  return globalMonitor;
+  return registry.find(DEFAULT_MONITOR);
 }
 
 /**
@@ -202,7 +332,7 @@ function getGlobalAlertManager() {
 }
 
 /**
- * Stop and cleanup global instances
+ * Destroy and unregister every registered monitor
  * Useful for testing or graceful shutdown
  */
 function cleanup() {
@@ -211,10 +341,7 @@ function cleanup() {
     globalAlertManager = null;
   }
 
-  if (globalMonitor) {
-    globalMonitor.stop();
-    globalMonitor = null;
-  }
+  registry.clear();
 }
 
 // Main export
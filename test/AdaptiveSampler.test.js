@@ -0,0 +1,105 @@
+const AdaptiveSampler = require('../src/core/AdaptiveSampler');
+const EventLoopMonitor = require('../src/core/EventLoopMonitor');
+const { sleep, waitFor } = require('./setup.js');
+
+function createSample(timestamp, p99, utilization = 0.1) {
+  return {
+    timestamp,
+    lag: { p99 },
+    elu: { utilization }
+  };
+}
+
+describe('AdaptiveSampler', () => {
+  let sampler;
+
+  beforeEach(() => {
+    sampler = new AdaptiveSampler({
+      bands: [
+        { lag: 50, elu: 0.7, interval: 50 },
+        { lag: 10, interval: 250 }
+      ],
+      idleInterval: 1000,
+      cooldown: 5000
+    });
+  });
+
+  test('should start at the idle interval', () => {
+    expect(sampler.interval).toBe(1000);
+    expect(sampler.update(createSample(0, 1))).toBe(1000);
+  });
+
+  test('should speed up as soon as a band is crossed', () => {
+    expect(sampler.update(createSample(0, 20))).toBe(250);
+    expect(sampler.update(createSample(250, 80))).toBe(50);
+  });
+
+  test('should react to ELU', () => {
+    expect(sampler.update(createSample(0, 1, 0.8))).toBe(50);
+  });
+
+  test('should only slow down after the cooldown', () => {
+    sampler.update(createSample(0, 80));
+
+    expect(sampler.update(createSample(1000, 1))).toBe(50);
+    expect(sampler.update(createSample(4999, 1))).toBe(50);
+    expect(sampler.update(createSample(5000, 1))).toBe(1000);
+  });
+
+  test('should restart the cooldown while the band still applies', () => {
+    sampler.update(createSample(0, 80));
+    sampler.update(createSample(3000, 80));
+
+    expect(sampler.update(createSample(6000, 1))).toBe(50);
+    expect(sampler.update(createSample(8000, 1))).toBe(1000);
+  });
+
+  test('should reject bands without an interval or threshold', () => {
+    expect(() => new AdaptiveSampler({ bands: [{ lag: 10 }] })).toThrow(TypeError);
+    expect(() => new AdaptiveSampler({ bands: [{ interval: 10 }] })).toThrow(TypeError);
+  });
+
+  describe('EventLoopMonitor adaptive mode', () => {
+    let monitor;
+
+    afterEach(() => {
+      monitor.stop();
+    });
+
+    test('should record the interval each sample covered', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 50 });
+      monitor.start();
+
+      await waitFor(() => monitor.getHistory().length >= 2);
+
+      const [first, second] = monitor.getHistory();
+      expect(first.interval).toBeGreaterThanOrEqual(45);
+      expect(second.interval).toBe(second.timestamp - first.timestamp);
+    });
+
+    test('should sample faster while the loop is blocked', async () => {
+      monitor = new EventLoopMonitor({
+        adaptive: {
+          bands: [{ lag: 20, interval: 30 }],
+          idleInterval: 200
+        }
+      });
+      monitor.start();
+      expect(monitor.getConfig().currentInterval).toBe(200);
+
+      // Block the loop so that the first sample sees a lag spike
+      await sleep(20);
+      const end = Date.now() + 60;
+      while (Date.now() < end) {
+        // busy wait
+      }
+
+      await waitFor(() => monitor.getHistory().length >= 3);
+
+      expect(monitor.getConfig().currentInterval).toBe(30);
+      const intervals = monitor.getHistory().map(s => s.interval);
+      expect(intervals[0]).toBeGreaterThanOrEqual(190);
+      expect(intervals[1]).toBeLessThan(100);
+    });
+  });
+});
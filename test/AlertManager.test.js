@@ -1,5 +1,8 @@
 const AlertManager = require('../src/alerts/AlertManager');
 const EventLoopMonitor = require('../src/core/EventLoopMonitor');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('AlertManager', () => {
   let monitor;
@@ -380,4 +383,262 @@ describe('AlertManager', () => {
       });
     });
   });
+
+  describe('Stall Alerts', () => {
+    test('should alert on stalls detected by the watchdog', async () => {
+      monitor = new EventLoopMonitor({
+        sampleInterval: 100,
+        watchdog: { budget: 100, captureStacks: false },
+      });
+      monitor.start();
+
+      alertManager = new AlertManager(monitor, {
+        thresholds: { lagWarning: 100000, lagCritical: 200000, eluWarning: 2, eluCritical: 3 },
+        onAlert: (alert) => alerts.push(alert),
+      });
+      alertManager.start();
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const end = Date.now() + 400;
+      while (Date.now() < end) {
+        // Busy wait to block the event loop
+      }
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const stallAlerts = alerts.filter(a => a.metric === 'stall');
+      expect(stallAlerts.map(a => a.status)).toEqual(['firing', 'resolved']);
+      expect(stallAlerts[0].level).toBe('critical');
+      expect(stallAlerts[0].message).toContain('Event Loop Stall');
+      expect(stallAlerts[1].value).toBeGreaterThanOrEqual(300);
+      expect(alertManager.getAlertStatus().alertCounts.stall).toBe(1);
+    });
+  });
+
+  describe('Sample Events', () => {
+    const slowSample = (timestamp) => ({
+      timestamp,
+      lag: { min: 150, max: 300, mean: 200, p50: 200, p95: 280, p99: 300 },
+      elu: { utilization: 0.1, active: 10, idle: 90 },
+    });
+
+    const record = (sample) => {
+      monitor.metricsCollector.addSample(sample);
+      monitor._emitSample(sample);
+    };
+
+    test('should check each sample as it is emitted', () => {
+      alertManager = new AlertManager(monitor, {
+        onAlert: (alert) => alerts.push(alert),
+      });
+      // Started before the monitor: checks begin with the first sample
+      alertManager.start();
+      monitor.start();
+
+      record(slowSample(Date.now()));
+
+      expect(alerts.some(a => a.metric === 'lag' && a.level === 'critical')).toBe(true);
+    });
+
+    test('should check at most once a second unless checkInterval is 0', () => {
+      alertManager = new AlertManager(monitor);
+      const check = jest.spyOn(alertManager, '_performCheck');
+      alertManager.start();
+      monitor.start();
+
+      record(slowSample(Date.now()));
+      record(slowSample(Date.now() + 1));
+      expect(check).toHaveBeenCalledTimes(1);
+
+      alertManager.stop();
+      alertManager = new AlertManager(monitor, { checkInterval: 0 });
+      const everySample = jest.spyOn(alertManager, '_performCheck');
+      alertManager.start();
+
+      record(slowSample(Date.now()));
+      record(slowSample(Date.now() + 1));
+      expect(everySample).toHaveBeenCalledTimes(2);
+    });
+
+    test('should skip samples within checkInterval of the last check', () => {
+      alertManager = new AlertManager(monitor, { checkInterval: 60000 });
+      const check = jest.spyOn(alertManager, '_performCheck');
+      alertManager.start();
+      monitor.start();
+
+      record(slowSample(Date.now()));
+      record(slowSample(Date.now() + 1));
+
+      expect(check).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop listening when stopped', () => {
+      alertManager = new AlertManager(monitor);
+      alertManager.start();
+      expect(monitor.listenerCount('sample')).toBe(1);
+
+      alertManager.stop();
+      expect(monitor.listenerCount('sample')).toBe(0);
+      expect(monitor.listenerCount('start')).toBe(0);
+    });
+  });
+
+  describe('Anomaly Alerts', () => {
+    const sample = (timestamp, lag) => ({
+      timestamp,
+      lag: { min: lag, max: lag, mean: lag, p50: lag, p95: lag, p99: lag },
+      elu: { utilization: 0.1, active: 10, idle: 90 },
+    });
+
+    // Warm-up, then 5 samples at 80 ms (critical) and back to normal
+    const feed = () => {
+      const now = Date.now();
+      for (let i = 0; i < 40; i++) {
+        monitor.metricsCollector.addSample(sample(now + i * 100, i >= 30 && i < 35 ? 80 : 10 + (i % 3) * 0.2));
+      }
+    };
+
+    beforeEach(() => {
+      monitor = new EventLoopMonitor({ anomalies: { warmup: 20, metrics: ['lag'] } });
+    });
+
+    test('should alert when an anomaly starts and resolve it when it ends', () => {
+      alertManager = new AlertManager(monitor, {
+        anomalies: true,
+        onAlert: (alert) => alerts.push(alert),
+      });
+      alertManager.start();
+
+      feed();
+
+      expect(alerts.map(a => [a.metric, a.status, a.level])).toEqual([
+        ['anomaly', 'firing', 'critical'],
+        ['anomaly', 'resolved', 'critical'],
+      ]);
+      expect(alerts[0].message).toContain('Anomalous Event Loop Lag is 80.00ms');
+      expect(alerts[0].details).toMatchObject({ metric: 'lag', direction: 'above', anomalyId: 1 });
+      expect(alerts[1].value).toBe(400);
+      expect(alertManager.getAlertStatus().alertCounts.anomaly).toBe(1);
+      expect(alertManager.getAlertStatus().currentAlerts.anomaly).toBeNull();
+    });
+
+    test('should not alert on anomalies unless asked to', () => {
+      alertManager = new AlertManager(monitor, { onAlert: (alert) => alerts.push(alert) });
+      alertManager.start();
+
+      feed();
+
+      expect(alerts.filter(a => a.metric === 'anomaly')).toEqual([]);
+      expect(monitor.listenerCount('anomaly-start')).toBe(0);
+    });
+  });
+
+  describe('Threadpool Alerts', () => {
+    test('should alert on threadpool queue latency from the probe', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 50, threadpool: { interval: 20 } });
+      monitor.start();
+
+      alertManager = new AlertManager(monitor, {
+        thresholds: { threadpoolWarning: 0, threadpoolCritical: 100000 },
+        checkInterval: 100,
+        onAlert: (alert) => alerts.push(alert),
+      });
+      alertManager.start();
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const alert = alerts.find(a => a.metric === 'threadpool');
+      expect(alert.level).toBe('warning');
+      expect(alert.message).toContain('Threadpool Latency');
+      expect(alert.details.pending).toBeDefined();
+      expect(alertManager.getAlertStatus().currentAlerts.threadpool).toBe('warning');
+    });
+
+    test('should not check the threadpool without the probe', async () => {
+      monitor.start();
+      alertManager = new AlertManager(monitor, {
+        thresholds: { threadpoolWarning: 0 },
+        checkInterval: 100,
+        onAlert: (alert) => alerts.push(alert),
+      });
+      alertManager.start();
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      expect(alerts.some(a => a.metric === 'threadpool')).toBe(false);
+    });
+  });
+
+  describe('Flight Recorder Alerts', () => {
+    let directory = null;
+
+    afterEach(() => {
+      if (directory) {
+        fs.rmSync(directory, { recursive: true, force: true });
+        directory = null;
+      }
+    });
+
+    test('should raise a health alert linked to the captured profile', async () => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-profiles-'));
+      monitor = new EventLoopMonitor({
+        sampleInterval: 50,
+        // Any lag is critical, so the first sample triggers a capture
+        flightRecorder: { directory, sustainFor: 0, duration: 100, thresholds: { lagWarning: 0, lagCritical: 0 } },
+      });
+      monitor.start();
+
+      alertManager = new AlertManager(monitor, {
+        thresholds: { lagWarning: 100000, lagCritical: 200000, eluWarning: 2, eluCritical: 3 },
+        onAlert: (alert) => alerts.push(alert),
+      });
+      alertManager.start();
+
+      const profile = await new Promise(resolve => monitor.flightRecorder.once('profile', resolve));
+
+      const healthAlert = alerts.find(a => a.metric === 'health');
+      expect(healthAlert.level).toBe('critical');
+      expect(healthAlert.message).toContain('Critical Health');
+      expect(healthAlert.id).toBe(profile.alertId);
+      expect(healthAlert.details.profileId).toBe(profile.id);
+      expect(alertManager.getAlertStatus().currentAlerts.health).toBe('critical');
+    });
+
+    test('should alert on heap usage and record why no snapshot was written', async () => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-heap-'));
+      monitor = new EventLoopMonitor({
+        sampleInterval: 50,
+        heapSnapshots: { directory, minFreeSpaceMB: 1e12 },
+      });
+      monitor.start();
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      alertManager = new AlertManager(monitor, {
+        thresholds: { lagWarning: 100000, lagCritical: 200000, eluWarning: 2, eluCritical: 3, heapCritical: 0.0001 },
+        heapSnapshot: 'critical',
+        checkInterval: 100,
+        onAlert: (alert) => alerts.push(alert),
+      });
+      alertManager.start();
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      warn.mockRestore();
+
+      const memoryAlert = alerts.find(a => a.metric === 'memory');
+      expect(memoryAlert.level).toBe('critical');
+      expect(memoryAlert.message).toContain('Heap Usage');
+      expect(memoryAlert.details.heapSizeLimit).toBeGreaterThan(0);
+      expect(memoryAlert.details.snapshotId).toBeUndefined();
+      expect(memoryAlert.details.snapshotError).toMatch(/disk space|disabled/);
+    });
+
+    test('should give every alert an id', () => {
+      alertManager = new AlertManager(monitor);
+      alertManager._triggerAlert('lag', 'warning', { value: 60, threshold: 50, unit: 'ms' });
+      alertManager._resolveAlert('lag', 'warning', 10);
+
+      const [firing, resolved] = alertManager.getAlertHistory();
+      expect(firing.id).toMatch(/^lag-\d+-1$/);
+      expect(resolved.id).toMatch(/^lag-\d+-2$/);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,148 @@
+const AnomalyDetector = require('../src/core/AnomalyDetector');
+const MetricsCollector = require('../src/core/MetricsCollector');
+
+// Deterministic noise in [-amplitude, amplitude]
+const noise = (i, amplitude) => Math.sin(i * 12.9898) * amplitude;
+
+function createSample(timestamp, lag, utilization = 0.1) {
+  return {
+    timestamp,
+    lag: { min: lag - 1, max: lag + 1, mean: lag, p50: lag, p95: lag, p99: lag, stddev: 0.5 },
+    elu: { utilization, active: utilization * 100, idle: (1 - utilization) * 100 },
+    memory: { heapUsed: 5000000, heapTotal: 8000000, rss: 40000000, external: 100000 }
+  };
+}
+
+// Feeds lags (a function of the sample index) and records what started and ended
+function feed(detector, count, lagAt, start = 0, interval = 100) {
+  const events = [];
+  for (let i = 0; i < count; i++) {
+    const { started, ended } = detector.observe(createSample(start + i * interval, lagAt(i)));
+    started.forEach(anomaly => events.push({ type: 'start', index: i, anomaly }));
+    ended.forEach(anomaly => events.push({ type: 'end', index: i, anomaly }));
+  }
+  return events;
+}
+
+describe('AnomalyDetector', () => {
+  test('should flag a spike after warming up and record it as one anomaly', () => {
+    const detector = new AnomalyDetector({ warmup: 100 });
+    const events = feed(detector, 400, i => (i >= 300 && i < 310 ? 60 : 10 + noise(i, 0.3)));
+
+    expect(events.map(e => [e.type, e.index])).toEqual([['start', 302], ['end', 310]]);
+    const [anomaly] = detector.getAnomalies();
+    expect(anomaly).toMatchObject({
+      id: 1,
+      metric: 'lag',
+      start: 30000,
+      end: 30900,
+      ongoing: false,
+      samples: 10,
+      value: 60,
+      direction: 'above',
+      severity: 'critical'
+    });
+    expect(anomaly.expected).toBeCloseTo(10, 0);
+    expect(anomaly.bound).toBeGreaterThan(anomaly.expected);
+    expect(anomaly.score).toBeGreaterThan(8);
+    expect(detector.getAnomalies({ metric: 'elu' })).toEqual([]);
+    expect(detector.getAnomalies({ since: 31000 })).toEqual([]);
+  });
+
+  test('should not flag anything while warming up or for isolated samples', () => {
+    const detector = new AnomalyDetector({ warmup: 100 });
+    const events = feed(detector, 300, i => (i === 50 || i === 200 || i === 201 ? 60 : 10 + noise(i, 0.3)));
+
+    expect(events).toEqual([]);
+    expect(detector.getBaselines(30000).lag).toMatchObject({ samples: 300, ready: true, seasonal: false });
+  });
+
+  test('should learn a lasting shift instead of flagging it forever', () => {
+    const detector = new AnomalyDetector({ warmup: 100 });
+    const events = feed(detector, 800, i => (i >= 300 ? 14 : 10.5) + noise(i, 0.3));
+
+    expect(events.map(e => e.type)).toEqual(['start', 'end']);
+    expect(events[1].index).toBeLessThan(400);
+    expect(detector.getBaselines(80000).lag.expected).toBeCloseTo(14, 0);
+  });
+
+  test('should use mean absolute deviation bands and flag drops with direction both', () => {
+    const detector = new AnomalyDetector({ warmup: 100, method: 'mad', direction: 'both', metrics: ['elu'] });
+    for (let i = 0; i < 300; i++) {
+      detector.observe(createSample(i * 100, 10, 0.5 + noise(i, 0.02)));
+    }
+    for (let i = 300; i < 310; i++) {
+      detector.observe(createSample(i * 100, 10, 0.05));
+    }
+
+    expect(detector.getAnomalies()).toEqual([
+      expect.objectContaining({ metric: 'elu', direction: 'below', ongoing: true, samples: 10 })
+    ]);
+  });
+
+  test('should judge samples against their time of day with seasonality', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const hour = day / 24;
+    // Every 10 s for 4 days, following a daily curve; 9:00 is 3 ms slower on the last day
+    const lagAt = (i) => {
+      const t = i * 10000;
+      const slower = t >= 3 * day + 9 * hour && t < 3 * day + 10 * hour ? 3 : 0;
+      return 12 + 4 * Math.sin(((t % day) / day) * 2 * Math.PI) + slower + noise(i, 0.3);
+    };
+    const count = (4 * day) / 10000;
+
+    const plain = new AnomalyDetector({ metrics: ['lag'] });
+    feed(plain, count, lagAt, 0, 10000);
+    const seasonal = new AnomalyDetector({ metrics: ['lag'], seasonality: true });
+    feed(seasonal, count, lagAt, 0, 10000);
+
+    // Without seasonality the slower hour is learned within minutes
+    expect(plain.getAnomalies()).toHaveLength(1);
+    expect(plain.getAnomalies()[0].samples).toBeLessThan(30);
+    // With it, the whole hour stands out against previous days
+    expect(seasonal.getAnomalies()).toHaveLength(1);
+    expect(seasonal.getAnomalies()[0]).toMatchObject({ start: 3 * day + 9 * hour, end: 3 * day + 10 * hour - 10000 });
+    expect(seasonal.getBaselines(3 * day).lag.seasonal).toBe(true);
+  });
+
+  test('should reject unknown methods and metrics', () => {
+    expect(() => new AnomalyDetector({ method: 'iqr' })).toThrow('Unknown anomaly detection method: iqr');
+    expect(() => new AnomalyDetector({ metrics: ['cpu'] })).toThrow('Unknown anomaly detection metric: cpu');
+  });
+
+  describe('in MetricsCollector', () => {
+    let collector;
+
+    afterEach(() => {
+      collector.destroy();
+    });
+
+    test('should announce anomalies and forget them on reset', () => {
+      collector = new MetricsCollector({ historySize: 50, rollups: false, anomalies: { warmup: 20, metrics: ['lag'] } });
+      const started = jest.fn();
+      const ended = jest.fn();
+      collector.on('anomaly-start', started);
+      collector.on('anomaly-end', ended);
+      const now = Date.now();
+
+      for (let i = 0; i < 40; i++) {
+        collector.addSample(createSample(now + i * 100, i >= 30 && i < 35 ? 80 : 10 + noise(i, 0.3)));
+      }
+
+      expect(started).toHaveBeenCalledTimes(1);
+      expect(started.mock.calls[0][0]).toMatchObject({ metric: 'lag', ongoing: true, start: now + 3000 });
+      expect(ended.mock.calls[0][0]).toMatchObject({ metric: 'lag', ongoing: false, samples: 5 });
+      expect(collector.getAnomalies({ metric: 'lag' })).toHaveLength(1);
+
+      collector.reset();
+      expect(collector.getAnomalies()).toEqual([]);
+    });
+
+    test('should not detect anything with anomalies: false', () => {
+      collector = new MetricsCollector({ anomalies: false });
+
+      expect(collector.anomalyDetector).toBeNull();
+      expect(collector.getAnomalies()).toEqual([]);
+    });
+  });
+});
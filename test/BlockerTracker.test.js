@@ -0,0 +1,103 @@
+const BlockerTracker = require('../src/core/BlockerTracker');
+const { sleep } = require('./setup.js');
+
+function blockFor(ms) {
+  const end = Date.now() + ms;
+  while (Date.now() < end) {
+    // Busy wait to block the event loop
+  }
+}
+
+describe('BlockerTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new BlockerTracker();
+    tracker.enable();
+  });
+
+  afterEach(() => {
+    tracker.disable();
+  });
+
+  test('should time the synchronous part of a context', () => {
+    tracker.run('sync-work', () => blockFor(30));
+
+    const [entry] = tracker.getTopBlockers();
+    expect(entry.name).toBe('sync-work');
+    expect(entry.count).toBe(1);
+    expect(entry.totalTime).toBeGreaterThanOrEqual(29);
+  });
+
+  test('should follow the context across timers and promises', async () => {
+    await tracker.run('async-work', async () => {
+      blockFor(10);
+      await sleep(10);
+      blockFor(20);
+      await new Promise((resolve) => setImmediate(resolve));
+      blockFor(30);
+    });
+
+    const [entry] = tracker.getTopBlockers();
+    expect(entry.totalTime).toBeGreaterThanOrEqual(58);
+    expect(entry.maxSlice).toBeGreaterThanOrEqual(29);
+    expect(entry.maxSlice).toBeLessThan(entry.totalTime);
+  });
+
+  test('should not attribute time outside the context', async () => {
+    await tracker.run('light', async () => {
+      await sleep(20);
+    });
+    blockFor(30);
+
+    const [entry] = tracker.getTopBlockers();
+    expect(entry.totalTime).toBeLessThan(15);
+  });
+
+  test('should roll contexts up by label and rank them', () => {
+    tracker.run('GET /a', () => blockFor(5));
+    tracker.run('GET /a', () => blockFor(5));
+    tracker.run('GET /b', () => blockFor(25));
+
+    const blockers = tracker.getTopBlockers();
+    expect(blockers.map((b) => b.name)).toEqual(['GET /b', 'GET /a']);
+    expect(blockers[1].count).toBe(2);
+    expect(blockers[1].avgTime).toBeCloseTo(blockers[1].totalTime / 2);
+  });
+
+  test('should relabel a context when it is finished', () => {
+    const context = tracker.createContext('GET /users/42');
+    tracker.runInContext(context, () => blockFor(5));
+    tracker.finish(context, 'GET /users/:id');
+
+    expect(tracker.getTopBlockers()[0].name).toBe('GET /users/:id');
+  });
+
+  test('should add time spent after finish to the same entry', async () => {
+    const context = tracker.createContext('GET /report');
+    tracker.runInContext(context, () => {
+      setTimeout(() => blockFor(20), 5);
+    });
+    tracker.finish(context);
+
+    const before = tracker.getTopBlockers()[0].totalTime;
+    await sleep(40);
+
+    const [entry] = tracker.getTopBlockers();
+    expect(entry.count).toBe(1);
+    expect(entry.totalTime - before).toBeGreaterThanOrEqual(19);
+  });
+
+  test('should bound the number of labels', () => {
+    tracker = new BlockerTracker({ maxEntries: 3 });
+    tracker.enable();
+    for (let i = 0; i < 10; i++) {
+      tracker.run(`GET /${i}`, () => {});
+    }
+    tracker.run('GET /slow', () => blockFor(5));
+
+    const blockers = tracker.getTopBlockers(100);
+    expect(blockers).toHaveLength(3);
+    expect(blockers[0].name).toBe('GET /slow');
+  });
+});
@@ -252,6 +252,55 @@ describe('EventLoopMonitor', () => {
     });
   });
 
+  describe('measure() and measureAsync()', () => {
+    const busy = (ms) => {
+      const end = Date.now() + ms;
+      while (Date.now() < end) {}
+    };
+
+    test('should record the loop time of measured operations per sample', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 100 });
+      monitor.start();
+
+      expect(monitor.measure('render', () => { busy(20); return 'html'; })).toBe('html');
+      expect(() => monitor.measure('render', () => { throw new Error('boom'); })).toThrow('boom');
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      const sample = monitor.getHistory().find(s => s.operations);
+      expect(sample.operations.render.count).toBe(2);
+      expect(sample.operations.render.maxTime).toBeGreaterThanOrEqual(19);
+
+      const [total] = monitor.getOperationTotals();
+      expect(total).toMatchObject({ name: 'render', count: 2 });
+
+      const [ranked] = monitor.getMetrics().aggregated.operations;
+      expect(ranked.name).toBe('render');
+      expect(ranked.share).toBeGreaterThan(0);
+    });
+
+    test('should record the callbacks of async operations but not the waits', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 100 });
+      monitor.start();
+
+      const result = await monitor.measureAsync('report', async () => {
+        busy(10);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        busy(10);
+        return 42;
+      });
+      expect(result).toBe(42);
+      await expect(monitor.measureAsync('report', () => { throw new Error('boom'); })).rejects.toThrow('boom');
+
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      const [report] = monitor.getOperationTotals();
+      expect(report.count).toBe(2);
+      expect(report.totalTime).toBeGreaterThanOrEqual(19);
+      expect(report.totalTime).toBeLessThan(100);
+    });
+  });
+
   describe('reset()', () => {
     test('should reset all metrics', async () => {
       monitor = new EventLoopMonitor({ sampleInterval: 100 });
@@ -335,6 +384,25 @@ describe('EventLoopMonitor', () => {
       const history = monitor.getHistory();
       expect(history.length).toBeLessThanOrEqual(5);
     });
+
+    test('should keep the history within maxMemoryMB and report the budget', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 50, historySize: 20000, maxMemoryMB: 0.5 });
+      const events = [];
+      monitor.on('memory-pressure', event => events.push(event));
+      monitor.start();
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const budget = monitor.getMemoryBudget();
+      expect(events.length).toBeGreaterThan(0);
+      expect(budget.limit).toBe(0.5 * 1024 * 1024);
+      expect(budget.used).toBeLessThanOrEqual(budget.limit);
+      expect(budget.capacity).toBeLessThan(20000);
+      expect(budget.historySize).toBe(20000);
+      expect(budget.pressureEvents).toBe(events.length);
+      expect(Object.keys(budget.breakdown)).toEqual(['samples', 'rollups', 'cache']);
+      expect(monitor.getConfig().maxMemoryMB).toBe(0.5);
+    });
   });
 
   describe('Integration', () => {
@@ -401,4 +469,218 @@ describe('EventLoopMonitor', () => {
       expect(Array.isArray(series)).toBe(true);
     });
   });
+
+  describe('Garbage Collection', () => {
+    test('should record GC activity in samples', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 100 });
+      monitor.start();
+
+      // Allocate enough short-lived garbage to trigger scavenges
+      for (let round = 0; round < 5; round++) {
+        let garbage = [];
+        for (let i = 0; i < 200000; i++) {
+          garbage.push({ i, s: `item-${i}` });
+        }
+        garbage = null;
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      const history = monitor.getHistory();
+      const totals = history.reduce(
+        (acc, s) => ({
+          count: acc.count + s.gc.count,
+          minor: acc.minor + s.gc.byKind.minor.count,
+        }),
+        { count: 0, minor: 0 }
+      );
+
+      expect(totals.count).toBeGreaterThan(0);
+      expect(totals.minor).toBeGreaterThan(0);
+
+      const withGC = history.find(s => s.gc.count > 0);
+      expect(withGC.gc.totalPause).toBeGreaterThan(0);
+      expect(withGC.gc.maxPause).toBeLessThanOrEqual(withGC.gc.totalPause);
+    });
+
+    test('should include a GC breakdown by kind', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 100 });
+      monitor.start();
+
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      const sample = monitor.getCurrentMetrics();
+      expect(sample.gc).toBeDefined();
+      expect(Object.keys(sample.gc.byKind)).toEqual(
+        expect.arrayContaining(['minor', 'major', 'incremental', 'weakcb'])
+      );
+    });
+  });
+
+  describe('System Pressure', () => {
+    test('should record resource usage deltas in every sample', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 50 });
+      monitor.start();
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      const sample = monitor.getCurrentMetrics();
+      expect(Object.keys(sample.system).sort()).toEqual([
+        'fsRead', 'fsWrite', 'involuntaryContextSwitches', 'ipcReceived', 'ipcSent',
+        'majorPageFault', 'maxRSS', 'minorPageFault', 'voluntaryContextSwitches',
+      ]);
+      expect(sample.system.maxRSS).toBeGreaterThan(0);
+
+      // Deltas, not process totals
+      const total = process.resourceUsage().voluntaryContextSwitches;
+      const recorded = monitor.getHistory().reduce((acc, s) => acc + s.system.voluntaryContextSwitches, 0);
+      expect(recorded).toBeLessThan(total);
+    });
+  });
+
+  describe('Threadpool Probe', () => {
+    test('should add threadpool latency to samples', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 50, threadpool: { interval: 20 } });
+      monitor.start();
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const sample = monitor.getHistory().find(s => s.threadpool && s.threadpool.count > 0);
+      expect(sample.threadpool.latency).toBeGreaterThanOrEqual(0);
+
+      const stats = monitor.getThreadpoolStats();
+      expect(stats.count).toBeGreaterThan(0);
+      expect(stats.p99).toBeGreaterThanOrEqual(stats.p50);
+      expect(stats.window).toBe(60000);
+
+      monitor.stop();
+      expect(monitor.threadpoolProbe).toBeNull();
+    });
+
+    test('should have no threadpool stats without the option', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 50 });
+      monitor.start();
+
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(monitor.getHistory().some(s => s.threadpool)).toBe(false);
+      expect(monitor.getThreadpoolStats()).toBeNull();
+    });
+
+    test('should lower health when the threadpool is saturated', () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 60000 });
+      monitor.start();
+      monitor.metricsCollector.addSample({
+        timestamp: Date.now(),
+        lag: { min: 1, max: 2, mean: 1, p50: 1, p95: 2, p99: 2 },
+        elu: { utilization: 0.1, active: 10, idle: 90 },
+        threadpool: { latency: 800, count: 0, pending: 1, pendingFor: 800 },
+      });
+
+      const health = monitor.getHealth();
+      expect(health.status).toBe('critical');
+      expect(health.issues).toContain('Threadpool saturated: 800.00ms queue latency');
+
+      const relaxed = monitor.getHealth({ threadpoolCritical: 1000 });
+      expect(relaxed.status).toBe('degraded');
+    });
+  });
+
+  describe('V8 Heap Statistics', () => {
+    test('should collect heap spaces at the heap stats interval', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 50, heapStatsInterval: 60000 });
+      monitor.start();
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const withHeap = monitor.getHistory().filter(s => s.heap);
+      expect(withHeap.length).toBe(1);
+
+      const heap = monitor.getHeapStats();
+      expect(heap.timestamp).toBe(withHeap[0].timestamp);
+      expect(heap.spaces.old_space.used).toBeGreaterThan(0);
+      expect(heap.spaces.old_space.size).toBeGreaterThanOrEqual(heap.spaces.old_space.used);
+      expect(heap.code.bytecodeAndMetadata).toBeGreaterThan(0);
+    });
+
+    test('should not collect heap stats when disabled', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 50, heapStatsInterval: 0 });
+      monitor.start();
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      expect(monitor.getHistory().some(s => s.heap)).toBe(false);
+      expect(monitor.getHeapStats()).toBeNull();
+    });
+  });
+  describe('Events', () => {
+    const saturated = (timestamp) => ({
+      timestamp,
+      lag: { min: 1, max: 2, mean: 1, p50: 1, p95: 2, p99: 2 },
+      elu: { utilization: 0.1, active: 10, idle: 90 },
+      threadpool: { latency: 800, count: 0, pending: 1, pendingFor: 800 },
+    });
+
+    test('should emit start and stop', () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 60000 });
+      const onStart = jest.fn();
+      const onStop = jest.fn();
+      monitor.on('start', onStart);
+      monitor.on('stop', onStop);
+
+      monitor.start();
+      monitor.start();
+      monitor.stop();
+
+      expect(onStart).toHaveBeenCalledTimes(1);
+      expect(onStart.mock.calls[0][0].timestamp).toEqual(expect.any(Number));
+      expect(onStop).toHaveBeenCalledTimes(1);
+    });
+
+    test('should emit every recorded sample', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 50 });
+      const samples = [];
+      monitor.on('sample', (sample) => samples.push(sample));
+      monitor.start();
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      expect(samples.length).toBeGreaterThan(0);
+      expect(samples).toEqual(monitor.getHistory().slice(-samples.length));
+    });
+
+    test('should emit health-change only when the status changes', () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 60000 });
+      const changes = [];
+      monitor.on('health-change', (change) => changes.push(change));
+      monitor.start();
+
+      const now = Date.now();
+      monitor.metricsCollector.addSample(saturated(now));
+      monitor._emitSample(saturated(now));
+      monitor.metricsCollector.addSample(saturated(now + 1));
+      monitor._emitSample(saturated(now + 1));
+
+      expect(changes).toHaveLength(1);
+      expect(changes[0]).toMatchObject({ previous: 'unknown', next: 'critical', timestamp: now });
+      expect(changes[0].health.issues).toContain('Threadpool saturated: 800.00ms queue latency');
+    });
+
+    test('should emit errors to listeners instead of logging them', () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 60000 });
+      const onError = jest.fn();
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failure = new Error('boom');
+
+      monitor._reportError('Sampling failed', failure);
+      expect(consoleSpy).toHaveBeenCalledWith('EventLoopMonitor: Sampling failed', failure);
+
+      monitor.on('error', onError);
+      monitor._reportError('Sampling failed', failure);
+      expect(onError).toHaveBeenCalledWith(failure);
+      expect(consoleSpy).toHaveBeenCalledTimes(1);
+
+      consoleSpy.mockRestore();
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const FileStorage = require('../src/core/FileStorage');
+const MetricsCollector = require('../src/core/MetricsCollector');
+const EventLoopMonitor = require('../src/core/EventLoopMonitor');
+
+function createSample(timestamp) {
+  return {
+    timestamp,
+    lag: { min: 1, max: 5, mean: 3, p50: 3, p95: 4, p99: 5, stddev: 1 },
+    elu: { utilization: 0.5, active: 100, idle: 100 },
+    requests: { count: 10, avgTime: 50, totalTime: 500 }
+  };
+}
+
+describe('FileStorage', () => {
+  let directory;
+  let storage;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-storage-'));
+  });
+
+  afterEach(() => {
+    if (storage) {
+      storage.close();
+      storage = null;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const segmentNames = () => fs.readdirSync(directory).sort();
+
+  test('should need a directory of its own', () => {
+    expect(() => new FileStorage()).toThrow('FileStorage needs a directory');
+    expect(() => new EventLoopMonitor({ storage: true })).toThrow('FileStorage needs a directory');
+  });
+
+  test('should write buffered samples to a compressed segment', () => {
+    const now = Date.now();
+    storage = new FileStorage({ directory });
+    storage.open();
+
+    storage.append(createSample(now));
+    storage.append(createSample(now + 100));
+    expect(storage.load().map(s => s.timestamp)).toEqual([now, now + 100]);
+    expect(segmentNames()).toEqual([]);
+
+    storage.flush();
+    storage.append(createSample(now + 200));
+    storage.flush();
+
+    expect(segmentNames()).toEqual([`segment-${now}.ndjson.gz`]);
+    const lines = zlib.gunzipSync(fs.readFileSync(path.join(directory, segmentNames()[0])))
+      .toString().trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).timestamp)).toEqual([now, now + 100, now + 200]);
+    expect(storage.getStats()).toMatchObject({ segments: 1, buffered: 0, oldest: now });
+  });
+
+  test('should rotate segments and read ranges across them', () => {
+    const now = Date.now();
+    storage = new FileStorage({ directory, maxSegmentAge: 1000 });
+    storage.open();
+
+    for (let i = 0; i < 5; i++) {
+      storage.append(createSample(now + i * 500));
+      storage.flush();
+    }
+
+    expect(segmentNames()).toHaveLength(3);
+    expect(storage.load({ startTime: now + 400, endTime: now + 1600 }).map(s => s.timestamp))
+      .toEqual([now + 500, now + 1000, now + 1500]);
+    expect(storage.load({ count: 2 }).map(s => s.timestamp)).toEqual([now + 1500, now + 2000]);
+  });
+
+  test('should load at most maxLoad samples without reading older segments', () => {
+    const now = Date.now();
+    storage = new FileStorage({ directory, maxSegmentAge: 1000, maxLoad: 2 });
+    storage.open();
+    for (let i = 0; i < 5; i++) {
+      storage.append(createSample(now + i * 500));
+      storage.flush();
+    }
+    const readSegment = jest.spyOn(storage, '_readSegment');
+
+    expect(storage.load().map(s => s.timestamp)).toEqual([now + 1500, now + 2000]);
+    expect(storage.load({ count: 10 })).toHaveLength(2);
+    // The oldest of the three segments is never read
+    expect(readSegment).not.toHaveBeenCalledWith(`segment-${now}.ndjson.gz`);
+    expect(readSegment).toHaveBeenCalledTimes(4);
+  });
+
+  test('should delete segments past maxAge or maxSize', () => {
+    const now = Date.now();
+    storage = new FileStorage({ directory, maxSegmentSize: 1, maxAge: 60000 });
+    storage.open();
+
+    storage.append(createSample(now - 120000));
+    storage.flush();
+    storage.append(createSample(now - 1000));
+    storage.flush();
+    expect(segmentNames()).toEqual([`segment-${now - 1000}.ndjson.gz`]);
+
+    const segmentSize = storage.getStats().size;
+    storage.close();
+    // Room for two segments: compressed sizes differ by a byte or so between timestamps
+    storage = new FileStorage({ directory, maxSegmentSize: 1, maxSize: segmentSize * 2.5 });
+    storage.open();
+    [now, now + 1, now + 2].forEach(timestamp => {
+      storage.append(createSample(timestamp));
+      storage.flush();
+    });
+
+    expect(segmentNames()).toEqual([`segment-${now + 1}.ndjson.gz`, `segment-${now + 2}.ndjson.gz`]);
+  });
+
+  test('should read a segment cut short by a crash up to its last complete line', () => {
+    const now = Date.now();
+    const lines = [createSample(now), createSample(now + 100)].map(s => JSON.stringify(s)).join('\n');
+    const last = zlib.gzipSync(JSON.stringify(createSample(now + 200)) + '\n');
+    fs.writeFileSync(path.join(directory, `segment-${now}.ndjson.gz`), Buffer.concat([
+      zlib.gzipSync(lines + '\n'),
+      last.subarray(0, last.length - 20)
+    ]));
+
+    storage = new FileStorage({ directory });
+    storage.open();
+
+    expect(storage.load().map(s => s.timestamp)).toEqual([now, now + 100]);
+  });
+
+  describe('with MetricsCollector', () => {
+    let collector;
+
+    afterEach(() => {
+      if (collector) {
+        collector.destroy();
+        collector = null;
+      }
+    });
+
+    test('should reload recent history on startup', () => {
+      const now = Date.now();
+      collector = new MetricsCollector({ historySize: 3, storage: new FileStorage({ directory }) });
+      for (let i = 0; i < 5; i++) {
+        collector.addSample(createSample(now + i * 100));
+      }
+      collector.destroy();
+
+      collector = new MetricsCollector({ historySize: 3, storage: new FileStorage({ directory }) });
+
+      expect(collector.getHistory().map(s => s.timestamp)).toEqual([now + 200, now + 300, now + 400]);
+      expect(collector.getStats().recoveredSamples).toBe(3);
+    });
+
+    test('should read ranges older than the ring buffer and its rollups from storage', () => {
+      // Within one 10 s bucket, so no rollup has closed yet
+      const now = Math.floor(Date.now() / 10000) * 10000 + 1000;
+      collector = new MetricsCollector({ historySize: 2, storage: new FileStorage({ directory }) });
+      for (let i = 0; i < 5; i++) {
+        collector.addSample(createSample(now + i * 100));
+      }
+      collector.flush();
+
+      expect(collector.getHistory().map(s => s.timestamp)).toEqual([now + 300, now + 400]);
+      expect(collector.getHistory({ startTime: now + 100, endTime: now + 300 }).map(s => s.timestamp))
+        .toEqual([now + 100, now + 200, now + 300]);
+      expect(collector.getHistory({ startTime: now, count: 3, sortOrder: 'desc' }).map(s => s.timestamp))
+        .toEqual([now + 400, now + 300, now + 200]);
+    });
+
+    test('should serve ranges a rollup tier covers from it, and raw ones from storage', () => {
+      // Across a 10 s boundary, so the first rollup closes
+      const now = Math.floor(Date.now() / 10000) * 10000 - 200;
+      collector = new MetricsCollector({ historySize: 2, storage: new FileStorage({ directory }) });
+      for (let i = 0; i < 5; i++) {
+        collector.addSample(createSample(now + i * 100));
+      }
+      collector.flush();
+      const load = jest.spyOn(collector.storage, 'load');
+
+      const auto = collector.getHistory({ startTime: now + 100 });
+      expect(auto[0].rollup).toMatchObject({ resolution: 10000, from: now });
+      expect(load).not.toHaveBeenCalled();
+
+      const raw = collector.getHistory({ startTime: now + 100, resolution: 'raw' });
+      expect(raw.map(s => s.timestamp)).toEqual([now + 100, now + 200, now + 300, now + 400]);
+      expect(load).toHaveBeenCalledWith({ startTime: now + 100, endTime: now + 299, count: 10000 });
+    });
+
+    test('should read at most maxStorageRead samples from storage', () => {
+      const now = Math.floor(Date.now() / 10000) * 10000 + 1000;
+      collector = new MetricsCollector({
+        historySize: 2,
+        maxStorageRead: 2,
+        storage: new FileStorage({ directory })
+      });
+      for (let i = 0; i < 6; i++) {
+        collector.addSample(createSample(now + i * 100));
+      }
+      collector.flush();
+
+      expect(collector.getHistory({ startTime: now, resolution: 'raw' }).map(s => s.timestamp))
+        .toEqual([now + 200, now + 300, now + 400, now + 500]);
+    });
+  });
+
+  describe('with EventLoopMonitor', () => {
+    test('should keep history across restarts', async () => {
+      const first = new EventLoopMonitor({ sampleInterval: 50, storage: { directory } });
+      first.start();
+      await new Promise(resolve => setTimeout(resolve, 250));
+      first.stop();
+      const written = first.getHistory();
+      first.metricsCollector.destroy();
+
+      const second = new EventLoopMonitor({ sampleInterval: 50, storage: { directory } });
+      expect(second.getHistory().map(s => s.timestamp)).toEqual(written.map(s => s.timestamp));
+      expect(second.getConfig().storage).toEqual({ directory });
+      second.metricsCollector.destroy();
+    });
+  });
+});
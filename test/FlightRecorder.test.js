@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FlightRecorder = require('../src/core/FlightRecorder');
+
+const critical = { status: 'critical', score: 20, issues: ['Critical event loop lag: 250.00ms'] };
+const healthy = { status: 'healthy', score: 100, issues: [] };
+
+describe('FlightRecorder', () => {
+  let directory;
+  let recorder;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'flight-recorder-'));
+  });
+
+  afterEach(async () => {
+    if (recorder) {
+      await recorder.stop();
+      recorder = null;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should save a CPU profile with its info', async () => {
+    recorder = new FlightRecorder({ directory, duration: 100 });
+    recorder.start();
+
+    const info = await recorder.record();
+
+    expect(info.id).toMatch(FlightRecorder.PROFILE_ID);
+    expect(info.alertId).toBeNull();
+    expect(info.duration).toBeGreaterThanOrEqual(100);
+
+    const profile = JSON.parse(fs.readFileSync(recorder.getProfilePath(info.id), 'utf8'));
+    expect(Array.isArray(profile.nodes)).toBe(true);
+    expect(info.size).toBe(fs.statSync(recorder.getProfilePath(info.id)).size);
+    expect(recorder.getProfiles()).toEqual([info]);
+  });
+
+  test('should capture once health has been critical for sustainFor', async () => {
+    recorder = new FlightRecorder({ directory, sustainFor: 1000, duration: 100 });
+    recorder.start();
+
+    const triggers = [];
+    recorder.on('trigger', (trigger) => triggers.push(trigger));
+    const saved = new Promise(resolve => recorder.once('profile', resolve));
+
+    recorder.update(critical, 10000);
+    recorder.update(critical, 10500);
+    expect(triggers).toEqual([]);
+
+    recorder.update(critical, 11000);
+    recorder.update(critical, 11100);
+    expect(triggers.length).toBe(1);
+    expect(triggers[0]).toMatchObject({
+      alertId: 'health-11000',
+      criticalSince: 10000,
+      detectedAt: 11000,
+      score: 20,
+      issues: critical.issues,
+    });
+
+    const info = await saved;
+    expect(info.id).toBe(triggers[0].profileId);
+    expect(info.alertId).toBe('health-11000');
+    expect(info.trigger.issues).toEqual(critical.issues);
+  });
+
+  test('should start over when health recovers before sustainFor', () => {
+    recorder = new FlightRecorder({ directory, sustainFor: 1000, duration: 100 });
+    recorder.start();
+
+    const triggers = [];
+    recorder.on('trigger', (trigger) => triggers.push(trigger));
+
+    recorder.update(critical, 10000);
+    recorder.update(healthy, 10800);
+    recorder.update(critical, 10900);
+    recorder.update(critical, 11500);
+
+    expect(triggers).toEqual([]);
+    expect(recorder.isCapturing()).toBe(false);
+  });
+
+  test('should report recovery after a trigger', async () => {
+    recorder = new FlightRecorder({ directory, sustainFor: 0, duration: 50 });
+    recorder.start();
+
+    const recoveries = [];
+    recorder.on('recovered', (recovery) => recoveries.push(recovery));
+    const saved = new Promise(resolve => recorder.once('profile', resolve));
+
+    recorder.update(critical, 10000);
+    recorder.update(healthy, 12000);
+    await saved;
+
+    expect(recoveries).toEqual([{ alertId: 'health-10000', duration: 2000 }]);
+  });
+
+  test('should delete the oldest profiles beyond maxProfiles', async () => {
+    recorder = new FlightRecorder({ directory, duration: 20, maxProfiles: 2 });
+    recorder.start();
+
+    const first = await recorder.record();
+    await recorder.record();
+    await recorder.record();
+
+    expect(recorder.getProfiles().length).toBe(2);
+    expect(recorder.getProfile(first.id)).toBeNull();
+    expect(fs.existsSync(path.join(directory, first.file))).toBe(false);
+    expect(fs.readdirSync(directory).length).toBe(4);
+  });
+
+  test('should load profiles saved by an earlier run', async () => {
+    recorder = new FlightRecorder({ directory, duration: 20 });
+    recorder.start();
+    const info = await recorder.record();
+    await recorder.stop();
+
+    recorder = new FlightRecorder({ directory });
+    recorder.start();
+
+    expect(recorder.getProfiles()).toEqual([info]);
+  });
+
+  test('should refuse overlapping captures', async () => {
+    recorder = new FlightRecorder({ directory, duration: 50 });
+    recorder.start();
+
+    const first = recorder.record();
+    await expect(recorder.record()).rejects.toThrow(/already being recorded/);
+    await first;
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const childProcess = require('child_process');
+const os = require('os');
+const path = require('path');
+const HeapSnapshotter = require('../src/core/HeapSnapshotter');
+
+describe('HeapSnapshotter', () => {
+  let directory;
+  let warn;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'heap-snapshots-'));
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should write a snapshot with its context and refuse another during the cooldown', () => {
+    const snapshotter = new HeapSnapshotter({ directory, minFreeSpaceMB: 0 });
+    const sample = { timestamp: 1000, lag: { mean: 1, p99: 2, max: 3 }, elu: 0.1, memory: null };
+
+    const info = snapshotter.take({ reason: 'alert', alertId: 'memory-1-1', sample });
+
+    expect(info.id).toMatch(/^heap-\d+$/);
+    expect(info.size).toBe(fs.statSync(path.join(directory, info.file)).size);
+    expect(info.size).toBeGreaterThan(0);
+    expect(info.reason).toBe('alert');
+    expect(info.alertId).toBe('memory-1-1');
+    expect(info.sample).toEqual(sample);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('event loop is blocked'));
+    expect(snapshotter.getSnapshots()).toEqual([info]);
+
+    expect(() => snapshotter.take()).toThrow(/cooldown/);
+    expect(snapshotter.getCooldownRemaining()).toBeGreaterThan(0);
+  });
+
+  test('should refuse when the disk is short of space', () => {
+    const snapshotter = new HeapSnapshotter({ directory, minFreeSpaceMB: 1e12 });
+
+    let error;
+    try {
+      snapshotter.take();
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.reason).toBe('disk-space');
+    expect(error.message).toMatch(/Not enough disk space/);
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  describe('without fs.statfsSync', () => {
+    const { statfsSync } = fs;
+
+    beforeEach(() => {
+      delete fs.statfsSync;
+    });
+
+    afterEach(() => {
+      if (statfsSync) {
+        fs.statfsSync = statfsSync;
+      }
+      jest.restoreAllMocks();
+    });
+
+    test('should read free space from df', () => {
+      const df = jest.spyOn(childProcess, 'execFileSync').mockReturnValue(
+        'Filesystem 1024-blocks Used Available Capacity Mounted on\n/dev/sda1 2048 1024 1024 50% /\n'
+      );
+      const snapshotter = new HeapSnapshotter({ directory, minFreeSpaceMB: 0 });
+
+      expect(() => snapshotter.take()).toThrow(/^Not enough disk space for a heap snapshot: 1MB free/);
+      expect(df).toHaveBeenCalledWith('df', ['-P', '-k', directory], expect.any(Object));
+    });
+
+    test('should refuse when free space cannot be determined', () => {
+      jest.spyOn(childProcess, 'execFileSync').mockImplementation(() => {
+        throw new Error('spawn df ENOENT');
+      });
+      const snapshotter = new HeapSnapshotter({ directory, minFreeSpaceMB: 0 });
+
+      let error;
+      try {
+        snapshotter.take();
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.reason).toBe('disk-space');
+      expect(error.message).toMatch(/could not be determined/);
+      expect(fs.readdirSync(directory)).toEqual([]);
+    });
+  });
+
+  test('should load earlier snapshots and delete the oldest beyond maxSnapshots', () => {
+    const old = { id: 'heap-1000', file: 'heap-1000.heapsnapshot', size: 2, takenAt: 1000 };
+    fs.writeFileSync(path.join(directory, old.file), '{}');
+    fs.writeFileSync(path.join(directory, 'heap-1000.json'), JSON.stringify(old));
+
+    const snapshotter = new HeapSnapshotter({ directory, minFreeSpaceMB: 0, maxSnapshots: 1 });
+    expect(snapshotter.getSnapshots()).toEqual([old]);
+
+    const info = snapshotter.take();
+
+    expect(snapshotter.getSnapshots()).toEqual([info]);
+    expect(fs.existsSync(path.join(directory, old.file))).toBe(false);
+    expect(fs.existsSync(path.join(directory, 'heap-1000.json'))).toBe(false);
+  });
+
+  test('should only accept the configured token', () => {
+    expect(new HeapSnapshotter({ directory }).checkToken('anything')).toBe(false);
+
+    const snapshotter = new HeapSnapshotter({ directory, token: 'secret' });
+    expect(snapshotter.checkToken('secret')).toBe(true);
+    expect(snapshotter.checkToken('secreT')).toBe(false);
+    expect(snapshotter.checkToken('longer-secret')).toBe(false);
+    expect(snapshotter.checkToken(undefined)).toBe(false);
+  });
+});
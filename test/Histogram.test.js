@@ -0,0 +1,139 @@
+const { createHistogram } = require('perf_hooks');
+const Histogram = require('../src/core/Histogram');
+const { mergeLagHistograms } = require('../src/core/Histogram');
+const EventLoopMonitor = require('../src/core/EventLoopMonitor');
+const { waitFor } = require('./setup.js');
+
+// perf_hooks histograms have a count from Node 16.14
+const testWithCount = createHistogram && typeof createHistogram().count === 'number' ? test : test.skip;
+
+// Exact percentile by nearest rank
+function exactPercentile(values, percentile) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1)];
+}
+
+describe('Histogram', () => {
+  test('should answer percentiles within its precision', () => {
+    const histogram = new Histogram();
+    const values = Array.from({ length: 1000 }, (_, i) => 0.5 + (i % 97) * 1.3);
+    values.forEach(v => histogram.record(v));
+
+    [50, 90, 99, 99.9].forEach((p) => {
+      const exact = exactPercentile(values, p);
+      expect(Math.abs(histogram.percentile(p) - exact) / exact).toBeLessThanOrEqual(0.01);
+    });
+    expect(histogram.summary()).toMatchObject({
+      count: 1000,
+      min: 0.5,
+      max: 0.5 + 96 * 1.3
+    });
+  });
+
+  test('should merge into the same distribution as recording everything', () => {
+    const all = new Histogram();
+    const parts = [new Histogram(), new Histogram(), new Histogram()];
+
+    for (let i = 0; i < 300; i++) {
+      const value = i % 10 === 0 ? 50 + i : 2 + (i % 7);
+      all.record(value);
+      parts[i % 3].record(value);
+    }
+
+    const merged = new Histogram();
+    parts.forEach(part => merged.merge(part.toJSON()));
+
+    expect(merged.summary()).toEqual(all.summary());
+  });
+
+  test('should round-trip through JSON', () => {
+    const histogram = new Histogram({ precision: 0.05 });
+    [1, 2, 3, 100].forEach(v => histogram.record(v));
+
+    const restored = Histogram.fromJSON(JSON.parse(JSON.stringify(histogram)));
+
+    expect(restored.precision).toBe(0.05);
+    expect(restored.summary()).toEqual(histogram.summary());
+  });
+
+  test('should refuse to merge histograms of different precision', () => {
+    const histogram = new Histogram({ precision: 0.01 });
+    expect(() => histogram.merge(new Histogram({ precision: 0.1 }))).toThrow(/precision/);
+  });
+
+  test('should count values at or below a bound', () => {
+    const histogram = new Histogram();
+    [1, 2, 5, 10, 50].forEach(value => histogram.record(value));
+
+    expect(histogram.countAtOrBelow(5)).toBe(3);
+    expect(histogram.countAtOrBelow(0.5)).toBe(0);
+    expect(histogram.countAtOrBelow(Infinity)).toBe(5);
+  });
+
+  test('should ignore invalid values', () => {
+    const histogram = new Histogram();
+    histogram.record(NaN);
+    histogram.record(-1);
+    histogram.record(5, 0);
+    expect(histogram.count).toBe(0);
+    expect(histogram.percentile(99)).toBe(0);
+  });
+
+  testWithCount('should convert perf_hooks histograms from ns to ms', () => {
+    const source = createHistogram();
+    for (let i = 1; i <= 100; i++) {
+      source.record(i * 1e6);
+    }
+
+    const histogram = Histogram.fromPerfHistogram(source);
+
+    expect(histogram.count).toBe(100);
+    // perf_hooks histograms keep 3 significant digits
+    expect(histogram.min).toBeCloseTo(1, 2);
+    expect(histogram.max).toBeCloseTo(100, 0);
+    expect(histogram.summary().mean).toBeCloseTo(50.5, 0);
+    // Counted at the upper percentile level, so not below the real value
+    expect(histogram.percentile(99)).toBeGreaterThanOrEqual(98.9);
+  });
+
+  test('should estimate the count of perf_hooks histograms that have none', () => {
+    // As monitorEventLoopDelay() reports before Node 16.14: ticks 10 ms apart, no count
+    const source = {
+      min: 9.8e6,
+      max: 10.2e6,
+      mean: 10e6,
+      percentiles: new Map([[0, 9.8e6], [50, 10e6], [100, 10.2e6]])
+    };
+
+    expect(Histogram.fromPerfHistogram(source).count).toBe(0);
+
+    const histogram = Histogram.fromPerfHistogram(source, undefined, 1000);
+    expect(histogram.count).toBe(100);
+    expect(histogram.percentile(50)).toBeCloseTo(10, 1);
+    expect(histogram.max).toBeCloseTo(10.2, 5);
+  });
+
+  test('mergeLagHistograms() should skip samples without a histogram', () => {
+    const histogram = new Histogram();
+    histogram.record(10);
+
+    expect(mergeLagHistograms([{ lag: {} }])).toBeNull();
+    expect(mergeLagHistograms([
+      { lag: {} },
+      { lag: { histogram: histogram.toJSON() } }
+    ]).count).toBe(1);
+  });
+
+  test('should be recorded with every monitor sample', async () => {
+    const monitor = new EventLoopMonitor({ sampleInterval: 50 });
+    monitor.start();
+
+    try {
+      await waitFor(() => monitor.getHistory().some(s => s.lag.histogram));
+      const sample = monitor.getHistory().find(s => s.lag.histogram);
+      expect(sample.lag.histogram.count).toBeGreaterThan(0);
+    } finally {
+      monitor.stop();
+    }
+  });
+});
@@ -1,4 +1,5 @@
 const MetricsCollector = require('../src/core/MetricsCollector');
+const Histogram = require('../src/core/Histogram');
 
 // Helper to create valid sample
 function createSample(timestamp) {
@@ -10,6 +11,17 @@ function createSample(timestamp) {
   };
 }
 
+// Helper to create heap stats with the given old space usage
+function createHeap(oldUsed) {
+  return {
+    spaces: {
+      old_space: { size: 1000, used: oldUsed, available: 1000 - oldUsed, physical: 1000 },
+      new_space: { size: 100, used: 10, available: 90, physical: 100 },
+    },
+    code: { codeAndMetadata: 50, bytecodeAndMetadata: 20, externalScriptSource: 5, cpuProfilerMetadata: 0 },
+  };
+}
+
 describe('MetricsCollector', () => {
   let collector;
 
@@ -136,6 +148,105 @@ describe('MetricsCollector', () => {
       expect(aggregated.lag.max).toBeDefined();
     });
 
+    test('should aggregate GC metrics', () => {
+      const gcSample = (timestamp, minorPause, majorPause) => ({
+        ...createSample(timestamp),
+        gc: {
+          count: 2,
+          totalPause: minorPause + majorPause,
+          maxPause: Math.max(minorPause, majorPause),
+          byKind: {
+            minor: { count: 1, totalPause: minorPause, maxPause: minorPause },
+            major: { count: 1, totalPause: majorPause, maxPause: majorPause },
+          },
+        },
+      });
+
+      collector.addSample(gcSample(1000, 1, 10));
+      collector.addSample(gcSample(2000, 3, 20));
+
+      const aggregated = collector.getAggregatedMetrics();
+      expect(aggregated.gc.count.mean).toBe(2);
+      expect(aggregated.gc.maxPause.max).toBe(20);
+      expect(aggregated.gc.byKind.minor).toEqual({ count: 2, totalPause: 4, maxPause: 3 });
+      expect(aggregated.gc.byKind.major).toEqual({ count: 2, totalPause: 30, maxPause: 20 });
+    });
+
+    test('should weight samples by the interval they covered', () => {
+      // One second of quiet, then 100ms of high lag
+      collector.addSample({
+        ...createSample(1000),
+        interval: 1000,
+        lag: { ...createSample(1000).lag, mean: 1 },
+        requests: { count: 10, avgTime: 5, totalTime: 50 }
+      });
+      collector.addSample({
+        ...createSample(1100),
+        interval: 100,
+        lag: { ...createSample(1100).lag, mean: 100 },
+        requests: { count: 1, avgTime: 5, totalTime: 5 }
+      });
+
+      const { lag, requests } = collector.getAggregatedMetrics();
+      expect(lag.mean.mean).toBe(10);
+      expect(lag.mean.median).toBe(1);
+      expect(requests.rate).toBe(10);
+    });
+
+    test('should report percentiles of the whole window', () => {
+      // One quiet sample with 99 short delays, one with a single long one
+      const quiet = new Histogram();
+      quiet.record(1, 99);
+      const spike = new Histogram();
+      spike.record(200);
+
+      collector.addSample({
+        ...createSample(1000),
+        lag: { ...createSample(1000).lag, p99: 1, histogram: quiet.toJSON() }
+      });
+      collector.addSample({
+        ...createSample(2000),
+        lag: { ...createSample(2000).lag, p99: 200, histogram: spike.toJSON() }
+      });
+
+      const { lag } = collector.getAggregatedMetrics();
+      // Statistics of per-sample p99s overstate the window's p99
+      expect(lag.p99.mean).toBe(100.5);
+      expect(lag.distribution.count).toBe(100);
+      expect(lag.distribution.p99).toBeCloseTo(1, 1);
+      expect(lag.distribution.max).toBe(200);
+    });
+
+    test('should aggregate custom metrics', () => {
+      collector.addSample({
+        ...createSample(1000),
+        custom: {
+          queue_depth: { type: 'gauge', value: 4 },
+          jobs: { type: 'counter', value: 10, delta: 10 }
+        }
+      });
+      collector.addSample({
+        ...createSample(2000),
+        custom: {
+          queue_depth: { type: 'gauge', value: 8 },
+          jobs: { type: 'counter', value: 15, delta: 5 }
+        }
+      });
+
+      const { custom } = collector.getAggregatedMetrics();
+      expect(custom.queue_depth.type).toBe('gauge');
+      expect(custom.queue_depth.mean).toBe(6);
+      expect(custom.queue_depth.max).toBe(8);
+      expect(custom.jobs.total).toBe(15);
+      expect(custom.jobs.increase).toBe(15);
+      expect(custom.jobs.max).toBe(10);
+    });
+
+    test('should omit GC metrics when samples have none', () => {
+      collector.addSample(createSample(1000));
+      expect(collector.getAggregatedMetrics().gc).toBeNull();
+    });
+
     test('should respect duration parameter', () => {
       const now = Date.now();
       collector.addSample(createSample(now - 10000));
@@ -181,6 +292,158 @@ describe('MetricsCollector', () => {
       const series = collector.getTimeSeries('lag', { count: 3 });
       expect(series.length).toBe(3);
     });
+
+    test('should return heap used per space for samples with heap stats', () => {
+      collector.addSample({ ...createSample(1000), heap: createHeap(100) });
+      collector.addSample(createSample(2000));
+      collector.addSample({ ...createSample(3000), heap: createHeap(300) });
+
+      expect(collector.getTimeSeries('heap')).toEqual([
+        { timestamp: 1000, old_space: 100, new_space: 10 },
+        { timestamp: 3000, old_space: 300, new_space: 10 },
+      ]);
+    });
+  });
+
+  describe('Heap statistics', () => {
+    test('should keep the latest heap stats across samples without them', () => {
+      collector.addSample({ ...createSample(1000), heap: createHeap(100) });
+      collector.addSample(createSample(2000));
+
+      const latest = collector.getLatestHeapStats();
+      expect(latest.timestamp).toBe(1000);
+      expect(latest.spaces.old_space.used).toBe(100);
+
+      collector.reset();
+      expect(collector.getLatestHeapStats()).toBeNull();
+    });
+
+    test('should aggregate used size per space', () => {
+      const now = Date.now();
+      collector.addSample({ ...createSample(now - 200), heap: createHeap(100) });
+      collector.addSample(createSample(now - 100));
+      collector.addSample({ ...createSample(now), heap: createHeap(300) });
+
+      const heap = collector.getAggregatedMetrics(60000).heap;
+      expect(heap.spaces.old_space.min).toBe(100);
+      expect(heap.spaces.old_space.max).toBe(300);
+      expect(heap.spaces.new_space.mean).toBe(10);
+      expect(heap.code.codeAndMetadata.max).toBe(50);
+    });
+
+    test('should report no heap aggregate without heap stats', () => {
+      collector.addSample(createSample());
+      expect(collector.getAggregatedMetrics(60000).heap).toBeNull();
+    });
+
+    test('should reject malformed heap stats', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(collector.addSample({ ...createSample(), heap: { spaces: { old_space: {} } } })).toBe(false);
+      expect(warn).toHaveBeenCalledWith(
+        expect.any(String),
+        ['heap.spaces.old_space must have numeric size and used']
+      );
+
+      warn.mockRestore();
+    });
+  });
+
+  describe('System pressure', () => {
+    function createSystem(involuntary) {
+      return {
+        voluntaryContextSwitches: 10,
+        involuntaryContextSwitches: involuntary,
+        majorPageFault: 0,
+        minorPageFault: 5,
+        fsRead: 0,
+        fsWrite: 1,
+        ipcSent: 0,
+        ipcReceived: 0,
+        maxRSS: 50000,
+      };
+    }
+
+    test('should aggregate deltas and report rates over the window', () => {
+      const now = Date.now();
+      collector.addSample({ ...createSample(now - 100), interval: 100, system: createSystem(2) });
+      collector.addSample({ ...createSample(now), interval: 100, system: createSystem(8) });
+
+      const system = collector.getAggregatedMetrics(60000).system;
+      expect(system.involuntaryContextSwitches.max).toBe(8);
+      expect(system.involuntaryContextSwitches.mean).toBe(5);
+      expect(system.maxRSS.max).toBe(50000);
+      expect(system.ratePerSecond.involuntaryContextSwitches).toBe(50);
+      expect(system.ratePerSecond.voluntaryContextSwitches).toBe(100);
+      expect(system.ratePerSecond.maxRSS).toBeUndefined();
+    });
+
+    test('should report no system aggregate without resource usage', () => {
+      collector.addSample(createSample());
+      expect(collector.getAggregatedMetrics(60000).system).toBeNull();
+    });
+
+    test('should reject negative counters', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(collector.addSample({ ...createSample(), system: { ...createSystem(1), fsRead: -1 } })).toBe(false);
+      expect(warn).toHaveBeenCalledWith(
+        expect.any(String),
+        ['system.fsRead must be a non-negative number']
+      );
+
+      warn.mockRestore();
+    });
+  });
+
+  describe('Threadpool latency', () => {
+    // Probe results of a sample, with its histogram
+    function createThreadpool(latencies) {
+      const histogram = new Histogram();
+      latencies.forEach(latency => histogram.record(latency));
+      return {
+        latency: latencies[latencies.length - 1],
+        count: latencies.length,
+        pending: 0,
+        pendingFor: 0,
+        ...histogram.summary(),
+        histogram: histogram.toJSON(),
+      };
+    }
+
+    test('should report percentiles of every probe in the window', () => {
+      const now = Date.now();
+      collector.addSample({ ...createSample(now - 200), threadpool: createThreadpool([1, 2]) });
+      collector.addSample(createSample(now - 100));
+      collector.addSample({ ...createSample(now), threadpool: createThreadpool([3, 400]) });
+
+      const threadpool = collector.getAggregatedMetrics(60000).threadpool;
+      expect(threadpool.latency.max).toBe(400);
+      expect(threadpool.distribution.count).toBe(4);
+      expect(threadpool.distribution.max).toBe(400);
+      expect(threadpool.distribution.p50).toBeCloseTo(2, 1);
+    });
+
+    test('should chart latency for samples with probe results', () => {
+      collector.addSample({ ...createSample(1000), threadpool: createThreadpool([5]) });
+      collector.addSample(createSample(2000));
+
+      const series = collector.getTimeSeries('threadpool');
+      expect(series.length).toBe(1);
+      expect(series[0]).toMatchObject({ timestamp: 1000, latency: 5, count: 1 });
+    });
+
+    test('should reject a threadpool field without latency', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(collector.addSample({ ...createSample(), threadpool: { count: 1 } })).toBe(false);
+      expect(warn).toHaveBeenCalledWith(
+        expect.any(String),
+        ['threadpool.latency must be a non-negative number']
+      );
+
+      warn.mockRestore();
+    });
   });
 
   describe('reset()', () => {
@@ -211,6 +474,84 @@ describe('MetricsCollector', () => {
     });
   });
 
+  describe('Memory budget', () => {
+    // A sample carrying ~10 KB that is kept as an object
+    const createLargeSample = (timestamp) => ({
+      ...createSample(timestamp),
+      custom: { note: { type: 'gauge', value: 1, label: 'x'.repeat(10000) } }
+    });
+
+    test('should evict the oldest samples to stay within maxMemoryMB', () => {
+      collector = new MetricsCollector({ historySize: 1000, maxMemoryMB: 0.5, rollups: false });
+      const events = [];
+      collector.on('memory-pressure', event => events.push(event));
+      const now = Date.now();
+      for (let i = 0; i < 100; i++) {
+        collector.addSample(createLargeSample(now + i));
+      }
+
+      const stats = collector.getStats();
+      expect(stats.sampleCount).toBeLessThan(100);
+      expect(stats.droppedSamples).toBe(100 - stats.sampleCount);
+      expect(stats.capacity).toBe(1000);
+      expect(stats.memoryUsageBytes).toBeLessThanOrEqual(stats.memoryLimit);
+      expect(stats.memoryBreakdown.samples).toBe(stats.memoryUsageBytes);
+      expect(stats.memoryWarnings).toBe(events.length);
+      expect(collector.getHistory()[0].timestamp).toBe(now + stats.droppedSamples);
+      expect(collector.getLatestSample().timestamp).toBe(now + 99);
+
+      expect(events[0]).toMatchObject({ limit: 0.5 * 1024 * 1024, capacity: 1000 });
+      expect(events[0].usage).toBeGreaterThan(events[0].limit);
+      expect(events[0].after).toBeLessThanOrEqual(events[0].limit * 0.9);
+      expect(events[0].dropped.samples).toBeGreaterThan(0);
+    });
+
+    test('should shrink the ring buffer when its columns alone exceed the budget', () => {
+      collector = new MetricsCollector({ historySize: 100000, maxMemoryMB: 0.5, rollups: false });
+      const now = Date.now();
+      for (let i = 0; i < 20; i++) {
+        collector.addSample(createSample(now + i));
+      }
+
+      const stats = collector.getStats();
+      expect(stats.capacity).toBeLessThan(100000);
+      expect(stats.memoryUsageBytes).toBeLessThanOrEqual(stats.memoryLimit);
+      expect(collector.getHistory().map(s => s.timestamp)).toEqual(
+        Array.from({ length: stats.sampleCount }, (_, i) => now + 20 - stats.sampleCount + i)
+      );
+
+      collector.reset();
+      expect(collector.getStats().capacity).toBe(100000);
+    });
+
+    test('should grow a shrunk ring buffer back once there is room', () => {
+      collector = new MetricsCollector({ historySize: 1000, maxMemoryMB: 0.5 });
+      const now = Date.now();
+      // Held by the open 10 s rollup until it closes, leaving no room for the ring buffer
+      collector.addSample({ ...createSample(now), custom: { note: { type: 'gauge', value: 1, label: 'x'.repeat(600000) } } });
+      expect(collector.getStats().capacity).toBe(1);
+
+      for (let i = 1; i <= 2000; i++) {
+        collector.addSample(createSample(now + i * 100));
+      }
+
+      expect(collector.getStats().capacity).toBe(1000);
+      expect(collector.getHistory()).toHaveLength(1000);
+    });
+
+    test('should not trim anything with maxMemoryMB: 0', () => {
+      collector = new MetricsCollector({ historySize: 100, maxMemoryMB: 0, rollups: false });
+      const listener = jest.fn();
+      collector.on('memory-pressure', listener);
+      for (let i = 0; i < 100; i++) {
+        collector.addSample(createLargeSample(Date.now() + i));
+      }
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(collector.getStats()).toMatchObject({ sampleCount: 100, droppedSamples: 0, memoryUtilization: 0 });
+    });
+  });
+
   describe('exportJSON() and importJSON()', () => {
     test('should export samples as JSON', () => {
       for (let i = 0; i < 3; i++) {
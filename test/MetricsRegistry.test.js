@@ -0,0 +1,115 @@
+const MetricsRegistry = require('../src/core/MetricsRegistry');
+const EventLoopMonitor = require('../src/core/EventLoopMonitor');
+const { formatPrometheusMetrics } = require('../src/exporters/prometheus');
+const { waitFor } = require('./setup.js');
+
+describe('MetricsRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  test('should collect nothing when no metrics are registered', () => {
+    expect(registry.collect()).toBeNull();
+  });
+
+  test('should read gauges on collect', () => {
+    let depth = 3;
+    registry.registerGauge('queue_depth', () => depth);
+
+    expect(registry.collect().queue_depth).toEqual({ type: 'gauge', value: 3 });
+    depth = 7;
+    expect(registry.collect().queue_depth.value).toBe(7);
+  });
+
+  test('should record failing gauges as null', () => {
+    registry.registerGauge('broken', () => {
+      throw new Error('boom');
+    });
+    registry.registerGauge('not_a_number', () => 'many');
+
+    const values = registry.collect();
+    expect(values.broken.value).toBeNull();
+    expect(values.not_a_number.value).toBeNull();
+  });
+
+  test('should report counter totals and increases', () => {
+    const counter = registry.counter('jobs_processed');
+    counter.inc();
+    counter.inc(4);
+
+    expect(registry.collect().jobs_processed).toEqual({ type: 'counter', value: 5, delta: 5 });
+
+    counter.inc(2);
+    expect(registry.collect().jobs_processed).toEqual({ type: 'counter', value: 7, delta: 2 });
+    expect(registry.collect().jobs_processed.delta).toBe(0);
+  });
+
+  test('should return the same counter for the same name', () => {
+    expect(registry.counter('hits')).toBe(registry.counter('hits'));
+  });
+
+  test('should reject invalid names and duplicates', () => {
+    expect(() => registry.registerGauge('queue depth', () => 1)).toThrow(TypeError);
+    expect(() => registry.registerGauge('1st', () => 1)).toThrow(TypeError);
+    expect(() => registry.registerGauge('depth', 42)).toThrow(TypeError);
+
+    registry.registerGauge('depth', () => 1);
+    expect(() => registry.registerGauge('depth', () => 2)).toThrow(/already registered/);
+    expect(() => registry.counter('depth')).toThrow(/already registered/);
+  });
+
+  test('should reject negative counter increments', () => {
+    expect(() => registry.counter('hits').inc(-1)).toThrow(RangeError);
+  });
+
+  test('should unregister metrics', () => {
+    registry.registerGauge('depth', () => 1);
+    expect(registry.unregister('depth')).toBe(true);
+    expect(registry.unregister('depth')).toBe(false);
+    expect(registry.list()).toEqual([]);
+  });
+});
+
+describe('EventLoopMonitor custom metrics', () => {
+  let monitor;
+
+  afterEach(() => {
+    monitor.stop();
+  });
+
+  test('should attach custom metrics to samples', async () => {
+    monitor = new EventLoopMonitor({ sampleInterval: 50 });
+    monitor.registerGauge('queue_depth', () => 12, { help: 'Jobs waiting' });
+    monitor.counter('jobs_processed').inc(3);
+    monitor.start();
+
+    await waitFor(() => monitor.getCurrentMetrics());
+
+    const sample = monitor.getCurrentMetrics();
+    expect(sample.custom.queue_depth.value).toBe(12);
+    expect(sample.custom.jobs_processed.value).toBe(3);
+    expect(monitor.getCustomMetrics()).toContainEqual({
+      name: 'queue_depth',
+      type: 'gauge',
+      help: 'Jobs waiting'
+    });
+  });
+
+  test('should export custom metrics to Prometheus', async () => {
+    monitor = new EventLoopMonitor({ sampleInterval: 50 });
+    monitor.registerGauge('queue_depth', () => 12, { help: 'Jobs waiting' });
+    monitor.counter('jobs_processed').inc(3);
+    monitor.start();
+
+    await waitFor(() => monitor.getCurrentMetrics());
+
+    const text = formatPrometheusMetrics(monitor);
+    expect(text).toContain('# HELP queue_depth Jobs waiting');
+    expect(text).toContain('# TYPE queue_depth gauge');
+    expect(text).toMatch(/^queue_depth 12 \d+$/m);
+    expect(text).toContain('# TYPE jobs_processed_total counter');
+    expect(text).toMatch(/^jobs_processed_total 3 \d+$/m);
+  });
+});
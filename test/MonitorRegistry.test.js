@@ -0,0 +1,130 @@
+const MonitorRegistry = require('../src/core/MonitorRegistry');
+const EventLoopMonitor = require('../src/core/EventLoopMonitor');
+const AlertManager = require('../src/alerts/AlertManager');
+const index = require('../src/index');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+describe('MonitorRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MonitorRegistry();
+  });
+
+  afterEach(() => {
+    registry.clear();
+  });
+
+  test('should create monitors stopped and return the same instance by name', () => {
+    const api = registry.get('api', { sampleInterval: 250 });
+
+    expect(api).toBeInstanceOf(EventLoopMonitor);
+    expect(api.isActive()).toBe(false);
+    expect(api.getConfig().sampleInterval).toBe(250);
+    expect(registry.get('api', { sampleInterval: 50 })).toBe(api);
+    expect(registry.get()).not.toBe(api);
+    expect(registry.names()).toEqual(['api', MonitorRegistry.DEFAULT_MONITOR]);
+  });
+
+  test('should find monitors without creating them', () => {
+    expect(registry.find('jobs')).toBeNull();
+    expect(registry.has('jobs')).toBe(false);
+    expect(registry.names()).toEqual([]);
+  });
+
+  test('should reject invalid names and conflicting registrations', () => {
+    expect(() => registry.get('')).toThrow(TypeError);
+    expect(() => registry.register('api', {})).toThrow(TypeError);
+
+    const monitor = new EventLoopMonitor();
+    expect(registry.register('api', monitor)).toBe(monitor);
+    expect(registry.register('api', monitor)).toBe(monitor);
+    expect(() => registry.register('api', new EventLoopMonitor())).toThrow('already registered');
+    expect(registry.nameOf(monitor)).toBe('api');
+  });
+
+  test('should resolve instances, names and the default monitor', () => {
+    const standalone = new EventLoopMonitor();
+    const fallback = registry.get();
+
+    expect(registry.resolve(standalone)).toBe(standalone);
+    expect(registry.resolve()).toBe(fallback);
+    expect(registry.resolve('missing')).toBeNull();
+  });
+
+  test('should control the lifecycle explicitly', () => {
+    const jobs = registry.start('jobs');
+    expect(jobs.isActive()).toBe(true);
+
+    expect(registry.stop('jobs')).toBe(true);
+    expect(jobs.isActive()).toBe(false);
+    expect(registry.find('jobs')).toBe(jobs);
+
+    registry.start('jobs');
+    expect(registry.remove('jobs')).toBe(true);
+    expect(jobs.isActive()).toBe(false);
+    expect(registry.has('jobs')).toBe(false);
+    expect(registry.remove('jobs')).toBe(false);
+  });
+
+  test('should destroy monitors it removes, closing their storage', () => {
+    const backend = () => ({
+      open: jest.fn(),
+      append: jest.fn(),
+      load: jest.fn(() => []),
+      flush: jest.fn(),
+      close: jest.fn()
+    });
+    const jobs = registry.start('jobs', { storage: backend() });
+    const api = registry.get('api', { storage: backend() });
+    const listener = jest.fn();
+    jobs.on('stop', listener);
+
+    expect(registry.remove('jobs')).toBe(true);
+    expect(jobs.isActive()).toBe(false);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(jobs.options.storage.close).toHaveBeenCalledTimes(1);
+    expect(jobs.listenerCount('stop')).toBe(0);
+
+    registry.clear();
+    expect(api.options.storage.close).toHaveBeenCalledTimes(1);
+    expect(registry.names()).toEqual([]);
+  });
+
+  describe('Shared registry', () => {
+    afterEach(() => {
+      MonitorRegistry.registry.clear();
+    });
+
+    test('should back getGlobalMonitor() and getMonitor()', () => {
+      const monitor = index.getGlobalMonitor();
+
+      expect(index.getMonitor()).toBe(monitor);
+      expect(index.monitorRegistry.find(MonitorRegistry.DEFAULT_MONITOR)).toBe(monitor);
+    });
+
+    test('should let alert managers resolve monitors by name', () => {
+      const alertManager = new AlertManager('jobs');
+
+      expect(alertManager.monitor).toBe(index.getMonitor('jobs'));
+    });
+  });
+
+  // Child process, for a module cache of its own
+  test('should load opt-in modules only when the entry point exposes them', () => {
+    const script = `
+      const index = require(${JSON.stringify(path.join(__dirname, '../src/index'))});
+      const loaded = () => Object.keys(require.cache).map(file => require('path').basename(file));
+      const before = loaded();
+      index.core.FileStorage;
+      console.log(JSON.stringify({ before, after: loaded() }));
+    `;
+    const { before, after } = JSON.parse(execFileSync(process.execPath, ['-e', script], { encoding: 'utf8' }));
+
+    ['Watchdog.js', 'FileStorage.js', 'FlightRecorder.js', 'HeapSnapshotter.js', 'ClusterClient.js'].forEach(file => {
+      expect(before).not.toContain(file);
+    });
+    expect(after).toContain('FileStorage.js');
+  });
+});
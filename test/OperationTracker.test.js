@@ -0,0 +1,59 @@
+const OperationTracker = require('../src/core/OperationTracker');
+const { mergeOperations, rankOperations } = OperationTracker;
+
+describe('OperationTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new OperationTracker({ maxOperations: 2 });
+  });
+
+  test('should roll operations up by name until drained', () => {
+    tracker.record('render', 10);
+    tracker.record('render', 30);
+    tracker.record('serialize', 5);
+    tracker.record('render', -1);
+
+    expect(tracker.drain()).toEqual({
+      render: { count: 2, totalTime: 40, maxTime: 30 },
+      serialize: { count: 1, totalTime: 5, maxTime: 5 }
+    });
+    expect(tracker.drain()).toBeNull();
+  });
+
+  test('should count names past maxOperations as (other)', () => {
+    tracker.record('a', 1);
+    tracker.record('b', 1);
+    tracker.record('c', 1);
+    tracker.record('a', 1);
+
+    expect(Object.keys(tracker.drain())).toEqual(['a', 'b', OperationTracker.OTHER_OPERATION]);
+  });
+
+  test('should accumulate totals from samples', () => {
+    tracker.record('render', 20);
+    tracker.accumulate(tracker.drain());
+    tracker.record('render', 40);
+    tracker.accumulate(tracker.drain());
+    tracker.accumulate(null);
+
+    expect(tracker.getTotals()).toEqual([{ name: 'render', count: 2, totalTime: 60, maxTime: 40 }]);
+
+    tracker.reset();
+    expect(tracker.getTotals()).toEqual([]);
+  });
+
+  test('should merge samples and rank operations by loop time', () => {
+    const merged = mergeOperations([
+      { render: { count: 1, totalTime: 10, maxTime: 10 } },
+      undefined,
+      { render: { count: 1, totalTime: 30, maxTime: 30 }, serialize: { count: 4, totalTime: 80, maxTime: 25 } }
+    ]);
+    expect(merged.render).toEqual({ count: 2, totalTime: 40, maxTime: 30 });
+
+    const rows = rankOperations(merged, 400);
+    expect(rows.map(r => r.name)).toEqual(['serialize', 'render']);
+    expect(rows[0]).toMatchObject({ avgTime: 20, share: 0.2 });
+    expect(mergeOperations([null])).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+const RequestTracker = require('../src/core/RequestTracker');
+const { statusClass, mergeRequestMetrics, summarizeRoutes } = RequestTracker;
+
+describe('RequestTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new RequestTracker({ maxRoutes: 2 });
+  });
+
+  test('should classify status codes', () => {
+    expect(statusClass(204)).toBe('2xx');
+    expect(statusClass(503)).toBe('5xx');
+    expect(statusClass(200, true)).toBe('aborted');
+    expect(statusClass(undefined)).toBeNull();
+  });
+
+  test('should count requests in flight until they end', () => {
+    const first = tracker.begin();
+    const second = tracker.begin();
+    expect(tracker.inFlight).toBe(2);
+
+    first({ route: '/a', method: 'get', statusCode: 200 });
+    first({ route: '/a', method: 'get', statusCode: 200 });
+    expect(tracker.inFlight).toBe(1);
+
+    const requests = tracker.drain();
+    expect(requests.count).toBe(1);
+    expect(requests.inFlight).toBe(1);
+    expect(requests.maxInFlight).toBe(2);
+    expect(requests.byMethod).toEqual({ GET: 1 });
+
+    second({ route: '/a', method: 'GET', statusCode: 200 });
+    expect(tracker.drain().maxInFlight).toBe(1);
+  });
+
+  test('should split requests by route, method and status class', () => {
+    tracker.record(10, { route: '/users/:id', method: 'GET', statusCode: 200 });
+    tracker.record(30, { route: '/users/:id', method: 'GET', statusCode: 200 });
+    tracker.record(50, { route: '/users/:id', method: 'GET', statusCode: 500 });
+    tracker.record(5, { method: 'GET', statusCode: 404 });
+    tracker.record(7);
+
+    const requests = tracker.drain();
+    expect(requests.count).toBe(5);
+    expect(requests.byStatus).toEqual({ '2xx': 2, '5xx': 1, '4xx': 1 });
+    expect(requests.p99).toBeCloseTo(50, 0);
+    expect(requests.histogram.count).toBe(5);
+
+    const ok = requests.routes.find(r => r.route === '/users/:id' && r.status === '2xx');
+    expect(ok.count).toBe(2);
+    expect(ok.totalTime).toBe(40);
+    expect(ok.histogram.count).toBe(2);
+    expect(requests.routes.some(r => r.route === RequestTracker.UNMATCHED_ROUTE)).toBe(true);
+
+    // Drained: the next sample starts empty
+    expect(tracker.drain()).toMatchObject({ count: 0, routes: [], byMethod: {} });
+  });
+
+  test('should count routes past maxRoutes as (other)', () => {
+    tracker.record(1, { route: '/a', method: 'GET', statusCode: 200 });
+    tracker.record(1, { route: '/b', method: 'GET', statusCode: 200 });
+    tracker.record(1, { route: '/c', method: 'GET', statusCode: 200 });
+    tracker.record(1, { route: '/a', method: 'GET', statusCode: 500 });
+
+    const routes = tracker.drain().routes.map(r => r.route);
+    expect(routes).toEqual(['/a', '/b', RequestTracker.OTHER_ROUTE, '/a']);
+  });
+
+  test('should accumulate totals from samples', () => {
+    tracker.record(20, { route: '/a', method: 'GET', statusCode: 200 });
+    tracker.accumulate(tracker.drain());
+    tracker.record(40, { route: '/a', method: 'GET', statusCode: 200 });
+    tracker.accumulate(tracker.drain());
+
+    const [total] = tracker.getTotals();
+    expect(total).toMatchObject({ route: '/a', method: 'GET', status: '2xx' });
+    expect(total.histogram.count).toBe(2);
+    expect(total.histogram.sum).toBe(60);
+
+    tracker.reset();
+    expect(tracker.getTotals()).toEqual([]);
+  });
+
+  test('should merge samples and rank routes by p99', () => {
+    tracker.record(10, { route: '/fast', method: 'GET', statusCode: 200 });
+    tracker.record(200, { route: '/slow', method: 'POST', statusCode: 500 });
+    const first = tracker.drain();
+    tracker.record(12, { route: '/fast', method: 'GET', statusCode: 200 });
+    const second = tracker.drain();
+
+    const merged = mergeRequestMetrics([first, undefined, second]);
+    expect(merged.count).toBe(3);
+    expect(merged.byMethod).toEqual({ GET: 2, POST: 1 });
+    expect(merged.histogram.count).toBe(3);
+
+    const rows = summarizeRoutes(merged.routes, 1000);
+    expect(rows.map(r => r.route)).toEqual(['/slow', '/fast']);
+    expect(rows[0]).toMatchObject({ method: 'POST', count: 1, errors: 1, errorRate: 1 });
+    expect(rows[1].rate).toBe(2);
+    expect(mergeRequestMetrics([])).toBeNull();
+  });
+});
@@ -0,0 +1,237 @@
+const Rollups = require('../src/core/Rollups');
+const { mergeSamples } = require('../src/core/Rollups');
+const Histogram = require('../src/core/Histogram');
+const MetricsCollector = require('../src/core/MetricsCollector');
+
+function createSample(timestamp, interval = 100) {
+  return {
+    timestamp,
+    interval,
+    lag: { min: 1, max: 5, mean: 3, p50: 3, p95: 4, p99: 5, stddev: 1 },
+    elu: { utilization: 0.5, active: 50, idle: 50 },
+    requests: { count: 10, avgTime: 50, totalTime: 500 }
+  };
+}
+
+// Sample whose lag distribution is the given delays
+function createLagSample(timestamp, delays, interval = 100) {
+  const histogram = new Histogram();
+  delays.forEach(delay => histogram.record(delay));
+  const sample = createSample(timestamp, interval);
+  return {
+    ...sample,
+    lag: { ...sample.lag, ...histogram.summary(), histogram: histogram.toJSON() }
+  };
+}
+
+describe('Rollups', () => {
+  describe('mergeSamples()', () => {
+    test('should take lag percentiles from the merged histograms', () => {
+      const quiet = Array.from({ length: 99 }, () => 1);
+      const rollup = mergeSamples([
+        createLagSample(1000, quiet),
+        createLagSample(1100, [200])
+      ], 1000);
+
+      expect(rollup.lag.histogram.count).toBe(100);
+      expect(rollup.lag.p99).toBeCloseTo(1, 1);
+      expect(rollup.lag.max).toBe(200);
+      expect(rollup.lag.min).toBe(1);
+      expect(rollup.rollup).toEqual({ resolution: 1000, from: 1000, samples: 2 });
+      expect(rollup.timestamp).toBe(1100);
+      expect(rollup.interval).toBe(200);
+    });
+
+    test('should sum counts, keep maxima and weight gauges by time', () => {
+      const sample = (timestamp, interval, heapUsed, gcPause) => ({
+        ...createSample(timestamp, interval),
+        elu: { utilization: heapUsed === 100 ? 1 : 0, active: heapUsed === 100 ? interval : 0, idle: heapUsed === 100 ? 0 : interval },
+        memory: { heapUsed, heapTotal: 1000, external: 0, rss: 2000, arrayBuffers: 0 },
+        cpu: { user: 2, system: 1, total: 3 },
+        gc: { count: 1, totalPause: gcPause, maxPause: gcPause, byKind: { major: { count: 1, totalPause: gcPause, maxPause: gcPause } } },
+        requests: { count: 10, avgTime: 50, totalTime: 500, inFlight: heapUsed / 100, maxInFlight: heapUsed / 10 },
+        system: { fsRead: 4, fsWrite: 1, maxRSS: heapUsed },
+        custom: {
+          queue_depth: { type: 'gauge', value: heapUsed },
+          jobs: { type: 'counter', value: heapUsed, delta: 5 }
+        }
+      });
+
+      // 300 ms at heapUsed 100, 100 ms at 500
+      const rollup = mergeSamples([sample(1000, 300, 100, 2), sample(1100, 100, 500, 8)], 1000);
+
+      expect(rollup.elu).toEqual({ utilization: 0.75, active: 300, idle: 100 });
+      expect(rollup.memory.heapUsed).toBe(200);
+      expect(rollup.cpu).toEqual({ user: 4, system: 2, total: 6 });
+      expect(rollup.gc).toMatchObject({ count: 2, totalPause: 10, maxPause: 8 });
+      expect(rollup.gc.byKind.major).toEqual({ count: 2, totalPause: 10, maxPause: 8 });
+      expect(rollup.requests).toMatchObject({ count: 20, totalTime: 1000, avgTime: 50, inFlight: 2, maxInFlight: 50 });
+      expect(rollup.system).toEqual({ fsRead: 8, fsWrite: 2, maxRSS: 500 });
+      expect(rollup.custom.queue_depth).toEqual({ type: 'gauge', value: 200 });
+      expect(rollup.custom.jobs).toEqual({ type: 'counter', value: 500, delta: 10 });
+    });
+
+    test('should merge rollups into coarser rollups', () => {
+      const first = mergeSamples([createLagSample(1000, [1]), createLagSample(1500, [2])], 1000);
+      const second = mergeSamples([createLagSample(2000, [3])], 1000);
+
+      const rollup = mergeSamples([first, second], 10000);
+
+      expect(rollup.rollup).toEqual({ resolution: 10000, from: 1000, samples: 3 });
+      expect(rollup.interval).toBe(300);
+      expect(rollup.lag.histogram.count).toBe(3);
+    });
+  });
+
+  describe('tiers', () => {
+    const tiers = [
+      { name: '1s', resolution: 1000, retention: 5000 },
+      { name: '5s', resolution: 5000, retention: 60000 }
+    ];
+
+    test('should reject tiers that are not multiples of the previous one', () => {
+      expect(() => new Rollups([
+        { name: '1s', resolution: 1000, retention: 5000 },
+        { name: '1500ms', resolution: 1500, retention: 5000 }
+      ])).toThrow('must be a multiple of 1s');
+    });
+
+    test('should build each tier from the one below and drop rollups past retention', () => {
+      const rollups = new Rollups(tiers);
+      for (let t = 0; t < 20000; t += 100) {
+        rollups.add(createSample(t));
+      }
+
+      const [seconds, fives] = rollups.tiers;
+      // 19 closed seconds, those within 5 s of the newest kept
+      expect(seconds.entries.map(r => r.timestamp)).toEqual([13900, 14900, 15900, 16900, 17900, 18900]);
+      expect(seconds.entries[0].rollup.samples).toBe(10);
+      // 5 s buckets close when the first second of the next one closes
+      expect(fives.entries.map(r => r.rollup.from)).toEqual([0, 5000, 10000]);
+      expect(fives.entries[0].rollup.samples).toBe(50);
+      expect(rollups.getStats()).toEqual([
+        { name: '1s', resolution: 1000, retention: 5000, count: 6, oldest: 13000, bytes: expect.any(Number) },
+        { name: '5s', resolution: 5000, retention: 60000, count: 3, oldest: 0, bytes: expect.any(Number) }
+      ]);
+    });
+
+    test('should evict the oldest rollups of the largest tier first', () => {
+      const rollups = new Rollups(tiers);
+      for (let t = 0; t < 19000; t += 100) {
+        rollups.add(createSample(t));
+      }
+      const [largest, other] = rollups.tiers.slice().sort((a, b) => b.bytes - a.bytes);
+      const oldest = largest.entries[1].timestamp;
+      const otherCount = other.entries.length;
+      const before = rollups.byteLength;
+
+      expect(rollups.evict(1)).toBe(1);
+
+      expect(largest.entries[0].timestamp).toBe(oldest);
+      expect(other.entries).toHaveLength(otherCount);
+      expect(rollups.byteLength).toBeLessThan(before);
+      expect(rollups.evict(Infinity)).toBeGreaterThan(0);
+      expect(rollups.getStats().map(tier => tier.count)).toEqual([0, 0]);
+    });
+
+    test('should continue a coarse tier with finer rollups', () => {
+      const rollups = new Rollups(tiers);
+      for (let t = 0; t < 12000; t += 100) {
+        rollups.add(createSample(t));
+      }
+
+      expect(rollups.select(3000).name).toBe('5s');
+      expect(rollups.select(8000).name).toBe('1s');
+
+      const { samples, until } = rollups.read(rollups.getTier('5s'));
+      expect(samples.map(r => r.rollup.resolution)).toEqual([5000, 5000, 1000]);
+      expect(samples.map(r => r.timestamp)).toEqual([4900, 9900, 10900]);
+      expect(until).toBe(10900);
+    });
+  });
+
+  describe('with MetricsCollector', () => {
+    let collector;
+
+    afterEach(() => {
+      collector.destroy();
+    });
+
+    // Samples every 100 ms over the last 20 seconds
+    const fill = () => {
+      const now = Date.now();
+      for (let t = now - 20000; t <= now; t += 100) {
+        collector.addSample(createSample(t));
+      }
+      return now;
+    };
+
+    test('should read ranges older than the ring buffer from the finest tier covering them', () => {
+      collector = new MetricsCollector({
+        historySize: 20,
+        rollups: [
+          { name: '1s', resolution: 1000, retention: 10000 },
+          { name: '5s', resolution: 5000, retention: 60000 }
+        ]
+      });
+      const now = fill();
+
+      const recent = collector.getHistory({ duration: 1500 });
+      expect(recent.every(s => !s.rollup)).toBe(true);
+
+      const last8s = collector.getHistory({ duration: 8000 });
+      expect(last8s[0].rollup.resolution).toBe(1000);
+      expect(last8s[last8s.length - 1]).toBe(collector.getLatestSample());
+      expect(last8s.filter(s => !s.rollup).length).toBeLessThanOrEqual(20);
+
+      const last18s = collector.getHistory({ startTime: now - 18000 });
+      expect(last18s[0].rollup.resolution).toBe(5000);
+
+      const timestamps = last18s.map(s => s.timestamp);
+      expect(timestamps).toEqual([...timestamps].sort((a, b) => a - b));
+      expect(new Set(timestamps).size).toBe(timestamps.length);
+
+      expect(collector.getHistory({ duration: 8000, resolution: 'raw' })).toHaveLength(20);
+      expect(() => collector.getHistory({ resolution: '1d' })).toThrow('Unknown resolution: 1d');
+    });
+
+    test('should aggregate long windows from rollups', () => {
+      collector = new MetricsCollector({ historySize: 20 });
+      fill();
+
+      const aggregated = collector.getAggregatedMetrics('1h');
+      expect(aggregated.timeWindow.resolution).toBe('10s');
+      expect(aggregated.requests.rate).toBeCloseTo(100, 0);
+      expect(collector.getTimeSeries('lag', { duration: 60 * 60 * 1000 })[0].interval).toBeGreaterThan(100);
+      expect(collector.getStats().rollups[0]).toMatchObject({ name: '10s', resolution: 10000 });
+    });
+
+    test('should keep raw samples only with rollups disabled', () => {
+      collector = new MetricsCollector({ historySize: 20, rollups: false });
+      fill();
+
+      expect(collector.getHistory({ duration: 60000 })).toHaveLength(20);
+      expect(collector.getAggregatedMetrics('1h').timeWindow.resolution).toBe('raw');
+    });
+
+    test('should keep recording when a bucket has samples without ELU', () => {
+      collector = new MetricsCollector({
+        historySize: 20,
+        rollups: [{ name: '1s', resolution: 1000, retention: 10000 }]
+      });
+      const { elu, ...withoutELU } = createSample(500);
+      collector.addSample(withoutELU);
+
+      const recorded = [];
+      [1500, 2500, 3500].forEach(t => {
+        collector.addSample(createSample(t));
+        recorded.push(collector.getLatestSample().timestamp);
+      });
+
+      expect(recorded).toEqual([1500, 2500, 3500]);
+      const [first, ...rest] = collector.rollups.getTier('1s').entries;
+      expect(first.elu).toBeUndefined();
+      expect(rest.map(r => r.elu)).toEqual([elu, elu]);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+const SampleColumns = require('../src/core/SampleColumns');
+const MetricsCollector = require('../src/core/MetricsCollector');
+
+function createSample(timestamp) {
+  const heapUsed = 5097320;
+  return {
+    timestamp,
+    interval: 101,
+    lag: {
+      min: 10.1, max: 10.2, mean: 10.15, stddev: 0.03, p50: 10.16, p90: 10.2, p95: 10.2, p99: 10.2, p999: 10.2,
+      histogram: { precision: 0.01, count: 2, sum: 20.3, min: 10.1, max: 10.2, counts: { 926: 1, 927: 1 } }
+    },
+    elu: { utilization: 0.02, active: 2, idle: 99 },
+    memory: {
+      heapUsed, heapTotal: 7053312, external: 1836402, rss: 53215232, arrayBuffers: 157255,
+      heapUsedMB: (heapUsed / 1024 / 1024).toFixed(2),
+      heapTotalMB: (7053312 / 1024 / 1024).toFixed(2),
+      rssMB: (53215232 / 1024 / 1024).toFixed(2),
+      externalMB: (1836402 / 1024 / 1024).toFixed(2)
+    },
+    handles: { active: 2, requests: 0, total: 2, byType: { Timeout: 2 } },
+    gc: {
+      count: 1, totalPause: 1.5, maxPause: 1.5,
+      byKind: { minor: { count: 1, totalPause: 1.5, maxPause: 1.5 }, major: { count: 0, totalPause: 0, maxPause: 0 } }
+    },
+    requests: {
+      count: 2, totalTime: 24, avgTime: 12, inFlight: 1, maxInFlight: 2, p50: 11, p95: 14, p99: 15, max: 15,
+      byMethod: { GET: 2 }, byStatus: { 200: 2 },
+      routes: [{ method: 'GET', route: '/', status: 200, count: 2, totalTime: 24 }]
+    },
+    system: { voluntaryContextSwitches: 11, fsRead: 0, fsWrite: 1, maxRSS: 51968, sharedMemorySize: 0 },
+    custom: { queue_depth: { type: 'gauge', value: 3 } }
+  };
+}
+
+describe('SampleColumns', () => {
+  test('should materialize samples exactly as they were written', () => {
+    const store = new SampleColumns(4);
+    const full = createSample(1000);
+    const partial = { timestamp: 1100, lag: { min: 1, max: 2 }, custom: { jobs: { type: 'counter', value: 4, delta: 1 } } };
+
+    store.write(0, full);
+    store.write(1, partial);
+
+    expect(store.read(0)).toEqual(full);
+    expect(store.read(1)).toEqual(partial);
+    expect(store.read(1)).not.toHaveProperty('interval');
+    expect(store.read(1).lag).not.toHaveProperty('mean');
+  });
+
+  test('should keep numbers in columns and the rest as extras', () => {
+    const store = new SampleColumns(2);
+    store.write(0, createSample(1000));
+
+    expect(store.column('lag.max')[0]).toBe(10.2);
+    expect(store.column('gc.byKind.minor.totalPause')[0]).toBe(1.5);
+    expect(store.get(0, 'requests.inFlight')).toBe(1);
+    expect(store.get(1, 'requests.inFlight')).toBeUndefined();
+    expect(store.column('threadpool.latency')).toBeNull();
+
+    const extras = store.extrasOf(0);
+    expect(extras.lag).toEqual({ histogram: expect.any(Object) });
+    expect(extras.memory).toBeUndefined();
+    expect(extras.system).toEqual({ sharedMemorySize: 0 });
+    expect(extras.requests).toEqual({
+      byMethod: { GET: 2 },
+      byStatus: { 200: 2 },
+      routes: expect.any(Array)
+    });
+
+    expect(store.has(0, 'gc.byKind.major')).toBe(true);
+    expect(store.has(0, 'gc.byKind.weakcb')).toBe(false);
+    expect(store.has(0, 'custom')).toBe(true);
+    expect(store.slotsWith([0, 1], 'lag')).toEqual([0]);
+    expect(store.group(0, 'system')).toEqual(createSample(1000).system);
+  });
+
+  test('should keep MB strings that do not match their byte counts', () => {
+    const store = new SampleColumns(1);
+    const sample = { timestamp: 1000, memory: { heapUsed: 1048576, heapUsedMB: '2.00' } };
+
+    store.write(0, sample);
+
+    expect(store.read(0)).toEqual(sample);
+  });
+
+  test('should forget what a reused slot held before', () => {
+    const store = new SampleColumns(1);
+    store.write(0, createSample(1000));
+    store.write(0, { timestamp: 2000, elu: { utilization: 0.5 } });
+
+    expect(store.read(0)).toEqual({ timestamp: 2000, elu: { utilization: 0.5 } });
+    expect(Number.isNaN(store.column('lag.max')[0])).toBe(true);
+  });
+
+  describe('in MetricsCollector', () => {
+    let collector;
+
+    afterEach(() => {
+      collector.destroy();
+    });
+
+    test('should return history, aggregates and time series from the columns', () => {
+      collector = new MetricsCollector({ historySize: 3, rollups: false });
+      const now = Date.now();
+      const samples = [0, 1, 2, 3].map(i => createSample(now - (3 - i) * 100));
+      samples.forEach(sample => collector.addSample(sample));
+
+      const history = collector.getHistory();
+      expect(history).toEqual(samples.slice(1));
+      expect(Object.isFrozen(history[0])).toBe(true);
+      expect(history[2]).toBe(collector.getLatestSample());
+
+      const aggregated = collector.getAggregatedMetrics('1m');
+      expect(aggregated.timeWindow.sampleCount).toBe(3);
+      expect(aggregated.requests.byMethod).toEqual({ GET: 6 });
+      expect(aggregated.gc.byKind.minor).toEqual({ count: 3, totalPause: 4.5, maxPause: 1.5 });
+      expect(aggregated.system.sharedMemorySize).toEqual({ min: 0, max: 0, mean: 0, median: 0 });
+      expect(aggregated.lag.distribution.count).toBe(6);
+
+      expect(collector.getTimeSeries('system', 1)).toEqual([
+        { timestamp: samples[3].timestamp, interval: 101, ...samples[3].system }
+      ]);
+      expect(collector.getTimeSeries('lag', { sortOrder: 'desc' })[0].max).toBe(10.2);
+      expect(collector.getTimeSeries('resources')[0]).toEqual({ timestamp: samples[1].timestamp, Timeout: 2 });
+    });
+
+    test('should build time series and aggregates without materializing samples', () => {
+      collector = new MetricsCollector({ historySize: 100, rollups: false });
+      const now = Date.now();
+      for (let i = 0; i < 100; i++) {
+        collector.addSample(createSample(now - (99 - i) * 100));
+      }
+      const read = jest.spyOn(collector.ring, 'read');
+
+      expect(collector.getTimeSeries('lag')).toHaveLength(100);
+      expect(collector.getTimeSeries('elu', { duration: 5000 }).length).toBeGreaterThan(0);
+      expect(collector.getAggregatedMetrics('1m').timeWindow.sampleCount).toBeGreaterThan(0);
+      expect(read).not.toHaveBeenCalled();
+    });
+  });
+
+  // Child process, for a heap of its own and --expose-gc
+  describe('benchmark at 100k samples', () => {
+    let results;
+
+    beforeAll(() => {
+      const output = execFileSync(
+        process.execPath,
+        ['--expose-gc', path.join(__dirname, 'fixtures', 'ring-benchmark.js'), '100000'],
+        { encoding: 'utf8', timeout: 110000 }
+      );
+      results = JSON.parse(output);
+    }, 120000);
+
+    test('should retain less memory than sample objects', () => {
+      expect(results.memory.columns).toBeLessThan(results.memory.objects * 0.6);
+    });
+
+    // Median ratios of paired runs, with room for noisy machines
+    test('should aggregate no slower than scanning sample objects', () => {
+      expect(results.ratio.aggregate).toBeLessThan(1);
+    });
+
+    test('should build time series about as fast as from sample objects', () => {
+      expect(results.ratio.timeSeries).toBeLessThan(2);
+    });
+  });
+});
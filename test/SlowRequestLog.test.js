@@ -0,0 +1,80 @@
+const SlowRequestLog = require('../src/core/SlowRequestLog');
+
+function createRequest(startTime, duration, overrides = {}) {
+  return {
+    route: '/users/:id',
+    path: '/users/1',
+    method: 'GET',
+    statusCode: 200,
+    aborted: false,
+    startTime,
+    endTime: startTime + duration,
+    duration,
+    ...overrides
+  };
+}
+
+function createSample(timestamp, maxLag, interval) {
+  return { timestamp, interval, lag: { max: maxLag } };
+}
+
+describe('SlowRequestLog', () => {
+  let log;
+
+  beforeEach(() => {
+    log = new SlowRequestLog({ threshold: 500, maxEntries: 3 });
+  });
+
+  test('should only treat requests over the threshold as slow', () => {
+    expect(log.isSlow(499)).toBe(false);
+    expect(log.isSlow(500)).toBe(true);
+  });
+
+  test('should judge requests by the share of lag in their duration', () => {
+    expect(log.judge(2000, 1500)).toBe(SlowRequestLog.LOOP_BOUND);
+    expect(log.judge(2000, 1000)).toBe(SlowRequestLog.LOOP_BOUND);
+    expect(log.judge(2000, 40)).toBe(SlowRequestLog.IO_BOUND);
+  });
+
+  test('should settle requests with the max lag of the samples since they started', () => {
+    log.hold(createRequest(1000, 2000));
+    const samples = [
+      createSample(900, 1800), // before the request started
+      createSample(2000, 1400),
+      createSample(3100, 20)
+    ];
+
+    const [entry] = log.settle(samples);
+    expect(entry).toMatchObject({ id: 1, route: '/users/:id', maxLag: 1400, verdict: 'loop-bound' });
+    expect(log.getEntries()).toEqual([entry]);
+    expect(log.settle(samples)).toEqual([]);
+  });
+
+  test('should cap the lag of a sample at the time the request ran during it', () => {
+    log.hold(createRequest(1000, 1000));
+    const samples = [
+      createSample(1500, 10, 500),
+      createSample(1990, 20, 490),
+      // Another request blocked the loop after this one ended at 2000
+      createSample(2900, 800, 910)
+    ];
+
+    const [entry] = log.settle(samples);
+    expect(entry.maxLag).toBe(20);
+    expect(entry.verdict).toBe(SlowRequestLog.IO_BOUND);
+  });
+
+  test('should keep the most recent entries', () => {
+    [1, 2, 3, 4].forEach(i => log.hold(createRequest(i * 1000, 600)));
+    log.settle([]);
+
+    expect(log.getEntries().map(e => e.id)).toEqual([2, 3, 4]);
+    expect(log.getEntries(1).map(e => e.id)).toEqual([4]);
+
+    log.add([{ ...log.getEntries(1)[0], id: 9 }]);
+    expect(log.getEntries().map(e => e.id)).toEqual([3, 4, 9]);
+
+    log.clear();
+    expect(log.getEntries()).toEqual([]);
+  });
+});
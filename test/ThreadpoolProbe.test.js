@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const ThreadpoolProbe = require('../src/core/ThreadpoolProbe');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const pbkdf2 = (iterations) => new Promise((resolve, reject) => {
+  crypto.pbkdf2('password', 'salt', iterations, 32, 'sha256', (error) => (error ? reject(error) : resolve()));
+});
+
+describe('ThreadpoolProbe', () => {
+  let probe;
+
+  afterEach(() => {
+    if (probe) {
+      probe.stop();
+      probe = null;
+    }
+  });
+
+  test('should reject unknown probe methods', () => {
+    expect(() => new ThreadpoolProbe({ method: 'dns' })).toThrow(TypeError);
+  });
+
+  test('should have nothing to report before it runs', () => {
+    probe = new ThreadpoolProbe();
+    expect(probe.drain()).toBeNull();
+  });
+
+  test.each(['fs', 'crypto'])('should measure queue latency with the %s probe', async (method) => {
+    probe = new ThreadpoolProbe({ method, interval: 20 });
+    probe.start();
+
+    await sleep(150);
+
+    const metrics = probe.drain();
+    expect(metrics.count).toBeGreaterThan(0);
+    expect(metrics.latency).toBeGreaterThanOrEqual(0);
+    expect(metrics.p99).toBeGreaterThanOrEqual(metrics.p50);
+    expect(metrics.histogram.count).toBe(metrics.count);
+
+    // Drained: only what completes from now on is reported
+    const next = probe.drain();
+    expect(next === null || next.count <= 1).toBe(true);
+  });
+
+  test('should report a probe stuck behind a saturated pool', async () => {
+    // Calibrate to roughly 100ms of hashing per task
+    const start = Date.now();
+    crypto.pbkdf2Sync('password', 'salt', 20000, 32, 'sha256');
+    const iterations = Math.ceil((20000 * 100) / Math.max(1, Date.now() - start));
+
+    const size = Number(process.env.UV_THREADPOOL_SIZE) || 4;
+    const busy = Promise.all(Array.from({ length: size }, () => pbkdf2(iterations)));
+
+    probe = new ThreadpoolProbe({ interval: 1000 });
+    probe.start();
+
+    await sleep(40);
+    const queued = probe.drain();
+    expect(queued.pending).toBe(1);
+    expect(queued.pendingFor).toBeGreaterThanOrEqual(30);
+    expect(queued.latency).toBe(queued.pendingFor);
+
+    await busy;
+    await sleep(20);
+
+    const done = probe.drain();
+    expect(done.pending).toBe(0);
+    expect(done.count).toBe(1);
+    expect(done.latency).toBeGreaterThanOrEqual(40);
+  });
+
+  test('should ignore a probe that comes back after stop()', async () => {
+    probe = new ThreadpoolProbe({ interval: 1000 });
+    probe.start();
+    probe.stop();
+
+    await sleep(50);
+
+    expect(probe.drain()).toBeNull();
+  });
+});
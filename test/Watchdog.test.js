@@ -0,0 +1,224 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Watchdog = require('../src/core/Watchdog');
+const EventLoopMonitor = require('../src/core/EventLoopMonitor');
+const { sleep, waitFor } = require('./setup.js');
+
+function blockFor(ms) {
+  const end = Date.now() + ms;
+  while (Date.now() < end) {
+    // Busy wait to block the event loop
+  }
+}
+
+describe('Watchdog', () => {
+  let watchdog;
+  let monitor;
+
+  afterEach(async () => {
+    if (watchdog) {
+      await watchdog.stop();
+      watchdog = null;
+    }
+    if (monitor && monitor.isActive()) {
+      monitor.stop();
+    }
+    monitor = null;
+    await sleep(50);
+  });
+
+  describe('Constructor', () => {
+    test('should derive intervals from budget', () => {
+      watchdog = new Watchdog({ budget: 400 });
+      expect(watchdog.options.budget).toBe(400);
+      expect(watchdog.options.heartbeatInterval).toBe(100);
+      expect(watchdog.options.checkInterval).toBe(40);
+    });
+
+    test('should not be running until started', () => {
+      watchdog = new Watchdog();
+      expect(watchdog.isRunning).toBe(false);
+      expect(watchdog.getStacks()).toEqual([]);
+    });
+  });
+
+  describe('Stack capture', () => {
+    test('should capture the stack of blocking code', async () => {
+      watchdog = new Watchdog({ budget: 100 });
+      watchdog.start();
+      await sleep(100);
+
+      function suspiciousSynchronousWork() {
+        blockFor(500);
+      }
+      suspiciousSynchronousWork();
+
+      await waitFor(() => watchdog.getStacks().length > 0, 3000, 20);
+
+      const [capture] = watchdog.getStacks();
+      expect(capture.blockedFor).toBeGreaterThanOrEqual(100);
+      expect(capture.frames.length).toBeGreaterThan(0);
+      expect(capture.frames[0].functionName).toBe('blockFor');
+      expect(capture.stack).toContain('suspiciousSynchronousWork');
+    });
+
+    test('should capture a single stack per stall', async () => {
+      watchdog = new Watchdog({ budget: 100 });
+      watchdog.start();
+      await sleep(100);
+
+      blockFor(600);
+      await waitFor(() => watchdog.getStacks().length > 0, 3000, 20);
+      await sleep(200);
+
+      expect(watchdog.getStacks()).toHaveLength(1);
+    });
+
+    test('should drain pending stacks once', async () => {
+      watchdog = new Watchdog({ budget: 100 });
+      watchdog.start();
+      await sleep(100);
+
+      blockFor(400);
+      await waitFor(() => watchdog.getStacks().length > 0, 3000, 20);
+
+      expect(watchdog.drainPending()).toHaveLength(1);
+      expect(watchdog.drainPending()).toHaveLength(0);
+      expect(watchdog.getStacks()).toHaveLength(1);
+    });
+
+    test('should let the thread exit after capturing a stack', async () => {
+      watchdog = new Watchdog({ budget: 100 });
+      watchdog.start();
+      await sleep(100);
+
+      blockFor(400);
+      await waitFor(() => watchdog.getStacks().length > 0, 3000, 20);
+      const { worker } = watchdog;
+      await watchdog.stop();
+
+      expect(worker.threadId).toBe(-1);
+      expect(watchdog.isRunning).toBe(false);
+    });
+  });
+
+  describe('Stall detection', () => {
+    test('should emit stall-start and stall-end with the duration', async () => {
+      watchdog = new Watchdog({ budget: 100, captureStacks: false });
+      const events = [];
+      watchdog.on('stall-start', (stall) => events.push(['start', stall]));
+      watchdog.on('stall-end', (stall) => events.push(['end', stall]));
+      watchdog.start();
+      await sleep(100);
+
+      blockFor(500);
+      await waitFor(() => events.length >= 2, 3000, 20);
+
+      const [[startType, start], [endType, end]] = events;
+      expect(startType).toBe('start');
+      expect(start.detectedAt - start.startedAt).toBeGreaterThan(100);
+      expect(start.detectedAt).toBeLessThan(end.endedAt);
+      expect(endType).toBe('end');
+      expect(end.id).toBe(start.id);
+      expect(end.duration).toBeGreaterThanOrEqual(450);
+      expect(end.duration).toBeLessThan(1000);
+      expect(watchdog.getStalls()).toHaveLength(1);
+      expect(watchdog.currentStall).toBeNull();
+    });
+
+    test('should attach the captured stack to the stall', async () => {
+      watchdog = new Watchdog({ budget: 100 });
+      watchdog.start();
+      await sleep(100);
+
+      blockFor(400);
+      await waitFor(() => watchdog.getStalls().length > 0, 3000, 20);
+
+      expect(watchdog.getStalls()[0].stack).toContain('blockFor');
+    });
+
+    test('should write a diagnostic report during a stall', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'elmd-report-'));
+      watchdog = new Watchdog({
+        budget: 100,
+        captureStacks: false,
+        report: { after: 150, directory },
+      });
+      const reports = [];
+      watchdog.on('stall-report', (report) => reports.push(report));
+      watchdog.start();
+      await sleep(100);
+
+      function hangingHandler() {
+        blockFor(600);
+      }
+      hangingHandler();
+      await waitFor(() => watchdog.getStalls().length > 0, 3000, 20);
+
+      expect(reports).toHaveLength(1);
+      expect(reports[0].error).toBeNull();
+      expect(watchdog.getStalls()[0].reportFile).toBe(reports[0].file);
+
+      const report = JSON.parse(fs.readFileSync(reports[0].file, 'utf8'));
+      expect(report.javascriptStack.stack.join('\n')).toContain('hangingHandler');
+
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should call the alert module on the watchdog thread', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'elmd-alert-'));
+      const marker = path.join(directory, 'alert.log');
+      const alertModule = path.join(directory, 'alert.js');
+      fs.writeFileSync(
+        alertModule,
+        `const fs = require('fs');
+module.exports = (event) => fs.appendFileSync(${JSON.stringify(marker)}, event.type + '\\n');`
+      );
+
+      watchdog = new Watchdog({ budget: 100, captureStacks: false, alertModule });
+      watchdog.start();
+      await sleep(100);
+
+      // The alert module runs while the main thread is still blocked
+      const end = Date.now() + 1500;
+      while (Date.now() < end && !fs.existsSync(marker)) {
+        // Busy wait to block the event loop
+      }
+      expect(fs.existsSync(marker)).toBe(true);
+
+      await waitFor(() => watchdog.getStalls().length > 0, 3000, 20);
+      await sleep(50);
+      expect(fs.readFileSync(marker, 'utf8').trim().split('\n')).toEqual(['stall-start', 'stall-end']);
+
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+  });
+
+  describe('EventLoopMonitor integration', () => {
+    test('should attach captured stacks to samples', async () => {
+      monitor = new EventLoopMonitor({
+        sampleInterval: 50,
+        watchdog: { budget: 100 },
+      });
+      monitor.start();
+      await sleep(100);
+
+      blockFor(400);
+
+      await waitFor(
+        () => monitor.getHistory().some((s) => s.blockingStacks && s.blockingStacks.length > 0),
+        3000,
+        20
+      );
+
+      expect(monitor.getBlockingStacks()).toHaveLength(1);
+    });
+
+    test('should return no stacks when watchdog is disabled', () => {
+      monitor = new EventLoopMonitor();
+      monitor.start();
+      expect(monitor.getBlockingStacks()).toEqual([]);
+    });
+  });
+});
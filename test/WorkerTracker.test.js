@@ -0,0 +1,133 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const EventLoopMonitor = require('../src/core/EventLoopMonitor');
+const { formatPrometheusMetrics } = require('../src/exporters/prometheus');
+const { startWorkerReporter } = require('../src/core/workerReporter');
+const { sleep, waitFor } = require('./setup.js');
+
+const reporterPath = path.join(__dirname, '../src/core/workerReporter.js');
+
+// Worker that reports its lag and blocks its own loop for 20ms every 50ms
+function startBusyWorker() {
+  return new Worker(
+    `
+      const { startWorkerReporter } = require(${JSON.stringify(reporterPath)});
+      startWorkerReporter({ interval: 100 });
+      setInterval(() => {
+        const end = Date.now() + 20;
+        while (Date.now() < end) {}
+      }, 50);
+    `,
+    { eval: true }
+  );
+}
+
+describe('Worker Thread Monitoring', () => {
+  let monitor;
+  let worker;
+
+  beforeEach(() => {
+    monitor = new EventLoopMonitor({ sampleInterval: 100 });
+  });
+
+  afterEach(async () => {
+    monitor.stop();
+    if (worker) {
+      await worker.terminate();
+      worker = null;
+    }
+  });
+
+  test('should register workers with a name', () => {
+    worker = startBusyWorker();
+
+    const info = monitor.addWorker(worker, { name: 'pipeline' });
+
+    expect(info.name).toBe('pipeline');
+    expect(info.threadId).toBe(worker.threadId);
+    expect(monitor.getWorkers()).toHaveLength(1);
+  });
+
+  test('should default the name to the thread id', () => {
+    worker = startBusyWorker();
+
+    const info = monitor.addWorker(worker);
+
+    expect(info.name).toBe(`worker-${worker.threadId}`);
+  });
+
+  test('should reject values that are not workers', () => {
+    expect(() => monitor.addWorker({})).toThrow(TypeError);
+  });
+
+  test('should collect ELU and lag for each worker', async () => {
+    worker = startBusyWorker();
+    monitor.addWorker(worker, { name: 'pipeline' });
+    monitor.start();
+
+    await waitFor(() =>
+      monitor.getHistory().some(s => s.workers && s.workers[0].lag)
+    );
+
+    const samples = monitor.getHistory().filter(s => s.workers);
+    const withLag = samples.find(s => s.workers[0].lag);
+
+    expect(samples[samples.length - 1].workers[0].name).toBe('pipeline');
+    expect(Math.max(...samples.map(s => s.workers[0].elu.utilization))).toBeGreaterThan(0);
+    expect(withLag.workers[0].lag.max).toBeGreaterThan(0);
+  });
+
+  test('should export labelled Prometheus series', async () => {
+    worker = startBusyWorker();
+    monitor.addWorker(worker, { name: 'pipeline' });
+    monitor.start();
+
+    await waitFor(() =>
+      monitor.getCurrentMetrics() && monitor.getCurrentMetrics().workers
+    );
+
+    const text = formatPrometheusMetrics(monitor);
+    expect(text).toMatch(
+      new RegExp(`nodejs_eventloop_worker_utilization\\{thread="pipeline",thread_id="${worker.threadId}"\\}`)
+    );
+  });
+
+  test('should escape worker names in Prometheus labels', async () => {
+    worker = startBusyWorker();
+    monitor.addWorker(worker, { name: 'a"b\\c\nd' });
+    monitor.start();
+
+    await waitFor(() =>
+      monitor.getCurrentMetrics() && monitor.getCurrentMetrics().workers
+    );
+
+    const text = formatPrometheusMetrics(monitor);
+    expect(text).toContain(
+      `nodejs_eventloop_worker_utilization{thread="a\\"b\\\\c\\nd",thread_id="${worker.threadId}"}`
+    );
+  });
+
+  test('should remove workers when they exit', async () => {
+    worker = startBusyWorker();
+    monitor.addWorker(worker);
+
+    await worker.terminate();
+    await sleep(50);
+    worker = null;
+
+    expect(monitor.getWorkers()).toHaveLength(0);
+  });
+
+  test('should stop monitoring removed workers', () => {
+    worker = startBusyWorker();
+    monitor.addWorker(worker);
+
+    expect(monitor.removeWorker(worker)).toBe(true);
+    expect(monitor.removeWorker(worker)).toBe(false);
+    expect(worker.listenerCount('message')).toBe(0);
+  });
+
+  test('startWorkerReporter should refuse to run on the main thread', () => {
+    expect(() => startWorkerReporter()).toThrow(/worker thread/);
+  });
+});
@@ -0,0 +1,186 @@
+const path = require('path');
+const cluster = require('cluster');
+const request = require('supertest');
+const ClusterAggregator = require('../src/cluster/ClusterAggregator');
+const { combineSamples } = require('../src/cluster/ClusterAggregator');
+const { waitFor } = require('./setup.js');
+
+function createSample(timestamp, overrides = {}) {
+  return {
+    timestamp,
+    lag: { min: 1, max: 5, mean: 3, stddev: 1, p50: 3, p90: 4, p95: 4, p99: 5, p999: 5 },
+    elu: { utilization: 0.5, active: 50, idle: 50 },
+    memory: { heapUsed: 1024 * 1024, heapTotal: 2 * 1024 * 1024, external: 0, rss: 4 * 1024 * 1024 },
+    requests: { count: 10, totalTime: 100, avgTime: 10 },
+    ...overrides
+  };
+}
+
+describe('combineSamples()', () => {
+  test('should take the worst lag and sum resources', () => {
+    const combined = combineSamples([
+      createSample(1000),
+      createSample(1000, {
+        lag: { min: 0.5, max: 50, mean: 20, stddev: 5, p50: 10, p90: 30, p95: 40, p99: 50, p999: 50 },
+        elu: { utilization: 0.9, active: 90, idle: 10 },
+        requests: { count: 30, totalTime: 900, avgTime: 30 }
+      })
+    ], 2000);
+
+    expect(combined.timestamp).toBe(2000);
+    expect(combined.lag.min).toBe(0.5);
+    expect(combined.lag.max).toBe(50);
+    expect(combined.lag.p99).toBe(50);
+    expect(combined.lag.mean).toBe(11.5);
+    expect(combined.elu.utilization).toBeCloseTo(0.7);
+    expect(combined.memory.heapUsed).toBe(2 * 1024 * 1024);
+    expect(combined.memory.heapUsedMB).toBe('2.00');
+    expect(combined.requests.count).toBe(40);
+    expect(combined.requests.avgTime).toBe(25);
+  });
+
+  test('should sum custom metrics', () => {
+    const combined = combineSamples([
+      createSample(1000, { custom: { jobs: { type: 'counter', value: 10, delta: 2 } } }),
+      createSample(1000, { custom: { jobs: { type: 'counter', value: 5, delta: 1 } } })
+    ], 2000);
+
+    expect(combined.custom.jobs).toEqual({ type: 'counter', value: 15, delta: 3 });
+  });
+
+  test('should concatenate slow requests in the order they ended', () => {
+    const combined = combineSamples([
+      createSample(1000, { slowRequests: [{ id: 1, endTime: 900, verdict: 'io-bound' }] }),
+      createSample(1000),
+      createSample(1000, { slowRequests: [{ id: 1, endTime: 800, verdict: 'loop-bound' }] })
+    ], 2000);
+
+    expect(combined.slowRequests.map(r => r.endTime)).toEqual([800, 900]);
+    expect(combineSamples([createSample(1000)], 2000).slowRequests).toBeUndefined();
+  });
+
+  test('should merge measured operations by name', () => {
+    const combined = combineSamples([
+      createSample(1000, { operations: { render: { count: 2, totalTime: 30, maxTime: 20 } } }),
+      createSample(1000, { operations: { render: { count: 1, totalTime: 40, maxTime: 40 } } })
+    ], 2000);
+
+    expect(combined.operations.render).toEqual({ count: 3, totalTime: 70, maxTime: 40 });
+  });
+});
+
+describe('Cluster Mode', () => {
+  let aggregator;
+  let workers = [];
+  const ports = new Map();
+
+  beforeAll(async () => {
+    aggregator = new ClusterAggregator({ sampleInterval: 50 });
+    aggregator.start();
+
+    // setupPrimary is setupMaster before Node 16
+    (cluster.setupPrimary || cluster.setupMaster).call(cluster, {
+      exec: path.join(__dirname, 'fixtures/cluster-worker.js'),
+      silent: true
+    });
+
+    const onMessage = (worker, message) => {
+      if (message && message.type === 'test:listening') {
+        ports.set(worker.id, message.port);
+      }
+    };
+    cluster.on('message', onMessage);
+
+    workers = [cluster.fork(), cluster.fork()];
+    await waitFor(() => ports.size === 2, 15000);
+    await waitFor(() => {
+      const reporting = aggregator.getWorkers();
+      return reporting.length === 2 && reporting.every(w => w.samples > 2);
+    }, 5000);
+
+    cluster.removeListener('message', onMessage);
+  }, 30000);
+
+  afterAll(async () => {
+    await Promise.all(workers.map(worker => new Promise(resolve => {
+      worker.once('exit', resolve);
+      worker.send({ type: 'test:shutdown' });
+    })));
+    aggregator.stop();
+  }, 15000);
+
+  function workerUrl(worker) {
+    return `http://127.0.0.1:${ports.get(worker.id)}`;
+  }
+
+  test('should keep a history per worker', () => {
+    const reported = aggregator.getWorkers().map(w => w.id).sort();
+    expect(reported).toEqual(workers.map(w => w.id).sort());
+
+    workers.forEach((worker) => {
+      const view = aggregator.getMonitor(worker.id);
+      expect(view.getHistory().length).toBeGreaterThan(0);
+      expect(view.getConfig().worker.pid).toBe(worker.process.pid);
+    });
+  });
+
+  test('should build a combined history', async () => {
+    await waitFor(() => aggregator.getMonitor('all').getHistory().length > 0);
+    expect(aggregator.getMonitor('all').getCurrentMetrics().lag).toBeDefined();
+  });
+
+  test('should list the cluster workers from any worker', async () => {
+    const response = await request(workerUrl(workers[0])).get('/event-loop-stats/api/cluster');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.enabled).toBe(true);
+    expect(response.body.data.workers).toHaveLength(2);
+  });
+
+  test('should serve another worker\'s view through the selector', async () => {
+    const other = workers[1];
+    const response = await request(workerUrl(workers[0]))
+      .get(`/event-loop-stats/api/config?worker=${other.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.worker.id).toBe(other.id);
+  });
+
+  test('should serve the combined dashboard by default', async () => {
+    const response = await request(workerUrl(workers[1])).get('/event-loop-stats/api/dashboard');
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('ok');
+    expect(response.body.data.current.lag).toBeDefined();
+  });
+
+  test('should answer 404 for unknown workers', async () => {
+    const response = await request(workerUrl(workers[0]))
+      .get('/event-loop-stats/api/current?worker=999');
+
+    expect(response.status).toBe(404);
+  });
+
+  test('should export every worker with a worker label', async () => {
+    const response = await request(workerUrl(workers[0])).get('/metrics');
+
+    expect(response.status).toBe(200);
+    workers.forEach((worker) => {
+      expect(response.text).toContain(`nodejs_eventloop_utilization{worker="${worker.id}",pid="${worker.process.pid}"}`);
+    });
+    expect(response.text.match(/# TYPE nodejs_eventloop_utilization gauge/g)).toHaveLength(1);
+  });
+
+  test('should report cluster mode as disabled outside a cluster', async () => {
+    const express = require('express');
+    const EventLoopMonitor = require('../src/core/EventLoopMonitor');
+    const createDashboardRoutes = require('../src/dashboard/routes');
+
+    const monitor = new EventLoopMonitor();
+    const app = express();
+    app.use(createDashboardRoutes(monitor));
+
+    const response = await request(app).get('/api/cluster');
+    expect(response.body.data).toEqual({ enabled: false, workers: [] });
+  });
+});
@@ -6,7 +6,11 @@ const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals
 const express = require('express');
 const request = require('supertest');
 const { eventLoopMonitor, getGlobalMonitor, cleanup } = require('../src/middleware/express');
+const { registry } = require('../src/core/MonitorRegistry');
 const { sleep } = require('./setup.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('Express Middleware', () => {
   let app;
@@ -118,9 +122,86 @@ describe('Express Middleware', () => {
       await sleep(200);
       
       const response = await request(app).get('/event-loop-stats/api/dashboard');
-      
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('ok');
+    });
+
+    test('should serve time series over a range and reject unknown resolutions', async () => {
+      await sleep(200);
+
+      const dashboard = await request(app).get('/event-loop-stats/api/dashboard?timeRange=86400');
+      expect(dashboard.body.status).toBe('ok');
+      expect(dashboard.body.data.timeSeries.lag.length).toBeGreaterThan(0);
+
+      const series = await request(app).get('/event-loop-stats/api/timeseries?metric=lag&duration=86400000');
+      expect(series.body.status).toBe('ok');
+      expect(series.body.data.length).toBeGreaterThan(0);
+
+      const unknown = await request(app).get('/event-loop-stats/api/timeseries?metric=lag&resolution=1d');
+      expect(unknown.status).toBe(500);
+      expect(unknown.body.message).toContain('Unknown resolution: 1d');
+    });
+
+    test('should serve blocking stacks', async () => {
+      const response = await request(app).get('/event-loop-stats/api/stacks');
+
       expect(response.status).toBe(200);
       expect(response.body.status).toBe('ok');
+      expect(response.body.enabled).toBe(false);
+      expect(response.body.data).toEqual([]);
+    });
+
+    test('should serve aggregated metrics for a named window', async () => {
+      await sleep(200);
+
+      const response = await request(app).get('/event-loop-stats/api/aggregated?window=5m');
+
+      expect(response.status).toBe(200);
+      expect(response.body.window).toBe('5m');
+      expect(response.body.duration).toBe(300000);
+      expect(response.body.data.lag.p99).toBeGreaterThanOrEqual(0);
+    });
+
+    test('should reject unknown aggregation windows', async () => {
+      const response = await request(app).get('/event-loop-stats/api/aggregated?window=2d');
+
+      expect(response.body.status).toBe('error');
+    });
+
+    test('should serve active resources', async () => {
+      await sleep(200);
+
+      const response = await request(app).get('/event-loop-stats/api/resources');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('ok');
+      expect(response.body.data.current.byType).toBeDefined();
+      expect(response.body.data.leaks).toEqual([]);
+    });
+
+    test('should serve heap space series with the dashboard data', async () => {
+      await sleep(200);
+
+      const response = await request(app).get('/event-loop-stats/api/dashboard');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.current.heap.spaces.old_space).toBeDefined();
+      expect(response.body.data.timeSeries.heap.old_space[0].usedMB).toBeGreaterThan(0);
+    });
+
+    test('should serve anomalies and the baselines they are judged by', async () => {
+      await sleep(200);
+
+      const response = await request(app).get('/event-loop-stats/api/anomalies?metric=lag');
+
+      expect(response.status).toBe(200);
+      expect(response.body.enabled).toBe(true);
+      expect(response.body.baselines.lag.samples).toBeGreaterThan(0);
+      expect(response.body.data).toEqual([]);
+
+      const dashboard = await request(app).get('/event-loop-stats/api/dashboard');
+      expect(dashboard.body.data.anomalies).toEqual([]);
     });
 
     test('should serve config', async () => {
@@ -157,6 +238,63 @@ describe('Express Middleware', () => {
     });
   });
 
+  describe('Blocker Tracking', () => {
+    beforeEach(() => {
+      app.use(eventLoopMonitor({ trackBlockers: true }));
+      app.get('/users/:id', (req, res) => {
+        const end = Date.now() + 30;
+        while (Date.now() < end) {
+          // Busy wait to block the event loop
+        }
+        res.send('OK');
+      });
+      app.get('/fast', (req, res) => {
+        setTimeout(() => res.send('OK'), 5);
+      });
+      server = app.listen(0);
+    });
+
+    test('should attribute loop time to the matched route', async () => {
+      await request(app).get('/users/1');
+      await request(app).get('/users/2');
+      await request(app).get('/fast');
+      await sleep(20);
+
+      const response = await request(app).get('/event-loop-stats/api/blockers');
+
+      expect(response.status).toBe(200);
+      expect(response.body.enabled).toBe(true);
+      const [top] = response.body.data;
+      expect(top.name).toBe('GET /users/:id');
+      expect(top.count).toBe(2);
+      expect(top.totalTime).toBeGreaterThanOrEqual(58);
+      expect(response.body.data.map(b => b.name)).toContain('GET /fast');
+    });
+
+    test('should attribute unmatched requests to one label per method', async () => {
+      await request(app).get('/missing/1');
+      await request(app).get('/missing/2?q=1');
+      await sleep(20);
+
+      const response = await request(app).get('/event-loop-stats/api/blockers');
+      const names = response.body.data.map(b => b.name);
+
+      expect(names).toContain('GET (unmatched)');
+      expect(names.filter(name => name.includes('/missing'))).toEqual([]);
+      expect(response.body.data.find(b => b.name === 'GET (unmatched)').count).toBeGreaterThanOrEqual(2);
+    });
+
+    test('should include blockers in dashboard data', async () => {
+      await request(app).get('/users/1');
+      await sleep(200);
+
+      const response = await request(app).get('/event-loop-stats/api/dashboard');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.blockers[0].name).toBe('GET /users/:id');
+    });
+  });
+
   describe('Custom Path', () => {
     beforeEach(() => {
       app.use(eventLoopMonitor({ path: '/custom-monitor' }));
@@ -213,6 +351,114 @@ describe('Express Middleware', () => {
     });
   });
 
+  describe('Named Monitors', () => {
+    test('should share the default monitor with the package entry point', () => {
+      app.use(eventLoopMonitor());
+
+      const monitor = require('../src/index').getGlobalMonitor();
+      expect(monitor).toBe(getGlobalMonitor());
+      expect(monitor.isActive()).toBe(true);
+    });
+
+    test('should serve the monitor named in the options', () => {
+      app.use(eventLoopMonitor({ monitor: 'api', sampleInterval: 40 }));
+
+      const monitor = registry.find('api');
+      expect(monitor.isActive()).toBe(true);
+      expect(monitor.getConfig().sampleInterval).toBe(40);
+      expect(getGlobalMonitor()).toBeNull();
+    });
+
+    test('should list registered monitors and switch between them', async () => {
+      app.use(eventLoopMonitor());
+      registry.start('jobs', { sampleInterval: 250 });
+      server = app.listen(0);
+
+      const list = await request(app).get('/event-loop-stats/api/monitors');
+      expect(list.status).toBe(200);
+      expect(list.body.data.current).toBe('default');
+      expect(list.body.data.monitors.map(m => m.name)).toEqual(['default', 'jobs']);
+      expect(list.body.data.monitors[1].active).toBe(true);
+
+      const config = await request(app).get('/event-loop-stats/api/config?monitor=jobs');
+      expect(config.body.data.sampleInterval).toBe(250);
+
+      const missing = await request(app).get('/event-loop-stats/api/config?monitor=nope');
+      expect(missing.status).toBe(404);
+      expect(missing.body.message).toBe('Monitor not found: nope');
+    });
+  });
+
+  describe('Request Metrics', () => {
+    test('should record requests by route pattern and status class', async () => {
+      app.use(eventLoopMonitor({ sampleInterval: 50 }));
+      app.get('/users/:id', (req, res) => {
+        res.status(req.params.id === '0' ? 404 : 200).json({ id: req.params.id });
+      });
+      server = app.listen(0);
+
+      await request(app).get('/users/1');
+      await request(app).get('/users/2');
+      await request(app).get('/users/0');
+      await sleep(150);
+
+      const response = await request(app).get('/event-loop-stats/api/requests');
+      expect(response.status).toBe(200);
+
+      const { data } = response.body;
+      expect(data.count).toBe(3);
+      expect(data.byStatus).toEqual({ '2xx': 2, '4xx': 1 });
+      expect(data.inFlight).toBe(0);
+
+      const route = data.routes.find(r => r.route === '/users/:id');
+      expect(route).toMatchObject({ method: 'GET', count: 3, byStatus: { '2xx': 2, '4xx': 1 } });
+      expect(data.routes.some(r => r.route.includes('event-loop-stats'))).toBe(false);
+    });
+
+    test('should log slow requests with a verdict', async () => {
+      app.use(eventLoopMonitor({ sampleInterval: 20, slowRequests: { threshold: 150 } }));
+      app.get('/io', (req, res) => {
+        setTimeout(() => res.json({ ok: true }), 200);
+      });
+      app.get('/block', (req, res) => {
+        const end = Date.now() + 200;
+        while (Date.now() < end) {
+          // Block the loop
+        }
+        res.json({ ok: true });
+      });
+      app.get('/fast', (req, res) => res.json({ ok: true }));
+      server = app.listen(0);
+
+      await request(app).get('/io?q=1');
+      await request(app).get('/block');
+      await request(app).get('/fast');
+      await sleep(150);
+
+      const response = await request(app).get('/event-loop-stats/api/slow-requests');
+      expect(response.status).toBe(200);
+      expect(response.body.threshold).toBe(150);
+      expect(response.body.summary).toEqual({ total: 2, loopBound: 1, ioBound: 1 });
+
+      const [io, block] = response.body.data;
+      expect(io).toMatchObject({ route: '/io', path: '/io', method: 'GET', statusCode: 200, verdict: 'io-bound' });
+      expect(block).toMatchObject({ route: '/block', verdict: 'loop-bound' });
+      expect(block.maxLag).toBeGreaterThanOrEqual(100);
+
+      const filtered = await request(app).get('/event-loop-stats/api/slow-requests?verdict=loop-bound');
+      expect(filtered.body.data.map(r => r.route)).toEqual(['/block']);
+
+      const exported = await request(app).get('/event-loop-stats/api/export');
+      expect(exported.body.slowRequests).toHaveLength(2);
+    });
+
+    test('should pass maxRoutes to the monitor', () => {
+      app.use(eventLoopMonitor({ maxRoutes: 5 }));
+
+      expect(getGlobalMonitor().requestTracker.options.maxRoutes).toBe(5);
+    });
+  });
+
   describe('Cleanup', () => {
     test('should cleanup resources', async () => {
       app.use(eventLoopMonitor());
@@ -251,6 +497,92 @@ describe('Express Middleware', () => {
     });
   });
 
+  describe('CPU Profiles', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'express-profiles-'));
+      app.use(eventLoopMonitor({ flightRecorder: { directory, duration: 50 } }));
+      server = app.listen(0);
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should list and download captured profiles', async () => {
+      const info = await getGlobalMonitor().flightRecorder.record();
+
+      const list = await request(app).get('/event-loop-stats/api/profiles');
+      expect(list.status).toBe(200);
+      expect(list.body.enabled).toBe(true);
+      expect(list.body.data).toEqual([info]);
+
+      const download = await request(app)
+        .get(`/event-loop-stats/api/profiles/${info.id}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          let body = '';
+          res.on('data', (chunk) => { body += chunk; });
+          res.on('end', () => callback(null, body));
+        });
+      expect(download.status).toBe(200);
+      expect(download.headers['content-disposition']).toContain(`${info.id}.cpuprofile`);
+      expect(JSON.parse(download.body).nodes).toBeDefined();
+    });
+
+    test('should return 404 for unknown profiles', async () => {
+      const unknown = await request(app).get('/event-loop-stats/api/profiles/profile-1');
+      expect(unknown.status).toBe(404);
+
+      const outside = await request(app).get('/event-loop-stats/api/profiles/..%2F..%2Fetc%2Fpasswd');
+      expect(outside.status).toBe(404);
+    });
+  });
+
+  describe('Heap Snapshots', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'express-heap-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should list snapshots and refuse to take one without a configured token', async () => {
+      app.use(eventLoopMonitor({ heapSnapshots: { directory } }));
+      server = app.listen(0);
+
+      const list = await request(app).get('/event-loop-stats/api/heap-snapshots');
+      expect(list.status).toBe(200);
+      expect(list.body.enabled).toBe(true);
+      expect(list.body.protected).toBe(false);
+      expect(list.body.data).toEqual([]);
+
+      const take = await request(app).post('/event-loop-stats/api/heap-snapshots');
+      expect(take.status).toBe(403);
+    });
+
+    test('should check the token and report refusals by a safeguard', async () => {
+      app.use(eventLoopMonitor({ heapSnapshots: { directory, token: 'secret', minFreeSpaceMB: 1e12 } }));
+      server = app.listen(0);
+      await sleep(150);
+
+      const denied = await request(app)
+        .post('/event-loop-stats/api/heap-snapshots')
+        .set('Authorization', 'Bearer wrong');
+      expect(denied.status).toBe(401);
+
+      const refused = await request(app)
+        .post('/event-loop-stats/api/heap-snapshots')
+        .set('X-Snapshot-Token', 'secret');
+      expect(refused.status).toBe(507);
+      expect(refused.body.reason).toBe('disk-space');
+    });
+  });
+
   describe('CORS', () => {
     beforeEach(() => {
       app.use(eventLoopMonitor());
@@ -0,0 +1,21 @@
+/**
+ * Cluster worker used by cluster.test.js
+ * Serves the monitor in cluster mode and tells the primary its port
+ */
+const express = require('express');
+const { eventLoopMonitor, prometheusExporter } = require('../../src/index');
+
+const app = express();
+app.use(eventLoopMonitor({ cluster: true, sampleInterval: 50 }));
+app.get('/metrics', prometheusExporter());
+app.get('/work', (req, res) => res.send('ok'));
+
+const server = app.listen(0, () => {
+  process.send({ type: 'test:listening', port: server.address().port });
+});
+
+process.on('message', (message) => {
+  if (message && message.type === 'test:shutdown') {
+    server.close(() => process.exit(0));
+  }
+});
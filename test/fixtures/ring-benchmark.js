@@ -0,0 +1,216 @@
+/**
+ * Benchmark used by SampleColumns.test.js (run with --expose-gc)
+ * Holds the same samples in a MetricsCollector and in an array of frozen
+ * sample objects (what the ring buffer used to keep), then prints as JSON
+ * the memory each retains and how long aggregation and a time series take
+ * over the columns relative to the objects.
+ *
+ *   node --expose-gc test/fixtures/ring-benchmark.js [count]
+ */
+const MetricsCollector = require('../../src/core/MetricsCollector');
+
+const count = Number(process.argv[2]) || 100000;
+
+// A monitor sample (100 ms interval, idle-ish server with some traffic).
+// Histograms and breakdowns are kept as they are in both layouts, so they
+// are left out.
+function createSample(i, start) {
+  const lag = 10 + (i % 7) * 0.3;
+
+  const heapUsed = 5000000 + (i % 100) * 1000;
+  const heapTotal = 7053312;
+  const rss = 53215232 + (i % 50) * 4096;
+  const external = 1836402;
+  const kind = () => ({ count: i % 13 === 0 ? 1 : 0, totalPause: i % 13 === 0 ? 1.5 : 0, maxPause: i % 13 === 0 ? 1.5 : 0 });
+
+  return {
+    timestamp: start + i * 100,
+    interval: 100 + (i % 3),
+    lag: {
+      min: lag,
+      max: lag + 0.2,
+      mean: lag + 0.1,
+      stddev: 0.03,
+      p50: lag + 0.1,
+      p90: lag + 0.2,
+      p95: lag + 0.2,
+      p99: lag + 0.2,
+      p999: lag + 0.2,
+    },
+    elu: { utilization: 0.02 + (i % 10) / 100, active: 2 + (i % 10), idle: 98 - (i % 10) },
+    memory: {
+      heapUsed,
+      heapTotal,
+      external,
+      rss,
+      arrayBuffers: 157255,
+      heapUsedMB: (heapUsed / 1024 / 1024).toFixed(2),
+      heapTotalMB: (heapTotal / 1024 / 1024).toFixed(2),
+      rssMB: (rss / 1024 / 1024).toFixed(2),
+      externalMB: (external / 1024 / 1024).toFixed(2),
+    },
+    cpu: { user: 2.4, system: 0.1, total: 2.5 },
+    handles: { active: 2, requests: 0, total: 2, byType: { Timeout: 2 } },
+    gc: {
+      count: i % 13 === 0 ? 4 : 0,
+      totalPause: i % 13 === 0 ? 6 : 0,
+      maxPause: i % 13 === 0 ? 1.5 : 0,
+      byKind: { minor: kind(), major: kind(), incremental: kind(), weakcb: kind() },
+    },
+    requests: {
+      count: i % 5,
+      totalTime: (i % 5) * 12,
+      avgTime: i % 5 ? 12 : 0,
+      inFlight: i % 3,
+      maxInFlight: i % 4,
+      p50: i % 5 ? 11 : 0,
+      p95: i % 5 ? 14 : 0,
+      p99: i % 5 ? 15 : 0,
+      max: i % 5 ? 15 : 0,
+      byMethod: {},
+      byStatus: {},
+      routes: [],
+    },
+    system: {
+      voluntaryContextSwitches: 11 + (i % 4),
+      involuntaryContextSwitches: 0,
+      majorPageFault: 0,
+      minorPageFault: 2,
+      fsRead: 0,
+      fsWrite: i % 2,
+      ipcSent: 0,
+      ipcReceived: 0,
+      maxRSS: 51968,
+    },
+  };
+}
+
+const warmups = 2;
+const runs = 9;
+// Median of the duration ratios of `columns` to `objects` over paired runs,
+// once both are optimized. Each run times both back to back (in alternating
+// order), so a slow or busy machine slows both sides of a ratio alike.
+function ratio(columns, objects) {
+  const time = (fn, run) => {
+    const startTime = process.hrtime.bigint();
+    fn(run);
+    return Number(process.hrtime.bigint() - startTime);
+  };
+  const ratios = [];
+  for (let run = 0; run < warmups + runs; run++) {
+    let columnsTime;
+    let objectsTime;
+    if (run % 2 === 0) {
+      columnsTime = time(columns, run);
+      objectsTime = time(objects, run);
+    } else {
+      objectsTime = time(objects, run);
+      columnsTime = time(columns, run);
+    }
+    if (run >= warmups) {
+      ratios.push(columnsTime / objectsTime);
+    }
+  }
+  return ratios.sort((a, b) => a - b)[Math.floor(runs / 2)];
+}
+
+// Aggregation the object ring buffer did: an array per field, then stats
+function aggregateObjects(samples) {
+  const fields = {
+    lag: ['min', 'max', 'mean', 'p50', 'p95', 'p99'],
+    elu: ['utilization', 'active', 'idle'],
+    memory: ['heapUsed', 'heapTotal', 'rss'],
+    requests: ['count', 'avgTime', 'inFlight'],
+    gc: ['count', 'totalPause', 'maxPause'],
+    system: Object.keys(samples[0].system),
+  };
+  const result = {};
+  Object.entries(fields).forEach(([group, names]) => {
+    const values = Object.fromEntries(names.map((name) => [name, []]));
+    const weights = [];
+    samples.forEach((sample) => {
+      if (!sample[group]) return;
+      weights.push(sample.interval);
+      names.forEach((name) => values[name].push(sample[group][name] || 0));
+    });
+    result[group] = Object.fromEntries(
+      names.map((name) => {
+        const sorted = values[name].map((value, i) => ({ value, weight: weights[i] }));
+        sorted.sort((a, b) => a.value - b.value);
+        const totalWeight = sorted.reduce((acc, p) => acc + p.weight, 0);
+        const weightedSum = sorted.reduce((acc, p) => acc + p.value * p.weight, 0);
+        return [
+          name,
+          { min: sorted[0].value, max: sorted[sorted.length - 1].value, mean: weightedSum / totalWeight },
+        ];
+      })
+    );
+  });
+  return result;
+}
+
+// Bytes a structure built by `build` keeps reachable
+function retained(build) {
+  const used = () => {
+    global.gc();
+    const { heapUsed, arrayBuffers } = process.memoryUsage();
+    return heapUsed + arrayBuffers;
+  };
+  const before = used();
+  const value = build();
+  return { value, bytes: used() - before };
+}
+
+const start = Date.now() - count * 100;
+
+const collector = retained(() => {
+  const instance = new MetricsCollector({
+    historySize: count,
+    rollups: false,
+    maxMemoryMB: 1024,
+    enableEvents: false,
+    cleanupInterval: 0,
+  });
+  for (let i = 0; i < count; i++) {
+    instance.addSample(createSample(i, start));
+  }
+  return instance;
+});
+
+const objects = retained(() => {
+  const samples = new Array(count);
+  for (let i = 0; i < count; i++) {
+    samples[i] = Object.freeze(createSample(i, start));
+  }
+  return samples;
+});
+
+const results = {
+  count,
+  memory: { columns: collector.bytes, objects: objects.bytes },
+  // Duration over the columns / duration over the objects (median)
+  ratio: {
+    // A duration per run, so that no run is served from the aggregation cache
+    aggregate: ratio(
+      (run) => collector.value.getAggregatedMetrics(count * 1000 + run),
+      () => aggregateObjects(objects.value)
+    ),
+    // A copy of the window, then a point per sample
+    timeSeries: ratio(
+      () => collector.value.getTimeSeries('lag'),
+      () =>
+        objects.value.slice().map((s) => ({
+          timestamp: s.timestamp,
+          interval: s.interval,
+          min: s.lag.min,
+          max: s.lag.max,
+          mean: s.lag.mean,
+          p50: s.lag.p50,
+          p95: s.lag.p95,
+          p99: s.lag.p99,
+        }))
+    ),
+  },
+};
+
+process.stdout.write(JSON.stringify(results) + '\n');
@@ -96,6 +96,74 @@ describe('Prometheus Exporter', () => {
       expect(response.text).toContain('nodejs_eventloop_utilization');
     });
 
+    test('should include GC metrics by kind', async () => {
+      app.get('/metrics', prometheusExporter(monitor));
+
+      monitor.start();
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.text).toContain('# TYPE nodejs_eventloop_gc_pause_seconds gauge');
+      expect(response.text).toMatch(/nodejs_eventloop_gc_count\{kind="minor"\} \d+/);
+      expect(response.text).toMatch(/nodejs_eventloop_gc_pause_max_seconds\{kind="major"\} [\d.]+/);
+    });
+
+    test('should include heap space metrics by space', async () => {
+      app.get('/metrics', prometheusExporter(monitor));
+
+      monitor.start();
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.text).toContain('# TYPE nodejs_eventloop_heap_space_used_bytes gauge');
+      expect(response.text).toMatch(/nodejs_eventloop_heap_space_used_bytes\{space="old_space"\} \d+/);
+      expect(response.text).toMatch(/nodejs_eventloop_heap_space_available_bytes\{space="new_space"\} \d+/);
+      expect(response.text).toMatch(/nodejs_eventloop_heap_code_bytes\{type="bytecodeAndMetadata"\} \d+/);
+    });
+
+    test('should include system pressure rates', async () => {
+      app.get('/metrics', prometheusExporter(monitor));
+
+      monitor.start();
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.text).toContain('# TYPE nodejs_eventloop_context_switches_per_second gauge');
+      expect(response.text).toMatch(/nodejs_eventloop_context_switches_per_second\{type="involuntary"\} [\d.]+/);
+      expect(response.text).toMatch(/nodejs_eventloop_page_faults_per_second\{type="major"\} [\d.]+/);
+      expect(response.text).toMatch(/nodejs_eventloop_fs_operations_per_second\{op="write"\} [\d.]+/);
+      expect(response.text).toMatch(/nodejs_eventloop_ipc_messages_per_second\{direction="sent"\} [\d.]+/);
+      expect(response.text).toMatch(/nodejs_eventloop_max_rss_bytes \d+/);
+    });
+
+    test('should include threadpool latency with the threadpool probe', async () => {
+      monitor = new EventLoopMonitor({ sampleInterval: 50, threadpool: { interval: 20 } });
+      app.get('/metrics', prometheusExporter(monitor));
+
+      monitor.start();
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.text).toContain('# TYPE nodejs_eventloop_threadpool_latency_seconds gauge');
+      expect(response.text).toMatch(/nodejs_eventloop_threadpool_latency_seconds\{quantile="0.99"\} [\d.]+/);
+      expect(response.text).toMatch(/nodejs_eventloop_threadpool_current_latency_seconds [\d.]+/);
+    });
+
+    test('should leave out threadpool latency without the probe', async () => {
+      app.get('/metrics', prometheusExporter(monitor));
+
+      monitor.start();
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.text).not.toContain('nodejs_eventloop_threadpool');
+    });
+
     test('should include health metrics', async () => {
       app.get('/metrics', prometheusExporter(monitor));
       
@@ -334,6 +402,43 @@ describe('Prometheus Exporter', () => {
     });
   });
 
+  describe('Request Histograms', () => {
+    test('should export request latency per route, method and status', async () => {
+      app.get('/metrics', prometheusExporter(monitor));
+
+      monitor.start();
+      monitor.trackRequest(3, { route: '/users/:id', method: 'GET', statusCode: 200 });
+      monitor.trackRequest(300, { route: '/users/:id', method: 'GET', statusCode: 200 });
+      monitor.trackRequest(20, { route: '/orders', method: 'POST', statusCode: 503 });
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      const response = await request(app).get('/metrics');
+      const labels = 'route="/users/:id",method="GET",status="2xx"';
+
+      expect(response.text).toContain('# TYPE nodejs_http_request_duration_seconds histogram');
+      expect(response.text).toContain(`nodejs_http_request_duration_seconds_bucket{${labels},le="0.005"} 1`);
+      expect(response.text).toContain(`nodejs_http_request_duration_seconds_bucket{${labels},le="+Inf"} 2`);
+      expect(response.text).toContain(`nodejs_http_request_duration_seconds_count{${labels}} 2`);
+      expect(response.text).toContain('status="5xx"');
+      expect(response.text).toMatch(/nodejs_http_requests_in_flight \d+/);
+    });
+
+    test('should export measured operations labelled by name', async () => {
+      app.get('/metrics', prometheusExporter(monitor));
+
+      monitor.start();
+      monitor.measure('render', () => {});
+      monitor.measure('render', () => {});
+      await new Promise(resolve => setTimeout(resolve, 250));
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.text).toContain('# TYPE nodejs_eventloop_operation_seconds_total counter');
+      expect(response.text).toContain('nodejs_eventloop_operations_total{operation="render"} 2');
+      expect(response.text).toMatch(/nodejs_eventloop_operation_max_seconds\{operation="render"\} [\d.]+/);
+    });
+  });
+
   describe('Monitor State Changes', () => {
     test('should reflect monitor stop in metrics', async () => {
       app.get('/metrics', prometheusExporter(monitor));
@@ -389,5 +494,20 @@ describe('Prometheus Exporter', () => {
       
       expect(response.status).toBe(503);
     });
+
+    test('should resolve registered monitors by name', async () => {
+      const { registry } = require('../src/core/MonitorRegistry');
+      app.get('/metrics', prometheusExporter('jobs'));
+
+      expect((await request(app).get('/metrics')).status).toBe(503);
+
+      registry.start('jobs');
+      await new Promise(resolve => setTimeout(resolve, 150));
+      const response = await request(app).get('/metrics');
+      registry.remove('jobs');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('nodejs_eventloop_lag_seconds');
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,66 @@
+const { getActiveResources, detectResourceLeaks } = require('../src/core/resources');
+
+function createHistory(counts, type = 'Timeout') {
+  return counts.map((count, i) => ({
+    timestamp: 1000 + i * 1000,
+    handles: { active: count, requests: 0, total: count, byType: { [type]: count } }
+  }));
+}
+
+describe('Active Resources', () => {
+  describe('getActiveResources()', () => {
+    test('should count resources by type', () => {
+      const before = getActiveResources();
+      const timers = [setTimeout(() => {}, 10000), setTimeout(() => {}, 10000)];
+
+      const after = getActiveResources();
+      timers.forEach(clearTimeout);
+
+      expect((after.byType.Timeout || 0) - (before.byType.Timeout || 0)).toBe(2);
+      expect(after.total).toBe(after.active + after.requests);
+      expect(after.total).toBe(
+        Object.values(after.byType).reduce((sum, count) => sum + count, 0)
+      );
+    });
+
+    test('should count in-flight requests separately', (done) => {
+      require('fs').stat(__filename, () => done());
+
+      const resources = getActiveResources();
+      expect(resources.byType.FSReqCallback).toBeGreaterThanOrEqual(1);
+      expect(resources.requests).toBeGreaterThanOrEqual(1);
+    });
+  });
+
+  describe('detectResourceLeaks()', () => {
+    test('should flag a type that grows steadily', () => {
+      const counts = Array.from({ length: 60 }, (_, i) => 5 + i);
+      const leaks = detectResourceLeaks(createHistory(counts));
+
+      expect(leaks).toHaveLength(1);
+      expect(leaks[0].type).toBe('Timeout');
+      expect(leaks[0].baseline).toBe(5);
+      expect(leaks[0].current).toBe(64);
+      expect(leaks[0].growth).toBe(48);
+      expect(leaks[0].ratePerMinute).toBeCloseTo(48 / (59 / 60));
+    });
+
+    test('should ignore bursts that return to the baseline', () => {
+      // Every segment spikes, then drops back to 5
+      const counts = Array.from({ length: 60 }, (_, i) => (i % 12 === 11 ? 5 : 5 + i));
+      expect(detectResourceLeaks(createHistory(counts))).toEqual([]);
+    });
+
+    test('should ignore growth below the threshold', () => {
+      const counts = Array.from({ length: 60 }, (_, i) => 5 + Math.floor(i / 10));
+      expect(detectResourceLeaks(createHistory(counts))).toEqual([]);
+      expect(detectResourceLeaks(createHistory(counts), { minGrowth: 3 })).toHaveLength(1);
+    });
+
+    test('should wait for enough samples', () => {
+      const counts = Array.from({ length: 20 }, (_, i) => i * 10);
+      expect(detectResourceLeaks(createHistory(counts))).toEqual([]);
+      expect(detectResourceLeaks(createHistory(counts), { minSamples: 10 })).toHaveLength(1);
+    });
+  });
+});